@@ -0,0 +1,85 @@
+/**
+ * Interface Names
+ * Parses the port names used across vendors and the topology config
+ * ('TE3', 'GE3', 'Port 3', 'LAG1', '3') and maps them onto a switch
+ * model's interface layout
+ */
+
+const PORT_PREFIXES = ['te', 'xe', 'ge', 'gi', 'port', 'eth', 'ethernet']
+const LAG_PREFIXES = ['lag', 'po', 'trunk']
+
+// 'te3' -> { kind: 'port', number: 3 }; bare numbers are 1-based numbers of defaultKind
+function parseInterfaceName(portRef, defaultKind = 'port') {
+  const match = String(portRef ?? '').trim().match(/^([a-z]*)[\s\-_/]*(\d+)$/i)
+  if (!match) {
+    return null
+  }
+
+  const prefix = match[1].toLowerCase()
+  const number = parseInt(match[2], 10)
+  if (number < 1) {
+    return null
+  }
+  if (prefix === '') {
+    return { kind: defaultKind, number }
+  }
+  if (PORT_PREFIXES.includes(prefix)) {
+    return { kind: 'port', number }
+  }
+  if (LAG_PREFIXES.includes(prefix)) {
+    return { kind: 'lag', number }
+  }
+  return null
+}
+
+function formatInterfaceName(layout, kind, number) {
+  return kind === 'lag' ? `LAG${number}` : `${layout.portPrefix}${number}`
+}
+
+// Maps an index from the vendor API (layout.indexBase is the index it uses for port 1)
+function portFromVendorIndex(layout, vendorIndex) {
+  const index = parseInt(vendorIndex, 10) - layout.indexBase + 1
+  return { name: formatInterfaceName(layout, 'port', index), index }
+}
+
+// Returns { kind, index, name, vendorIndex } for a port or LAG that exists on the
+// layout's model. Without a layout the name is only parsed, not range-checked.
+// options.allowLag also accepts LAGs; options.lag requires one and reads bare numbers as LAG ids.
+function resolveInterface(portRef, layout, options = {}) {
+  const parsed = parseInterfaceName(portRef, options.lag ? 'lag' : 'port')
+  if (!parsed) {
+    throw new Error(`Invalid interface name: ${portRef}`)
+  }
+  if (options.lag && parsed.kind !== 'lag') {
+    throw new Error(`${portRef} is a port; a LAG is required`)
+  }
+  if (parsed.kind === 'lag' && !options.allowLag && !options.lag) {
+    throw new Error(`${portRef} is a LAG; a physical port is required`)
+  }
+
+  if (!layout) {
+    return { kind: parsed.kind, index: parsed.number, name: String(portRef).trim(), vendorIndex: null }
+  }
+
+  const count = parsed.kind === 'lag' ? layout.lags : layout.ports
+  if (parsed.number > count) {
+    const range = count > 0
+      ? `${formatInterfaceName(layout, parsed.kind, 1)}-${formatInterfaceName(layout, parsed.kind, count)}`
+      : `no ${parsed.kind === 'lag' ? 'LAGs' : 'ports'}`
+    throw new Error(`Interface ${portRef} does not exist on ${layout.model} (${range})`)
+  }
+
+  return {
+    kind: parsed.kind,
+    index: parsed.number,
+    name: formatInterfaceName(layout, parsed.kind, parsed.number),
+    vendorIndex: parsed.kind === 'lag' ? parsed.number : parsed.number - 1 + layout.indexBase
+  }
+}
+
+module.exports = {
+  parseInterfaceName,
+  formatInterfaceName,
+  portFromVendorIndex,
+  resolveInterface
+}
@@ -0,0 +1,28 @@
+/**
+ * MAC Addresses
+ * Normalizes the MAC notations seen in tool input and vendor tables
+ * ('1c:2a:a3:1e:8d:f8', '1C-2A-A3-1E-8D-F8', '1c2a.a31e.8df8', '1c2aa31e8df8')
+ * to upper-case colon form
+ */
+
+// Returns 'AA:BB:CC:DD:EE:FF', or null when the value is not a MAC address
+function normalizeMacAddress(value) {
+  const text = String(value ?? '').trim()
+  if (!/^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$|^([0-9a-f]{4}\.){2}[0-9a-f]{4}$|^[0-9a-f]{12}$/i.test(text)) {
+    return null
+  }
+
+  const hex = text.replace(/[:.-]/g, '').toUpperCase()
+  return hex.match(/.{2}/g).join(':')
+}
+
+// Multicast and broadcast addresses have the low bit of the first octet set
+function isUnicastMac(macAddress) {
+  const normalized = normalizeMacAddress(macAddress)
+  return normalized !== null && (parseInt(normalized.slice(0, 2), 16) & 1) === 0
+}
+
+module.exports = {
+  normalizeMacAddress,
+  isUnicastMac
+}
@@ -0,0 +1,255 @@
+/**
+ * Port Model
+ * Vendor-neutral port representation that every switch driver maps into
+ */
+
+const Ajv = require('ajv')
+
+const STATES = ['up', 'down', 'unknown']
+const DUPLEX_MODES = ['full', 'half', 'auto']
+const QOS_SCHEDULING = ['strict', 'wrr']
+// What a port with port security does with frames from a MAC beyond its limit
+const PORT_SECURITY_ACTIONS = ['drop', 'shutdown', 'log']
+
+const nullableInteger = { type: ['integer', 'null'], minimum: 0 }
+
+const COUNTERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    rxBytes: nullableInteger,
+    txBytes: nullableInteger,
+    rxPackets: nullableInteger,
+    txPackets: nullableInteger,
+    rxErrors: nullableInteger,
+    txErrors: nullableInteger,
+    rxDrops: nullableInteger,
+    txDrops: nullableInteger
+  },
+  additionalProperties: false
+}
+
+const COUNTER_KEYS = Object.keys(COUNTERS_SCHEMA.properties)
+
+const PORT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'index', 'adminState', 'operState', 'taggedVlans', 'untaggedVlans'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    index: { type: 'integer', minimum: 1 },
+    description: { type: ['string', 'null'] },
+    adminState: { enum: STATES },
+    operState: { enum: STATES },
+    speedMbps: nullableInteger,
+    duplex: { enum: [...DUPLEX_MODES, null] },
+    flowControl: { type: ['boolean', 'null'] },
+    media: { type: ['string', 'null'] },
+    pvid: { type: ['integer', 'null'], minimum: 1, maximum: 4094 },
+    taggedVlans: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 4094 } },
+    untaggedVlans: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 4094 } },
+    lag: {
+      type: ['object', 'null'],
+      required: ['id'],
+      properties: {
+        id: { type: 'integer', minimum: 1 },
+        active: { type: ['boolean', 'null'] }
+      },
+      additionalProperties: false
+    },
+    counters: { anyOf: [COUNTERS_SCHEMA, { type: 'null' }] },
+    // Rate limits are null when the port is not limited; priority is the 802.1p
+    // priority given to untagged frames
+    qos: {
+      type: ['object', 'null'],
+      required: ['ingressRateKbps', 'egressRateKbps', 'priority', 'scheduling'],
+      properties: {
+        ingressRateKbps: nullableInteger,
+        egressRateKbps: nullableInteger,
+        priority: { type: ['integer', 'null'], minimum: 0, maximum: 7 },
+        scheduling: { enum: [...QOS_SCHEDULING, null] }
+      },
+      additionalProperties: false
+    },
+    utilization: {
+      type: ['object', 'null'],
+      properties: {
+        rxPercent: { type: 'number', minimum: 0 },
+        txPercent: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    raw: { type: 'object' }
+  },
+  additionalProperties: false
+}
+
+const ajv = new Ajv({ allErrors: true })
+const validate = ajv.compile(PORT_SCHEMA)
+
+// Accepts booleans, 1/0 and the labels the web interfaces use ('Enable', 'Link Up', ...)
+function normalizeState(value) {
+  if (value === true || value === 1) {
+    return 'up'
+  }
+  if (value === false || value === 0) {
+    return 'down'
+  }
+  if (typeof value !== 'string') {
+    return 'unknown'
+  }
+
+  const text = value.trim().toLowerCase()
+  if (/\b(up|enabled?|on|linked)\b/.test(text)) {
+    return 'up'
+  }
+  if (/\b(down|disabled?|off)\b/.test(text)) {
+    return 'down'
+  }
+  return 'unknown'
+}
+
+// '10G', '2500M', '1000' or 2500 -> megabits per second
+function parseSpeed(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? Math.round(value) : null
+  }
+
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([GM])?/i)
+  if (!match) {
+    return null
+  }
+
+  const speed = parseFloat(match[1])
+  return Math.round(match[2] && match[2].toUpperCase() === 'G' ? speed * 1000 : speed)
+}
+
+function normalizeDuplex(value) {
+  const text = String(value || '').trim().toLowerCase()
+  return DUPLEX_MODES.find(mode => text.includes(mode)) || null
+}
+
+function toCount(value) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  const count = parseInt(String(value).replace(/,/g, ''), 10)
+  return Number.isNaN(count) || count < 0 ? null : count
+}
+
+function toVlanList(values) {
+  return Array.from(new Set((values || []).map(v => parseInt(v, 10))))
+    .filter(v => v >= 1 && v <= 4094)
+    .sort((a, b) => a - b)
+}
+
+// Every counter key, with the ones a driver cannot read set to null
+function normalizeCounters(counters) {
+  const normalized = {}
+  for (const key of COUNTER_KEYS) {
+    normalized[key] = toCount(counters[key])
+  }
+  return normalized
+}
+
+// Builds a port in the canonical shape; fields a driver cannot provide are null
+function createPort(fields) {
+  const port = {
+    name: String(fields.name),
+    index: parseInt(fields.index, 10),
+    description: fields.description || null,
+    adminState: STATES.includes(fields.adminState) ? fields.adminState : normalizeState(fields.adminState),
+    operState: STATES.includes(fields.operState) ? fields.operState : normalizeState(fields.operState),
+    speedMbps: fields.speedMbps === undefined ? null : parseSpeed(fields.speedMbps),
+    duplex: normalizeDuplex(fields.duplex),
+    flowControl: typeof fields.flowControl === 'boolean' ? fields.flowControl : null,
+    media: fields.media || null,
+    pvid: toCount(fields.pvid) || null,
+    taggedVlans: toVlanList(fields.taggedVlans),
+    untaggedVlans: toVlanList(fields.untaggedVlans),
+    lag: fields.lag ? { id: parseInt(fields.lag.id, 10), active: fields.lag.active ?? null } : null,
+    counters: null,
+    qos: null,
+    utilization: null
+  }
+
+  if (fields.counters) {
+    port.counters = normalizeCounters(fields.counters)
+  }
+
+  if (fields.qos) {
+    const priority = toCount(fields.qos.priority)
+    port.qos = {
+      ingressRateKbps: toCount(fields.qos.ingressRateKbps) || null,
+      egressRateKbps: toCount(fields.qos.egressRateKbps) || null,
+      priority: priority !== null && priority <= 7 ? priority : null,
+      scheduling: QOS_SCHEDULING.includes(fields.qos.scheduling) ? fields.qos.scheduling : null
+    }
+  }
+
+  if (fields.utilization) {
+    port.utilization = {
+      rxPercent: Number(fields.utilization.rxPercent) || 0,
+      txPercent: Number(fields.utilization.txPercent) || 0
+    }
+  }
+
+  if (fields.raw) {
+    port.raw = fields.raw
+  }
+
+  return port
+}
+
+function getPortErrors(port) {
+  if (validate(port)) {
+    return []
+  }
+  return validate.errors.map(error => `Port ${port.name || '?'}${error.instancePath}: ${error.message}`)
+}
+
+// Matches a port by name ('TE3', 'Port 3') or 1-based index
+function findPort(ports, portRef) {
+  const ref = String(portRef).trim().toLowerCase()
+  return ports.find(p => p.name.toLowerCase() === ref) ||
+    (/^\d+$/.test(ref) ? ports.find(p => p.index === parseInt(ref, 10)) : null) ||
+    null
+}
+
+// A port security entry is in violation once it has seen more addresses than its
+// limit allows, whether the switch still counts them, shut the port or kept learning
+function isSecurityViolation(security) {
+  return security.shutdown || security.violations > 0 || (security.enabled && security.learned > security.maxMacs)
+}
+
+function summarizePorts(ports) {
+  const withUtilization = ports.filter(p => p.operState === 'up' && p.utilization)
+  const average = (key) => withUtilization.length > 0
+    ? Math.round(withUtilization.reduce((sum, p) => sum + p.utilization[key], 0) / withUtilization.length * 10) / 10
+    : null
+
+  return {
+    total: ports.length,
+    up: ports.filter(p => p.operState === 'up').length,
+    down: ports.filter(p => p.operState === 'down').length,
+    admin_disabled: ports.filter(p => p.adminState === 'down').length,
+    with_errors: ports.filter(p => p.counters && ((p.counters.rxErrors || 0) + (p.counters.txErrors || 0)) > 0).length,
+    lag_members: ports.filter(p => p.lag).length,
+    rate_limited: ports.filter(p => p.qos && (p.qos.ingressRateKbps || p.qos.egressRateKbps)).length,
+    average_rx_utilization: average('rxPercent'),
+    average_tx_utilization: average('txPercent')
+  }
+}
+
+module.exports = {
+  PORT_SCHEMA,
+  QOS_SCHEDULING,
+  PORT_SECURITY_ACTIONS,
+  COUNTER_KEYS,
+  createPort,
+  normalizeCounters,
+  getPortErrors,
+  findPort,
+  isSecurityViolation,
+  summarizePorts,
+  normalizeState,
+  parseSpeed
+}
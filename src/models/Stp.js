@@ -0,0 +1,118 @@
+/**
+ * Spanning Tree Model
+ * Vendor-neutral STP/RSTP bridge and port status that every switch driver maps into
+ */
+
+const Ajv = require('ajv')
+const { normalizeMacAddress } = require('./MacAddress')
+
+const STP_MODES = ['stp', 'rstp']
+const PORT_ROLES = ['root', 'designated', 'alternate', 'backup', 'disabled']
+const PORT_STATES = ['forwarding', 'learning', 'discarding', 'blocking', 'listening', 'disabled']
+
+const STP_SCHEMA = {
+  type: 'object',
+  required: ['enabled', 'mode', 'priority', 'bridgeId', 'rootBridgeId', 'isRoot', 'rootPort', 'rootPathCost', 'ports'],
+  properties: {
+    enabled: { type: 'boolean' },
+    mode: { enum: STP_MODES },
+    priority: { type: 'integer', minimum: 0, maximum: 61440, multipleOf: 4096 },
+    bridgeId: { type: 'string' },
+    rootBridgeId: { type: 'string' },
+    isRoot: { type: 'boolean' },
+    rootPort: { type: ['string', 'null'] },
+    rootPathCost: { type: 'integer', minimum: 0 },
+    ports: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['port', 'index', 'role', 'state', 'pathCost', 'edge', 'bpduGuard'],
+        properties: {
+          port: { type: 'string', minLength: 1 },
+          index: { type: 'integer', minimum: 1 },
+          role: { enum: PORT_ROLES },
+          state: { enum: PORT_STATES },
+          pathCost: { type: ['integer', 'null'] },
+          edge: { type: 'boolean' },
+          bpduGuard: { type: 'boolean' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+const ajv = new Ajv({ allErrors: true })
+const validate = ajv.compile(STP_SCHEMA)
+
+function isValidBridgePriority(priority) {
+  return Number.isInteger(priority) && priority >= 0 && priority <= 61440 && priority % 4096 === 0
+}
+
+// Bridge IDs are written '<priority>.<MAC>' so IDs from different vendors compare equal
+function formatBridgeId(priority, mac) {
+  return `${parseInt(priority, 10)}.${normalizeMacAddress(mac) || mac}`
+}
+
+// Accepts '32768.1C:2A:A3:1E:8D:F8' or '32768/1c2a.a31e.8df8'
+function parseBridgeId(value) {
+  const match = String(value ?? '').trim().match(/^(\d+)\s*[./]\s*(.+)$/)
+  const mac = match && normalizeMacAddress(match[2])
+  if (!mac) {
+    return null
+  }
+  return { priority: parseInt(match[1], 10), mac }
+}
+
+function normalizeValue(value, allowed, fallback) {
+  const text = String(value ?? '').trim().toLowerCase()
+  return allowed.includes(text) ? text : fallback
+}
+
+// Builds STP status in the canonical shape; bridge IDs may be given as strings or
+// { priority, mac } and isRoot is derived from them
+function createStpStatus(fields) {
+  const toBridge = (bridge) => typeof bridge === 'object' && bridge !== null ? bridge : parseBridgeId(bridge)
+  const bridge = toBridge(fields.bridgeId)
+  const root = toBridge(fields.rootBridgeId) || bridge
+  const bridgeId = bridge ? formatBridgeId(bridge.priority, bridge.mac) : ''
+  const rootBridgeId = root ? formatBridgeId(root.priority, root.mac) : ''
+
+  return {
+    enabled: !!fields.enabled,
+    mode: normalizeValue(fields.mode, STP_MODES, 'rstp'),
+    priority: bridge ? parseInt(bridge.priority, 10) : parseInt(fields.priority, 10),
+    bridgeId,
+    rootBridgeId,
+    isRoot: bridgeId !== '' && bridgeId === rootBridgeId,
+    rootPort: fields.rootPort || null,
+    rootPathCost: parseInt(fields.rootPathCost, 10) || 0,
+    ports: (fields.ports || []).map(port => ({
+      port: String(port.port),
+      index: parseInt(port.index, 10),
+      role: normalizeValue(port.role, PORT_ROLES, 'disabled'),
+      state: normalizeValue(port.state, PORT_STATES, 'disabled'),
+      pathCost: port.pathCost === undefined || port.pathCost === null || port.pathCost === '' ? null : parseInt(port.pathCost, 10),
+      edge: !!port.edge,
+      bpduGuard: !!port.bpduGuard
+    })).sort((a, b) => a.index - b.index)
+  }
+}
+
+function getStpErrors(status) {
+  if (validate(status)) {
+    return []
+  }
+  return validate.errors.map(error => `STP${error.instancePath}: ${error.message}`)
+}
+
+module.exports = {
+  STP_SCHEMA,
+  STP_MODES,
+  createStpStatus,
+  getStpErrors,
+  formatBridgeId,
+  parseBridgeId,
+  isValidBridgePriority
+}
@@ -0,0 +1,72 @@
+/**
+ * VLAN Model
+ * Vendor-neutral VLAN table entry that every switch driver maps into
+ */
+
+const Ajv = require('ajv')
+
+const VLAN_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'description', 'ports'],
+  properties: {
+    id: { type: 'integer', minimum: 1, maximum: 4094 },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    ports: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['port', 'index', 'tagged', 'pvid'],
+        properties: {
+          port: { type: 'string', minLength: 1 },
+          index: { type: 'integer', minimum: 1 },
+          tagged: { type: 'boolean' },
+          pvid: { type: 'boolean' }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+const ajv = new Ajv({ allErrors: true })
+const validate = ajv.compile(VLAN_SCHEMA)
+
+// Builds a VLAN in the canonical shape; members are sorted by port index and
+// a port listed both tagged and untagged is kept as untagged
+function createVlan(fields) {
+  const id = parseInt(fields.id, 10)
+  const members = new Map()
+
+  for (const member of fields.ports || []) {
+    const index = parseInt(member.index, 10)
+    const existing = members.get(index)
+    members.set(index, {
+      port: String(member.port),
+      index,
+      tagged: existing ? existing.tagged && !!member.tagged : !!member.tagged,
+      pvid: (existing && existing.pvid) || !!member.pvid
+    })
+  }
+
+  return {
+    id,
+    name: fields.name ? String(fields.name) : `VLAN${id}`,
+    description: fields.description ? String(fields.description) : '',
+    ports: Array.from(members.values()).sort((a, b) => a.index - b.index)
+  }
+}
+
+function getVlanErrors(vlan) {
+  if (validate(vlan)) {
+    return []
+  }
+  return validate.errors.map(error => `VLAN ${vlan.id || '?'}${error.instancePath}: ${error.message}`)
+}
+
+module.exports = {
+  VLAN_SCHEMA,
+  createVlan,
+  getVlanErrors
+}
@@ -68,10 +68,12 @@ router.get('/detailed', async (req, res) => {
           total: switches.length,
           online: switches.filter(s => s.status === 'online').length,
           offline: switches.filter(s => s.status === 'offline').length,
+          circuitOpen: switches.filter(s => s.circuit !== 'closed').length,
           switches: switches.map(s => ({
             id: s.id,
             name: s.name,
             status: s.status,
+            circuit: services.switchManager.getCircuitBreaker(s.id).getState(),
             lastHealthCheck: s.lastHealthCheck
           }))
         }
@@ -5,6 +5,8 @@
 
 const express = require('express')
 const logger = require('../utils/logger')
+const config = require('../utils/config')
+const toolCallMetrics = require('../services/metrics/toolCallMetrics')
 
 const router = express.Router()
 
@@ -13,6 +15,16 @@ const vlanTools = require('../tools/vlanTools')
 const diagnosticTools = require('../tools/diagnosticTools')
 const configurationTools = require('../tools/configurationTools')
 const switchTools = require('../tools/switchTools')
+const credentialTools = require('../tools/credentialTools')
+const lagTools = require('../tools/lagTools')
+const macTools = require('../tools/macTools')
+const mirrorTools = require('../tools/mirrorTools')
+const stpTools = require('../tools/stpTools')
+const igmpTools = require('../tools/igmpTools')
+const qosTools = require('../tools/qosTools')
+const portSecurityTools = require('../tools/portSecurityTools')
+const stormControlTools = require('../tools/stormControlTools')
+const trafficTools = require('../tools/trafficTools')
 
 // MCP tool registry
 const mcpTools = new Map()
@@ -43,6 +55,11 @@ mcpTools.set('vlan_diagnostics', diagnosticTools.vlanDiagnostics)
 mcpTools.set('connectivity_test', diagnosticTools.connectivityTest)
 mcpTools.set('performance_analysis', diagnosticTools.performanceAnalysis)
 mcpTools.set('real_time_monitoring', diagnosticTools.realTimeMonitoring)
+mcpTools.set('list_monitoring_sessions', diagnosticTools.listMonitoringSessions)
+mcpTools.set('stop_monitoring_session', diagnosticTools.stopMonitoringSession)
+
+// Register traffic analytics tools
+mcpTools.set('port_utilization_report', trafficTools.portUtilizationReport)
 
 // Register configuration management tools
 mcpTools.set('backup_switch_configuration', configurationTools.backupSwitchConfiguration)
@@ -52,16 +69,71 @@ mcpTools.set('deploy_configuration_template', configurationTools.deployConfigura
 mcpTools.set('validate_configuration_compliance', configurationTools.validateConfigurationCompliance)
 mcpTools.set('generate_configuration_report', configurationTools.generateConfigurationReport)
 mcpTools.set('rollback_configuration_changes', configurationTools.rollbackConfigurationChanges)
+mcpTools.set('save_running_config', configurationTools.saveRunningConfig)
 
 // Register switch management tools
 mcpTools.set('get_switch_info', switchTools.getSwitchInfo)
 mcpTools.set('get_all_switches', switchTools.getAllSwitches)
+mcpTools.set('list_switch_drivers', switchTools.listSwitchDrivers)
+mcpTools.set('register_switch', switchTools.registerSwitch)
+mcpTools.set('decommission_switch', switchTools.decommissionSwitch)
 mcpTools.set('get_switch_status', switchTools.getSwitchStatus)
+mcpTools.set('reboot_switch', switchTools.rebootSwitch)
 mcpTools.set('get_port_status', switchTools.getPortStatus)
 mcpTools.set('configure_port', switchTools.configurePort)
 mcpTools.set('get_network_topology', switchTools.getNetworkTopology)
 mcpTools.set('discover_network_devices', switchTools.discoverNetworkDevices)
 
+// Register credential management tools
+mcpTools.set('set_switch_credentials', credentialTools.setSwitchCredentials)
+mcpTools.set('list_switch_credentials', credentialTools.listSwitchCredentials)
+mcpTools.set('rotate_credential_master_key', credentialTools.rotateCredentialMasterKey)
+
+// Register LAG management tools
+mcpTools.set('create_lag', lagTools.createLAG)
+mcpTools.set('delete_lag', lagTools.deleteLAG)
+mcpTools.set('configure_lag', lagTools.configureLAG)
+mcpTools.set('add_lag_member', lagTools.addLAGMember)
+mcpTools.set('remove_lag_member', lagTools.removeLAGMember)
+
+// Register MAC address table tools
+mcpTools.set('add_static_mac', macTools.addStaticMAC)
+mcpTools.set('remove_static_mac', macTools.removeStaticMAC)
+mcpTools.set('set_mac_aging_time', macTools.setMACAgingTime)
+mcpTools.set('flush_mac_table', macTools.flushMACTable)
+
+// Register port mirroring tools
+mcpTools.set('configure_port_mirror', mirrorTools.configurePortMirror)
+mcpTools.set('list_port_mirrors', mirrorTools.listPortMirrors)
+mcpTools.set('remove_port_mirror', mirrorTools.removePortMirror)
+
+// Register spanning tree tools
+mcpTools.set('get_stp_status', stpTools.getSTPStatus)
+mcpTools.set('configure_stp', stpTools.configureSTP)
+mcpTools.set('configure_stp_port', stpTools.configureSTPPort)
+mcpTools.set('check_stp_root', stpTools.checkSTPRoot)
+
+// Register QoS tools
+mcpTools.set('set_port_rate_limit', qosTools.setPortRateLimit)
+mcpTools.set('set_port_qos', qosTools.setPortQoS)
+mcpTools.set('get_port_qos', qosTools.getPortQoS)
+
+// Register port security tools
+mcpTools.set('configure_port_security', portSecurityTools.configurePortSecurity)
+mcpTools.set('get_port_security', portSecurityTools.getPortSecurity)
+
+// Register storm control and loop detection tools
+mcpTools.set('get_storm_control', stormControlTools.getStormControl)
+mcpTools.set('configure_storm_control', stormControlTools.configureStormControl)
+mcpTools.set('get_loop_detection', stormControlTools.getLoopDetection)
+mcpTools.set('configure_loop_detection', stormControlTools.configureLoopDetection)
+mcpTools.set('configure_loop_detection_port', stormControlTools.configureLoopDetectionPort)
+
+// Register IGMP snooping tools
+mcpTools.set('get_igmp_snooping', igmpTools.getIGMPSnooping)
+mcpTools.set('configure_igmp_snooping', igmpTools.configureIGMPSnooping)
+mcpTools.set('list_multicast_groups', igmpTools.listMulticastGroups)
+
 // MCP JSON-RPC handler
 router.post('/', async (req, res) => {
   const startTime = Date.now()
@@ -153,7 +225,7 @@ router.post('/', async (req, res) => {
 
       try {
         logger.info(`🔧 Executing tool via tools/call: ${toolName}`, { args: toolArgs, id })
-        const result = await toolHandler(toolArgs || {})
+        const result = await toolCallMetrics.time(toolName, () => toolHandler(toolArgs || {}))
 
         const duration = Date.now() - startTime
         logger.info(`✅ MCP tools/call completed: ${toolName} (${duration}ms)`, { id })
@@ -166,6 +238,24 @@ router.post('/', async (req, res) => {
         })
 
       } catch (toolError) {
+        if (toolError.name === 'UnsupportedOperationError') {
+          logger.warn(`⚠️ MCP tools/call unsupported: ${toolName} - ${toolError.message}`, { id })
+          return res.json({
+            jsonrpc: '2.0',
+            result: unsupportedOperationResult(toolError),
+            id
+          })
+        }
+
+        if (toolError.name === 'CircuitOpenError') {
+          logger.warn(`⚠️ MCP tools/call rejected: ${toolName} - ${toolError.message}`, { id })
+          return res.json({
+            jsonrpc: '2.0',
+            result: circuitOpenResult(toolError),
+            id
+          })
+        }
+
         logger.error(`❌ MCP tools/call error: ${toolName}`, {
           error: toolError.message,
           args: toolArgs,
@@ -214,7 +304,7 @@ router.post('/', async (req, res) => {
     
     // Execute the tool
     try {
-      const result = await toolHandler(params || {})
+      const result = await toolCallMetrics.time(method, () => toolHandler(params || {}))
       
       const duration = Date.now() - startTime
       logger.info(`✅ MCP Request completed: ${method} (${duration}ms)`, { id })
@@ -226,6 +316,24 @@ router.post('/', async (req, res) => {
       })
       
     } catch (toolError) {
+      if (toolError.name === 'UnsupportedOperationError') {
+        logger.warn(`⚠️ MCP Tool unsupported: ${method} - ${toolError.message}`, { id })
+        return res.json({
+          jsonrpc: '2.0',
+          result: unsupportedOperationResult(toolError),
+          id
+        })
+      }
+
+      if (toolError.name === 'CircuitOpenError') {
+        logger.warn(`⚠️ MCP Tool rejected: ${method} - ${toolError.message}`, { id })
+        return res.json({
+          jsonrpc: '2.0',
+          result: circuitOpenResult(toolError),
+          id
+        })
+      }
+
       logger.error(`❌ MCP Tool error: ${method}`, { 
         error: toolError.message, 
         params, 
@@ -263,6 +371,34 @@ router.post('/', async (req, res) => {
   }
 })
 
+// Tool result for operations the target switch model does not support
+function unsupportedOperationResult(error) {
+  return {
+    success: false,
+    unsupported: true,
+    message: error.message,
+    data: {
+      capability: error.capability,
+      switch_type: error.switchType,
+      model: error.model
+    }
+  }
+}
+
+// Tool result for calls to a switch whose circuit breaker is open
+function circuitOpenResult(error) {
+  return {
+    success: false,
+    circuit_open: true,
+    message: error.message,
+    data: {
+      switch_id: error.switchId,
+      next_attempt_at: error.nextAttemptAt,
+      last_error: error.lastError
+    }
+  }
+}
+
 // Tool descriptions for MCP tools/list
 function getToolDescription(toolName) {
   const descriptions = {
@@ -290,8 +426,13 @@ function getToolDescription(toolName) {
     'port_diagnostics': 'Analyze port status and performance',
     'vlan_diagnostics': 'VLAN-specific diagnostic analysis',
     'connectivity_test': 'Test connectivity between network endpoints',
-    'performance_analysis': 'Analyze network performance metrics',
-    'real_time_monitoring': 'Real-time monitoring of switch metrics',
+    'performance_analysis': 'Analyze network performance, with port traffic, errors and discards over the last duration_minutes of collected counters',
+    'real_time_monitoring': 'Start a monitoring session that samples port state, traffic and errors of a switch every interval_seconds and streams the samples as Server-Sent Events',
+    'list_monitoring_sessions': 'List the running real-time monitoring sessions',
+    'stop_monitoring_session': 'Stop a real-time monitoring session before it expires',
+    
+    // Traffic Analytics
+    'port_utilization_report': 'Per-port utilization of the negotiated speed, error and discard rates and top talkers over a time window, from collected counters',
     
     // Configuration Management
     'backup_switch_configuration': 'Create backup of switch configuration',
@@ -301,15 +442,70 @@ function getToolDescription(toolName) {
     'validate_configuration_compliance': 'Validate configuration against policies',
     'generate_configuration_report': 'Generate comprehensive configuration report',
     'rollback_configuration_changes': 'Rollback configuration to previous state',
+    'save_running_config': 'Save the running configuration to startup so it survives a reboot (requires confirm)',
     
     // Switch Management
     'get_switch_info': 'Get detailed information about a specific switch',
     'get_all_switches': 'List all managed switches with status',
-    'get_switch_status': 'Get current status of a switch',
+    'list_switch_drivers': 'List registered switch drivers and their supported operations',
+    'register_switch': 'Probe, authenticate and add a new switch to the inventory',
+    'decommission_switch': 'Back up and remove a switch from management and the inventory',
+    'get_switch_status': 'Get current status of a switch, including whether it has unsaved changes and how its last reboot went',
+    'reboot_switch': 'Reboot a switch (requires confirm); returns at once and get_switch_status reports whether it came back, or pass wait to block until then',
     'get_port_status': 'Get status of all ports on a switch',
     'configure_port': 'Configure port settings',
-    'get_network_topology': 'Get network topology information',
-    'discover_network_devices': 'Discover devices on the network'
+    'get_network_topology': 'Get network topology information, optionally checked against the links seen over LLDP',
+    'discover_network_devices': 'Discover devices on the network and flag ports over their port security MAC limit',
+    
+    // Credential Management
+    'set_switch_credentials': 'Store new switch credentials in the encrypted vault and re-authenticate',
+    'list_switch_credentials': 'List which switches use vault credentials (secrets are never returned)',
+    'rotate_credential_master_key': 'Re-encrypt the credential vault under a new master key; set ENCRYPTION_KEY to it before the next restart, or the vault backup under the old key is restored and the rotation undone',
+    
+    // LAG Management
+    'create_lag': 'Create a LAG with static or LACP mode, hashing and member ports',
+    'delete_lag': 'Delete a LAG; refused for inter-core links unless forced',
+    'configure_lag': 'Set static or LACP mode and load-balance hashing on a LAG',
+    'add_lag_member': 'Add a member port to a LAG',
+    'remove_lag_member': 'Remove a member port from a LAG; keeps the last active inter-core member unless forced',
+    
+    // MAC Address Table
+    'add_static_mac': 'Add a static MAC entry binding an address to a port in a VLAN',
+    'remove_static_mac': 'Remove a static MAC entry from a VLAN',
+    'set_mac_aging_time': 'Set the MAC address aging time in seconds (0 disables aging)',
+    'flush_mac_table': 'Flush dynamic MAC entries on a port, or on the whole switch',
+    
+    // Port Mirroring
+    'configure_port_mirror': 'Mirror source ports (rx, tx or both) to a destination port, optionally expiring after a set time',
+    'list_port_mirrors': 'List mirror sessions on a switch with their sources, destination and expiry',
+    'remove_port_mirror': 'Remove a mirror session',
+    
+    // Spanning Tree
+    'get_stp_status': 'Get STP/RSTP mode, bridge priority, root bridge and per-port role and state',
+    'configure_stp': 'Set bridge priority, STP/RSTP mode or enable spanning tree on a switch',
+    'configure_stp_port': 'Set edge-port and BPDU guard flags on a port',
+    'check_stp_root': 'Check that all switches agree on one root bridge and that it is one of the cores',
+    
+    // QoS
+    'set_port_rate_limit': 'Cap the ingress and/or egress rate of a port in kbps (0 removes the limit)',
+    'set_port_qos': 'Set the 802.1p priority for untagged frames and the queue scheduling of a port',
+    'get_port_qos': 'Read back per-port rate limits, priority and scheduling',
+    
+    // Port Security
+    'configure_port_security': 'Limit the MAC addresses a port may learn and set the violation action (drop, shutdown, log), per port or from a port profile',
+    'get_port_security': 'Get per-port MAC limits, learned address counts and violation state',
+    
+    // Storm Control and Loop Detection
+    'get_storm_control': 'Get per-port broadcast, multicast and unknown-unicast storm control thresholds',
+    'configure_storm_control': 'Set storm control thresholds in packets per second on a port or every port of a switch (0 turns one off)',
+    'get_loop_detection': 'Get loop detection settings and the loops each port has seen',
+    'configure_loop_detection': 'Enable loop detection on a switch and set the probe interval and the action on a looped port',
+    'configure_loop_detection_port': 'Turn loop detection on or off for one port',
+    
+    // IGMP Snooping
+    'get_igmp_snooping': 'Get IGMP snooping, querier and fast-leave settings per VLAN',
+    'configure_igmp_snooping': 'Enable or disable IGMP snooping, the querier and fast-leave on a VLAN',
+    'list_multicast_groups': 'List multicast groups learned through IGMP snooping, grouped by port'
   }
   
   return descriptions[toolName] || 'No description available'
@@ -348,7 +544,7 @@ function getToolInputSchema(toolName) {
       type: 'object',
       properties: {
         switch_id: { type: 'string' },
-        port_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
         vlan_id: { type: 'integer', minimum: 1, maximum: 4094 },
         tagged: { type: 'boolean' }
       },
@@ -358,7 +554,8 @@ function getToolInputSchema(toolName) {
       type: 'object',
       properties: {
         include_performance: { type: 'boolean' },
-        include_topology: { type: 'boolean' }
+        include_topology: { type: 'boolean' },
+        duration_minutes: { type: 'number', exclusiveMinimum: 0, description: 'Window of collected counter samples the switch-wide traffic covers (default 5)' }
       }
     },
     'switch_diagnostics': {
@@ -369,6 +566,386 @@ function getToolInputSchema(toolName) {
         include_vlans: { type: 'boolean' }
       },
       required: ['switch_id']
+    },
+    'port_diagnostics': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        include_raw: { type: 'boolean', description: 'Include the vendor payload for each port' }
+      },
+      required: ['switch_id']
+    },
+    'performance_analysis': {
+      type: 'object',
+      properties: {
+        switch_ids: { type: 'array', items: { type: 'string' }, description: 'Switches to analyze; omit for every online switch' },
+        duration_minutes: { type: 'number', exclusiveMinimum: 0, description: 'Window of collected counter samples to average over (default 5)' }
+      }
+    },
+    'real_time_monitoring': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        duration_seconds: { type: 'number', minimum: 1, description: 'How long the session runs (default 60, at most MONITORING_MAX_SESSION_SECONDS)' },
+        interval_seconds: { type: 'number', minimum: 1, description: 'Time between samples (default 5)' }
+      },
+      required: ['switch_id']
+    },
+    'stop_monitoring_session': {
+      type: 'object',
+      properties: {
+        session_id: { type: 'string' }
+      },
+      required: ['session_id']
+    },
+    'port_utilization_report': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string', description: 'Only this switch (default every online switch)' },
+        port_id: { type: 'string', description: 'Only this port; requires switch_id' },
+        start_time: { type: 'string', format: 'date-time', description: 'Window start; overrides duration_minutes' },
+        end_time: { type: 'string', format: 'date-time', description: 'Window end (default now)' },
+        duration_minutes: { type: 'number', exclusiveMinimum: 0, description: 'Window length before end_time (default 60)' },
+        top_talkers: { type: 'integer', minimum: 0, description: 'How many of the busiest ports to list (default 5)' }
+      }
+    },
+    'get_port_status': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        include_raw: { type: 'boolean', description: 'Include the vendor payload for each port' }
+      },
+      required: ['switch_id']
+    },
+    'get_network_topology': {
+      type: 'object',
+      properties: {
+        include_switch_details: { type: 'boolean', description: 'Include a health check of each online switch' },
+        discover_links: { type: 'boolean', description: 'Collect LLDP neighbors and report mismatches with the configured topology' }
+      }
+    },
+    'register_switch': {
+      type: 'object',
+      properties: {
+        ip: { type: 'string' },
+        name: { type: 'string' },
+        type: { type: 'string', description: 'Driver type; detected by probing when omitted' },
+        model: { type: 'string' },
+        key: { type: 'string', description: 'Inventory key; derived from the name when omitted' },
+        username: { type: 'string' },
+        password: { type: 'string' },
+        http_port: { type: 'integer', minimum: 1, maximum: 65535 },
+        timeout: { type: 'integer', minimum: 1000 }
+      },
+      required: ['ip', 'name']
+    },
+    'decommission_switch': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        skip_backup: { type: 'boolean' },
+        force: { type: 'boolean', description: 'Decommission even if the final backup fails' }
+      },
+      required: ['switch_id']
+    },
+    'save_running_config': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        confirm: { type: 'boolean', description: 'Must be true' }
+      },
+      required: ['switch_id', 'confirm']
+    },
+    'reboot_switch': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        confirm: { type: 'boolean', description: 'Must be true' },
+        save_first: { type: 'boolean', description: 'Save unsaved changes before rebooting' },
+        force: { type: 'boolean', description: 'Reboot even if unsaved changes would be lost' },
+        wait: { type: 'boolean', description: 'Block until the switch is back online or the timeout passes (default false)' },
+        timeout_seconds: { type: 'integer', minimum: 1, description: 'How long to watch for the switch to come back (default 300)' }
+      },
+      required: ['switch_id', 'confirm']
+    },
+    'set_switch_credentials': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        username: { type: 'string' },
+        password: { type: 'string' }
+      },
+      required: ['switch_id', 'username', 'password']
+    },
+    'rotate_credential_master_key': {
+      type: 'object',
+      properties: {
+        new_master_key: { type: 'string', minLength: 12 }
+      },
+      required: ['new_master_key']
+    },
+    'create_lag': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        lag_id: { type: ['integer', 'string'], description: 'LAG number or name (1, LAG1)' },
+        mode: { type: 'string', enum: ['static', 'lacp'] },
+        hash: { type: 'string', enum: ['src-mac', 'dst-mac', 'src-dst-mac', 'src-ip', 'dst-ip', 'src-dst-ip'], description: 'Load-balance hashing' },
+        ports: { type: 'array', items: { type: 'string' }, description: 'Initial member ports' }
+      },
+      required: ['switch_id', 'lag_id']
+    },
+    'delete_lag': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        lag_id: { type: ['integer', 'string'], description: 'LAG number or name (1, LAG1)' },
+        force: { type: 'boolean', description: 'Delete even if it carries an inter-core link' }
+      },
+      required: ['switch_id', 'lag_id']
+    },
+    'configure_lag': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        lag_id: { type: ['integer', 'string'], description: 'LAG number or name (1, LAG1)' },
+        mode: { type: 'string', enum: ['static', 'lacp'] },
+        hash: { type: 'string', enum: ['src-mac', 'dst-mac', 'src-dst-mac', 'src-ip', 'dst-ip', 'src-dst-ip'], description: 'Load-balance hashing' }
+      },
+      required: ['switch_id', 'lag_id']
+    },
+    'add_lag_member': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        lag_id: { type: ['integer', 'string'], description: 'LAG number or name (1, LAG1)' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' }
+      },
+      required: ['switch_id', 'lag_id', 'port_id']
+    },
+    'remove_lag_member': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        lag_id: { type: ['integer', 'string'], description: 'LAG number or name (1, LAG1)' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        force: { type: 'boolean', description: 'Remove even if it is the last active member of an inter-core link' }
+      },
+      required: ['switch_id', 'lag_id', 'port_id']
+    },
+    'add_static_mac': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        mac_address: { type: 'string', description: 'Unicast MAC, e.g. 1C:2A:A3:1E:8D:F8 or 1c2a.a31e.8df8' },
+        vlan_id: { type: 'integer', minimum: 1, maximum: 4094 },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' }
+      },
+      required: ['switch_id', 'mac_address', 'vlan_id', 'port_id']
+    },
+    'remove_static_mac': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        mac_address: { type: 'string' },
+        vlan_id: { type: 'integer', minimum: 1, maximum: 4094 }
+      },
+      required: ['switch_id', 'mac_address', 'vlan_id']
+    },
+    'set_mac_aging_time': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        aging_time: { type: 'integer', minimum: 0, description: 'Seconds; 0 disables aging' }
+      },
+      required: ['switch_id', 'aging_time']
+    },
+    'flush_mac_table': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Port to flush; omit to flush the whole switch' }
+      },
+      required: ['switch_id']
+    },
+    'configure_port_mirror': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        session_id: { type: 'integer', minimum: 1, description: 'Mirror session (default 1)' },
+        source_ports: { type: 'array', items: { type: 'string' }, description: 'Ports to mirror' },
+        direction: { type: 'string', enum: ['rx', 'tx', 'both'] },
+        destination_port: { type: 'string', description: 'Capture port that receives the mirrored traffic' },
+        expires_in_minutes: { type: 'number', exclusiveMinimum: 0, maximum: config.mirrors.maxExpiryMinutes, description: 'Remove the mirror automatically after this long' }
+      },
+      required: ['switch_id', 'source_ports', 'destination_port']
+    },
+    'list_port_mirrors': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' }
+      },
+      required: ['switch_id']
+    },
+    'remove_port_mirror': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        session_id: { type: 'integer', minimum: 1, description: 'Mirror session (default 1)' }
+      },
+      required: ['switch_id']
+    },
+    'get_stp_status': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' }
+      },
+      required: ['switch_id']
+    },
+    'configure_stp': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        priority: { type: 'integer', minimum: 0, maximum: 61440, multipleOf: 4096, description: 'Bridge priority; lowest wins the root election' },
+        mode: { type: 'string', enum: ['stp', 'rstp'] },
+        enabled: { type: 'boolean' }
+      },
+      required: ['switch_id']
+    },
+    'configure_stp_port': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        edge: { type: 'boolean', description: 'Edge port: forwards immediately, for hosts only' },
+        bpdu_guard: { type: 'boolean', description: 'Shut the port down if it receives a BPDU' }
+      },
+      required: ['switch_id', 'port_id']
+    },
+    'check_stp_root': {
+      type: 'object',
+      properties: {}
+    },
+    'set_port_rate_limit': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        ingress_rate_kbps: { type: 'integer', minimum: 0, description: 'Traffic received on the port; 0 removes the limit' },
+        egress_rate_kbps: { type: 'integer', minimum: 0, description: 'Traffic sent out of the port; 0 removes the limit' }
+      },
+      required: ['switch_id', 'port_id']
+    },
+    'set_port_qos': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        priority: { type: 'integer', minimum: 0, maximum: 7, description: '802.1p priority given to untagged frames' },
+        scheduling: { type: 'string', enum: ['strict', 'wrr'], description: 'Egress queue scheduling' }
+      },
+      required: ['switch_id', 'port_id']
+    },
+    'get_port_qos': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Only this port (default all)' }
+      },
+      required: ['switch_id']
+    },
+    'configure_port_security': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string', description: 'Required with port_id; with a profile, limits it to the member ports on this switch' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        profile: { type: 'string', description: 'Inventory port profile whose port security to apply instead of the settings below' },
+        enabled: { type: 'boolean' },
+        max_macs: { type: 'integer', minimum: 1, description: 'MAC addresses the port may learn' },
+        action: { type: 'string', enum: ['drop', 'shutdown', 'log'], description: 'What happens to frames from addresses beyond the limit' }
+      }
+    },
+    'get_port_security': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Only this port (default all)' }
+      },
+      required: ['switch_id']
+    },
+    'get_storm_control': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Only this port (default all)' }
+      },
+      required: ['switch_id']
+    },
+    'configure_storm_control': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number (default every port)' },
+        broadcast_pps: { type: 'integer', minimum: 0, description: 'Broadcast packets per second; 0 turns it off' },
+        multicast_pps: { type: 'integer', minimum: 0, description: 'Multicast packets per second; 0 turns it off' },
+        unknown_unicast_pps: { type: 'integer', minimum: 0, description: 'Unknown-unicast packets per second; 0 turns it off' }
+      },
+      required: ['switch_id']
+    },
+    'get_loop_detection': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' }
+      },
+      required: ['switch_id']
+    },
+    'configure_loop_detection': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        enabled: { type: 'boolean' },
+        interval_seconds: { type: 'integer', minimum: 1, maximum: 60, description: 'How often loop probes are sent' },
+        action: { type: 'string', enum: ['shutdown', 'log'], description: 'shutdown disables a looped port until it is enabled again' }
+      },
+      required: ['switch_id']
+    },
+    'configure_loop_detection_port': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' },
+        enabled: { type: 'boolean' }
+      },
+      required: ['switch_id', 'port_id', 'enabled']
+    },
+    'get_igmp_snooping': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        vlan_id: { type: 'integer', minimum: 1, maximum: 4094, description: 'Only this VLAN (default all)' }
+      },
+      required: ['switch_id']
+    },
+    'configure_igmp_snooping': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        vlan_id: { type: 'integer', minimum: 1, maximum: 4094 },
+        enabled: { type: 'boolean', description: 'IGMP snooping on the VLAN' },
+        querier: { type: 'boolean', description: 'Send IGMP queries when no multicast router does' },
+        fast_leave: { type: 'boolean', description: 'Drop a port from a group as soon as it sends a leave' }
+      },
+      required: ['switch_id', 'vlan_id']
+    },
+    'list_multicast_groups': {
+      type: 'object',
+      properties: {
+        switch_id: { type: 'string' },
+        vlan_id: { type: 'integer', minimum: 1, maximum: 4094 },
+        port_id: { type: 'string', description: 'Interface name (TE3, GE3, Port 3) or 1-based port number' }
+      },
+      required: ['switch_id']
     }
   }
   
@@ -0,0 +1,29 @@
+/**
+ * Metrics routes
+ * Prometheus scrape endpoint in the OpenMetrics text format
+ */
+
+const express = require('express')
+const logger = require('../utils/logger')
+const OpenMetricsExporter = require('../services/metrics/OpenMetricsExporter')
+
+const router = express.Router()
+
+router.get('/', (req, res) => {
+  const services = global.mcpServices
+  
+  if (!services || !services.switchManager) {
+    return res.status(503).type('text/plain').send('Services not initialized\n')
+  }
+  
+  try {
+    const body = new OpenMetricsExporter(services).render()
+    // end() rather than send(), which would rewrite the charset parameter of the content type
+    res.set('Content-Type', OpenMetricsExporter.CONTENT_TYPE).end(body)
+  } catch (error) {
+    logger.error('Metrics rendering error:', error)
+    res.status(500).type('text/plain').send(`Failed to render metrics: ${error.message}\n`)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,74 @@
+/**
+ * Monitoring routes
+ * Server-Sent Events streams of real_time_monitoring sessions
+ */
+
+const express = require('express')
+const config = require('../utils/config')
+const logger = require('../utils/logger')
+
+const router = express.Router()
+
+// Streams a session's samples as 'sample' events, then an 'end' event when the
+// session expires or is stopped
+router.get('/sessions/:sessionId/events', (req, res) => {
+  const monitoring = global.mcpServices?.monitoringSessions
+  
+  if (!monitoring) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Monitoring sessions are not available'
+    })
+  }
+  
+  const { sessionId } = req.params
+  try {
+    monitoring.getSession(sessionId)
+  } catch (error) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    })
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  
+  const write = (chunk) => {
+    res.write(chunk)
+    // The compression middleware buffers writes until told to flush
+    if (typeof res.flush === 'function') {
+      res.flush()
+    }
+  }
+  
+  const send = (event, data) => {
+    const id = event === 'sample' ? `id: ${data.sequence}\n` : ''
+    write(`event: ${event}\n${id}data: ${JSON.stringify(data)}\n\n`)
+  }
+  
+  // Long sample intervals leave the stream idle; a comment line keeps proxies
+  // from timing it out
+  const keepAlive = setInterval(() => write(':keepalive\n\n'), config.monitoring.streamKeepAliveInterval)
+  
+  const unsubscribe = monitoring.subscribe(sessionId, (event, data) => {
+    send(event, data)
+    if (event === 'end') {
+      clearInterval(keepAlive)
+      res.end()
+    }
+  })
+  
+  logger.debug(`📡 Client subscribed to monitoring session ${sessionId}`)
+  req.on('close', () => {
+    clearInterval(keepAlive)
+    unsubscribe()
+  })
+})
+
+module.exports = router
@@ -13,14 +13,19 @@ const logger = require('./utils/logger')
 const config = require('./utils/config')
 const mcpRoutes = require('./routes/mcpRoutes')
 const healthRoutes = require('./routes/healthRoutes')
+const metricsRoutes = require('./routes/metricsRoutes')
+const monitoringRoutes = require('./routes/monitoringRoutes')
 const errorHandler = require('./middleware/errorHandler')
 const requestLogger = require('./middleware/requestLogger')
 
 // Import core services
+const CredentialVault = require('./services/credentials/CredentialVault')
 const SwitchManagerService = require('./services/SwitchManagerService')
 const VLANManagerService = require('./services/vlan/VLANManagerService')
 const DiagnosticsService = require('./services/diagnostics/DiagnosticsService')
+const MonitoringSessionService = require('./services/diagnostics/MonitoringSessionService')
 const ConfigurationService = require('./services/configuration/ConfigurationService')
+const CounterCollector = require('./services/metrics/CounterCollector')
 
 class MCPSwitchManagerServer {
   constructor() {
@@ -61,8 +66,13 @@ class MCPSwitchManagerServer {
     logger.info('🔧 Initializing core services...')
 
     try {
+      // Initialize Credential Vault
+      this.services.credentials = new CredentialVault()
+      await this.services.credentials.initialize()
+      logger.info('✅ Credential Vault initialized')
+
       // Initialize Switch Manager Service
-      this.services.switchManager = new SwitchManagerService()
+      this.services.switchManager = new SwitchManagerService(this.services.credentials)
       await this.services.switchManager.initialize()
       logger.info('✅ Switch Manager Service initialized')
 
@@ -71,11 +81,21 @@ class MCPSwitchManagerServer {
       await this.services.vlanManager.initialize()
       logger.info('✅ VLAN Manager Service initialized')
 
+      // Initialize Counter Collector
+      this.services.counterCollector = new CounterCollector(this.services.switchManager)
+      await this.services.counterCollector.initialize()
+      logger.info('✅ Counter Collector initialized')
+
       // Initialize Diagnostics Service
-      this.services.diagnostics = new DiagnosticsService(this.services.switchManager)
+      this.services.diagnostics = new DiagnosticsService(this.services.switchManager, this.services.counterCollector)
       await this.services.diagnostics.initialize()
       logger.info('✅ Diagnostics Service initialized')
 
+      // Initialize Monitoring Session Service
+      this.services.monitoringSessions = new MonitoringSessionService(this.services.switchManager)
+      await this.services.monitoringSessions.initialize()
+      logger.info('✅ Monitoring Session Service initialized')
+
       // Initialize Configuration Service
       this.services.configuration = new ConfigurationService(this.services.switchManager)
       await this.services.configuration.initialize()
@@ -162,6 +182,12 @@ class MCPSwitchManagerServer {
     // MCP protocol routes
     this.app.use('/mcp', mcpRoutes)
 
+    // Prometheus scrape endpoint
+    this.app.use('/metrics', metricsRoutes)
+
+    // Real-time monitoring streams
+    this.app.use('/monitoring', monitoringRoutes)
+
     // API information endpoint
     this.app.get('/', (req, res) => {
       res.json({
@@ -178,12 +204,14 @@ class MCPSwitchManagerServer {
         endpoints: {
           health: '/health',
           mcp: '/mcp',
+          metrics: '/metrics',
+          monitoring: '/monitoring/sessions/:sessionId/events',
           docs: '/docs'
         },
-        supported_switches: {
-          vimins: ['VM-S100-0800MS'],
-          sodola: ['SL-SWTGW218AS']
-        }
+        supported_switches: this.services.switchManager.getSupportedDrivers().reduce((supported, driver) => {
+          supported[driver.type] = driver.models
+          return supported
+        }, {})
       })
     })
 
@@ -192,7 +220,7 @@ class MCPSwitchManagerServer {
       res.status(404).json({
         error: 'Not Found',
         message: `Route ${req.originalUrl} not found`,
-        availableEndpoints: ['/health', '/mcp', '/']
+        availableEndpoints: ['/health', '/mcp', '/metrics', '/']
       })
     })
 
@@ -264,6 +292,11 @@ class MCPSwitchManagerServer {
     logger.info('🛑 Shutting down server...')
 
     try {
+      // Open event streams would keep the server from closing
+      if (this.services?.monitoringSessions) {
+        this.services.monitoringSessions.stopAll('shutdown')
+      }
+
       // Close server
       if (this.server) {
         await new Promise((resolve) => {
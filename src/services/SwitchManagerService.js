@@ -3,63 +3,64 @@
  * Coordinates management of all switches (Vimins and Sodola)
  */
 
-const ViminsManager = require('./switch_managers/ViminsManager')
-const SodolaManager = require('./switch_managers/SodolaManager')
+const fs = require('fs').promises
+const path = require('path')
+const driverRegistry = require('./switch_managers/driverRegistry')
+const SwitchOperationQueue = require('./queue/SwitchOperationQueue')
+const CircuitBreaker = require('./resilience/CircuitBreaker')
+const TopologyBuilder = require('./topology/TopologyBuilder')
 const config = require('../utils/config')
 const logger = require('../utils/logger')
+const { normalizeInventory } = require('../utils/inventory')
+const { UnsupportedOperationError } = require('../utils/errors')
+const { parseInterfaceName, resolveInterface } = require('../models/InterfaceName')
+const { normalizeMacAddress, isUnicastMac } = require('../models/MacAddress')
+const { isValidBridgePriority } = require('../models/Stp')
+
+// setTimeout fires at once for delays above 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_DELAY = 2147483647
 
 class SwitchManagerService {
-  constructor() {
+  // options.mirrorExpiryFile: where pending mirror expiries are kept (null keeps them
+  // in memory only)
+  constructor(credentialVault = null, options = {}) {
+    this.credentialVault = credentialVault
     this.switches = new Map()
+    this.queues = new Map()
+    this.breakers = new Map()
+    this.mirrorExpirations = new Map()
+    this.mirrorExpiryFile = options.mirrorExpiryFile !== undefined ? options.mirrorExpiryFile : config.mirrors.expiryFile
+    this.mirrorExpirySave = Promise.resolve()
     this.initialized = false
     this.healthCheckInterval = null
+    this.onInventoryChanged = null
   }
 
   async initialize() {
     try {
       logger.info('🔧 Initializing Switch Manager Service')
       
+      // Discover available switch drivers
+      driverRegistry.discover()
+      
       // Initialize all configured switches
       const allSwitches = config.getAllSwitches()
       
       for (const [switchId, switchConfig] of Object.entries(allSwitches)) {
-        try {
-          let manager
-          
-          if (switchConfig.type === 'vimins') {
-            manager = new ViminsManager(switchConfig)
-          } else if (switchConfig.type === 'sodola') {
-            manager = new SodolaManager(switchConfig)
-          } else {
-            logger.warn(`Unknown switch type: ${switchConfig.type} for ${switchId}`)
-            continue
-          }
-          
-          // Test authentication
-          await manager.authenticate()
-          
-          this.switches.set(switchId, {
-            manager,
-            config: switchConfig,
-            lastHealthCheck: null,
-            status: 'online'
-          })
-          
-          logger.info(`✅ Initialized ${switchConfig.type} switch: ${switchConfig.name} (${switchConfig.ip})`)
-          
-        } catch (error) {
-          logger.error(`❌ Failed to initialize switch ${switchId}:`, error.message)
-          
-          // Still add to switches map but mark as offline
-          this.switches.set(switchId, {
-            manager: null,
-            config: switchConfig,
-            lastHealthCheck: null,
-            status: 'offline',
-            error: error.message
-          })
-        }
+        await this.addSwitch(switchId, switchConfig)
+      }
+      
+      // Re-arm mirror expiries set before the last restart
+      await this.loadMirrorExpirations()
+      
+      // Apply inventory file edits without a restart
+      this.onInventoryChanged = (changes) => {
+        this.applyInventoryChanges(changes).catch(error => {
+          logger.error('Failed to apply inventory changes:', error.message)
+        })
       }
+      config.on('inventoryChanged', this.onInventoryChanged)
+      config.watchInventory()
       
       // Start health check monitoring
       this.startHealthCheckMonitoring()
@@ -73,6 +74,223 @@ class SwitchManagerService {
     }
   }
 
+  async addSwitch(switchId, switchConfig) {
+    try {
+      if (!driverRegistry.has(switchConfig.type)) {
+        logger.warn(`Unknown switch type: ${switchConfig.type} for ${switchId}`)
+        return
+      }
+      
+      const manager = driverRegistry.create(switchConfig, this.getDriverOptions(switchId))
+      
+      // Test authentication
+      await this.getCircuitBreaker(switchId).execute(() => manager.authenticate(), { tripOnAnyError: true })
+      
+      this.switches.set(switchId, {
+        manager,
+        config: switchConfig,
+        lastHealthCheck: null,
+        status: 'online'
+      })
+      
+      logger.info(`✅ Initialized ${switchConfig.type} switch: ${switchConfig.name} (${switchConfig.ip})`)
+      
+    } catch (error) {
+      logger.error(`❌ Failed to initialize switch ${switchId}:`, error.message)
+      
+      // Still add to switches map but mark as offline
+      this.switches.set(switchId, {
+        manager: null,
+        config: switchConfig,
+        lastHealthCheck: null,
+        status: 'offline',
+        error: error.message
+      })
+    }
+  }
+
+  getDriverOptions(switchId) {
+    return {
+      credentialProvider: (switchConfig) => this.resolveCredentials(switchId, switchConfig)
+    }
+  }
+
+  // Vault entries take precedence over credentials from the inventory or environment
+  resolveCredentials(switchId, switchConfig) {
+    const stored = this.credentialVault && this.credentialVault.get(switchId)
+    if (stored) {
+      return stored
+    }
+    return { username: switchConfig.username, password: switchConfig.password }
+  }
+
+  // Store new credentials and re-authenticate right away, no restart needed
+  async updateSwitchCredentials(switchId, credentials) {
+    const switchInfo = this.getSwitch(switchId)
+    if (!this.credentialVault) {
+      throw new Error('Credential vault is not configured')
+    }
+    
+    await this.credentialVault.set(switchId, credentials)
+    
+    // New credentials deserve an immediate attempt even if the circuit is open
+    this.getCircuitBreaker(switchId).reset()
+    
+    if (!switchInfo.manager) {
+      // Offline at boot: retry initialization with the new credentials
+      await this.addSwitch(switchId, switchInfo.config)
+      return { switchId, authenticated: this.getSwitch(switchId).status === 'online' }
+    }
+    
+    try {
+      await this.getSwitchManager(switchId).authenticate()
+      switchInfo.status = 'online'
+      delete switchInfo.error
+    } catch (error) {
+      switchInfo.status = 'offline'
+      switchInfo.error = error.message
+    }
+    
+    logger.switchOperation('credentials_updated', switchInfo.config.name, { switchId, status: switchInfo.status })
+    return { switchId, authenticated: switchInfo.status === 'online' }
+  }
+
+  async removeSwitch(switchId) {
+    const switchInfo = this.switches.get(switchId)
+    if (!switchInfo) {
+      return
+    }
+    
+    // Drop it first so health checks and concurrent removals no longer see it
+    this.switches.delete(switchId)
+    this.removeQueue(switchId)
+    this.breakers.delete(switchId)
+    
+    if (switchInfo.manager && typeof switchInfo.manager.cleanup === 'function') {
+      try {
+        await switchInfo.manager.cleanup()
+      } catch (error) {
+        logger.error(`Error cleaning up switch manager ${switchId}:`, error.message)
+      }
+    }
+    
+    logger.info(`➖ Removed switch: ${switchId}`)
+  }
+
+  // Changed switches get a fresh driver so new addresses and credentials are re-authenticated
+  async applyInventoryChanges({ added = [], removed = [], updated = [] }) {
+    const allSwitches = config.getAllSwitches()
+    
+    for (const switchId of removed) {
+      await this.removeSwitch(switchId)
+    }
+    
+    for (const switchId of updated) {
+      await this.removeSwitch(switchId)
+      await this.addSwitch(switchId, allSwitches[switchId])
+    }
+    
+    // Switches registered at runtime are already managed by the time the inventory reports them
+    for (const switchId of added.filter(id => !this.switches.has(id))) {
+      await this.addSwitch(switchId, allSwitches[switchId])
+    }
+    
+    logger.info(`🔄 Applied inventory changes (${this.switches.size} switches managed)`)
+  }
+
+  // Onboard a switch at runtime: detect its driver, authenticate and persist it to the inventory
+  async registerSwitch(options) {
+    const { ip, name, httpPort, timeout } = options
+    
+    const duplicate = Array.from(this.switches.entries()).find(([, info]) =>
+      info.config.ip === ip && (info.config.httpPort || 80) === (httpPort || 80)
+    )
+    if (duplicate) {
+      throw new Error(`Switch at ${ip} is already managed as ${duplicate[0]}`)
+    }
+    
+    let detected
+    if (options.type) {
+      const driver = driverRegistry.get(options.type)
+      detected = { type: driver.type, vendor: driver.vendor, model: options.model || driver.models[0] }
+    } else {
+      logger.info(`🔍 Probing ${ip} for a supported switch`)
+      detected = await driverRegistry.probe(ip, { httpPort, timeout })
+      if (!detected) {
+        throw new Error(`No supported switch detected at ${ip}`)
+      }
+    }
+    
+    const key = options.key || String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    if (!/^[A-Za-z0-9-]+$/.test(key)) {
+      throw new Error(`Invalid switch key: ${key}`)
+    }
+    
+    const switchId = `${detected.type}_${key}`
+    if (this.switches.has(switchId)) {
+      throw new Error(`Switch ${switchId} already exists`)
+    }
+    
+    // Inventory entry as written to the file; defaults are filled in the same way the loader does
+    const entry = { ip, name, model: detected.model }
+    for (const field of ['username', 'password', 'httpPort', 'timeout']) {
+      if (options[field]) {
+        entry[field] = options[field]
+      }
+    }
+    const switchConfig = normalizeInventory({ switches: { [detected.type]: { [key]: entry } } }).switches[detected.type][key]
+    
+    const manager = driverRegistry.create(switchConfig, this.getDriverOptions(switchId))
+    await manager.authenticate()
+    
+    // Keep the credentials out of the inventory file when the vault is available
+    if (this.credentialVault && entry.username && entry.password) {
+      await this.credentialVault.set(switchId, { username: entry.username, password: entry.password })
+      delete entry.username
+      delete entry.password
+    }
+    
+    this.switches.set(switchId, {
+      manager,
+      config: switchConfig,
+      lastHealthCheck: null,
+      status: 'online'
+    })
+    
+    let persisted
+    try {
+      persisted = config.addSwitchToInventory(detected.type, key, entry)
+    } catch (error) {
+      await this.removeSwitch(switchId)
+      if (this.credentialVault) {
+        await this.credentialVault.delete(switchId)
+      }
+      throw error
+    }
+    
+    this.switches.get(switchId).config = config.getSwitch(switchId) || switchConfig
+    logger.switchOperation('register', name, { switchId, ip, type: detected.type, model: detected.model, persisted })
+    
+    return { switchId, type: detected.type, vendor: detected.vendor, model: detected.model, persisted }
+  }
+
+  // Remove a switch from management and from the inventory
+  async decommissionSwitch(switchId) {
+    const switchInfo = this.getSwitch(switchId)
+    const type = switchInfo.config.type
+    const key = switchId.slice(type.length + 1)
+    
+    const persisted = config.removeSwitchFromInventory(type, key)
+    await this.removeSwitch(switchId)
+    
+    if (this.credentialVault) {
+      await this.credentialVault.delete(switchId)
+    }
+    
+    logger.switchOperation('decommission', switchInfo.config.name, { switchId, persisted })
+    return { switchId, persisted }
+  }
+
   startHealthCheckMonitoring() {
     const interval = config.monitoring.healthCheckInterval
     
@@ -91,27 +309,31 @@ class SwitchManagerService {
     logger.debug('🏥 Performing health checks on all switches')
     
     const healthPromises = Array.from(this.switches.entries()).map(async ([switchId, switchInfo]) => {
+      // rebootSwitch() is already watching it come back
+      if (switchInfo.status === 'rebooting') {
+        return { switchId, health: { rebooting: true } }
+      }
+      
+      const breaker = this.getCircuitBreaker(switchId)
+      
+      // Leave unreachable switches alone until their backoff expires
+      if (!breaker.canAttempt()) {
+        switchInfo.status = 'offline'
+        return { switchId, health: { circuit: breaker.getState() } }
+      }
+      
       try {
         if (switchInfo.manager) {
-          const health = await switchInfo.manager.healthCheck()
-          
-          switchInfo.lastHealthCheck = new Date()
-          switchInfo.status = health.authenticated ? 'online' : 'offline'
-          
-          if (!health.authenticated) {
-            logger.warn(`Switch ${switchId} health check failed - attempting reconnection`)
-            try {
-              await switchInfo.manager.authenticate()
-              switchInfo.status = 'online'
-              logger.info(`✅ Reconnected to switch ${switchId}`)
-            } catch (reconnectError) {
-              logger.error(`Failed to reconnect to switch ${switchId}:`, reconnectError.message)
-            }
-          }
-          
+          const health = await this.runOnSwitch(switchId, () => this.checkSwitchHealth(switchId, switchInfo), {
+            priority: 'background',
+            label: 'healthCheck',
+            tripOnAnyError: true
+          })
           return { switchId, health }
         } else {
-          return { switchId, health: { error: 'Manager not initialized' } }
+          // Offline since it was added: retry initialization on the breaker's schedule
+          await this.addSwitch(switchId, switchInfo.config)
+          return { switchId, health: { authenticated: this.getSwitch(switchId).status === 'online' } }
         }
       } catch (error) {
         logger.error(`Health check failed for switch ${switchId}:`, error.message)
@@ -129,6 +351,41 @@ class SwitchManagerService {
     logger.debug(`Health check completed: ${onlineCount}/${this.switches.size} switches online`)
   }
 
+  // Throws when the switch is unhealthy and cannot be re-authenticated, so the circuit breaker counts it
+  async checkSwitchHealth(switchId, switchInfo) {
+    const manager = switchInfo.manager
+    const health = await manager.healthCheck()
+    
+    switchInfo.lastHealthCheck = new Date()
+    switchInfo.status = health.authenticated ? 'online' : 'offline'
+    
+    if (!health.authenticated) {
+      logger.warn(`Switch ${switchId} health check failed - attempting reconnection`)
+      try {
+        await manager.authenticate()
+        switchInfo.status = 'online'
+        logger.info(`✅ Reconnected to switch ${switchId}`)
+      } catch (reconnectError) {
+        logger.error(`Failed to reconnect to switch ${switchId}:`, reconnectError.message)
+        throw reconnectError
+      }
+    }
+    
+    // Kept for the metrics endpoint. getVLANs() calls keep it current, so the full
+    // table is only read here when the count is older than VLAN_COUNT_REFRESH_INTERVAL
+    // or a VLAN was created or deleted; a failed count leaves the last one in place
+    const countAge = Date.now() - (switchInfo.vlanCountAt || 0)
+    if (this.hasCapability(switchId, 'vlan') && countAge >= config.monitoring.vlanCountRefreshInterval) {
+      try {
+        this.recordVLANCount(switchInfo, await manager.getVLANs())
+      } catch (error) {
+        logger.debug(`Failed to count VLANs on switch ${switchId}:`, error.message)
+      }
+    }
+    
+    return health
+  }
+
   // Switch Management Methods
   getSwitch(switchId) {
     const switchInfo = this.switches.get(switchId)
@@ -138,12 +395,81 @@ class SwitchManagerService {
     return switchInfo
   }
 
-  getSwitchManager(switchId) {
+  // Async driver methods called through the returned manager go through the
+  // switch's operation queue (options.priority: interactive, normal, background)
+  getSwitchManager(switchId, options = {}) {
     const switchInfo = this.getSwitch(switchId)
     if (!switchInfo.manager) {
       throw new Error(`Switch manager not available for: ${switchId}`)
     }
-    return switchInfo.manager
+    return this.createQueuedManager(switchId, switchInfo.manager, options.priority)
+  }
+
+  // Operation Queues
+  getQueue(switchId) {
+    if (!this.queues.has(switchId)) {
+      const switchInfo = this.getSwitch(switchId)
+      this.queues.set(switchId, new SwitchOperationQueue(switchId, {
+        concurrency: switchInfo.config.queueConcurrency || config.operationQueue.concurrency
+      }))
+    }
+    return this.queues.get(switchId)
+  }
+
+  removeQueue(switchId) {
+    const queue = this.queues.get(switchId)
+    if (queue) {
+      queue.clear()
+      this.queues.delete(switchId)
+    }
+  }
+
+  // Fails fast with CircuitOpenError while the switch is unreachable
+  async runOnSwitch(switchId, operation, options = {}) {
+    const queue = this.getQueue(switchId)
+    return await this.getCircuitBreaker(switchId).execute(() => queue.enqueue(operation, options), {
+      tripOnAnyError: options.tripOnAnyError
+    })
+  }
+
+  // The driver itself stays unwrapped, so its internal calls to its own methods do not queue again
+  createQueuedManager(switchId, manager, priority = 'interactive') {
+    return new Proxy(manager, {
+      get: (target, property) => {
+        const value = target[property]
+        if (typeof value !== 'function' || value.constructor.name !== 'AsyncFunction') {
+          return value
+        }
+        return (...args) => this.runOnSwitch(switchId, () => value.apply(target, args), {
+          priority,
+          label: String(property)
+        })
+      }
+    })
+  }
+
+  // Circuit Breakers
+  getCircuitBreaker(switchId) {
+    if (!this.breakers.has(switchId)) {
+      this.breakers.set(switchId, new CircuitBreaker(switchId, config.circuitBreaker))
+    }
+    return this.breakers.get(switchId)
+  }
+
+  getCircuitBreakerStates() {
+    const states = {}
+    for (const switchId of this.switches.keys()) {
+      states[switchId] = this.getCircuitBreaker(switchId).getState()
+    }
+    return states
+  }
+
+  getQueueMetrics() {
+    const metrics = {}
+    for (const [switchId, queue] of this.queues.entries()) {
+      metrics[switchId] = queue.getMetrics()
+    }
+    return metrics
   }
 
   getAllSwitches() {
@@ -153,8 +479,12 @@ class SwitchManagerService {
       ip: info.config.ip,
       type: info.config.type,
       model: info.config.model,
+      capabilities: this.getSwitchCapabilities(id),
       status: info.status,
+      authenticated: info.manager ? info.manager.authenticated : false,
+      circuit: this.getCircuitBreaker(id).state,
       lastHealthCheck: info.lastHealthCheck,
+      vlanCount: info.vlanCount ?? null,
       error: info.error
     }))
   }
@@ -167,6 +497,59 @@ class SwitchManagerService {
     return this.getAllSwitches().filter(s => s.status === 'online')
   }
 
+  // Driver Capabilities
+  getSwitchCapabilities(switchId) {
+    const switchInfo = this.getSwitch(switchId)
+    if (!driverRegistry.has(switchInfo.config.type)) {
+      return []
+    }
+    return driverRegistry.getCapabilities(switchInfo.config.type)
+  }
+
+  hasCapability(switchId, capability) {
+    const switchInfo = this.getSwitch(switchId)
+    return driverRegistry.hasCapability(switchInfo.config.type, capability)
+  }
+
+  supportsOperation(switchId, operation) {
+    const switchInfo = this.getSwitch(switchId)
+    return driverRegistry.supportsOperation(switchInfo.config.type, operation)
+  }
+
+  // Canonical name and vendor index for a port reference such as 'TE3', 'Port 3'
+  // or '3'; throws when the interface does not exist on the switch's model
+  resolveInterface(switchId, portRef, options = {}) {
+    const switchInfo = this.getSwitch(switchId)
+    const layout = driverRegistry.has(switchInfo.config.type)
+      ? driverRegistry.getInterfaceLayout(switchInfo.config.type, switchInfo.config.model)
+      : null
+    return resolveInterface(portRef, layout, options)
+  }
+
+  // Physical ports behind a port or LAG reference; a LAG stands for its members
+  async getInterfacePorts(switchId, portRef) {
+    const ref = this.resolveInterface(switchId, portRef, { allowLag: true })
+    if (ref.kind === 'port') {
+      return [ref.name]
+    }
+
+    const ports = await this.getPorts(switchId)
+    return ports.filter(port => port.lag && port.lag.id === ref.index).map(port => port.name)
+  }
+
+  // Throws UnsupportedOperationError when the switch model lacks the capability
+  requireCapability(switchId, capability, options = {}) {
+    const switchInfo = this.getSwitch(switchId)
+    driverRegistry.assertCapability(switchInfo.config, capability)
+    return this.getSwitchManager(switchId, options)
+  }
+
+  requireOperation(switchId, operation, options = {}) {
+    const switchInfo = this.getSwitch(switchId)
+    driverRegistry.assertOperation(switchInfo.config, operation)
+    return this.getSwitchManager(switchId, options)
+  }
+
   // Unified API Methods
   async getSystemInfo(switchId) {
     const manager = this.getSwitchManager(switchId)
@@ -178,36 +561,687 @@ class SwitchManagerService {
     return await manager.getPortStatus()
   }
 
+  // Ports in the normalized model from src/models/Port.js
+  async getPorts(switchId, options = {}) {
+    const manager = this.getSwitchManager(switchId)
+    return await manager.getPorts(options)
+  }
+
+  // Raw port counters and the uptime they count from (see CounterCollector)
+  async getPortCounters(switchId, options = {}) {
+    const manager = this.getSwitchManager(switchId, options)
+    return await manager.getPortCounters()
+  }
+
   async configurePort(switchId, portId, config) {
+    const port = this.resolveInterface(switchId, portId)
     const manager = this.getSwitchManager(switchId)
-    return await manager.configurePort(portId, config)
+    return await manager.configurePort(port.name, config)
   }
 
   async getVLANConfig(switchId) {
-    const manager = this.getSwitchManager(switchId)
+    const manager = this.requireOperation(switchId, 'getVLANConfig')
     return await manager.getVLANConfig()
   }
 
+  // VLAN table in the normalized model from src/models/Vlan.js
+  async getVLANs(switchId) {
+    const manager = this.requireOperation(switchId, 'getVLANs')
+    const vlans = await manager.getVLANs()
+    this.recordVLANCount(this.getSwitch(switchId), vlans)
+    return vlans
+  }
+
+  recordVLANCount(switchInfo, vlans) {
+    switchInfo.vlanCount = vlans.length
+    switchInfo.vlanCountAt = Date.now()
+  }
+
   async createVLAN(switchId, vlanId, vlanName, description = '') {
-    const manager = this.getSwitchManager(switchId)
-    return await manager.createVLAN(vlanId, vlanName, description)
+    const manager = this.requireOperation(switchId, 'createVLAN')
+    const result = await manager.createVLAN(vlanId, vlanName, description)
+    // Recounted at the next health check
+    this.getSwitch(switchId).vlanCountAt = null
+    return result
   }
 
   async configureVLANPort(switchId, portId, vlanConfig) {
-    const manager = this.getSwitchManager(switchId)
-    return await manager.configureVLANPort(portId, vlanConfig)
+    const port = this.resolveInterface(switchId, portId)
+    const manager = this.requireOperation(switchId, 'configureVLANPort')
+    return await manager.configureVLANPort(port.name, vlanConfig)
+  }
+
+  async deleteVLAN(switchId, vlanId) {
+    const manager = this.requireOperation(switchId, 'deleteVLAN')
+    const result = await manager.deleteVLAN(vlanId)
+    this.getSwitch(switchId).vlanCountAt = null
+    return result
+  }
+
+  async removePortFromVLAN(switchId, portId, vlanId) {
+    const port = this.resolveInterface(switchId, portId)
+    const manager = this.requireOperation(switchId, 'removePortFromVLAN')
+    return await manager.removePortFromVLAN(port.name, vlanId)
+  }
+
+  async getLAGConfig(switchId) {
+    const manager = this.requireOperation(switchId, 'getLAGConfig')
+    return await manager.getLAGConfig()
+  }
+
+  async createLAG(switchId, lagId, settings = {}) {
+    const manager = this.requireOperation(switchId, 'createLAG')
+    const lag = this.resolveInterface(switchId, lagId, { lag: true })
+    return await manager.createLAG(lag.name, settings)
+  }
+
+  async deleteLAG(switchId, lagId, options = {}) {
+    const manager = this.requireOperation(switchId, 'deleteLAG')
+    const lag = this.resolveInterface(switchId, lagId, { lag: true })
+    if (!options.force) {
+      await this.assertInterCoreLinkSurvives(switchId, lag, null)
+    }
+    return await manager.deleteLAG(lag.name)
+  }
+
+  async configureLAG(switchId, lagId, settings) {
+    const manager = this.requireOperation(switchId, 'configureLAG')
+    const lag = this.resolveInterface(switchId, lagId, { lag: true })
+    return await manager.configureLAG(lag.name, settings)
+  }
+
+  async addLAGMember(switchId, lagId, portId) {
+    const manager = this.requireOperation(switchId, 'addLAGMember')
+    const lag = this.resolveInterface(switchId, lagId, { lag: true })
+    const port = this.resolveInterface(switchId, portId)
+    return await manager.addLAGMember(lag.name, port.name)
+  }
+
+  async removeLAGMember(switchId, lagId, portId, options = {}) {
+    const manager = this.requireOperation(switchId, 'removeLAGMember')
+    const lag = this.resolveInterface(switchId, lagId, { lag: true })
+    const port = this.resolveInterface(switchId, portId)
+    if (!options.force) {
+      await this.assertInterCoreLinkSurvives(switchId, lag, [port.name])
+    }
+    return await manager.removeLAGMember(lag.name, port.name)
+  }
+
+  // Inter-core links from the topology that run over this LAG on this switch: link
+  // 'lag1' with core1Ports is carried by LAG1 on the switch whose key is 'core1'
+  getInterCoreLinks(switchId, lag) {
+    const type = this.getSwitch(switchId).config.type
+    const key = switchId.startsWith(`${type}_`) ? switchId.slice(type.length + 1) : switchId
+    const links = config.getTopology().interCoreLinks || {}
+
+    return Object.keys(links).filter(name => {
+      const parsed = parseInterfaceName(name)
+      return parsed && parsed.kind === 'lag' && parsed.number === lag.index && Array.isArray(links[name][`${key}Ports`])
+    })
+  }
+
+  // Refuses a LAG change that would take the last active member out of an inter-core
+  // link; removedPorts null means the whole LAG goes away
+  async assertInterCoreLinkSurvives(switchId, lag, removedPorts) {
+    const links = this.getInterCoreLinks(switchId, lag)
+    if (links.length === 0) {
+      return
+    }
+
+    const ports = await this.getPorts(switchId)
+    const active = ports.filter(p => p.lag && p.lag.id === lag.index && p.lag.active)
+    const remaining = removedPorts ? active.filter(p => !removedPorts.includes(p.name)) : []
+
+    if (active.length > 0 && remaining.length === 0) {
+      const change = removedPorts ? `remove ${removedPorts.join(', ')} from ${lag.name}` : `delete ${lag.name}`
+      throw new Error(`Refusing to ${change} on ${switchId}: it would leave inter-core link ${links.join(', ')} without an active member (use force to override)`)
+    }
+  }
+
+  // Spanning Tree
+  async getSTPStatus(switchId) {
+    const manager = this.requireOperation(switchId, 'getSTPStatus')
+    return await manager.getSTPStatus()
+  }
+
+  // settings: { mode: 'stp' | 'rstp', priority, enabled }
+  async configureSTP(switchId, settings) {
+    const manager = this.requireOperation(switchId, 'configureSTP')
+    if (settings.priority !== undefined && !isValidBridgePriority(settings.priority)) {
+      throw new Error(`Invalid bridge priority: ${settings.priority} (0-61440 in steps of 4096)`)
+    }
+    return await manager.configureSTP(settings)
+  }
+
+  // settings: { edge, bpduGuard }
+  async configureSTPPort(switchId, portId, settings) {
+    const manager = this.requireOperation(switchId, 'configureSTPPort')
+    const port = this.resolveInterface(switchId, portId)
+    return await manager.configureSTPPort(port.name, settings)
+  }
+
+  // Cores named in the topology's uplinks ('vimins.core1' -> 'vimins_core1')
+  getCoreSwitchIds() {
+    const uplinks = config.getTopology().uplinkConnections || {}
+    const cores = new Set()
+    for (const uplink of Object.values(uplinks)) {
+      for (const ref of [uplink.primaryCore, uplink.secondaryCore]) {
+        if (ref) {
+          cores.add(ref.replace('.', '_'))
+        }
+      }
+    }
+    return Array.from(cores)
+  }
+
+  // Checks that every switch running STP agrees on one root bridge and that
+  // exactly one of the cores is that root
+  async checkSTPRoot() {
+    const cores = this.getCoreSwitchIds()
+    const switches = {}
+    const issues = []
+    
+    for (const [switchId, switchInfo] of this.switches.entries()) {
+      if (!driverRegistry.supportsOperation(switchInfo.config.type, 'getSTPStatus')) {
+        continue
+      }
+      if (switchInfo.status !== 'online') {
+        switches[switchId] = { error: `Switch is ${switchInfo.status}` }
+        continue
+      }
+      try {
+        const stp = await this.getSTPStatus(switchId)
+        switches[switchId] = {
+          core: cores.includes(switchId),
+          enabled: stp.enabled,
+          isRoot: stp.isRoot,
+          bridgeId: stp.bridgeId,
+          rootBridgeId: stp.rootBridgeId,
+          rootPort: stp.rootPort
+        }
+      } catch (error) {
+        switches[switchId] = { error: error.message }
+      }
+    }
+    
+    for (const [switchId, status] of Object.entries(switches)) {
+      if (status.error) {
+        issues.push(`Could not read STP status from ${switchId}: ${status.error}`)
+      } else if (!status.enabled) {
+        issues.push(`STP is disabled on ${switchId}`)
+      }
+    }
+    for (const core of cores.filter(id => !switches[id])) {
+      issues.push(`Core ${core} is not a managed switch with STP support`)
+    }
+    
+    const running = Object.entries(switches).filter(([, status]) => !status.error && status.enabled)
+    const rootBridgeIds = Array.from(new Set(running.map(([, status]) => status.rootBridgeId)))
+    if (rootBridgeIds.length > 1) {
+      const views = rootBridgeIds.map(rootId => `${rootId} (${running.filter(([, status]) => status.rootBridgeId === rootId).map(([id]) => id).join(', ')})`)
+      issues.push(`Switches disagree on the root bridge: ${views.join('; ')}`)
+    }
+    
+    const rootBridgeId = rootBridgeIds.length === 1 ? rootBridgeIds[0] : null
+    const rootOwner = running.find(([, status]) => status.bridgeId === rootBridgeId)
+    const rootCores = running.filter(([id, status]) => status.isRoot && cores.includes(id)).map(([id]) => id)
+    
+    if (rootCores.length > 1) {
+      issues.push(`More than one core is root: ${rootCores.join(', ')}`)
+    } else if (rootCores.length === 0 && rootBridgeId) {
+      issues.push(rootOwner
+        ? `Root bridge is ${rootOwner[0]}, not one of the cores (${cores.join(', ')})`
+        : `Root bridge ${rootBridgeId} is not a managed switch`)
+    }
+    
+    return {
+      healthy: issues.length === 0,
+      cores,
+      rootBridgeId,
+      rootSwitch: rootOwner ? rootOwner[0] : null,
+      switches,
+      issues
+    }
+  }
+
+  // QoS
+  // settings: { ingressRateKbps, egressRateKbps, priority, scheduling }; a rate of 0
+  // removes the limit. The resulting settings read back as port.qos from getPorts.
+  async configurePortQoS(switchId, portId, settings) {
+    const manager = this.requireOperation(switchId, 'configurePortQoS')
+    const port = this.resolveInterface(switchId, portId)
+    return await manager.configurePortQoS(port.name, settings)
+  }
+
+  // Storm Control
+  // Returns [{ port, broadcastPps, multicastPps, unknownUnicastPps }]; null means off
+  async getStormControl(switchId) {
+    const manager = this.requireOperation(switchId, 'getStormControl')
+    return await manager.getStormControl()
+  }
+
+  // settings: { broadcastPps, multicastPps, unknownUnicastPps }; 0 turns a threshold off.
+  // Without portId the thresholds are set on every port of the switch.
+  async configureStormControl(switchId, portId, settings) {
+    const manager = this.requireOperation(switchId, 'configureStormControl')
+    const ports = portId
+      ? [this.resolveInterface(switchId, portId).name]
+      : (await manager.getStormControl()).map(port => port.port)
+
+    for (const port of ports) {
+      await manager.configureStormControl(port, settings)
+    }
+    return { ports }
+  }
+
+  // Loop Detection
+  // Returns { enabled, intervalSeconds, action, ports: [{ port, enabled, loops, lastLoopAt, shutdown }] }
+  async getLoopDetection(switchId, options = {}) {
+    const manager = this.requireOperation(switchId, 'getLoopDetection', options)
+    return await manager.getLoopDetection()
+  }
+
+  // settings: { enabled, intervalSeconds, action: 'shutdown' | 'log' }
+  async configureLoopDetection(switchId, settings) {
+    const manager = this.requireOperation(switchId, 'configureLoopDetection')
+    return await manager.configureLoopDetection(settings)
+  }
+
+  // settings: { enabled }
+  async configureLoopDetectionPort(switchId, portId, settings) {
+    const manager = this.requireOperation(switchId, 'configureLoopDetectionPort')
+    const port = this.resolveInterface(switchId, portId)
+    return await manager.configureLoopDetectionPort(port.name, settings)
+  }
+
+  // Port Security
+  // Returns [{ port, enabled, maxMacs, action, learned, violations, shutdown }]
+  async getPortSecurity(switchId) {
+    const manager = this.requireOperation(switchId, 'getPortSecurity')
+    return await manager.getPortSecurity()
+  }
+
+  // settings: { enabled, maxMacs, action }; only the keys given are changed
+  async configurePortSecurity(switchId, portId, settings) {
+    const manager = this.requireOperation(switchId, 'configurePortSecurity')
+    const port = this.resolveInterface(switchId, portId)
+    return await manager.configurePortSecurity(port.name, settings)
+  }
+
+  // Enables a port profile's port security on its member ports, only those on switchId
+  // when given, or on one port (which need not be a member) when portId is given too.
+  // A port that fails does not stop the others; results holds one entry per port.
+  async applyPortProfile(name, { switchId = null, portId = null } = {}) {
+    const profile = config.getPortProfile(name)
+    if (!profile) {
+      throw new Error(`Port profile ${name} is not defined`)
+    }
+    if (!profile.portSecurity) {
+      throw new Error(`Port profile ${name} has no port security settings`)
+    }
+
+    const targets = portId
+      ? [[switchId, portId]]
+      : Object.entries(profile.ports || {})
+        .map(([ref, ports]) => [ref.replace('.', '_'), ports])
+        .filter(([id]) => !switchId || id === switchId)
+        .flatMap(([id, ports]) => ports.map(port => [id, port]))
+    if (targets.length === 0) {
+      throw new Error(`Port profile ${name} lists no ports${switchId ? ` on ${switchId}` : ''}`)
+    }
+
+    const settings = { enabled: true, ...profile.portSecurity }
+    const results = []
+    for (const [id, port] of targets) {
+      try {
+        const { name: portName } = this.resolveInterface(id, port)
+        await this.configurePortSecurity(id, portName, settings)
+        results.push({ switch: id, port: portName, success: true })
+      } catch (error) {
+        logger.error(`Failed to apply port profile ${name} to ${id} port ${port}:`, error.message)
+        results.push({ switch: id, port, success: false, error: error.message })
+      }
+    }
+
+    return { settings, results }
+  }
+
+  // IGMP Snooping
+  // Returns [{ vlanId, enabled, querier, fastLeave }], for one VLAN when vlanId is given
+  async getIGMPSnooping(switchId, vlanId = null) {
+    const manager = this.requireOperation(switchId, 'getIGMPSnooping')
+    const vlans = await manager.getIGMPSnooping()
+    if (vlanId === null) {
+      return vlans
+    }
+
+    const vlan = vlans.find(v => v.vlanId === vlanId)
+    if (!vlan) {
+      throw new Error(`VLAN ${vlanId} does not exist on ${switchId}`)
+    }
+    return [vlan]
+  }
+
+  // settings: { enabled, querier, fastLeave }
+  async configureIGMPSnooping(switchId, vlanId, settings) {
+    const manager = this.requireOperation(switchId, 'configureIGMPSnooping')
+    return await manager.configureIGMPSnooping(vlanId, settings)
+  }
+
+  // Learned groups as [{ group, vlanId, port }]; filters: { vlanId, portId }
+  async getMulticastGroups(switchId, filters = {}) {
+    const manager = this.requireOperation(switchId, 'getMulticastGroups')
+    const port = filters.portId ? this.resolveInterface(switchId, filters.portId) : null
+    const groups = await manager.getMulticastGroups()
+
+    return groups.filter(group =>
+      (!filters.vlanId || group.vlanId === filters.vlanId) &&
+      (!port || group.port === port.name))
+  }
+
+  // Port Mirroring
+  resolveMirrorSession(switchId, sessionId) {
+    const { type, model } = this.getSwitch(switchId).config
+    const layout = driverRegistry.getInterfaceLayout(type, model)
+    const count = layout ? layout.mirrorSessions : undefined
+    const session = parseInt(sessionId, 10)
+    
+    if (isNaN(session) || session < 1) {
+      throw new Error(`Invalid mirror session: ${sessionId}`)
+    }
+    if (count !== undefined && session > count) {
+      throw new Error(`Mirror session ${sessionId} does not exist on ${layout.model} (${count === 1 ? 'only session 1' : `1-${count}`})`)
+    }
+    return session
+  }
+
+  async getPortMirrors(switchId) {
+    const manager = this.requireOperation(switchId, 'getPortMirrors')
+    const mirrors = await manager.getPortMirrors()
+    return mirrors.map(mirror => {
+      const expiry = this.mirrorExpirations.get(`${switchId}:${mirror.session}`)
+      return { ...mirror, expiresAt: expiry ? expiry.expiresAt : null }
+    })
+  }
+
+  // mirror: { destination, sources: [{ port, direction }] }. With options.expiresIn (ms)
+  // the session is removed again after that long, so a capture is not left running
+  async configurePortMirror(switchId, sessionId, mirror, options = {}) {
+    const manager = this.requireOperation(switchId, 'configurePortMirror')
+    const session = this.resolveMirrorSession(switchId, sessionId)
+    const destination = this.resolveInterface(switchId, mirror.destination).name
+    const sources = mirror.sources.map(source => ({
+      port: this.resolveInterface(switchId, source.port).name,
+      direction: source.direction
+    }))
+    
+    if (sources.length === 0) {
+      throw new Error('At least one source port is required')
+    }
+    if (sources.some(source => source.port === destination)) {
+      throw new Error(`${destination} cannot be both a source and the destination of a mirror`)
+    }
+    
+    const result = await manager.configurePortMirror(session, { destination, sources })
+    
+    this.clearMirrorExpiry(switchId, session)
+    const expiresAt = options.expiresIn ? this.scheduleMirrorExpiry(switchId, session, options.expiresIn) : null
+    return { session, destination, sources, expiresAt, result }
+  }
+
+  async removePortMirror(switchId, sessionId) {
+    const manager = this.requireOperation(switchId, 'removePortMirror')
+    const session = this.resolveMirrorSession(switchId, sessionId)
+    this.clearMirrorExpiry(switchId, session)
+    return await manager.removePortMirror(session)
+  }
+
+  scheduleMirrorExpiry(switchId, session, expiresIn) {
+    const expiresAt = new Date(Date.now() + expiresIn).toISOString()
+    this.armMirrorExpiry(switchId, session, expiresAt)
+    this.saveMirrorExpirations()
+    return expiresAt
+  }
+
+  // Expiries further out than one timer can wait are reached through a chain of timers
+  armMirrorExpiry(switchId, session, expiresAt) {
+    const key = `${switchId}:${session}`
+    const remaining = Math.max(0, new Date(expiresAt).getTime() - Date.now())
+    
+    const timer = setTimeout(() => {
+      if (remaining > MAX_TIMER_DELAY) {
+        this.armMirrorExpiry(switchId, session, expiresAt)
+        return
+      }
+      
+      this.mirrorExpirations.delete(key)
+      this.saveMirrorExpirations()
+      this.removePortMirror(switchId, session)
+        .then(() => logger.info(`⏱️ Mirror session ${session} on ${switchId} expired and was removed`))
+        .catch(error => logger.error(`Failed to remove expired mirror session ${session} on ${switchId}:`, error.message))
+    }, Math.min(remaining, MAX_TIMER_DELAY))
+    
+    this.mirrorExpirations.set(key, { switchId, session, timer, expiresAt })
+  }
+
+  clearMirrorExpiry(switchId, session) {
+    const key = `${switchId}:${session}`
+    const expiry = this.mirrorExpirations.get(key)
+    if (expiry) {
+      clearTimeout(expiry.timer)
+      this.mirrorExpirations.delete(key)
+      this.saveMirrorExpirations()
+    }
+  }
+
+  // Expiries already past are carried out now; those for switches no longer in the
+  // inventory are dropped
+  async loadMirrorExpirations() {
+    if (!this.mirrorExpiryFile) {
+      return
+    }
+    
+    let saved
+    try {
+      saved = JSON.parse(await fs.readFile(this.mirrorExpiryFile, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read mirror expiries from ${this.mirrorExpiryFile}:`, error.message)
+      }
+      return
+    }
+    
+    for (const { switchId, session, expiresAt } of saved) {
+      if (this.switches.has(switchId)) {
+        this.armMirrorExpiry(switchId, session, expiresAt)
+      }
+    }
+    if (this.mirrorExpirations.size !== saved.length) {
+      this.saveMirrorExpirations()
+    }
+    logger.info(`⏱️ Re-armed ${this.mirrorExpirations.size} mirror expiries from ${this.mirrorExpiryFile}`)
+  }
+
+  // Writes are chained so an older list never replaces a newer one; a failed write
+  // is logged and leaves the timers running
+  saveMirrorExpirations() {
+    if (!this.mirrorExpiryFile) {
+      return this.mirrorExpirySave
+    }
+    
+    const expiries = Array.from(this.mirrorExpirations.values()).map(({ switchId, session, expiresAt }) => ({ switchId, session, expiresAt }))
+    const filePath = this.mirrorExpiryFile
+    this.mirrorExpirySave = this.mirrorExpirySave.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(expiries, null, 2))
+      await fs.rename(`${filePath}.tmp`, filePath)
+    }).catch(error => {
+      logger.error(`Failed to save mirror expiries to ${filePath}:`, error.message)
+    })
+    return this.mirrorExpirySave
+  }
+
+  async getMACTable(switchId) {
+    const manager = this.requireOperation(switchId, 'getMACTable')
+    return await manager.getMACTable()
+  }
+
+  async getMACEntries(switchId) {
+    const manager = this.requireOperation(switchId, 'getMACEntries')
+    return await manager.getMACEntries()
+  }
+
+  requireMacAddress(macAddress) {
+    const normalized = normalizeMacAddress(macAddress)
+    if (!normalized) {
+      throw new Error(`Invalid MAC address: ${macAddress}`)
+    }
+    return normalized
+  }
+
+  async addStaticMAC(switchId, macAddress, vlanId, portId) {
+    const manager = this.requireOperation(switchId, 'addStaticMAC')
+    const mac = this.requireMacAddress(macAddress)
+    if (!isUnicastMac(mac)) {
+      throw new Error(`${mac} is a multicast address; static entries need a unicast MAC`)
+    }
+    const port = this.resolveInterface(switchId, portId)
+    return await manager.addStaticMAC(mac, vlanId, port.name)
+  }
+
+  async removeStaticMAC(switchId, macAddress, vlanId) {
+    const manager = this.requireOperation(switchId, 'removeStaticMAC')
+    return await manager.removeStaticMAC(this.requireMacAddress(macAddress), vlanId)
+  }
+
+  async setMACAgingTime(switchId, seconds) {
+    const manager = this.requireOperation(switchId, 'setMACAgingTime')
+    return await manager.setMACAgingTime(seconds)
+  }
+
+  // portId is optional; without it the whole table is flushed
+  async flushMACTable(switchId, portId) {
+    const manager = this.requireOperation(switchId, 'flushMACTable')
+    const port = portId ? this.resolveInterface(switchId, portId) : null
+    return await manager.flushMACTable(port ? port.name : undefined)
   }
 
   async backupConfiguration(switchId) {
-    const manager = this.getSwitchManager(switchId)
+    const manager = this.requireOperation(switchId, 'backupConfiguration')
     return await manager.backupConfiguration()
   }
 
   async restoreConfiguration(switchId, configData) {
-    const manager = this.getSwitchManager(switchId)
+    const manager = this.requireOperation(switchId, 'restoreConfiguration')
     return await manager.restoreConfiguration(configData)
   }
 
+  // Startup Configuration
+  async getConfigurationStatus(switchId) {
+    const manager = this.requireOperation(switchId, 'getConfigurationStatus')
+    return await manager.getConfigurationStatus()
+  }
+
+  async saveConfiguration(switchId) {
+    const manager = this.requireOperation(switchId, 'saveConfiguration')
+    return await manager.saveConfiguration()
+  }
+
+  // Reboots the switch and watches for healthCheck() to succeed again. A reboot
+  // discards unsaved changes, so it is refused while there are any unless
+  // options.saveFirst or options.force is set. Switches without a separate startup
+  // configuration have nothing unsaved. Returns once the reboot is issued unless
+  // options.wait is set; progress is kept in switchInfo.reboot either way
+  async rebootSwitch(switchId, options = {}) {
+    const switchInfo = this.getSwitch(switchId)
+    const manager = this.requireOperation(switchId, 'reboot')
+    const timeout = options.timeout ?? config.monitoring.rebootTimeout
+    const interval = options.interval ?? config.monitoring.rebootPollInterval
+    
+    const { unsavedChanges } = this.supportsOperation(switchId, 'getConfigurationStatus')
+      ? await manager.getConfigurationStatus()
+      : { unsavedChanges: false }
+    let saved = false
+    if (unsavedChanges) {
+      if (options.saveFirst) {
+        await manager.saveConfiguration()
+        saved = true
+      } else if (!options.force) {
+        throw new Error(`${switchId} has unsaved changes that a reboot would discard; save first or use force to override`)
+      }
+    }
+    
+    await manager.reboot()
+    switchInfo.status = 'rebooting'
+    logger.info(`🔄 Switch ${switchId} rebooting, waiting up to ${timeout}ms for it to come back`)
+    
+    const watching = this.waitForSwitch(switchId, timeout, interval)
+    if (!options.wait) {
+      return { switchId, unsavedChanges, saved, timeoutMs: timeout, ...this.rebootProgress(switchInfo) }
+    }
+    
+    const outcome = await watching
+    return { switchId, unsavedChanges, saved, timeoutMs: timeout, ...outcome }
+  }
+
+  // Polls the driver directly rather than through the queue and circuit breaker,
+  // since failures are expected while the switch boots. Never rejects: the switch
+  // ends up online, or offline with the last health check error
+  async waitForSwitch(switchId, timeout, interval) {
+    const switchInfo = this.getSwitch(switchId)
+    const startedAt = Date.now()
+    const progress = { startedAt: new Date(startedAt), attempts: 0, online: null, error: null, finishedAt: null }
+    switchInfo.reboot = progress
+    
+    try {
+      while (Date.now() - startedAt < timeout) {
+        await new Promise(resolve => setTimeout(resolve, interval))
+        
+        // Stop watching a switch that was removed or cleaned up meanwhile
+        if (this.switches.get(switchId) !== switchInfo) {
+          progress.error = progress.error || 'Switch was removed while rebooting'
+          break
+        }
+        progress.attempts++
+        
+        try {
+          const health = await switchInfo.manager.healthCheck()
+          if (health.authenticated) {
+            progress.online = true
+            progress.error = null
+            switchInfo.status = 'online'
+            switchInfo.lastHealthCheck = new Date()
+            this.getCircuitBreaker(switchId).reset()
+            logger.info(`✅ Switch ${switchId} back online after ${Date.now() - startedAt}ms`)
+            break
+          }
+          progress.error = health.error || 'Switch is not authenticated'
+        } catch (error) {
+          progress.error = error.message
+        }
+      }
+    } finally {
+      progress.finishedAt = new Date()
+      if (!progress.online) {
+        progress.online = false
+        switchInfo.status = 'offline'
+        logger.error(`Switch ${switchId} did not come back within ${timeout}ms after reboot: ${progress.error}`)
+      }
+    }
+    
+    return this.rebootProgress(switchInfo)
+  }
+
+  rebootProgress(switchInfo) {
+    const progress = switchInfo.reboot
+    return {
+      online: progress.online,
+      attempts: progress.attempts,
+      elapsedMs: (progress.finishedAt || new Date()) - progress.startedAt,
+      error: progress.error
+    }
+  }
+
   // Bulk Operations
   async bulkOperation(operation, switchIds, ...args) {
     const results = {}
@@ -215,6 +1249,18 @@ class SwitchManagerService {
     const promises = switchIds.map(async (switchId) => {
       try {
         const manager = this.getSwitchManager(switchId)
+        
+        if (!this.supportsOperation(switchId, operation) || typeof manager[operation] !== 'function') {
+          const switchInfo = this.getSwitch(switchId)
+          const capability = driverRegistry.getOperationCapability(operation) || operation
+          results[switchId] = {
+            success: false,
+            unsupported: true,
+            error: new UnsupportedOperationError(capability, switchInfo.config).message
+          }
+          return
+        }
+        
         const result = await manager[operation](...args)
         results[switchId] = { success: true, data: result }
       } catch (error) {
@@ -260,6 +1306,21 @@ class SwitchManagerService {
     }
   }
 
+  // LLDP neighbors with canonical local port names
+  async getLLDPNeighbors(switchId) {
+    const manager = this.requireOperation(switchId, 'getLLDPNeighbors')
+    return await manager.getLLDPNeighbors()
+  }
+
+  // Links seen over LLDP and how they differ from config.topology
+  async discoverTopology() {
+    return await new TopologyBuilder(this).build()
+  }
+
+  getSupportedDrivers() {
+    return driverRegistry.listDrivers()
+  }
+
   getInterCoreSwitches() {
     return this.getSwitchesByType('vimins')
   }
@@ -272,6 +1333,7 @@ class SwitchManagerService {
   getServiceStatus() {
     const switches = this.getAllSwitches()
     const onlineCount = switches.filter(s => s.status === 'online').length
+    const queues = this.getQueueMetrics()
     
     return {
       initialized: this.initialized,
@@ -279,6 +1341,13 @@ class SwitchManagerService {
       onlineSwitches: onlineCount,
       offlineSwitches: switches.length - onlineCount,
       healthCheckRunning: !!this.healthCheckInterval,
+      credentialVault: this.credentialVault ? this.credentialVault.getServiceStatus() : null,
+      operationQueues: {
+        totalDepth: Object.values(queues).reduce((depth, q) => depth + q.depth, 0),
+        activeOperations: Object.values(queues).reduce((active, q) => active + q.active, 0),
+        switches: queues
+      },
+      circuitBreakers: this.getCircuitBreakerStates(),
       lastHealthCheck: Math.max(...switches.map(s => 
         s.lastHealthCheck ? s.lastHealthCheck.getTime() : 0
       )),
@@ -296,6 +1365,25 @@ class SwitchManagerService {
       this.healthCheckInterval = null
     }
     
+    // Stop following inventory changes
+    if (this.onInventoryChanged) {
+      config.off('inventoryChanged', this.onInventoryChanged)
+      config.stopWatchingInventory()
+      this.onInventoryChanged = null
+    }
+    
+    // Pending mirror expiries stay in the expiry file and are re-armed at the next start
+    for (const expiry of this.mirrorExpirations.values()) {
+      clearTimeout(expiry.timer)
+    }
+    this.mirrorExpirations.clear()
+    await this.mirrorExpirySave
+    
+    // Reject queued operations before the drivers go away
+    for (const switchId of Array.from(this.queues.keys())) {
+      this.removeQueue(switchId)
+    }
+    
     // Cleanup all switch managers
     for (const [switchId, switchInfo] of this.switches.entries()) {
       if (switchInfo.manager && typeof switchInfo.manager.cleanup === 'function') {
@@ -309,6 +1397,7 @@ class SwitchManagerService {
     }
     
     this.switches.clear()
+    this.breakers.clear()
     this.initialized = false
     
     logger.info('✅ Switch Manager Service cleanup completed')
@@ -14,6 +14,8 @@ class ConfigurationService {
     this.initialized = false
     this.backupDirectory = config.backup.directory
     this.configurationHistory = new Map()
+    // Time of the newest backup per switch, in ms
+    this.lastBackups = new Map()
     this.backupScheduler = null
   }
 
@@ -23,6 +25,7 @@ class ConfigurationService {
       
       // Ensure backup directory exists
       await this.ensureBackupDirectory()
+      await this.loadLastBackupTimes()
       
       // Start scheduled backups if enabled
       if (config.backup.enabled) {
@@ -48,6 +51,29 @@ class ConfigurationService {
     }
   }
 
+  // Backups written before this start still count towards the backup age
+  async loadLastBackupTimes() {
+    try {
+      for (const backup of await this.listBackups()) {
+        this.recordBackupTime(backup.switch_id, backup.timestamp)
+      }
+    } catch (error) {
+      logger.warn('Failed to read existing backup times:', error.message)
+    }
+  }
+
+  recordBackupTime(switchId, timestamp) {
+    const time = Date.parse(timestamp)
+    if (!Number.isNaN(time) && time > (this.lastBackups.get(switchId) || 0)) {
+      this.lastBackups.set(switchId, time)
+    }
+  }
+
+  // Time of the newest backup of a switch in ms, or null when it has none
+  getLastBackupTime(switchId) {
+    return this.lastBackups.get(switchId) || null
+  }
+
   startScheduledBackups() {
     // This would typically use a cron scheduler
     // For now, we'll use a simple interval
@@ -73,7 +99,7 @@ class ConfigurationService {
       
       for (const switchInfo of onlineSwitches) {
         try {
-          const backup = await this.createSwitchBackup(switchInfo.id)
+          const backup = await this.createSwitchBackup(switchInfo.id, { priority: 'background' })
           backupResults[switchInfo.id] = { success: true, backup_id: backup.backup_id }
         } catch (error) {
           backupResults[switchInfo.id] = { success: false, error: error.message }
@@ -89,9 +115,9 @@ class ConfigurationService {
     }
   }
 
-  async createSwitchBackup(switchId) {
+  async createSwitchBackup(switchId, options = {}) {
     try {
-      const manager = this.switchManager.getSwitchManager(switchId)
+      const manager = this.switchManager.requireOperation(switchId, 'backupConfiguration', options)
       const switchInfo = this.switchManager.getSwitch(switchId)
       
       // Get comprehensive configuration
@@ -162,6 +188,7 @@ class ConfigurationService {
       size: backup.size,
       backup_type: backup.backup_type
     })
+    this.recordBackupTime(switchId, backup.timestamp)
     
     // Keep only recent backups in memory
     if (history.length > 50) {
@@ -179,7 +206,7 @@ class ConfigurationService {
       }
       
       // Get switch manager
-      const manager = this.switchManager.getSwitchManager(switchId)
+      const manager = this.switchManager.requireOperation(switchId, 'restoreConfiguration')
       
       // Restore configuration
       const result = await manager.restoreConfiguration(backup.config_data)
@@ -426,6 +453,7 @@ class ConfigurationService {
     
     // Clear configuration history
     this.configurationHistory.clear()
+    this.lastBackups.clear()
     
     this.initialized = false
     logger.info('✅ Configuration Service cleanup completed')
@@ -0,0 +1,279 @@
+/**
+ * Credential Vault
+ * Stores per-switch usernames and passwords encrypted at rest (AES-256-GCM)
+ * with a key derived from the configured master key
+ */
+
+const crypto = require('crypto')
+const fs = require('fs').promises
+const path = require('path')
+const logger = require('../../utils/logger')
+const config = require('../../utils/config')
+
+const VAULT_VERSION = 1
+const CIPHER = 'aes-256-gcm'
+// Encrypted with the vault key so a wrong master key is detected at load time
+const KEY_CHECK_VALUE = 'mcp-switch-manager-credential-vault'
+const DEFAULT_MASTER_KEY = 'mcp-encryption-key'
+
+class CredentialVault {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.security.credentialVaultFile
+    // Vault under the previous master key until a rotation is confirmed (see rotateMasterKey())
+    this.backupFile = `${this.filePath}.bak`
+    this.masterKey = options.masterKey || config.security.encryptionKey
+    this.key = null
+    this.salt = null
+    this.keyCheck = null
+    this.credentials = new Map()
+    this.initialized = false
+  }
+
+  async initialize() {
+    try {
+      logger.info('🔐 Initializing Credential Vault')
+
+      if (this.masterKey === DEFAULT_MASTER_KEY) {
+        logger.warn('⚠️ Credential vault is using the default master key - set ENCRYPTION_KEY')
+      }
+
+      await this.load()
+
+      this.initialized = true
+      logger.info(`✅ Credential Vault initialized with ${this.credentials.size} stored credentials`)
+    } catch (error) {
+      logger.error('❌ Failed to initialize Credential Vault:', error.message)
+      throw error
+    }
+  }
+
+  async load() {
+    const vault = await this.readVault(this.filePath)
+
+    if (!vault) {
+      // Nothing stored yet; the file is created on first write
+      this.salt = crypto.randomBytes(16)
+      this.key = this.deriveKey(this.masterKey, this.salt)
+      this.keyCheck = this.encrypt(KEY_CHECK_VALUE)
+      this.credentials.clear()
+      return
+    }
+
+    if (this.unlock(vault)) {
+      await this.removeBackup()
+      return
+    }
+
+    // ENCRYPTION_KEY was not updated after a rotation: go back to the vault the
+    // previous key wrote
+    const backup = await this.readVault(this.backupFile)
+    if (backup && this.unlock(backup)) {
+      await fs.rename(this.backupFile, this.filePath)
+      logger.warn('⚠️ ENCRYPTION_KEY still holds the master key from before the last rotation; the rotation and any credential changes since were undone')
+      return
+    }
+
+    throw new Error('Credential vault master key does not match the stored vault')
+  }
+
+  // Parsed vault file, or null when it does not exist
+  async readVault(filePath) {
+    let vault
+    try {
+      vault = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read credential vault ${filePath}: ${error.message}`)
+      }
+      return null
+    }
+
+    if (vault.version !== VAULT_VERSION) {
+      throw new Error(`Unsupported credential vault version: ${vault.version}`)
+    }
+    return vault
+  }
+
+  // Takes over the vault's key and entries if the master key opens it
+  unlock(vault) {
+    const salt = Buffer.from(vault.salt, 'base64')
+    const key = this.deriveKey(this.masterKey, salt)
+
+    try {
+      if (this.decrypt(vault.keyCheck, key) !== KEY_CHECK_VALUE) {
+        return false
+      }
+    } catch (error) {
+      return false
+    }
+
+    this.salt = salt
+    this.key = key
+    this.keyCheck = vault.keyCheck
+    this.credentials = new Map(Object.entries(vault.credentials || {}))
+    return true
+  }
+
+  async removeBackup() {
+    try {
+      await fs.unlink(this.backupFile)
+      logger.info('🔐 Rotated credential vault master key confirmed; removed the vault backup')
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+  }
+
+  async save() {
+    await this.writeVault(this.filePath)
+  }
+
+  async writeVault(filePath) {
+    const vault = {
+      version: VAULT_VERSION,
+      cipher: CIPHER,
+      kdf: 'scrypt',
+      salt: this.salt.toString('base64'),
+      keyCheck: this.keyCheck,
+      credentials: Object.fromEntries(this.credentials)
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+
+    // Write then rename so a crash never leaves a truncated vault
+    const tempFile = `${filePath}.tmp`
+    await fs.writeFile(tempFile, JSON.stringify(vault, null, 2), { mode: 0o600 })
+    await fs.rename(tempFile, filePath)
+  }
+
+  deriveKey(masterKey, salt) {
+    return crypto.scryptSync(masterKey, salt, 32)
+  }
+
+  encrypt(plaintext, key = this.key) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(CIPHER, key, iv)
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }
+  }
+
+  decrypt(entry, key = this.key) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'))
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8')
+  }
+
+  has(switchId) {
+    return this.credentials.has(switchId)
+  }
+
+  // Returns { username, password } or null when the switch has no stored credentials
+  get(switchId) {
+    const entry = this.credentials.get(switchId)
+    if (!entry) {
+      return null
+    }
+
+    try {
+      const { username, password } = JSON.parse(this.decrypt(entry))
+      return { username, password }
+    } catch (error) {
+      logger.error(`Failed to decrypt stored credentials for ${switchId}`)
+      throw new Error(`Stored credentials for ${switchId} could not be decrypted`)
+    }
+  }
+
+  async set(switchId, { username, password }) {
+    if (!username || !password) {
+      throw new Error('username and password are required')
+    }
+
+    this.credentials.set(switchId, {
+      ...this.encrypt(JSON.stringify({ username, password })),
+      updatedAt: new Date().toISOString()
+    })
+    await this.save()
+
+    logger.info(`🔐 Stored credentials for ${switchId}`)
+  }
+
+  async delete(switchId) {
+    if (!this.credentials.delete(switchId)) {
+      return false
+    }
+
+    await this.save()
+    logger.info(`🔐 Removed stored credentials for ${switchId}`)
+    return true
+  }
+
+  // Metadata only - never includes passwords
+  list() {
+    return Array.from(this.credentials.entries()).map(([switchId, entry]) => ({
+      switchId,
+      username: this.get(switchId).username,
+      updatedAt: entry.updatedAt
+    }))
+  }
+
+  // Re-encrypt every entry under a new master key. The vault under the previous
+  // key is kept in backupFile until a restart with the new ENCRYPTION_KEY confirms
+  // it; a restart with the old key restores it instead. A backup left by an earlier
+  // unconfirmed rotation is kept, since it matches the key the addon started with
+  async rotateMasterKey(newMasterKey) {
+    if (!newMasterKey || newMasterKey.length < 12) {
+      throw new Error('New master key must be at least 12 characters')
+    }
+
+    if (!(await this.readVault(this.backupFile))) {
+      await this.writeVault(this.backupFile)
+    }
+
+    const salt = crypto.randomBytes(16)
+    const key = this.deriveKey(newMasterKey, salt)
+
+    const rotated = new Map()
+    for (const [switchId, entry] of this.credentials.entries()) {
+      rotated.set(switchId, {
+        ...this.encrypt(this.decrypt(entry), key),
+        updatedAt: entry.updatedAt
+      })
+    }
+
+    this.salt = salt
+    this.key = key
+    this.masterKey = newMasterKey
+    this.keyCheck = this.encrypt(KEY_CHECK_VALUE, key)
+    this.credentials = rotated
+    await this.save()
+
+    logger.info(`🔐 Credential vault master key rotated (${rotated.size} entries re-encrypted)`)
+    return rotated.size
+  }
+
+  getServiceStatus() {
+    return {
+      initialized: this.initialized,
+      storedCredentials: this.credentials.size,
+      defaultMasterKey: this.masterKey === DEFAULT_MASTER_KEY
+    }
+  }
+
+  async cleanup() {
+    this.key = null
+    this.credentials.clear()
+    this.initialized = false
+  }
+}
+
+module.exports = CredentialVault
@@ -7,10 +7,13 @@ const logger = require('../../utils/logger')
 const config = require('../../utils/config')
 
 class DiagnosticsService {
-  constructor(switchManagerService) {
+  constructor(switchManagerService, counterCollector = null) {
     this.switchManager = switchManagerService
+    this.counterCollector = counterCollector
     this.initialized = false
     this.diagnosticHistory = new Map()
+    // Loop count last seen per '<switchId>:<port>', so each loop is alerted once
+    this.loopCounts = new Map()
     this.monitoringInterval = null
   }
 
@@ -56,9 +59,21 @@ class DiagnosticsService {
       // Perform basic health checks
       for (const switchInfo of onlineSwitches) {
         try {
-          const manager = this.switchManager.getSwitchManager(switchInfo.id)
+          const manager = this.switchManager.getSwitchManager(switchInfo.id, { priority: 'background' })
           const health = await manager.healthCheck()
           
+          if (this.switchManager.hasCapability(switchInfo.id, 'loop_detection')) {
+            try {
+              health.loopDetection = await this.switchManager.getLoopDetection(switchInfo.id, { priority: 'background' })
+            } catch (error) {
+              logger.warn(`Failed to read loop detection for ${switchInfo.id}:`, error.message)
+            }
+          }
+          
+          if (this.counterCollector) {
+            health.portErrorRates = this.getPortErrorRates(switchInfo.id)
+          }
+          
           // Store diagnostic result
           this.storeDiagnosticResult(switchInfo.id, 'health_check', health)
           
@@ -75,6 +90,20 @@ class DiagnosticsService {
     }
   }
 
+  // Error rate of each port with collected counters since the previous scheduled run
+  getPortErrorRates(switchId) {
+    const since = Date.now() - config.monitoring.diagnosticInterval
+    return this.counterCollector.getPorts(switchId)
+      .map(port => ({ port, summary: this.counterCollector.summarize(switchId, port, { since }) }))
+      .filter(({ summary }) => summary.errorRate !== null)
+      .map(({ port, summary }) => ({
+        port,
+        errorRate: summary.errorRate,
+        errors: (summary.rxErrors || 0) + (summary.txErrors || 0),
+        packets: (summary.rxPackets || 0) + (summary.txPackets || 0)
+      }))
+  }
+
   storeDiagnosticResult(switchId, type, result) {
     if (!this.diagnosticHistory.has(switchId)) {
       this.diagnosticHistory.set(switchId, [])
@@ -128,6 +157,47 @@ class DiagnosticsService {
       }
     }
     
+    // Loops the switch detected since the previous check. The first check of a port
+    // only records its count; a count that went down was reset (by a reboot), so
+    // every loop it shows is new
+    if (healthData.loopDetection) {
+      for (const port of healthData.loopDetection.ports) {
+        const key = `${switchId}:${port.port}`
+        const seen = this.loopCounts.get(key)
+        const loops = seen === undefined ? 0 : port.loops < seen ? port.loops : port.loops - seen
+        if (loops > 0) {
+          alerts.push({
+            severity: 'critical',
+            type: 'loop_detected',
+            message: `Switch ${switchId} detected a loop on port ${port.port}${port.shutdown ? ' and shut the port down' : ''}`,
+            port: port.port,
+            loops,
+            lastLoopAt: port.lastLoopAt
+          })
+        }
+        this.loopCounts.set(key, port.loops)
+      }
+    }
+    
+    // Ports dropping more frames to errors than the threshold allows
+    if (healthData.portErrorRates) {
+      const threshold = config.monitoring.alertThresholds.portErrorRate
+      const percent = (rate) => Math.round(rate * 10000) / 100
+      for (const port of healthData.portErrorRates) {
+        if (port.errorRate > threshold) {
+          alerts.push({
+            severity: 'warning',
+            type: 'high_port_error_rate',
+            message: `Switch ${switchId} port ${port.port} error rate: ${percent(port.errorRate)}% (threshold ${percent(threshold)}%)`,
+            port: port.port,
+            errorRate: port.errorRate,
+            errors: port.errors,
+            packets: port.packets
+          })
+        }
+      }
+    }
+    
     // Log alerts
     alerts.forEach(alert => {
       if (alert.severity === 'critical') {
@@ -185,7 +255,7 @@ class DiagnosticsService {
       
       // Port status
       try {
-        diagnostics.results.port_status = await manager.getPortStatus()
+        diagnostics.results.port_status = await manager.getPorts()
       } catch (error) {
         diagnostics.results.port_status = { error: error.message }
       }
@@ -197,14 +267,16 @@ class DiagnosticsService {
         diagnostics.results.vlan_config = { error: error.message }
       }
       
-      // Additional diagnostics for Vimins switches
-      if (switchInfo.config.type === 'vimins') {
+      // Additional diagnostics for drivers that support them
+      if (this.switchManager.hasCapability(switchId, 'lag')) {
         try {
           diagnostics.results.lag_config = await manager.getLAGConfig()
         } catch (error) {
           diagnostics.results.lag_config = { error: error.message }
         }
-        
+      }
+      
+      if (this.switchManager.hasCapability(switchId, 'mac_table')) {
         try {
           diagnostics.results.mac_table = await manager.getMACTable()
         } catch (error) {
@@ -212,6 +284,14 @@ class DiagnosticsService {
         }
       }
       
+      if (this.switchManager.hasCapability(switchId, 'loop_detection')) {
+        try {
+          diagnostics.results.loop_detection = await manager.getLoopDetection()
+        } catch (error) {
+          diagnostics.results.loop_detection = { error: error.message }
+        }
+      }
+      
       // Store diagnostic result
       this.storeDiagnosticResult(switchId, 'comprehensive', diagnostics)
       
@@ -325,6 +405,7 @@ class DiagnosticsService {
     
     // Clear diagnostic history
     this.diagnosticHistory.clear()
+    this.loopCounts.clear()
     
     this.initialized = false
     logger.info('✅ Diagnostics Service cleanup completed')
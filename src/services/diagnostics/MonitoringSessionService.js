@@ -0,0 +1,250 @@
+/**
+ * Monitoring Session Service
+ * Runs real-time monitoring sessions that poll a switch's ports at a fixed interval
+ * and hand every sample to the clients streaming the session
+ */
+
+const crypto = require('crypto')
+const logger = require('../../utils/logger')
+const config = require('../../utils/config')
+const CounterCollector = require('../metrics/CounterCollector')
+
+const { counterDelta } = CounterCollector
+
+class MonitoringSessionService {
+  constructor(switchManagerService) {
+    this.switchManager = switchManagerService
+    this.initialized = false
+    // Active sessions by id; a session is removed once it ends
+    this.sessions = new Map()
+  }
+
+  async initialize() {
+    logger.info('📡 Initializing Monitoring Session Service')
+    this.initialized = true
+    logger.info('✅ Monitoring Session Service initialized')
+  }
+
+  // Starts polling a switch and resolves with the session once its first sample is in;
+  // a switch that cannot be read does not get a session
+  async startSession(switchId, options = {}) {
+    const { durationSeconds = 60, intervalSeconds = 5 } = options
+    const { maxSessions, maxSessionSeconds } = config.monitoring
+
+    if (!Number.isFinite(intervalSeconds) || intervalSeconds < 1) {
+      throw new Error('interval_seconds must be at least 1')
+    }
+    if (!Number.isFinite(durationSeconds) || durationSeconds < intervalSeconds) {
+      throw new Error('duration_seconds must be at least interval_seconds')
+    }
+    if (durationSeconds > maxSessionSeconds) {
+      throw new Error(`duration_seconds must not exceed ${maxSessionSeconds}`)
+    }
+    if (this.sessions.size >= maxSessions) {
+      throw new Error(`Too many monitoring sessions running (limit ${maxSessions}); stop one with stop_monitoring_session`)
+    }
+    this.switchManager.getSwitch(switchId)
+
+    const now = Date.now()
+    const session = {
+      id: `mon_${crypto.randomBytes(8).toString('hex')}`,
+      switchId,
+      intervalSeconds,
+      durationSeconds,
+      startedAt: now,
+      expiresAt: now + durationSeconds * 1000,
+      sequence: 0,
+      lastSample: null,
+      previous: null,
+      polling: false,
+      listeners: new Set(),
+      timer: null,
+      expiryTimer: null
+    }
+    this.sessions.set(session.id, session)
+
+    try {
+      await this.poll(session, { throwOnError: true })
+    } catch (error) {
+      this.sessions.delete(session.id)
+      throw error
+    }
+
+    session.timer = setInterval(() => {
+      this.poll(session).catch(error => {
+        logger.error(`Monitoring session ${session.id} poll error:`, error)
+      })
+    }, intervalSeconds * 1000)
+    session.expiryTimer = setTimeout(() => this.stopSession(session.id, 'expired'), durationSeconds * 1000)
+
+    logger.info(`📡 Monitoring session ${session.id} started for ${switchId} (every ${intervalSeconds}s for ${durationSeconds}s)`)
+    return this.describe(session)
+  }
+
+  // Reads the port counters once and publishes the sample; a poll that is still
+  // waiting on a slow switch makes the next tick skip rather than queue up
+  async poll(session, options = {}) {
+    if (session.polling) {
+      return
+    }
+    session.polling = true
+
+    const startTime = Date.now()
+    let sample
+    try {
+      // Sampling yields to interactive tool calls on the switch's queue
+      const manager = this.switchManager.getSwitchManager(session.switchId, { priority: 'background' })
+      const reading = await manager.getPortCounters()
+      sample = this.buildSample(session, reading, startTime)
+      session.previous = { time: startTime, uptimeSeconds: reading.uptimeSeconds, ports: reading.ports }
+    } catch (error) {
+      if (options.throwOnError) {
+        throw error
+      }
+      logger.warn(`Monitoring session ${session.id} failed to read ${session.switchId}:`, error.message)
+      sample = this.createSample(session, startTime, { status: 'error', error: error.message })
+    } finally {
+      session.polling = false
+    }
+
+    // The session may have been stopped while the switch was answering
+    if (!this.sessions.has(session.id)) {
+      return
+    }
+    session.lastSample = sample
+    this.publish(session, 'sample', sample)
+  }
+
+  // Per-port link state and rates since the previous sample; the first sample of a
+  // session has no rates yet
+  buildSample(session, reading, startTime) {
+    const previous = session.previous
+    const seconds = previous ? (startTime - previous.time) / 1000 : null
+    const rebooted = !!previous && reading.uptimeSeconds !== null && previous.uptimeSeconds !== null &&
+      reading.uptimeSeconds < previous.uptimeSeconds
+    const lastCounters = new Map(previous ? previous.ports.map(entry => [entry.port, entry.counters]) : [])
+
+    const ports = reading.ports.map(({ port, operState, speedMbps, counters }) => {
+      const last = lastCounters.get(port)
+      const delta = (key) => last && seconds > 0 ? counterDelta(last[key], counters[key], rebooted) : null
+      const bps = (key) => delta(key) === null ? null : Math.round(delta(key) * 8 / seconds)
+
+      return {
+        port,
+        operState,
+        speedMbps,
+        rxBps: bps('rxBytes'),
+        txBps: bps('txBytes'),
+        rxErrors: delta('rxErrors'),
+        txErrors: delta('txErrors'),
+        rxDrops: delta('rxDrops'),
+        txDrops: delta('txDrops')
+      }
+    })
+
+    return this.createSample(session, startTime, {
+      status: 'ok',
+      uptime_seconds: reading.uptimeSeconds,
+      rebooted,
+      ports
+    })
+  }
+
+  createSample(session, startTime, fields) {
+    session.sequence++
+    return {
+      session_id: session.id,
+      switch_id: session.switchId,
+      sequence: session.sequence,
+      response_time_ms: Date.now() - startTime,
+      ...fields,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  publish(session, event, data) {
+    for (const listener of session.listeners) {
+      try {
+        listener(event, data)
+      } catch (error) {
+        logger.warn(`Monitoring session ${session.id} listener error:`, error.message)
+      }
+    }
+  }
+
+  // Calls listener(event, data) for every 'sample' of a session and once with 'end'
+  // when it stops, starting with the latest sample; returns the unsubscribe function
+  subscribe(sessionId, listener) {
+    const session = this.getSession(sessionId)
+    session.listeners.add(listener)
+    if (session.lastSample) {
+      listener('sample', session.lastSample)
+    }
+    return () => session.listeners.delete(listener)
+  }
+
+  stopSession(sessionId, reason = 'stopped') {
+    const session = this.getSession(sessionId)
+
+    clearInterval(session.timer)
+    clearTimeout(session.expiryTimer)
+    this.sessions.delete(sessionId)
+
+    const summary = { ...this.describe(session), reason, ended_at: new Date().toISOString() }
+    this.publish(session, 'end', summary)
+    session.listeners.clear()
+
+    logger.info(`📡 Monitoring session ${sessionId} ended (${reason}) after ${session.sequence} samples`)
+    return summary
+  }
+
+  // Ends every session, closing their streams
+  stopAll(reason = 'stopped') {
+    return Array.from(this.sessions.keys()).map(sessionId => this.stopSession(sessionId, reason))
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId)
+    if (!session) {
+      throw new Error(`Monitoring session not found: ${sessionId}`)
+    }
+    return session
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.values()).map(session => this.describe(session))
+  }
+
+  describe(session) {
+    return {
+      session_id: session.id,
+      switch_id: session.switchId,
+      interval_seconds: session.intervalSeconds,
+      duration_seconds: session.durationSeconds,
+      started_at: new Date(session.startedAt).toISOString(),
+      expires_at: new Date(session.expiresAt).toISOString(),
+      samples: session.sequence,
+      subscribers: session.listeners.size,
+      stream_url: `/monitoring/sessions/${session.id}/events`
+    }
+  }
+
+  getServiceStatus() {
+    return {
+      initialized: this.initialized,
+      active_sessions: this.sessions.size,
+      max_sessions: config.monitoring.maxSessions
+    }
+  }
+
+  async cleanup() {
+    logger.info('🧹 Cleaning up Monitoring Session Service')
+
+    this.stopAll('shutdown')
+
+    this.initialized = false
+    logger.info('✅ Monitoring Session Service cleanup completed')
+  }
+}
+
+module.exports = MonitoringSessionService
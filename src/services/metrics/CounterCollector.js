@@ -0,0 +1,334 @@
+/**
+ * Counter Collector
+ * Polls the port traffic counters of every online switch and stores how much each
+ * counter moved per interval, correcting for counter wraps and switch reboots
+ */
+
+const logger = require('../../utils/logger')
+const config = require('../../utils/config')
+const TimeSeriesStore = require('./TimeSeriesStore')
+const { COUNTER_KEYS } = require('../../models/Port')
+
+const COUNTER_32_BIT = 2 ** 32
+// Ports this fast get the wrap guard reads between collections
+const WRAP_GUARD_SPEED_MBPS = 10000
+// Uptime is read with one-second resolution some time after the poll started
+const UPTIME_SLACK_SECONDS = 5
+
+// How far a counter moved since the previous reading. While the switch keeps running
+// its counters only grow, so one that went backwards wrapped once; a value beyond
+// 32 bits came from a 64-bit counter, which cannot have wrapped, and was cleared.
+// After a reboot every counter counts from zero
+function counterDelta(previous, current, rebooted) {
+  if (previous === null || previous === undefined || current === null || current === undefined) {
+    return null
+  }
+  if (rebooted) {
+    return current
+  }
+  if (current >= previous) {
+    return current - previous
+  }
+  if (previous < COUNTER_32_BIT) {
+    return COUNTER_32_BIT - previous + current
+  }
+  return current
+}
+
+class CounterCollector {
+  constructor(switchManagerService, store = new TimeSeriesStore()) {
+    this.switchManager = switchManagerService
+    this.store = store
+    // Last counter reading per switch: { time, uptimeSeconds, ports, counters: Map(port -> counters) }
+    this.readings = new Map()
+    // Corrected deltas summed per switch and port since the collector started; unlike
+    // the switch counters these only ever grow, so they can be exported as counters
+    this.totals = new Map()
+    // Deltas per switch and port read since the last stored sample
+    this.pending = new Map()
+    this.collectionInterval = null
+    this.wrapGuardInterval = null
+    // Collections and wrap guard reads run one at a time
+    this.running = Promise.resolve()
+    this.lastSaved = 0
+    this.initialized = false
+  }
+
+  async initialize() {
+    try {
+      logger.info('📈 Initializing Counter Collector')
+
+      await this.store.load()
+      this.store.prune()
+
+      if (config.metrics.collectionInterval > 0) {
+        this.startCollection()
+      }
+
+      this.initialized = true
+      logger.info('✅ Counter Collector initialized')
+    } catch (error) {
+      logger.error('❌ Failed to initialize Counter Collector:', error)
+      throw error
+    }
+  }
+
+  startCollection() {
+    const interval = config.metrics.collectionInterval
+
+    this.collectionInterval = setInterval(async () => {
+      try {
+        await this.collect()
+      } catch (error) {
+        logger.error('Counter collection error:', error)
+      }
+    }, interval)
+
+    logger.info(`📈 Counter collection started (interval: ${interval}ms)`)
+
+    const guardInterval = config.metrics.wrapGuardInterval
+    if (guardInterval > 0 && guardInterval < interval) {
+      this.wrapGuardInterval = setInterval(async () => {
+        try {
+          await this.guardWraps()
+        } catch (error) {
+          logger.error('Counter wrap guard error:', error)
+        }
+      }, guardInterval)
+    }
+  }
+
+  runExclusive(task) {
+    const run = this.running.then(task)
+    this.running = run.catch(() => {})
+    return run
+  }
+
+  // One poll of every online switch; returns the outcome per switch
+  collect() {
+    return this.runExclusive(() => this.collectAll())
+  }
+
+  async collectAll() {
+    const results = {}
+
+    for (const switchInfo of this.switchManager.getOnlineSwitches()) {
+      try {
+        results[switchInfo.id] = { success: true, ...await this.collectSwitch(switchInfo.id) }
+      } catch (error) {
+        logger.warn(`Counter collection failed for ${switchInfo.id}:`, error.message)
+        results[switchInfo.id] = { success: false, error: error.message }
+      }
+    }
+
+    this.store.prune()
+    // The store file is rewritten whole, so it is saved every persistInterval rather
+    // than after every poll; cleanup saves the rest
+    if (Date.now() - this.lastSaved >= config.metrics.persistInterval) {
+      await this.saveStore()
+    }
+
+    return results
+  }
+
+  async saveStore() {
+    try {
+      await this.store.save()
+      this.lastSaved = Date.now()
+    } catch (error) {
+      logger.error('Failed to save the metrics store:', error.message)
+    }
+  }
+
+  // A 32-bit byte counter on a busy 10G port can wrap more than once in a collection
+  // interval, which no reading can tell apart from one wrap. Switches with such ports
+  // are also read every wrapGuardInterval; their deltas are stored with the next
+  // collection
+  guardWraps() {
+    return this.runExclusive(async () => {
+      for (const switchInfo of this.switchManager.getOnlineSwitches()) {
+        const reading = this.readings.get(switchInfo.id)
+        if (!reading || !reading.ports.some(port => port.speedMbps >= WRAP_GUARD_SPEED_MBPS)) {
+          continue
+        }
+        try {
+          await this.collectSwitch(switchInfo.id, { store: false })
+        } catch (error) {
+          logger.warn(`Counter wrap guard read failed for ${switchInfo.id}:`, error.message)
+        }
+      }
+    })
+  }
+
+  // The first reading of a switch is only a baseline. Every later one adds the counter
+  // deltas since the previous reading to the switch's pending samples, which are
+  // stored unless options.store is false
+  async collectSwitch(switchId, options = {}) {
+    const reading = await this.switchManager.getPortCounters(switchId, { priority: 'background' })
+    const time = Date.now()
+
+    const previous = this.readings.get(switchId)
+    this.readings.set(switchId, {
+      time,
+      uptimeSeconds: reading.uptimeSeconds,
+      ports: reading.ports.map(({ port, operState, speedMbps }) => ({ port, operState, speedMbps })),
+      counters: new Map(reading.ports.map(entry => [entry.port, entry.counters]))
+    })
+
+    if (!this.totals.has(switchId)) {
+      this.totals.set(switchId, new Map())
+    }
+    const totals = this.totals.get(switchId)
+    for (const { port, counters } of reading.ports) {
+      if (!totals.has(port)) {
+        totals.set(port, Object.fromEntries(COUNTER_KEYS.map(key => [key, counters[key] === null ? null : 0])))
+      }
+    }
+
+    if (!previous) {
+      return { samples: 0, rebooted: false }
+    }
+
+    const seconds = (time - previous.time) / 1000
+    // The uptime went backwards, or did not grow by the time between the readings
+    const rebooted = reading.uptimeSeconds !== null && previous.uptimeSeconds !== null &&
+      (reading.uptimeSeconds < previous.uptimeSeconds ||
+        reading.uptimeSeconds + UPTIME_SLACK_SECONDS < previous.uptimeSeconds + seconds)
+
+    if (rebooted) {
+      logger.info(`📈 ${switchId} restarted since the last counter reading; counting from zero`)
+    }
+
+    if (!this.pending.has(switchId)) {
+      this.pending.set(switchId, new Map())
+    }
+    const pending = this.pending.get(switchId)
+    for (const { port, counters } of reading.ports) {
+      const last = previous.counters.get(port)
+      if (!last) {
+        continue
+      }
+
+      if (!pending.has(port)) {
+        pending.set(port, { seconds: 0, reset: false, ...Object.fromEntries(COUNTER_KEYS.map(key => [key, null])) })
+      }
+      const sample = pending.get(port)
+      const total = totals.get(port)
+      sample.seconds += seconds
+      sample.reset = sample.reset || rebooted
+      for (const key of COUNTER_KEYS) {
+        const delta = counterDelta(last[key], counters[key], rebooted)
+        if (delta !== null) {
+          sample[key] = (sample[key] || 0) + delta
+          total[key] = (total[key] || 0) + delta
+        }
+      }
+    }
+
+    if (options.store === false) {
+      return { samples: 0, rebooted }
+    }
+
+    let samples = 0
+    for (const [port, sample] of pending.entries()) {
+      this.store.append(switchId, port, { time, ...sample })
+      samples++
+    }
+    pending.clear()
+
+    return { samples, rebooted }
+  }
+
+  // The link state and speed of every port at the last reading of a switch, with the
+  // counter totals since the collector started; null before the first reading
+  getLatestReading(switchId) {
+    const reading = this.readings.get(switchId)
+    if (!reading) {
+      return null
+    }
+
+    const totals = this.totals.get(switchId)
+    return {
+      time: reading.time,
+      uptimeSeconds: reading.uptimeSeconds,
+      ports: reading.ports.map(entry => ({ ...entry, totals: { ...totals.get(entry.port) } }))
+    }
+  }
+
+  // Ports with stored samples on a switch
+  getPorts(switchId) {
+    return this.store.getPorts(switchId)
+  }
+
+  // Stored points for one port (see TimeSeriesStore.query)
+  getSeries(switchId, port, options = {}) {
+    return this.store.query(switchId, port, options)
+  }
+
+  // Totals over the points of one port between options.since and options.until, with
+  // the average rates, utilization of options.speedMbps and error and discard rates
+  // (a fraction of the packets)
+  summarize(switchId, port, options = {}) {
+    const { resolution, points } = this.store.query(switchId, port, { since: options.since, until: options.until })
+    const summary = { resolution, samples: points.length, seconds: 0, resets: 0 }
+    for (const key of COUNTER_KEYS) {
+      summary[key] = null
+    }
+
+    for (const point of points) {
+      summary.seconds += point.seconds
+      summary.resets += point.reset ? 1 : 0
+      for (const key of COUNTER_KEYS) {
+        if (point[key] !== null) {
+          summary[key] = (summary[key] || 0) + point[key]
+        }
+      }
+    }
+
+    const total = (...keys) => keys.every(key => summary[key] === null)
+      ? null
+      : keys.reduce((sum, key) => sum + (summary[key] || 0), 0)
+    const rate = (bytes) => bytes !== null && summary.seconds > 0 ? Math.round(bytes * 8 / summary.seconds) : null
+    // Percent of the link speed, to two decimals
+    const utilization = (bps) => bps !== null && options.speedMbps
+      ? Math.round(bps / (options.speedMbps * 10000) * 100) / 100
+      : null
+    const share = (count, packets) => count !== null && packets
+      ? Math.round(count / (packets + count) * 1e6) / 1e6
+      : null
+
+    summary.rxBps = rate(summary.rxBytes)
+    summary.txBps = rate(summary.txBytes)
+    summary.rxPercent = utilization(summary.rxBps)
+    summary.txPercent = utilization(summary.txBps)
+    summary.errorRate = share(total('rxErrors', 'txErrors'), total('rxPackets', 'txPackets'))
+    summary.discardRate = share(total('rxDrops', 'txDrops'), total('rxPackets', 'txPackets'))
+    return summary
+  }
+
+  async cleanup() {
+    logger.info('🧹 Cleaning up Counter Collector')
+
+    if (this.collectionInterval) {
+      clearInterval(this.collectionInterval)
+      this.collectionInterval = null
+    }
+    if (this.wrapGuardInterval) {
+      clearInterval(this.wrapGuardInterval)
+      this.wrapGuardInterval = null
+    }
+
+    await this.running
+    await this.saveStore()
+
+    this.readings.clear()
+    this.totals.clear()
+    this.pending.clear()
+    this.initialized = false
+    logger.info('✅ Counter Collector cleanup completed')
+  }
+}
+
+CounterCollector.counterDelta = counterDelta
+
+module.exports = CounterCollector
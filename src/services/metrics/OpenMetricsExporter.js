@@ -0,0 +1,180 @@
+/**
+ * OpenMetrics Exporter
+ * Renders switch, port and MCP tool call metrics in the OpenMetrics text format for
+ * Prometheus to scrape from /metrics
+ */
+
+const toolCallMetrics = require('./toolCallMetrics')
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+
+// Counter names of the port model to the exported counter families
+const PORT_COUNTERS = {
+  rxBytes: ['switch_port_receive_bytes', 'Bytes received on the port since the collector started', 'bytes'],
+  txBytes: ['switch_port_transmit_bytes', 'Bytes transmitted on the port since the collector started', 'bytes'],
+  rxPackets: ['switch_port_receive_packets', 'Packets received on the port since the collector started'],
+  txPackets: ['switch_port_transmit_packets', 'Packets transmitted on the port since the collector started'],
+  rxErrors: ['switch_port_receive_errors', 'Receive errors on the port since the collector started'],
+  txErrors: ['switch_port_transmit_errors', 'Transmit errors on the port since the collector started'],
+  rxDrops: ['switch_port_receive_drops', 'Received frames the port discarded since the collector started'],
+  txDrops: ['switch_port_transmit_drops', 'Frames the port discarded instead of transmitting since the collector started']
+}
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6)
+}
+
+// Histogram bounds are floats in OpenMetrics, so whole numbers get a '.0'
+function formatBound(value) {
+  return Number.isInteger(value) ? `${value}.0` : formatValue(value)
+}
+
+function switchLabels(switchInfo) {
+  return {
+    switch_id: switchInfo.id,
+    switch_name: switchInfo.name,
+    switch_type: switchInfo.type
+  }
+}
+
+// One metric family: its metadata lines followed by its samples
+class MetricFamily {
+  constructor(name, type, help, unit = null) {
+    this.name = name
+    this.type = type
+    this.help = help
+    this.unit = unit
+    this.samples = []
+  }
+
+  add(labels, value, suffix = '') {
+    this.samples.push({ suffix, labels, value })
+    return this
+  }
+
+  render() {
+    const lines = [`# TYPE ${this.name} ${this.type}`]
+    if (this.unit) {
+      lines.push(`# UNIT ${this.name} ${this.unit}`)
+    }
+    lines.push(`# HELP ${this.name} ${this.help}`)
+
+    for (const { suffix, labels, value } of this.samples) {
+      const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabelValue(label)}"`)
+      lines.push(`${this.name}${suffix}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`)
+    }
+    return lines
+  }
+}
+
+class OpenMetricsExporter {
+  // services: { switchManager, counterCollector, configuration }; the collector and
+  // the configuration service are optional and their metrics are left out without them
+  constructor(services, toolMetrics = toolCallMetrics) {
+    this.services = services
+    this.toolMetrics = toolMetrics
+  }
+
+  render(now = Date.now()) {
+    const families = [
+      ...this.switchFamilies(now),
+      ...this.portFamilies(),
+      ...this.toolFamilies()
+    ]
+    return [...families.flatMap(family => family.render()), '# EOF', ''].join('\n')
+  }
+
+  switchFamilies(now) {
+    const up = new MetricFamily('switch_up', 'gauge', 'Whether the switch passed its last health check (1) or not (0)')
+    const authenticated = new MetricFamily('switch_authenticated', 'gauge', 'Whether the addon holds an authenticated session on the switch')
+    const healthCheckAge = new MetricFamily('switch_health_check_age_seconds', 'gauge', 'Time since the last health check of the switch', 'seconds')
+    const vlans = new MetricFamily('switch_vlans', 'gauge', 'VLANs configured on the switch at the last health check')
+    const backupAge = new MetricFamily('switch_backup_age_seconds', 'gauge', 'Time since the newest configuration backup of the switch', 'seconds')
+    const configuration = this.services.configuration
+
+    for (const switchInfo of this.services.switchManager.getAllSwitches()) {
+      const labels = switchLabels(switchInfo)
+
+      up.add(labels, switchInfo.status === 'online' ? 1 : 0)
+      authenticated.add(labels, switchInfo.authenticated ? 1 : 0)
+      if (switchInfo.lastHealthCheck) {
+        healthCheckAge.add(labels, (now - switchInfo.lastHealthCheck.getTime()) / 1000)
+      }
+      if (switchInfo.vlanCount !== null && switchInfo.vlanCount !== undefined) {
+        vlans.add(labels, switchInfo.vlanCount)
+      }
+
+      const lastBackup = configuration ? configuration.getLastBackupTime(switchInfo.id) : null
+      if (lastBackup) {
+        backupAge.add(labels, (now - lastBackup) / 1000)
+      }
+    }
+
+    return [up, authenticated, healthCheckAge, vlans, backupAge]
+  }
+
+  // Link state and speed as of the collector's last poll, and counters built from
+  // its wrap- and reboot-corrected deltas so they never go backwards
+  portFamilies() {
+    const portUp = new MetricFamily('switch_port_up', 'gauge', 'Whether the port has link (1) or not (0)')
+    const speed = new MetricFamily('switch_port_speed_bytes', 'gauge', 'Negotiated speed of the port in bytes per second', 'bytes')
+    const counters = Object.fromEntries(Object.entries(PORT_COUNTERS).map(([key, [name, help, unit]]) =>
+      [key, new MetricFamily(name, 'counter', help, unit)]
+    ))
+    const collector = this.services.counterCollector
+
+    if (collector) {
+      for (const switchInfo of this.services.switchManager.getAllSwitches()) {
+        const reading = collector.getLatestReading(switchInfo.id)
+        if (!reading) {
+          continue
+        }
+
+        for (const port of reading.ports) {
+          const labels = { ...switchLabels(switchInfo), port: port.port }
+
+          if (port.operState !== 'unknown') {
+            portUp.add(labels, port.operState === 'up' ? 1 : 0)
+          }
+          if (port.operState === 'up' && port.speedMbps) {
+            speed.add(labels, port.speedMbps * 125000)
+          }
+          for (const [key, family] of Object.entries(counters)) {
+            if (port.totals[key] !== null && port.totals[key] !== undefined) {
+              family.add(labels, port.totals[key], '_total')
+            }
+          }
+        }
+      }
+    }
+
+    return [portUp, speed, ...Object.values(counters)]
+  }
+
+  toolFamilies() {
+    const calls = new MetricFamily('mcp_tool_calls', 'counter', 'MCP tool calls by tool name and outcome')
+    const duration = new MetricFamily('mcp_tool_call_duration_seconds', 'histogram', 'Time taken by MCP tool calls', 'seconds')
+
+    for (const entry of this.toolMetrics.getTools()) {
+      for (const [outcome, count] of Object.entries(entry.outcomes)) {
+        calls.add({ tool: entry.tool, outcome }, count, '_total')
+      }
+      for (const { le, count } of entry.buckets) {
+        duration.add({ tool: entry.tool, le: formatBound(le) }, count, '_bucket')
+      }
+      duration.add({ tool: entry.tool, le: '+Inf' }, entry.count, '_bucket')
+      duration.add({ tool: entry.tool }, entry.sum, '_sum')
+      duration.add({ tool: entry.tool }, entry.count, '_count')
+    }
+
+    return [calls, duration]
+  }
+}
+
+OpenMetricsExporter.CONTENT_TYPE = CONTENT_TYPE
+
+module.exports = OpenMetricsExporter
@@ -0,0 +1,157 @@
+/**
+ * Time-Series Store
+ * Keeps per-port traffic samples at three resolutions (raw, 5-minute and hourly),
+ * prunes each after its retention period and persists them to a local JSON file
+ */
+
+const fs = require('fs').promises
+const path = require('path')
+const logger = require('../../utils/logger')
+const config = require('../../utils/config')
+const { COUNTER_KEYS } = require('../../models/Port')
+
+const STORE_VERSION = 1
+
+// Bucket width of each rollup resolution in milliseconds
+const ROLLUPS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+}
+const RESOLUTIONS = ['raw', ...Object.keys(ROLLUPS)]
+
+// Adds the counters of a sample into a rollup bucket; a counter the switch does
+// not report stays null
+function addToBucket(bucket, sample) {
+  bucket.seconds += sample.seconds
+  bucket.samples += sample.samples || 1
+  bucket.reset = bucket.reset || !!sample.reset
+  for (const key of COUNTER_KEYS) {
+    if (sample[key] !== null && sample[key] !== undefined) {
+      bucket[key] = (bucket[key] || 0) + sample[key]
+    }
+  }
+}
+
+class TimeSeriesStore {
+  constructor(options = {}) {
+    // A null file keeps the samples in memory only
+    this.filePath = options.filePath !== undefined ? options.filePath : config.metrics.storeFile
+    this.retention = { ...config.metrics.retention, ...options.retention }
+    // '<switchId>|<port>' -> { switchId, port, raw: [], '5m': [], '1h': [] }
+    this.series = new Map()
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return
+    }
+
+    let store
+    try {
+      store = JSON.parse(await fs.readFile(this.filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return
+      }
+      throw new Error(`Failed to read metrics store ${this.filePath}: ${error.message}`)
+    }
+
+    if (store.version !== STORE_VERSION) {
+      throw new Error(`Unsupported metrics store version: ${store.version}`)
+    }
+
+    this.series = new Map((store.series || []).map(series => [`${series.switchId}|${series.port}`, series]))
+    logger.info(`📈 Loaded ${this.series.size} traffic series from ${this.filePath}`)
+  }
+
+  async save() {
+    if (!this.filePath) {
+      return
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+
+    // Write then rename so a crash never leaves a truncated store
+    const tempFile = `${this.filePath}.tmp`
+    await fs.writeFile(tempFile, JSON.stringify({ version: STORE_VERSION, series: Array.from(this.series.values()) }))
+    await fs.rename(tempFile, this.filePath)
+  }
+
+  // sample: { time, seconds, reset, rxBytes, txBytes, ... } with the counter deltas
+  // over the `seconds` before `time`
+  append(switchId, port, sample) {
+    const key = `${switchId}|${port}`
+    if (!this.series.has(key)) {
+      this.series.set(key, { switchId, port, raw: [], '5m': [], '1h': [] })
+    }
+    const series = this.series.get(key)
+
+    const raw = { time: sample.time, seconds: sample.seconds, reset: !!sample.reset }
+    for (const key of COUNTER_KEYS) {
+      raw[key] = sample[key] ?? null
+    }
+    series.raw.push(raw)
+
+    for (const [resolution, width] of Object.entries(ROLLUPS)) {
+      const start = Math.floor(sample.time / width) * width
+      const buckets = series[resolution]
+      let bucket = buckets[buckets.length - 1]
+      if (!bucket || bucket.time !== start) {
+        bucket = { time: start, seconds: 0, samples: 0, reset: false }
+        for (const key of COUNTER_KEYS) {
+          bucket[key] = null
+        }
+        buckets.push(bucket)
+      }
+      addToBucket(bucket, raw)
+    }
+  }
+
+  // Drops samples older than their resolution's retention and series left empty
+  prune(now = Date.now()) {
+    for (const [key, series] of this.series.entries()) {
+      for (const resolution of RESOLUTIONS) {
+        const cutoff = now - this.retention[resolution]
+        series[resolution] = series[resolution].filter(point => point.time >= cutoff)
+      }
+      if (RESOLUTIONS.every(resolution => series[resolution].length === 0)) {
+        this.series.delete(key)
+      }
+    }
+  }
+
+  // Points between since and until (milliseconds); resolution 'auto' picks the finest
+  // resolution whose retention still covers since
+  query(switchId, port, options = {}) {
+    const now = Date.now()
+    const until = options.until ?? now
+    const since = options.since ?? until - 60 * 60 * 1000
+    let resolution = options.resolution || 'auto'
+
+    if (resolution === 'auto') {
+      resolution = RESOLUTIONS.find(r => now - since <= this.retention[r]) || '1h'
+    }
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw new Error(`resolution must be one of: auto, ${RESOLUTIONS.join(', ')}`)
+    }
+
+    // A rollup bucket is included when any part of it falls in the range
+    const width = ROLLUPS[resolution] || 0
+    const series = this.series.get(`${switchId}|${port}`)
+    return {
+      resolution,
+      points: series ? series[resolution].filter(point => point.time + width > since && point.time <= until) : []
+    }
+  }
+
+  // Ports with samples on a switch
+  getPorts(switchId) {
+    return Array.from(this.series.values())
+      .filter(series => series.switchId === switchId)
+      .map(series => series.port)
+  }
+}
+
+TimeSeriesStore.RESOLUTIONS = RESOLUTIONS
+
+module.exports = TimeSeriesStore
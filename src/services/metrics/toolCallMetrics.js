@@ -0,0 +1,88 @@
+/**
+ * Tool Call Metrics
+ * Counts MCP tool calls per tool name and outcome and keeps a latency histogram per
+ * tool for the /metrics endpoint
+ */
+
+// Upper bounds of the latency buckets, in seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+const OUTCOMES = ['success', 'error', 'unsupported', 'circuit_open']
+
+// The outcome label of a failed call; unsupported operations and open circuits are
+// answered with a result rather than an error, so they are told apart
+function callOutcome(error) {
+  if (error.name === 'UnsupportedOperationError') {
+    return 'unsupported'
+  }
+  if (error.name === 'CircuitOpenError') {
+    return 'circuit_open'
+  }
+  return 'error'
+}
+
+class ToolCallMetrics {
+  constructor(buckets = DURATION_BUCKETS) {
+    this.buckets = buckets
+    // Per tool: { outcomes: { outcome -> calls }, bucketCounts, sum, count }
+    this.tools = new Map()
+  }
+
+  record(tool, outcome, seconds) {
+    if (!this.tools.has(tool)) {
+      this.tools.set(tool, {
+        outcomes: Object.fromEntries(OUTCOMES.map(name => [name, 0])),
+        bucketCounts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      })
+    }
+
+    const entry = this.tools.get(tool)
+    entry.outcomes[outcome] = (entry.outcomes[outcome] || 0) + 1
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) {
+        entry.bucketCounts[i]++
+      }
+    })
+    entry.sum += seconds
+    entry.count++
+  }
+
+  // Runs a tool handler and records its outcome and latency; errors are rethrown
+  async time(tool, handler) {
+    const started = process.hrtime.bigint()
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9
+
+    try {
+      const result = await handler()
+      this.record(tool, 'success', elapsed())
+      return result
+    } catch (error) {
+      this.record(tool, callOutcome(error), elapsed())
+      throw error
+    }
+  }
+
+  // Every tool called so far with its call counts per outcome and its cumulative
+  // latency buckets
+  getTools() {
+    return Array.from(this.tools.entries()).map(([tool, entry]) => ({
+      tool,
+      outcomes: { ...entry.outcomes },
+      buckets: this.buckets.map((le, i) => ({ le, count: entry.bucketCounts[i] })),
+      sum: entry.sum,
+      count: entry.count
+    }))
+  }
+
+  reset() {
+    this.tools.clear()
+  }
+}
+
+// Create and export singleton instance
+const toolCallMetrics = new ToolCallMetrics()
+toolCallMetrics.OUTCOMES = OUTCOMES
+toolCallMetrics.callOutcome = callOutcome
+
+module.exports = toolCallMetrics
@@ -0,0 +1,139 @@
+/**
+ * Switch Operation Queue
+ * Serializes requests to a single switch so its web interface only ever sees
+ * a bounded number of concurrent sessions, with interactive work first
+ */
+
+const logger = require('../../utils/logger')
+
+// Lower number runs first; FIFO within a priority
+const PRIORITIES = {
+  interactive: 0,
+  normal: 1,
+  background: 2
+}
+
+class SwitchOperationQueue {
+  constructor(switchId, options = {}) {
+    this.switchId = switchId
+    this.concurrency = Math.max(1, options.concurrency || 1)
+    this.pending = Object.keys(PRIORITIES).map(() => [])
+    this.active = 0
+    this.stats = {
+      processed: 0,
+      failed: 0,
+      rejected: 0,
+      maxDepth: 0,
+      totalWaitMs: 0,
+      lastWaitMs: 0
+    }
+  }
+
+  // Run operation() once a slot is free; resolves or rejects with its result
+  enqueue(operation, options = {}) {
+    const priority = options.priority || 'interactive'
+    if (!(priority in PRIORITIES)) {
+      return Promise.reject(new Error(`Unknown queue priority: ${priority}`))
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending[PRIORITIES[priority]].push({
+        operation,
+        label: options.label || 'operation',
+        priority,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      })
+
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.getDepth())
+      this.drain()
+    })
+  }
+
+  drain() {
+    while (this.active < this.concurrency) {
+      const task = this.next()
+      if (!task) {
+        return
+      }
+      this.run(task)
+    }
+  }
+
+  next() {
+    for (const tasks of this.pending) {
+      if (tasks.length > 0) {
+        return tasks.shift()
+      }
+    }
+    return null
+  }
+
+  async run(task) {
+    const waitMs = Date.now() - task.enqueuedAt
+    this.active++
+    this.stats.totalWaitMs += waitMs
+    this.stats.lastWaitMs = waitMs
+
+    if (waitMs > 5000) {
+      logger.debug(`⏳ ${this.switchId} ${task.label} waited ${waitMs}ms in the ${task.priority} queue`)
+    }
+
+    try {
+      task.resolve(await task.operation())
+    } catch (error) {
+      this.stats.failed++
+      task.reject(error)
+    } finally {
+      this.active--
+      this.stats.processed++
+      this.drain()
+    }
+  }
+
+  getDepth() {
+    return this.pending.reduce((depth, tasks) => depth + tasks.length, 0)
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1)
+    this.drain()
+  }
+
+  // Reject everything still waiting; operations already running are left to finish
+  clear(reason = `Switch ${this.switchId} is no longer managed`) {
+    const tasks = this.pending.flat()
+    this.pending = Object.keys(PRIORITIES).map(() => [])
+
+    for (const task of tasks) {
+      this.stats.rejected++
+      task.reject(new Error(reason))
+    }
+    return tasks.length
+  }
+
+  getMetrics() {
+    const pendingByPriority = {}
+    Object.entries(PRIORITIES).forEach(([name, index]) => {
+      pendingByPriority[name] = this.pending[index].length
+    })
+
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      depth: this.getDepth(),
+      pendingByPriority,
+      maxDepth: this.stats.maxDepth,
+      processed: this.stats.processed,
+      failed: this.stats.failed,
+      rejected: this.stats.rejected,
+      averageWaitMs: this.stats.processed > 0 ? Math.round(this.stats.totalWaitMs / this.stats.processed) : 0,
+      lastWaitMs: this.stats.lastWaitMs
+    }
+  }
+}
+
+SwitchOperationQueue.PRIORITIES = Object.keys(PRIORITIES)
+
+module.exports = SwitchOperationQueue
@@ -0,0 +1,164 @@
+/**
+ * Circuit Breaker
+ * Stops sending requests to a switch that keeps failing, retrying with
+ * exponential backoff through a single half-open probe
+ */
+
+const logger = require('../../utils/logger')
+const { CircuitOpenError } = require('../../utils/errors')
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+}
+
+const CONNECTIVITY_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]
+
+// Errors that mean the switch could not be reached, as opposed to the switch
+// answering and rejecting a request
+function isConnectivityError(error) {
+  if (!error) {
+    return false
+  }
+  if (CONNECTIVITY_ERROR_CODES.includes(error.code)) {
+    return true
+  }
+  if (error.isAxiosError && !error.response) {
+    return true
+  }
+  return !!(error.response && error.response.status >= 500)
+}
+
+class CircuitBreaker {
+  constructor(switchId, options = {}) {
+    this.switchId = switchId
+    this.failureThreshold = options.failureThreshold || 3
+    this.resetTimeout = options.resetTimeout || 30000
+    this.maxResetTimeout = options.maxResetTimeout || 600000
+    this.isFailure = options.isFailure || isConnectivityError
+
+    this.state = STATES.CLOSED
+    this.failures = 0
+    this.openCount = 0
+    this.nextAttemptAt = null
+    this.probing = false
+    this.lastError = null
+    this.lastFailureAt = null
+    this.rejected = 0
+  }
+
+  // Runs operation() unless the circuit is open; options.tripOnAnyError counts
+  // every error as a failure (used for authentication attempts)
+  async execute(operation, options = {}) {
+    this.beforeAttempt()
+
+    try {
+      const result = await operation()
+      this.recordSuccess()
+      return result
+    } catch (error) {
+      if (options.tripOnAnyError || this.isFailure(error)) {
+        this.recordFailure(error)
+      } else {
+        // The switch answered, so it is reachable
+        this.recordSuccess()
+      }
+      throw error
+    }
+  }
+
+  canAttempt() {
+    if (this.state === STATES.OPEN) {
+      return Date.now() >= this.nextAttemptAt
+    }
+    return !(this.state === STATES.HALF_OPEN && this.probing)
+  }
+
+  beforeAttempt() {
+    if (this.state === STATES.OPEN && Date.now() >= this.nextAttemptAt) {
+      this.state = STATES.HALF_OPEN
+      logger.info(`🔌 Circuit half-open for ${this.switchId}, probing switch`)
+    }
+
+    if (this.state === STATES.OPEN || (this.state === STATES.HALF_OPEN && this.probing)) {
+      this.rejected++
+      throw new CircuitOpenError(this.switchId, this.getState())
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.probing = true
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`🔌 Circuit closed for ${this.switchId}, switch is reachable again`)
+    }
+
+    this.state = STATES.CLOSED
+    this.failures = 0
+    this.openCount = 0
+    this.nextAttemptAt = null
+    this.probing = false
+  }
+
+  recordFailure(error) {
+    this.lastError = error ? error.message : null
+    this.lastFailureAt = new Date()
+    this.probing = false
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.open()
+      return
+    }
+
+    this.failures++
+    if (this.state === STATES.CLOSED && this.failures >= this.failureThreshold) {
+      this.open()
+    }
+  }
+
+  open() {
+    this.openCount++
+    const delay = Math.min(this.resetTimeout * Math.pow(2, this.openCount - 1), this.maxResetTimeout)
+
+    this.state = STATES.OPEN
+    this.nextAttemptAt = Date.now() + delay
+    logger.warn(`🔌 Circuit open for ${this.switchId} after ${this.failures} failures, retrying in ${delay}ms`, {
+      lastError: this.lastError
+    })
+  }
+
+  reset() {
+    this.recordSuccess()
+    this.lastError = null
+    this.lastFailureAt = null
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openCount: this.openCount,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      rejected: this.rejected
+    }
+  }
+}
+
+CircuitBreaker.STATES = STATES
+CircuitBreaker.isConnectivityError = isConnectivityError
+
+module.exports = CircuitBreaker
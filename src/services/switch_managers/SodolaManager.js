@@ -8,10 +8,94 @@ const cheerio = require('cheerio')
 const FormData = require('form-data')
 const tough = require('tough-cookie')
 const logger = require('../../utils/logger')
+const driverRegistry = require('./driverRegistry')
+const { createPort, normalizeCounters, normalizeState, parseSpeed } = require('../../models/Port')
+const { createVlan } = require('../../models/Vlan')
+const { createStpStatus } = require('../../models/Stp')
+const { portFromVendorIndex, resolveInterface } = require('../../models/InterfaceName')
+
+// Expands the web UI's port lists ('1-4,7') into port numbers; '-' means none
+function parsePortList(text) {
+  const ports = []
+  for (const part of String(text || '').split(',')) {
+    const range = part.trim().match(/^(\d+)(?:-(\d+))?$/)
+    if (!range) {
+      continue
+    }
+    const start = parseInt(range[1], 10)
+    const end = range[2] ? parseInt(range[2], 10) : start
+    for (let port = start; port <= end; port++) {
+      ports.push(port)
+    }
+  }
+  return ports
+}
+
+function portNumber(name) {
+  const match = String(name || '').match(/(\d+)\s*$/)
+  return match ? parseInt(match[1], 10) : null
+}
+
+// A row of the storm control table; 'Off' comes back as null
+function parseStormRow(row) {
+  const rate = (text) => parseInt(text, 10) || null
+  return {
+    broadcastPps: rate(row['broadcast (pps)']),
+    multicastPps: rate(row['multicast (pps)']),
+    unknownUnicastPps: rate(row['unknown unicast (pps)'])
+  }
+}
+
+// A row of the port security table in the shape getPortSecurity returns
+function parsePortSecurityRow(row) {
+  return {
+    enabled: row.state === 'Enable',
+    maxMacs: parseInt(row['max mac'], 10),
+    action: String(row['violation action']).toLowerCase(),
+    learned: parseInt(row['learned mac'], 10) || 0,
+    violations: parseInt(row.violations, 10) || 0,
+    shutdown: row.status === 'Shutdown'
+  }
+}
+
+// A row of the QoS table; 'Unlimited' rates come back as 0
+function parseQoSRow(row) {
+  const rate = (text) => parseInt(text, 10) || 0
+  return {
+    ingressRateKbps: rate(row['ingress rate (kbps)']),
+    egressRateKbps: rate(row['egress rate (kbps)']),
+    priority: parseInt(row.priority, 10),
+    scheduling: String(row.scheduling).toLowerCase().startsWith('strict') ? 'strict' : 'wrr'
+  }
+}
+
+// A row of the port statistics table; the web UI has no discard counters
+function parseStatisticsRow(row) {
+  return {
+    rxBytes: row.rxbytes,
+    txBytes: row.txbytes,
+    rxPackets: row.rxgoodpkt,
+    txPackets: row.txgoodpkt,
+    rxErrors: row.rxbadpkt,
+    txErrors: row.txbadpkt
+  }
+}
+
+// '3 days, 4 hours, 5 mins, 6 secs' to seconds
+function parseUptime(text) {
+  const units = { day: 86400, hour: 3600, min: 60, sec: 1 }
+  let seconds = null
+  for (const [, amount, unit] of String(text || '').matchAll(/(\d+)\s*(day|hour|min|sec)/gi)) {
+    seconds = (seconds || 0) + parseInt(amount, 10) * units[unit.toLowerCase()]
+  }
+  return seconds
+}
 
 class SodolaManager {
-  constructor(switchConfig) {
+  constructor(switchConfig, options = {}) {
     this.config = switchConfig
+    this.interfaces = driverRegistry.getInterfaceLayout('sodola', switchConfig.model)
+    this.credentialProvider = options.credentialProvider || null
     this.authenticated = false
     this.lastAuthTime = null
     this.authTimeout = 30 * 60 * 1000 // 30 minutes
@@ -20,8 +104,9 @@ class SodolaManager {
     this.cookieJar = new tough.CookieJar()
     
     // Configure axios instance
+    const httpPort = this.config.httpPort && this.config.httpPort !== 80 ? `:${this.config.httpPort}` : ''
     this.client = axios.create({
-      baseURL: `http://${this.config.ip}`,
+      baseURL: `http://${this.config.ip}${httpPort}`,
       timeout: this.config.timeout || 15000,
       headers: {
         'User-Agent': 'MCP-Switch-Manager/1.0',
@@ -81,15 +166,39 @@ class SodolaManager {
     )
   }
 
+  // Detect a Sodola switch by the model name shown on its login page
+  static async probe(ip, options = {}) {
+    const httpPort = options.httpPort && options.httpPort !== 80 ? `:${options.httpPort}` : ''
+    const response = await axios.get(`http://${ip}${httpPort}/login.html`, {
+      timeout: options.timeout || 5000
+    })
+
+    const $ = cheerio.load(response.data)
+    if ($('input[type="password"]').length === 0) {
+      return null
+    }
+
+    const pageText = $('body').text()
+    const model = (options.models || []).find(m => pageText.includes(m))
+    return model ? { model } : null
+  }
+
+  // Credentials come from the credential provider (vault) when set, else the switch config
+  async resolveCredentials() {
+    if (this.credentialProvider) {
+      return await this.credentialProvider(this.config)
+    }
+    return { username: this.config.username, password: this.config.password }
+  }
+
   async authenticate() {
     try {
       logger.info(`🔐 Authenticating to Sodola switch: ${this.config.name} (${this.config.ip})`)
       
+      const { username, password } = await this.resolveCredentials()
+      
       // Try basic authentication first
-      this.client.defaults.auth = {
-        username: this.config.username,
-        password: this.config.password
-      }
+      this.client.defaults.auth = { username, password }
       
       // Test authentication with main page
       const response = await this.client.get('/')
@@ -111,7 +220,7 @@ class SodolaManager {
       }
       
       // If basic auth failed, try form-based login
-      await this.formBasedLogin()
+      await this.formBasedLogin({ username, password })
       
       return this.authenticated
       
@@ -122,7 +231,7 @@ class SodolaManager {
     }
   }
 
-  async formBasedLogin() {
+  async formBasedLogin({ username, password }) {
     try {
       // Get login page
       const loginResponse = await this.client.get('/login.html')
@@ -136,8 +245,8 @@ class SodolaManager {
       
       // Extract form data
       const formData = new FormData()
-      formData.append('username', this.config.username)
-      formData.append('password', this.config.password)
+      formData.append('username', username)
+      formData.append('password', password)
       
       // Add any hidden fields
       form.find('input[type="hidden"]').each((i, element) => {
@@ -152,7 +261,7 @@ class SodolaManager {
       const loginSubmitResponse = await this.client.post('/login', formData, {
         headers: {
           ...formData.getHeaders(),
-          'Referer': `http://${this.config.ip}/login.html`
+          'Referer': `${this.client.defaults.baseURL}/login.html`
         }
       })
       
@@ -223,13 +332,20 @@ class SodolaManager {
       const response = await this.client.post(path, formData, {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
-          'Referer': `http://${this.config.ip}${path}`,
+          'Referer': `${this.client.defaults.baseURL}${path}`,
           ...options.headers
         },
         ...options
       })
       
       if (response.status === 200) {
+        // The web UI re-renders the form with an inline error when a change is rejected
+        const errorText = typeof response.data === 'string'
+          ? cheerio.load(response.data)('.error').first().text().trim()
+          : ''
+        if (errorText) {
+          throw new Error(errorText)
+        }
         return response.data
       } else {
         throw new Error(`Form submission failed: ${response.status}`)
@@ -354,6 +470,137 @@ class SodolaManager {
     return ports
   }
 
+  // Normalized ports (see src/models/Port.js); options.includeRaw keeps the scraped table rows per port
+  async getPorts(options = {}) {
+    try {
+      const tables = {}
+      for (const page of ['/port.html', '/port_statistics.html', '/vlan_membership.html', '/qos.html']) {
+        try {
+          tables[page] = this.extractTables(cheerio.load(await this.getPage(page)))
+        } catch (error) {
+          logger.debug(`Failed to get ${page} for ${this.config.name}:`, error.message)
+          tables[page] = []
+        }
+      }
+      
+      const findTable = (page, ...columns) => {
+        const match = tables[page].find(t => columns.every(c => t.headers.includes(c)))
+        return match ? match.rows : []
+      }
+      const byPortNumber = (rows) => new Map(rows.map(row => [portNumber(row.port), row]))
+      
+      const statusRows = findTable('/port.html', 'port', 'link status')
+      if (statusRows.length === 0) {
+        throw new Error('Port status table not available')
+      }
+      
+      const statistics = byPortNumber(findTable('/port_statistics.html', 'port', 'rxbytes'))
+      const pvids = byPortNumber(findTable('/vlan_membership.html', 'port', 'pvid'))
+      const qosRows = byPortNumber(findTable('/qos.html', 'port', 'scheduling'))
+      const vlans = findTable('/vlan_membership.html', 'vlan id', 'tagged ports', 'untagged ports').map(row => ({
+        vlanId: parseInt(row['vlan id'], 10),
+        tagged: parsePortList(row['tagged ports']),
+        untagged: parsePortList(row['untagged ports'])
+      }))
+      
+      return statusRows.map(row => {
+        const index = portNumber(row.port)
+        const stats = statistics.get(index)
+        const pvidRow = pvids.get(index)
+        const qosRow = qosRows.get(index)
+        const [speed, duplex] = String(row['speed/duplex'] || '').split('/')
+        
+        return createPort({
+          name: row.port,
+          index,
+          adminState: row.state,
+          operState: row['link status'],
+          speedMbps: speed,
+          duplex,
+          flowControl: row['flow control'] ? row['flow control'].toLowerCase() === 'on' : undefined,
+          media: row.media,
+          pvid: pvidRow ? pvidRow.pvid : null,
+          taggedVlans: vlans.filter(v => v.tagged.includes(index)).map(v => v.vlanId),
+          untaggedVlans: vlans.filter(v => v.untagged.includes(index)).map(v => v.vlanId),
+          counters: stats && parseStatisticsRow(stats),
+          qos: qosRow && parseQoSRow(qosRow),
+          raw: options.includeRaw ? { port: row, statistics: stats, pvid: pvidRow, qos: qosRow } : undefined
+        })
+      })
+    } catch (error) {
+      logger.error(`Failed to get ports for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Returns { uptimeSeconds, ports: [{ port, operState, speedMbps, counters }] } with the
+  // raw counters as the switch reports them
+  async getPortCounters() {
+    try {
+      const statistics = this.extractTables(cheerio.load(await this.getPage('/port_statistics.html')))
+        .find(t => ['port', 'rxbytes', 'txbytes'].every(c => t.headers.includes(c)))
+      if (!statistics) {
+        throw new Error('Port statistics table not available')
+      }
+      
+      const status = this.extractTables(cheerio.load(await this.getPage('/port.html')))
+        .find(t => ['port', 'link status'].every(c => t.headers.includes(c)))
+      const links = new Map(((status && status.rows) || []).map(row => [portNumber(row.port), row]))
+      const system = this.extractSystemInfoFromHTML(cheerio.load(await this.getPage('/system.html')))
+      
+      return {
+        uptimeSeconds: parseUptime(system['system uptime']),
+        ports: statistics.rows.map(row => {
+          const index = portNumber(row.port)
+          const link = links.get(index)
+          return {
+            port: portFromVendorIndex(this.interfaces, index).name,
+            operState: link ? normalizeState(link['link status']) : 'unknown',
+            speedMbps: link ? parseSpeed(String(link['speed/duplex'] || '').split('/')[0]) : null,
+            counters: normalizeCounters(parseStatisticsRow(row))
+          }
+        })
+      }
+    } catch (error) {
+      logger.error(`Failed to get port counters for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Every table on a page as { headers, rows }, with rows keyed by lower-case header
+  extractTables($) {
+    const tables = []
+    
+    $('table').each((i, table) => {
+      const headers = []
+      $(table).find('tr').first().find('th, td').each((j, header) => {
+        headers.push($(header).text().trim().toLowerCase())
+      })
+      
+      const rows = []
+      $(table).find('tr').slice(1).each((k, row) => {
+        const entry = {}
+        $(row).find('td').each((l, cell) => {
+          if (headers[l]) {
+            entry[headers[l]] = $(cell).text().trim()
+          }
+        })
+        if (Object.keys(entry).length > 0) {
+          rows.push(entry)
+        }
+      })
+      
+      tables.push({ headers, rows })
+    })
+    
+    return tables
+  }
+
+  // Canonical or vendor-style port name ('TE3', 'Port 3', '3') to the index the web forms expects
+  toVendorPort(portRef) {
+    return resolveInterface(portRef, this.interfaces).vendorIndex
+  }
+
   async configurePort(portId, config) {
     try {
       // Get port configuration page
@@ -368,7 +615,7 @@ class SodolaManager {
 
       // Prepare form data
       const formData = new URLSearchParams()
-      formData.append('port', portId)
+      formData.append('port', this.toVendorPort(portId))
 
       // Add configuration parameters
       Object.entries(config).forEach(([key, value]) => {
@@ -443,6 +690,55 @@ class SodolaManager {
     return vlans
   }
 
+  // Normalized VLAN table (see src/models/Vlan.js)
+  async getVLANs() {
+    try {
+      const tables = {}
+      for (const page of ['/vlan_config.html', '/vlan_membership.html']) {
+        tables[page] = this.extractTables(cheerio.load(await this.getPage(page)))
+      }
+      
+      const findTable = (page, ...columns) => {
+        const match = tables[page].find(t => columns.every(c => t.headers.includes(c)))
+        return match ? match.rows : []
+      }
+      
+      const definitions = new Map(findTable('/vlan_config.html', 'vlan id', 'vlan name').map(row => [parseInt(row['vlan id'], 10), row]))
+      const pvidRows = findTable('/vlan_membership.html', 'port', 'pvid')
+      const portNames = new Map(pvidRows.map(row => [portNumber(row.port), row.port]))
+      const pvids = new Map(pvidRows.map(row => [portNumber(row.port), parseInt(row.pvid, 10)]))
+      
+      const memberRows = findTable('/vlan_membership.html', 'vlan id', 'tagged ports', 'untagged ports')
+      if (memberRows.length === 0) {
+        throw new Error('VLAN table not available')
+      }
+      
+      return memberRows.map(row => {
+        const vlanId = parseInt(row['vlan id'], 10)
+        const definition = definitions.get(vlanId) || {}
+        const member = (index, tagged) => ({
+          port: portNames.get(index) || `Port ${index}`,
+          index,
+          tagged,
+          pvid: pvids.get(index) === vlanId
+        })
+        
+        return createVlan({
+          id: vlanId,
+          name: definition['vlan name'] || row['vlan name'],
+          description: definition.description,
+          ports: [
+            ...parsePortList(row['tagged ports']).map(index => member(index, true)),
+            ...parsePortList(row['untagged ports']).map(index => member(index, false))
+          ]
+        })
+      }).sort((a, b) => a.id - b.id)
+    } catch (error) {
+      logger.error(`Failed to get VLANs for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   async createVLAN(vlanId, vlanName, description = '') {
     try {
       // Get VLAN configuration page
@@ -475,7 +771,7 @@ class SodolaManager {
 
       // Prepare form data
       const formData = new URLSearchParams()
-      formData.append('port', portId)
+      formData.append('port', this.toVendorPort(portId))
       formData.append('vlan_id', vlanConfig.vlanId.toString())
       formData.append('tagged', vlanConfig.tagged ? '1' : '0')
 
@@ -494,6 +790,490 @@ class SodolaManager {
     }
   }
 
+  async deleteVLAN(vlanId) {
+    try {
+      const formData = new URLSearchParams({
+        vlan_id: vlanId.toString(),
+        action: 'delete'
+      })
+
+      const result = await this.submitForm('/vlan_config.html', formData)
+
+      logger.vlanOperation('delete', vlanId, [this.config.name], {})
+      return result
+    } catch (error) {
+      logger.error(`Failed to delete VLAN ${vlanId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async removePortFromVLAN(portId, vlanId) {
+    try {
+      const formData = new URLSearchParams({
+        port: this.toVendorPort(portId),
+        vlan_id: vlanId.toString(),
+        action: 'remove'
+      })
+
+      const result = await this.submitForm('/vlan_membership.html', formData)
+
+      logger.vlanOperation('port_remove', vlanId, [this.config.name], { portId })
+      return result
+    } catch (error) {
+      logger.error(`Failed to remove port ${portId} from VLAN ${vlanId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Spanning Tree
+  async getSTPStatus() {
+    try {
+      const $ = cheerio.load(await this.getPage('/stp.html'))
+      
+      // Bridge settings are a two-column name/value table
+      const bridge = {}
+      $('table tr').each((i, row) => {
+        const cells = $(row).find('td')
+        if (cells.length === 2) {
+          bridge[$(cells[0]).text().trim().toLowerCase()] = $(cells[1]).text().trim()
+        }
+      })
+      if (!bridge['bridge id']) {
+        throw new Error('Spanning tree status not available')
+      }
+      
+      const portTable = this.extractTables($).find(t => ['port', 'role', 'state'].every(c => t.headers.includes(c)))
+      const canonical = (name) => portFromVendorIndex(this.interfaces, portNumber(name))
+      
+      return createStpStatus({
+        enabled: bridge['stp status'] === 'Enable',
+        mode: bridge['protocol version'],
+        bridgeId: bridge['bridge id'],
+        rootBridgeId: bridge['root bridge id'],
+        rootPort: bridge['root port'] && bridge['root port'] !== '-' ? canonical(bridge['root port']).name : null,
+        rootPathCost: bridge['root path cost'],
+        ports: (portTable ? portTable.rows : []).map(row => ({
+          port: canonical(row.port).name,
+          index: canonical(row.port).index,
+          role: row.role,
+          state: row.state,
+          pathCost: row['path cost'],
+          edge: row['edge port'] === 'Enable',
+          bpduGuard: row['bpdu guard'] === 'Enable'
+        }))
+      })
+    } catch (error) {
+      logger.error(`Failed to get STP status for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { mode: 'stp' | 'rstp', priority, enabled }; the form posts every
+  // field, so the ones not being changed are sent with their current values
+  async configureSTP(settings) {
+    try {
+      const current = await this.getSTPStatus()
+      const enabled = settings.enabled !== undefined ? settings.enabled : current.enabled
+
+      const formData = new URLSearchParams()
+      formData.append('action', 'global')
+      formData.append('stp_enable', enabled ? '1' : '0')
+      formData.append('version', settings.mode || current.mode)
+      formData.append('priority', String(settings.priority !== undefined ? settings.priority : current.priority))
+
+      const result = await this.submitForm('/stp.html', formData)
+
+      logger.switchOperation('stp_configure', this.config.name, { settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure STP on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { edge, bpduGuard }
+  async configureSTPPort(portId, settings) {
+    try {
+      const vendorPort = this.toVendorPort(portId)
+      const current = (await this.getSTPStatus()).ports.find(port => port.index === vendorPort) || {}
+      const flag = (value, currentValue) => (value !== undefined ? value : currentValue) ? '1' : '0'
+
+      const formData = new URLSearchParams()
+      formData.append('action', 'port')
+      formData.append('port', vendorPort.toString())
+      formData.append('edge', flag(settings.edge, current.edge))
+      formData.append('bpdu_guard', flag(settings.bpduGuard, current.bpduGuard))
+
+      const result = await this.submitForm('/stp.html', formData)
+
+      logger.switchOperation('stp_port_configure', this.config.name, { portId, settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure STP on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // QoS
+  // settings: { ingressRateKbps, egressRateKbps, priority, scheduling }; a rate of 0
+  // removes the limit. The form posts every field, so the ones not being changed are
+  // sent with their current values.
+  async configurePortQoS(portId, settings) {
+    try {
+      const vendorPort = this.toVendorPort(portId)
+      const tables = this.extractTables(cheerio.load(await this.getPage('/qos.html')))
+      const qosTable = tables.find(t => ['port', 'scheduling'].every(c => t.headers.includes(c)))
+      const row = qosTable && qosTable.rows.find(r => portNumber(r.port) === vendorPort)
+      if (!row) {
+        throw new Error('QoS table not available')
+      }
+      
+      const current = parseQoSRow(row)
+      const pick = (key) => settings[key] !== undefined ? settings[key] : current[key]
+      
+      const formData = new URLSearchParams()
+      formData.append('port', vendorPort.toString())
+      formData.append('ingress_rate', String(pick('ingressRateKbps') || 0))
+      formData.append('egress_rate', String(pick('egressRateKbps') || 0))
+      formData.append('priority', String(pick('priority') || 0))
+      formData.append('scheduling', pick('scheduling') === 'wrr' ? 'wrr' : 'sp')
+      
+      const result = await this.submitForm('/qos.html', formData)
+      
+      logger.switchOperation('port_qos_configure', this.config.name, { portId, settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure QoS on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Storm Control
+  async getStormControlTable() {
+    const tables = this.extractTables(cheerio.load(await this.getPage('/storm_control.html')))
+    const stormTable = tables.find(t => ['port', 'broadcast (pps)'].every(c => t.headers.includes(c)))
+    if (!stormTable) {
+      throw new Error('Storm control table not available')
+    }
+    return stormTable.rows
+  }
+
+  // Returns [{ port, broadcastPps, multicastPps, unknownUnicastPps }]; null means off
+  async getStormControl() {
+    try {
+      const rows = await this.getStormControlTable()
+      return rows.map(row => ({
+        port: portFromVendorIndex(this.interfaces, portNumber(row.port)).name,
+        ...parseStormRow(row)
+      }))
+    } catch (error) {
+      logger.error(`Failed to get storm control for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { broadcastPps, multicastPps, unknownUnicastPps }; 0 turns a threshold off.
+  // The form posts every field, so the ones not given keep their current values.
+  async configureStormControl(portId, settings) {
+    try {
+      const vendorPort = this.toVendorPort(portId)
+      const row = (await this.getStormControlTable()).find(r => portNumber(r.port) === vendorPort)
+      if (!row) {
+        throw new Error(`Port ${portId} is missing from the storm control table`)
+      }
+      
+      const current = parseStormRow(row)
+      const pick = (key) => String((settings[key] !== undefined ? settings[key] : current[key]) || 0)
+      
+      const formData = new URLSearchParams()
+      formData.append('port', vendorPort.toString())
+      formData.append('broadcast', pick('broadcastPps'))
+      formData.append('multicast', pick('multicastPps'))
+      formData.append('unknown_unicast', pick('unknownUnicastPps'))
+      
+      const result = await this.submitForm('/storm_control.html', formData)
+      
+      logger.switchOperation('storm_control_configure', this.config.name, { portId, settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure storm control on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Loop Detection
+  // Returns { enabled, intervalSeconds, action, ports: [{ port, enabled, loops, lastLoopAt, shutdown }] };
+  // loops counts the loops seen since boot and shutdown is set while one keeps the port disabled
+  async getLoopDetection() {
+    try {
+      const $ = cheerio.load(await this.getPage('/loop_detection.html'))
+      
+      // Global settings are a two-column name/value table
+      const status = {}
+      $('table tr').each((i, row) => {
+        const cells = $(row).find('td')
+        if (cells.length === 2) {
+          status[$(cells[0]).text().trim().toLowerCase()] = $(cells[1]).text().trim()
+        }
+      })
+      const portTable = this.extractTables($).find(t => ['port', 'loop count'].every(c => t.headers.includes(c)))
+      if (!status['loop detection'] || !portTable) {
+        throw new Error('Loop detection status not available')
+      }
+      
+      return {
+        enabled: status['loop detection'] === 'Enable',
+        intervalSeconds: parseInt(status['detection interval'], 10),
+        action: String(status.action).toLowerCase(),
+        ports: portTable.rows.map(row => ({
+          port: portFromVendorIndex(this.interfaces, portNumber(row.port)).name,
+          enabled: row.state === 'Enable',
+          loops: parseInt(row['loop count'], 10) || 0,
+          lastLoopAt: row['last loop'] && row['last loop'] !== '-' ? row['last loop'] : null,
+          shutdown: row.status === 'Shutdown'
+        }))
+      }
+    } catch (error) {
+      logger.error(`Failed to get loop detection for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled, intervalSeconds, action }; the form posts every field, so the
+  // ones not being changed are sent with their current values
+  async configureLoopDetection(settings) {
+    try {
+      const current = await this.getLoopDetection()
+      const enabled = settings.enabled !== undefined ? settings.enabled : current.enabled
+      
+      const formData = new URLSearchParams()
+      formData.append('action', 'global')
+      formData.append('loop_detect', enabled ? '1' : '0')
+      formData.append('interval', String(settings.intervalSeconds !== undefined ? settings.intervalSeconds : current.intervalSeconds))
+      formData.append('loop_action', settings.action || current.action)
+      
+      const result = await this.submitForm('/loop_detection.html', formData)
+      
+      logger.switchOperation('loop_detection_configure', this.config.name, { settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure loop detection on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled }
+  async configureLoopDetectionPort(portId, settings) {
+    try {
+      const formData = new URLSearchParams()
+      formData.append('action', 'port')
+      formData.append('port', this.toVendorPort(portId).toString())
+      formData.append('state', settings.enabled ? '1' : '0')
+      
+      const result = await this.submitForm('/loop_detection.html', formData)
+      
+      logger.switchOperation('loop_detection_port_configure', this.config.name, { portId, settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure loop detection on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Port Security
+  async getPortSecurityTable() {
+    const tables = this.extractTables(cheerio.load(await this.getPage('/port_security.html')))
+    const securityTable = tables.find(t => ['port', 'max mac', 'violation action'].every(c => t.headers.includes(c)))
+    if (!securityTable) {
+      throw new Error('Port security table not available')
+    }
+    return securityTable.rows
+  }
+
+  // Returns [{ port, enabled, maxMacs, action, learned, violations, shutdown }]; shutdown
+  // is set while a violation keeps the port disabled
+  async getPortSecurity() {
+    try {
+      const rows = await this.getPortSecurityTable()
+      return rows.map(row => ({
+        port: portFromVendorIndex(this.interfaces, portNumber(row.port)).name,
+        ...parsePortSecurityRow(row)
+      }))
+    } catch (error) {
+      logger.error(`Failed to get port security for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // The form posts every field, so the ones not given keep their current values
+  async configurePortSecurity(portId, settings) {
+    try {
+      const vendorPort = this.toVendorPort(portId)
+      const row = (await this.getPortSecurityTable()).find(r => portNumber(r.port) === vendorPort)
+      if (!row) {
+        throw new Error(`Port ${portId} is missing from the port security table`)
+      }
+      
+      const current = parsePortSecurityRow(row)
+      const pick = (key) => settings[key] !== undefined ? settings[key] : current[key]
+      
+      const formData = new URLSearchParams()
+      formData.append('port', vendorPort.toString())
+      formData.append('state', pick('enabled') ? '1' : '0')
+      formData.append('max_mac', String(pick('maxMacs')))
+      formData.append('action', pick('action'))
+      
+      const result = await this.submitForm('/port_security.html', formData)
+      
+      logger.switchOperation('port_security_configure', this.config.name, { portId, settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure port security on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // IGMP Snooping
+  // Returns [{ vlanId, enabled, querier, fastLeave }] for every VLAN
+  async getIGMPSnooping() {
+    try {
+      const tables = this.extractTables(cheerio.load(await this.getPage('/igmp.html')))
+      const igmpTable = tables.find(t => ['vlan id', 'igmp snooping'].every(c => t.headers.includes(c)))
+      if (!igmpTable) {
+        throw new Error('IGMP snooping table not available')
+      }
+      
+      return igmpTable.rows.map(row => ({
+        vlanId: parseInt(row['vlan id'], 10),
+        enabled: row['igmp snooping'] === 'Enable',
+        querier: row.querier === 'Enable',
+        fastLeave: row['fast leave'] === 'Enable'
+      }))
+    } catch (error) {
+      logger.error(`Failed to get IGMP snooping settings for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled, querier, fastLeave }; the form posts every field, so the
+  // ones not being changed are sent with their current values
+  async configureIGMPSnooping(vlanId, settings) {
+    try {
+      const current = (await this.getIGMPSnooping()).find(vlan => vlan.vlanId === vlanId) || {}
+      const flag = (value, currentValue) => (value !== undefined ? value : currentValue) ? '1' : '0'
+
+      const formData = new URLSearchParams()
+      formData.append('vlan_id', vlanId.toString())
+      formData.append('snooping', flag(settings.enabled, current.enabled))
+      formData.append('querier', flag(settings.querier, current.querier))
+      formData.append('fast_leave', flag(settings.fastLeave, current.fastLeave))
+
+      const result = await this.submitForm('/igmp.html', formData)
+
+      logger.switchOperation('igmp_snooping_configure', this.config.name, { vlanId, settings })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure IGMP snooping on VLAN ${vlanId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // LLDP
+  // Returns [{ localPort, chassisId, remotePort, remotePortDescription, systemName, managementAddress }]
+  // with canonical local port names; the remote fields are as the neighbor advertised them
+  async getLLDPNeighbors() {
+    try {
+      const tables = this.extractTables(cheerio.load(await this.getPage('/lldp.html')))
+      const lldpTable = tables.find(t => ['local port', 'chassis id', 'port id'].every(c => t.headers.includes(c)))
+      if (!lldpTable) {
+        throw new Error('LLDP neighbor table not available')
+      }
+      
+      const optional = (value) => value && value !== '-' ? value : null
+      return lldpTable.rows.map(row => ({
+        localPort: portFromVendorIndex(this.interfaces, portNumber(row['local port'])).name,
+        chassisId: row['chassis id'],
+        remotePort: row['port id'],
+        remotePortDescription: optional(row['port description']),
+        systemName: optional(row['system name']),
+        managementAddress: optional(row['management address'])
+      }))
+    } catch (error) {
+      logger.error(`Failed to get LLDP neighbors for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Port Mirroring
+  // The web UI has a single mirror session, reported as session 1
+  async getPortMirrors() {
+    try {
+      const tables = this.extractTables(cheerio.load(await this.getPage('/mirror.html')))
+      const findTable = (...columns) => {
+        const match = tables.find(t => columns.every(c => t.headers.includes(c)))
+        if (!match) {
+          throw new Error('Port mirror table not available')
+        }
+        return match.rows
+      }
+      
+      const state = findTable('mirror state', 'monitor port')[0] || {}
+      if (state['mirror state'] !== 'Enable') {
+        return []
+      }
+      
+      const canonical = (name) => portFromVendorIndex(this.interfaces, portNumber(name)).name
+      return [{
+        session: 1,
+        destination: canonical(state['monitor port']),
+        sources: findTable('mirrored port', 'direction')
+          .filter(row => row.direction !== 'Disable')
+          .map(row => ({ port: canonical(row['mirrored port']), direction: row.direction.toLowerCase() }))
+      }]
+    } catch (error) {
+      logger.error(`Failed to get port mirrors for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // mirror: { destination, sources: [{ port, direction: 'rx' | 'tx' | 'both' }] }
+  async configurePortMirror(sessionId, mirror) {
+    try {
+      const directions = new Map(mirror.sources.map(source => [this.toVendorPort(source.port), source.direction]))
+
+      // The form posts a direction for every port; unlisted ports are taken out of the mirror
+      const formData = new URLSearchParams()
+      formData.append('mirror_enable', '1')
+      formData.append('dest_port', this.toVendorPort(mirror.destination).toString())
+      for (let port = 1; port <= this.interfaces.ports; port++) {
+        formData.append(`src_dir_${port}`, directions.get(port) || 'disable')
+      }
+
+      const result = await this.submitForm('/mirror.html', formData)
+
+      logger.switchOperation('mirror_configure', this.config.name, { sessionId, mirror })
+      return result
+    } catch (error) {
+      logger.error(`Failed to configure port mirror on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async removePortMirror(sessionId) {
+    try {
+      const formData = new URLSearchParams()
+      formData.append('mirror_enable', '0')
+
+      const result = await this.submitForm('/mirror.html', formData)
+
+      logger.switchOperation('mirror_remove', this.config.name, { sessionId })
+      return result
+    } catch (error) {
+      logger.error(`Failed to remove port mirror on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   // Configuration Backup/Restore
   async backupConfiguration() {
     try {
@@ -586,6 +1366,59 @@ class SodolaManager {
     }
   }
 
+  // Startup Configuration
+  async getConfigurationStatus() {
+    try {
+      const html = await this.getPage('/save.html')
+      const $ = cheerio.load(html)
+
+      const row = $('table tr').filter((i, el) => $(el).find('td').first().text().trim().toLowerCase() === 'configuration status')
+      if (row.length === 0) {
+        throw new Error('Configuration status not found on /save.html')
+      }
+
+      return { unsavedChanges: /unsaved/i.test(row.first().find('td').eq(1).text()) }
+    } catch (error) {
+      logger.error(`Failed to get configuration status for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Writes the running configuration to flash so it survives a reboot
+  async saveConfiguration() {
+    try {
+      const formData = new URLSearchParams()
+      formData.append('action', 'save')
+
+      const result = await this.submitForm('/save.html', formData)
+
+      logger.configurationChange('save', this.config.name, {})
+      return result
+    } catch (error) {
+      logger.error(`Failed to save configuration on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async reboot() {
+    try {
+      const formData = new URLSearchParams()
+      formData.append('action', 'reboot')
+
+      const result = await this.submitForm('/reboot.html', formData)
+
+      // The reboot ends the session; log in again once the switch is back
+      this.authenticated = false
+      this.lastAuthTime = null
+
+      logger.switchOperation('reboot', this.config.name, {})
+      return result
+    } catch (error) {
+      logger.error(`Failed to reboot ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   // Health Check
   async healthCheck() {
     try {
@@ -622,4 +1455,13 @@ class SodolaManager {
   }
 }
 
+driverRegistry.register('sodola', SodolaManager, {
+  vendor: 'Sodola',
+  models: ['SL-SWTGW218AS'],
+  capabilities: ['vlan', 'port_mirror', 'stp', 'igmp', 'lldp', 'qos', 'port_security', 'storm_control', 'loop_detection', 'backup', 'restore', 'startup_config', 'reboot'],
+  interfaces: {
+    'SL-SWTGW218AS': { portPrefix: 'Port ', ports: 18, lags: 0, mirrorSessions: 1, indexBase: 1 }
+  }
+})
+
 module.exports = SodolaManager
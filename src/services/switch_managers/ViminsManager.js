@@ -5,18 +5,41 @@
 
 const axios = require('axios')
 const logger = require('../../utils/logger')
+const driverRegistry = require('./driverRegistry')
+const { createPort, normalizeCounters, normalizeState, parseSpeed } = require('../../models/Port')
+const { createVlan } = require('../../models/Vlan')
+const { createStpStatus } = require('../../models/Stp')
+const { resolveInterface, portFromVendorIndex } = require('../../models/InterfaceName')
+const { normalizeMacAddress } = require('../../models/MacAddress')
+
+// port_cnt record to the counter names of the port model
+function mapCounters(cnt) {
+  return {
+    rxBytes: cnt.rxOctets,
+    txBytes: cnt.txOctets,
+    rxPackets: cnt.rxUcast,
+    txPackets: cnt.txUcast,
+    rxErrors: cnt.rxErr,
+    txErrors: cnt.txErr,
+    rxDrops: cnt.rxDrop,
+    txDrops: cnt.txDrop
+  }
+}
 
 class ViminsManager {
-  constructor(switchConfig) {
+  constructor(switchConfig, options = {}) {
     this.config = switchConfig
+    this.interfaces = driverRegistry.getInterfaceLayout('vimins', switchConfig.model)
+    this.credentialProvider = options.credentialProvider || null
     this.session = null
     this.authenticated = false
     this.lastAuthTime = null
     this.authTimeout = 30 * 60 * 1000 // 30 minutes
     
     // Configure axios instance
+    const httpPort = this.config.httpPort && this.config.httpPort !== 80 ? `:${this.config.httpPort}` : ''
     this.client = axios.create({
-      baseURL: `http://${this.config.ip}`,
+      baseURL: `http://${this.config.ip}${httpPort}`,
       timeout: this.config.timeout || 15000,
       headers: {
         'User-Agent': 'MCP-Switch-Manager/1.0',
@@ -58,10 +81,35 @@ class ViminsManager {
     )
   }
 
+  // Detect a Vimins switch from its unauthenticated login info command
+  static async probe(ip, options = {}) {
+    const httpPort = options.httpPort && options.httpPort !== 80 ? `:${options.httpPort}` : ''
+    const response = await axios.get(`http://${ip}${httpPort}/cgi/get.cgi`, {
+      params: { cmd: 'home_login', dummy: Date.now() },
+      timeout: options.timeout || 5000
+    })
+
+    const model = response.data && response.data.data && response.data.data.model
+    if (!model || (options.models && !options.models.includes(model))) {
+      return null
+    }
+
+    return { model, sysName: response.data.data.sysName }
+  }
+
+  // Credentials come from the credential provider (vault) when set, else the switch config
+  async resolveCredentials() {
+    if (this.credentialProvider) {
+      return await this.credentialProvider(this.config)
+    }
+    return { username: this.config.username, password: this.config.password }
+  }
+
   async authenticate() {
     try {
       logger.info(`🔐 Authenticating to Vimins switch: ${this.config.name} (${this.config.ip})`)
       
+      const { username, password } = await this.resolveCredentials()
       const timestamp = Date.now()
       
       // Step 1: Get login info
@@ -78,10 +126,7 @@ class ViminsManager {
       
       // Step 2: Submit login credentials
       const loginResponse = await this.client.post('/cgi/set.cgi', 
-        new URLSearchParams({
-          username: this.config.username,
-          password: this.config.password
-        }), {
+        new URLSearchParams({ username, password }), {
           params: {
             cmd: 'home_loginAuth',
             dummy: timestamp
@@ -153,6 +198,12 @@ class ViminsManager {
       await this.ensureAuthenticated()
       
       const timestamp = Date.now()
+      
+      // Drop unset values so they are not sent as the string "undefined"
+      params = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+      )
+      
       const requestParams = {
         cmd: command,
         dummy: timestamp,
@@ -178,12 +229,17 @@ class ViminsManager {
         )
       }
       
-      if (response.status === 200) {
-        return response.data
-      } else {
+      if (response.status !== 200) {
         throw new Error(`API call failed: ${response.status}`)
       }
       
+      // The CGI reports rejected commands in the body with a 200 status
+      if (response.data && response.data.status === 'error') {
+        throw new Error(response.data.msg || `Command ${command} rejected by switch`)
+      }
+      
+      return response.data
+      
     } catch (error) {
       logger.error(`Vimins API call failed for ${command}:`, error.message)
       
@@ -245,10 +301,117 @@ class ViminsManager {
     }
   }
 
+  // Normalized ports (see src/models/Port.js); options.includeRaw keeps the CGI records per port
+  async getPorts(options = {}) {
+    try {
+      const commands = ['port_port', 'port_cnt', 'port_bwutilz', 'vlan_port', 'vlan_membership', 'lag_port', 'qos_port']
+      const raw = {}
+      
+      for (const cmd of commands) {
+        try {
+          const data = await this.apiCall(cmd)
+          if (data && data.data) {
+            raw[cmd] = data.data
+          }
+        } catch (error) {
+          logger.warn(`Failed to get ${cmd} for ${this.config.name}:`, error.message)
+        }
+      }
+      
+      if (!raw.port_port || !Array.isArray(raw.port_port.ports)) {
+        throw new Error('Port table not available')
+      }
+      
+      // Index every per-port record by the 0-based CGI portId
+      const byPortId = (cmd) => new Map(((raw[cmd] && raw[cmd].ports) || []).map(entry => [entry.portId, entry]))
+      const counters = byPortId('port_cnt')
+      const utilization = byPortId('port_bwutilz')
+      const vlanPorts = byPortId('vlan_port')
+      const lagPorts = byPortId('lag_port')
+      const qosPorts = byPortId('qos_port')
+      const membership = (raw.vlan_membership && raw.vlan_membership.vlans) || []
+      
+      return raw.port_port.ports.map(entry => {
+        const portId = entry.portId
+        const cnt = counters.get(portId)
+        const utilz = utilization.get(portId)
+        const vlanPort = vlanPorts.get(portId)
+        const lagPort = lagPorts.get(portId)
+        const qos = qosPorts.get(portId)
+        
+        return createPort({
+          ...portFromVendorIndex(this.interfaces, portId),
+          description: entry.description,
+          adminState: entry.adminEnable,
+          operState: entry.linkUp,
+          speedMbps: entry.speed,
+          duplex: entry.duplex,
+          flowControl: entry.flowCtrl,
+          pvid: vlanPort ? vlanPort.pvid : null,
+          taggedVlans: membership.filter(v => (v.taggedPorts || []).includes(portId)).map(v => v.vlanId),
+          untaggedVlans: membership.filter(v => (v.untaggedPorts || []).includes(portId)).map(v => v.vlanId),
+          lag: lagPort && lagPort.lagId ? { id: lagPort.lagId, active: lagPort.active } : null,
+          counters: cnt && mapCounters(cnt),
+          qos: qos && {
+            ingressRateKbps: qos.ingressRate,
+            egressRateKbps: qos.egressRate,
+            priority: qos.defaultPri,
+            scheduling: qos.schedMode === 'WRR' ? 'wrr' : 'strict'
+          },
+          utilization: utilz && { rxPercent: utilz.rxUtilz, txPercent: utilz.txUtilz },
+          raw: options.includeRaw ? {
+            port_port: entry,
+            port_cnt: cnt,
+            port_bwutilz: utilz,
+            vlan_port: vlanPort,
+            lag_port: lagPort,
+            qos_port: qos
+          } : undefined
+        })
+      })
+    } catch (error) {
+      logger.error(`Failed to get ports for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Returns { uptimeSeconds, ports: [{ port, operState, speedMbps, counters }] } with the
+  // raw counters as the switch reports them; the CGI counters are 32-bit and wrap
+  async getPortCounters() {
+    try {
+      const counters = await this.apiCall('port_cnt')
+      const status = await this.apiCall('port_port')
+      const sysinfo = await this.apiCall('sys_sysinfo')
+      const uptime = sysinfo && sysinfo.data ? parseInt(sysinfo.data.uptime, 10) : NaN
+      const links = new Map(((status && status.data && status.data.ports) || []).map(entry => [entry.portId, entry]))
+      
+      return {
+        uptimeSeconds: Number.isNaN(uptime) ? null : uptime,
+        ports: ((counters && counters.data && counters.data.ports) || []).map(cnt => {
+          const link = links.get(cnt.portId)
+          return {
+            port: portFromVendorIndex(this.interfaces, cnt.portId).name,
+            operState: link ? normalizeState(link.linkUp) : 'unknown',
+            speedMbps: link ? parseSpeed(link.speed) : null,
+            counters: normalizeCounters(mapCounters(cnt))
+          }
+        })
+      }
+    } catch (error) {
+      logger.error(`Failed to get port counters for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Canonical or vendor-style port name ('TE3', 'Port 3', '3') to the index the CGI API expects
+  toVendorPort(portRef) {
+    return resolveInterface(portRef, this.interfaces).vendorIndex
+  }
+
   async configurePort(portId, config) {
     try {
       const data = await this.apiCall('port_portEdit', {
-        portId,
+        portId: this.toVendorPort(portId),
         ...config
       }, 'POST')
       
@@ -284,6 +447,40 @@ class ViminsManager {
     }
   }
 
+  // Normalized VLAN table (see src/models/Vlan.js)
+  async getVLANs() {
+    try {
+      const vlanInfo = await this.getVLANConfig()
+      if (!vlanInfo.vlan_conf || !Array.isArray(vlanInfo.vlan_conf.vlans)) {
+        throw new Error('VLAN table not available')
+      }
+      
+      const pvids = new Map(((vlanInfo.vlan_port && vlanInfo.vlan_port.ports) || []).map(entry => [entry.portId, entry.pvid]))
+      const membership = new Map(((vlanInfo.vlan_membership && vlanInfo.vlan_membership.vlans) || []).map(entry => [entry.vlanId, entry]))
+      
+      return vlanInfo.vlan_conf.vlans.map(entry => {
+        const members = membership.get(entry.vlanId) || {}
+        const member = (portId, tagged) => {
+          const { name, index } = portFromVendorIndex(this.interfaces, portId)
+          return { port: name, index, tagged, pvid: pvids.get(portId) === entry.vlanId }
+        }
+        
+        return createVlan({
+          id: entry.vlanId,
+          name: entry.vlanName,
+          description: entry.description,
+          ports: [
+            ...(members.taggedPorts || []).map(portId => member(portId, true)),
+            ...(members.untaggedPorts || []).map(portId => member(portId, false))
+          ]
+        })
+      }).sort((a, b) => a.id - b.id)
+    } catch (error) {
+      logger.error(`Failed to get VLANs for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   async createVLAN(vlanId, vlanName, description = '') {
     try {
       const data = await this.apiCall('vlan_create', {
@@ -303,7 +500,7 @@ class ViminsManager {
   async configureVLANPort(portId, vlanConfig) {
     try {
       const data = await this.apiCall('vlan_portEdit', {
-        portId,
+        portId: this.toVendorPort(portId),
         ...vlanConfig
       }, 'POST')
       
@@ -315,6 +512,34 @@ class ViminsManager {
     }
   }
 
+  async deleteVLAN(vlanId) {
+    try {
+      const data = await this.apiCall('vlan_delete', { vlanId: vlanId.toString() }, 'POST')
+
+      logger.vlanOperation('delete', vlanId, [this.config.name], {})
+      return data
+    } catch (error) {
+      logger.error(`Failed to delete VLAN ${vlanId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async removePortFromVLAN(portId, vlanId) {
+    try {
+      const data = await this.apiCall('vlan_portEdit', {
+        portId: this.toVendorPort(portId),
+        vlanId: vlanId.toString(),
+        action: 'remove'
+      }, 'POST')
+
+      logger.vlanOperation('port_remove', vlanId, [this.config.name], { portId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to remove port ${portId} from VLAN ${vlanId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   async configureVLANMembership(membershipConfig) {
     try {
       const data = await this.apiCall('vlan_membershipEdit', membershipConfig, 'POST')
@@ -351,6 +576,438 @@ class ViminsManager {
     }
   }
 
+  // LAG id or name ('LAG1', '1') to the LAG id the CGI API expects
+  toVendorLag(lagRef) {
+    return resolveInterface(lagRef, this.interfaces, { lag: true }).vendorIndex
+  }
+
+  // settings: { mode: 'static' | 'lacp', hash: 'src-dst-mac' | ... }
+  async createLAG(lagId, settings = {}) {
+    try {
+      const data = await this.apiCall('lag_create', {
+        ...settings,
+        lagId: this.toVendorLag(lagId)
+      }, 'POST')
+      
+      logger.switchOperation('lag_create', this.config.name, { lagId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to create LAG ${lagId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async deleteLAG(lagId) {
+    try {
+      const data = await this.apiCall('lag_delete', { lagId: this.toVendorLag(lagId) }, 'POST')
+      
+      logger.switchOperation('lag_delete', this.config.name, { lagId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to delete LAG ${lagId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async configureLAG(lagId, settings) {
+    try {
+      const data = await this.apiCall('lag_mgmtEdit', {
+        ...settings,
+        lagId: this.toVendorLag(lagId)
+      }, 'POST')
+      
+      logger.switchOperation('lag_configure', this.config.name, { lagId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure LAG ${lagId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async addLAGMember(lagId, portId) {
+    try {
+      const data = await this.apiCall('lag_portEdit', {
+        lagId: this.toVendorLag(lagId),
+        portId: this.toVendorPort(portId),
+        action: 'add'
+      }, 'POST')
+      
+      logger.switchOperation('lag_member_add', this.config.name, { lagId, portId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to add port ${portId} to LAG ${lagId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async removeLAGMember(lagId, portId) {
+    try {
+      const data = await this.apiCall('lag_portEdit', {
+        lagId: this.toVendorLag(lagId),
+        portId: this.toVendorPort(portId),
+        action: 'remove'
+      }, 'POST')
+      
+      logger.switchOperation('lag_member_remove', this.config.name, { lagId, portId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to remove port ${portId} from LAG ${lagId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Spanning Tree
+  async getSTPStatus() {
+    try {
+      const bridge = (await this.apiCall('stp_globalStatus')).data || {}
+      const portData = (await this.apiCall('stp_portStatus')).data || {}
+      
+      return createStpStatus({
+        enabled: bridge.enabled,
+        mode: bridge.forceVersion,
+        bridgeId: { priority: bridge.bridgePriority, mac: bridge.bridgeMac },
+        rootBridgeId: { priority: bridge.rootPriority, mac: bridge.rootMac },
+        rootPort: bridge.rootPortId >= 0 ? portFromVendorIndex(this.interfaces, bridge.rootPortId).name : null,
+        rootPathCost: bridge.rootPathCost,
+        ports: (portData.ports || []).map(port => {
+          const { name, index } = portFromVendorIndex(this.interfaces, port.portId)
+          return {
+            port: name,
+            index,
+            role: port.role,
+            state: port.state,
+            pathCost: port.pathCost,
+            edge: port.edge,
+            bpduGuard: port.bpduGuard
+          }
+        })
+      })
+    } catch (error) {
+      logger.error(`Failed to get STP status for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { mode: 'stp' | 'rstp', priority, enabled }; only the keys given are changed
+  async configureSTP(settings) {
+    try {
+      const data = await this.apiCall('stp_globalEdit', {
+        forceVersion: settings.mode ? settings.mode.toUpperCase() : undefined,
+        bridgePriority: settings.priority,
+        enabled: settings.enabled
+      }, 'POST')
+      
+      logger.switchOperation('stp_configure', this.config.name, { settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure STP on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { edge, bpduGuard }
+  async configureSTPPort(portId, settings) {
+    try {
+      const data = await this.apiCall('stp_portEdit', {
+        portId: this.toVendorPort(portId),
+        edge: settings.edge,
+        bpduGuard: settings.bpduGuard
+      }, 'POST')
+      
+      logger.switchOperation('stp_port_configure', this.config.name, { portId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure STP on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // QoS
+  // settings: { ingressRateKbps, egressRateKbps, priority, scheduling }; only the keys
+  // given are changed and a rate of 0 removes the limit
+  async configurePortQoS(portId, settings) {
+    try {
+      const data = await this.apiCall('qos_portEdit', {
+        portId: this.toVendorPort(portId),
+        ingressRate: settings.ingressRateKbps,
+        egressRate: settings.egressRateKbps,
+        defaultPri: settings.priority,
+        schedMode: settings.scheduling ? settings.scheduling.toUpperCase().replace('STRICT', 'SP') : undefined
+      }, 'POST')
+      
+      logger.switchOperation('port_qos_configure', this.config.name, { portId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure QoS on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Storm Control
+  // Returns [{ port, broadcastPps, multicastPps, unknownUnicastPps }]; null means off
+  async getStormControl() {
+    try {
+      const data = await this.apiCall('storm_port')
+      const ports = (data && data.data && data.data.ports) || []
+      const rate = (pps) => pps > 0 ? pps : null
+      
+      return ports.map(port => ({
+        port: portFromVendorIndex(this.interfaces, port.portId).name,
+        broadcastPps: rate(port.bcastRate),
+        multicastPps: rate(port.mcastRate),
+        unknownUnicastPps: rate(port.uucastRate)
+      }))
+    } catch (error) {
+      logger.error(`Failed to get storm control for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { broadcastPps, multicastPps, unknownUnicastPps }; only the keys given are
+  // changed and 0 turns a threshold off
+  async configureStormControl(portId, settings) {
+    try {
+      const data = await this.apiCall('storm_portEdit', {
+        portId: this.toVendorPort(portId),
+        bcastRate: settings.broadcastPps,
+        mcastRate: settings.multicastPps,
+        uucastRate: settings.unknownUnicastPps
+      }, 'POST')
+      
+      logger.switchOperation('storm_control_configure', this.config.name, { portId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure storm control on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Loop Detection
+  // Returns { enabled, intervalSeconds, action, ports: [{ port, enabled, loops, lastLoopAt, shutdown }] };
+  // loops counts the loops seen since boot and shutdown is set while one keeps the port disabled
+  async getLoopDetection() {
+    try {
+      const data = await this.apiCall('loop_status')
+      const status = (data && data.data) || {}
+      
+      return {
+        enabled: !!status.enabled,
+        intervalSeconds: status.interval,
+        action: status.action,
+        ports: (status.ports || []).map(port => ({
+          port: portFromVendorIndex(this.interfaces, port.portId).name,
+          enabled: !!port.enabled,
+          loops: port.loopCount,
+          lastLoopAt: port.lastLoopTime ? new Date(port.lastLoopTime).toISOString() : null,
+          shutdown: !!port.shutdown
+        }))
+      }
+    } catch (error) {
+      logger.error(`Failed to get loop detection for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled, intervalSeconds, action }
+  async configureLoopDetection(settings) {
+    try {
+      const data = await this.apiCall('loop_globalEdit', {
+        enabled: settings.enabled,
+        interval: settings.intervalSeconds,
+        action: settings.action
+      }, 'POST')
+      
+      logger.switchOperation('loop_detection_configure', this.config.name, { settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure loop detection on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled }
+  async configureLoopDetectionPort(portId, settings) {
+    try {
+      const data = await this.apiCall('loop_portEdit', {
+        portId: this.toVendorPort(portId),
+        enabled: settings.enabled
+      }, 'POST')
+      
+      logger.switchOperation('loop_detection_port_configure', this.config.name, { portId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure loop detection on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Port Security
+  // Returns [{ port, enabled, maxMacs, action, learned, violations, shutdown }]; shutdown
+  // is set while a violation keeps the port disabled
+  async getPortSecurity() {
+    try {
+      const data = await this.apiCall('psec_port')
+      const ports = (data && data.data && data.data.ports) || []
+      
+      return ports.map(port => ({
+        port: portFromVendorIndex(this.interfaces, port.portId).name,
+        enabled: !!port.enabled,
+        maxMacs: port.maxMac,
+        action: port.violation === 'discard' ? 'drop' : port.violation,
+        learned: port.learnedCount,
+        violations: port.violations,
+        shutdown: !!port.errDisabled
+      }))
+    } catch (error) {
+      logger.error(`Failed to get port security for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled, maxMacs, action }; only the keys given are changed
+  async configurePortSecurity(portId, settings) {
+    try {
+      const data = await this.apiCall('psec_portEdit', {
+        portId: this.toVendorPort(portId),
+        enabled: settings.enabled,
+        maxMac: settings.maxMacs,
+        violation: settings.action === 'drop' ? 'discard' : settings.action
+      }, 'POST')
+      
+      logger.switchOperation('port_security_configure', this.config.name, { portId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure port security on port ${portId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // IGMP Snooping
+  // Returns [{ vlanId, enabled, querier, fastLeave }] for every VLAN
+  async getIGMPSnooping() {
+    try {
+      const data = await this.apiCall('igmp_snoopingStatus')
+      const vlans = (data && data.data && data.data.vlans) || []
+      
+      return vlans.map(vlan => ({
+        vlanId: vlan.vlanId,
+        enabled: !!vlan.enabled,
+        querier: !!vlan.querier,
+        fastLeave: !!vlan.fastLeave
+      }))
+    } catch (error) {
+      logger.error(`Failed to get IGMP snooping settings for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // settings: { enabled, querier, fastLeave }; only the keys given are changed
+  async configureIGMPSnooping(vlanId, settings) {
+    try {
+      const data = await this.apiCall('igmp_snoopingEdit', {
+        vlanId,
+        enabled: settings.enabled,
+        querier: settings.querier,
+        fastLeave: settings.fastLeave
+      }, 'POST')
+      
+      logger.switchOperation('igmp_snooping_configure', this.config.name, { vlanId, settings })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure IGMP snooping on VLAN ${vlanId} for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Returns [{ group, vlanId, port }] with canonical port names
+  async getMulticastGroups() {
+    try {
+      const data = await this.apiCall('igmp_groupStatus')
+      const groups = (data && data.data && data.data.groups) || []
+      
+      return groups.map(group => ({
+        group: group.groupAddr,
+        vlanId: group.vlanId,
+        port: portFromVendorIndex(this.interfaces, group.portId).name
+      }))
+    } catch (error) {
+      logger.error(`Failed to get multicast groups for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // LLDP
+  // Returns [{ localPort, chassisId, remotePort, remotePortDescription, systemName, managementAddress }]
+  // with canonical local port names; the remote fields are as the neighbor advertised them
+  async getLLDPNeighbors() {
+    try {
+      const data = await this.apiCall('lldp_neighbor')
+      const neighbors = (data && data.data && data.data.neighbors) || []
+      
+      return neighbors.map(neighbor => ({
+        localPort: portFromVendorIndex(this.interfaces, neighbor.localPortId).name,
+        chassisId: neighbor.chassisId,
+        remotePort: neighbor.portId,
+        remotePortDescription: neighbor.portDesc || null,
+        systemName: neighbor.sysName || null,
+        managementAddress: neighbor.mgmtAddr || null
+      }))
+    } catch (error) {
+      logger.error(`Failed to get LLDP neighbors for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Port Mirroring
+  // Returns [{ session, destination, sources: [{ port, direction }] }] with canonical port names
+  async getPortMirrors() {
+    try {
+      const data = await this.apiCall('mirror_status')
+      const sessions = (data && data.data && data.data.sessions) || []
+      
+      return sessions.filter(session => session.enabled).map(session => ({
+        session: session.sessionId,
+        destination: portFromVendorIndex(this.interfaces, session.destPortId).name,
+        sources: (session.srcPorts || []).map(source => ({
+          port: portFromVendorIndex(this.interfaces, source.portId).name,
+          direction: source.direction
+        }))
+      }))
+    } catch (error) {
+      logger.error(`Failed to get port mirrors for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // mirror: { destination, sources: [{ port, direction: 'rx' | 'tx' | 'both' }] }
+  async configurePortMirror(sessionId, mirror) {
+    try {
+      const data = await this.apiCall('mirror_edit', {
+        sessionId: sessionId.toString(),
+        destPortId: this.toVendorPort(mirror.destination),
+        srcPorts: mirror.sources.map(source => `${this.toVendorPort(source.port)}:${source.direction}`).join(',')
+      }, 'POST')
+      
+      logger.switchOperation('mirror_configure', this.config.name, { sessionId, mirror })
+      return data
+    } catch (error) {
+      logger.error(`Failed to configure mirror session ${sessionId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async removePortMirror(sessionId) {
+    try {
+      const data = await this.apiCall('mirror_delete', { sessionId: sessionId.toString() }, 'POST')
+      
+      logger.switchOperation('mirror_remove', this.config.name, { sessionId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to remove mirror session ${sessionId} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   // MAC Address Table
   async getMACTable() {
     try {
@@ -375,6 +1032,84 @@ class ViminsManager {
     }
   }
 
+  // Returns [{ macAddress, vlanId, port, type }] with canonical MAC addresses and
+  // port names; type is 'learned' or 'static'
+  async getMACEntries() {
+    try {
+      const macInfo = await this.getMACTable()
+      if (!macInfo.mac_miscStatus || !Array.isArray(macInfo.mac_miscStatus.entries)) {
+        throw new Error('MAC table not available')
+      }
+      
+      return macInfo.mac_miscStatus.entries.map(entry => ({
+        macAddress: normalizeMacAddress(entry.macAddr),
+        vlanId: entry.vlan,
+        port: portFromVendorIndex(this.interfaces, entry.port).name,
+        type: entry.type === 'static' ? 'static' : 'learned'
+      }))
+    } catch (error) {
+      logger.error(`Failed to get MAC entries for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async addStaticMAC(macAddress, vlanId, portId) {
+    try {
+      const data = await this.apiCall('mac_staticAdd', {
+        macAddr: macAddress,
+        vlan: vlanId.toString(),
+        portId: this.toVendorPort(portId)
+      }, 'POST')
+      
+      logger.switchOperation('mac_static_add', this.config.name, { macAddress, vlanId, portId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to add static MAC ${macAddress} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async removeStaticMAC(macAddress, vlanId) {
+    try {
+      const data = await this.apiCall('mac_staticDelete', {
+        macAddr: macAddress,
+        vlan: vlanId.toString()
+      }, 'POST')
+      
+      logger.switchOperation('mac_static_remove', this.config.name, { macAddress, vlanId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to remove static MAC ${macAddress} on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async setMACAgingTime(seconds) {
+    try {
+      const data = await this.apiCall('mac_agingEdit', { agingTime: seconds.toString() }, 'POST')
+      
+      logger.switchOperation('mac_aging_time', this.config.name, { seconds })
+      return data
+    } catch (error) {
+      logger.error(`Failed to set MAC aging time on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Without a port, dynamic entries are flushed on every port
+  async flushMACTable(portId) {
+    try {
+      const params = portId ? { portId: this.toVendorPort(portId) } : {}
+      const data = await this.apiCall('mac_flush', params, 'POST')
+      
+      logger.switchOperation('mac_flush', this.config.name, { portId })
+      return data
+    } catch (error) {
+      logger.error(`Failed to flush MAC table on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   // Configuration Backup/Restore
   async backupConfiguration() {
     try {
@@ -410,6 +1145,47 @@ class ViminsManager {
     }
   }
 
+  // Startup Configuration
+  async getConfigurationStatus() {
+    try {
+      const data = await this.apiCall('sys_configStatus')
+      return { unsavedChanges: !!(data && data.data && data.data.unsaved) }
+    } catch (error) {
+      logger.error(`Failed to get configuration status for ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  // Writes the running configuration to flash so it survives a reboot
+  async saveConfiguration() {
+    try {
+      const data = await this.apiCall('sys_configSave', {}, 'POST')
+      
+      logger.configurationChange('save', this.config.name, {})
+      return data
+    } catch (error) {
+      logger.error(`Failed to save configuration on ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
+  async reboot() {
+    try {
+      const data = await this.apiCall('sys_reboot', {}, 'POST')
+      
+      // The reboot ends the session; log in again once the switch is back
+      this.authenticated = false
+      this.lastAuthTime = null
+      this.session = null
+      
+      logger.switchOperation('reboot', this.config.name, {})
+      return data
+    } catch (error) {
+      logger.error(`Failed to reboot ${this.config.name}:`, error.message)
+      throw error
+    }
+  }
+
   // Health Check
   async healthCheck() {
     try {
@@ -446,4 +1222,14 @@ class ViminsManager {
   }
 }
 
+driverRegistry.register('vimins', ViminsManager, {
+  vendor: 'Vimins',
+  models: ['VM-S100-0800MS'],
+  capabilities: ['vlan', 'lag', 'mac_table', 'port_mirror', 'stp', 'igmp', 'multicast_groups', 'lldp', 'qos', 'port_security', 'storm_control', 'loop_detection', 'backup', 'restore', 'startup_config', 'reboot'],
+  // The CGI API numbers ports from 0
+  interfaces: {
+    'VM-S100-0800MS': { portPrefix: 'TE', ports: 8, lags: 4, mirrorSessions: 4, indexBase: 0 }
+  }
+})
+
 module.exports = ViminsManager
@@ -0,0 +1,215 @@
+/**
+ * Switch Driver Registry
+ * Keeps track of the available switch drivers, the models they handle and
+ * the operations each of them supports
+ */
+
+const fs = require('fs')
+const path = require('path')
+const logger = require('../../utils/logger')
+const { UnsupportedOperationError } = require('../../utils/errors')
+
+// Capabilities a driver can declare
+const CAPABILITIES = ['vlan', 'lag', 'mac_table', 'port_mirror', 'stp', 'igmp', 'multicast_groups', 'lldp', 'qos', 'port_security', 'storm_control', 'loop_detection', 'backup', 'restore', 'startup_config', 'reboot']
+
+// Driver methods that require a capability (methods not listed are part of the
+// base driver contract and are always available)
+const OPERATION_CAPABILITIES = {
+  getVLANConfig: 'vlan',
+  getVLANs: 'vlan',
+  createVLAN: 'vlan',
+  deleteVLAN: 'vlan',
+  configureVLANPort: 'vlan',
+  removePortFromVLAN: 'vlan',
+  getLAGConfig: 'lag',
+  createLAG: 'lag',
+  deleteLAG: 'lag',
+  configureLAG: 'lag',
+  addLAGMember: 'lag',
+  removeLAGMember: 'lag',
+  getMACTable: 'mac_table',
+  getMACEntries: 'mac_table',
+  addStaticMAC: 'mac_table',
+  removeStaticMAC: 'mac_table',
+  setMACAgingTime: 'mac_table',
+  flushMACTable: 'mac_table',
+  getPortMirrors: 'port_mirror',
+  configurePortMirror: 'port_mirror',
+  removePortMirror: 'port_mirror',
+  getSTPStatus: 'stp',
+  configureSTP: 'stp',
+  configureSTPPort: 'stp',
+  getIGMPSnooping: 'igmp',
+  configureIGMPSnooping: 'igmp',
+  getMulticastGroups: 'multicast_groups',
+  getLLDPNeighbors: 'lldp',
+  configurePortQoS: 'qos',
+  getPortSecurity: 'port_security',
+  configurePortSecurity: 'port_security',
+  getStormControl: 'storm_control',
+  configureStormControl: 'storm_control',
+  getLoopDetection: 'loop_detection',
+  configureLoopDetection: 'loop_detection',
+  configureLoopDetectionPort: 'loop_detection',
+  backupConfiguration: 'backup',
+  restoreConfiguration: 'restore',
+  getConfigurationStatus: 'startup_config',
+  saveConfiguration: 'startup_config',
+  reboot: 'reboot'
+}
+
+class DriverRegistry {
+  constructor() {
+    this.drivers = new Map()
+    this.discovered = false
+  }
+
+  register(type, DriverClass, descriptor = {}) {
+    if (!type || typeof DriverClass !== 'function') {
+      throw new Error('Driver registration requires a type and a driver class')
+    }
+
+    const capabilities = descriptor.capabilities || []
+    const unknown = capabilities.filter(c => !CAPABILITIES.includes(c))
+    if (unknown.length > 0) {
+      throw new Error(`Driver ${type} declares unknown capabilities: ${unknown.join(', ')}`)
+    }
+
+    if (this.drivers.has(type) && this.drivers.get(type).DriverClass !== DriverClass) {
+      logger.warn(`Switch driver ${type} is being replaced`)
+    }
+
+    this.drivers.set(type, {
+      type,
+      DriverClass,
+      vendor: descriptor.vendor || type,
+      models: descriptor.models || [],
+      capabilities: new Set(capabilities),
+      interfaces: descriptor.interfaces || {}
+    })
+
+    logger.debug(`Registered switch driver: ${type} (${capabilities.join(', ') || 'no capabilities'})`)
+  }
+
+  // Load every *Manager.js module in this directory so drivers can register themselves
+  discover(directory = __dirname) {
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('Manager.js'))
+
+    for (const file of files) {
+      try {
+        require(path.join(directory, file))
+      } catch (error) {
+        logger.error(`Failed to load switch driver ${file}:`, error.message)
+      }
+    }
+
+    this.discovered = true
+    logger.info(`🔌 Discovered ${this.drivers.size} switch drivers: ${this.getTypes().join(', ')}`)
+    return this.getTypes()
+  }
+
+  ensureDiscovered() {
+    if (!this.discovered) {
+      this.discover()
+    }
+  }
+
+  has(type) {
+    this.ensureDiscovered()
+    return this.drivers.has(type)
+  }
+
+  get(type) {
+    this.ensureDiscovered()
+    const driver = this.drivers.get(type)
+    if (!driver) {
+      throw new Error(`Unknown switch type: ${type}`)
+    }
+    return driver
+  }
+
+  getTypes() {
+    return Array.from(this.drivers.keys())
+  }
+
+  create(switchConfig, options = {}) {
+    const driver = this.get(switchConfig.type)
+    return new driver.DriverClass(switchConfig, options)
+  }
+
+  // Ask each driver that implements a static probe() whether it recognizes the device at ip
+  async probe(ip, options = {}) {
+    this.ensureDiscovered()
+
+    for (const driver of this.drivers.values()) {
+      if (typeof driver.DriverClass.probe !== 'function') {
+        continue
+      }
+
+      try {
+        const detected = await driver.DriverClass.probe(ip, { ...options, models: driver.models })
+        if (detected) {
+          return { type: driver.type, vendor: driver.vendor, ...detected }
+        }
+      } catch (error) {
+        logger.debug(`Probe of ${ip} as ${driver.type} failed:`, error.message)
+      }
+    }
+
+    return null
+  }
+
+  getCapabilities(type) {
+    return Array.from(this.get(type).capabilities)
+  }
+
+  hasCapability(type, capability) {
+    return this.has(type) && this.drivers.get(type).capabilities.has(capability)
+  }
+
+  // Port/LAG layout for a model (see src/models/InterfaceName.js); models the driver
+  // does not list fall back to the layout of its first model
+  getInterfaceLayout(type, model) {
+    const interfaces = this.get(type).interfaces
+    const layoutModel = interfaces[model] ? model : Object.keys(interfaces)[0]
+    return layoutModel ? { model: model || layoutModel, ...interfaces[layoutModel] } : null
+  }
+
+  getOperationCapability(operation) {
+    return OPERATION_CAPABILITIES[operation] || null
+  }
+
+  supportsOperation(type, operation) {
+    const capability = this.getOperationCapability(operation)
+    return !capability || this.hasCapability(type, capability)
+  }
+
+  assertCapability(switchConfig, capability) {
+    if (!this.hasCapability(switchConfig.type, capability)) {
+      throw new UnsupportedOperationError(capability, switchConfig)
+    }
+  }
+
+  assertOperation(switchConfig, operation) {
+    const capability = this.getOperationCapability(operation)
+    if (capability) {
+      this.assertCapability(switchConfig, capability)
+    }
+  }
+
+  listDrivers() {
+    this.ensureDiscovered()
+    return Array.from(this.drivers.values()).map(driver => ({
+      type: driver.type,
+      vendor: driver.vendor,
+      models: driver.models,
+      capabilities: Array.from(driver.capabilities)
+    }))
+  }
+}
+
+// Create and export singleton instance
+const driverRegistry = new DriverRegistry()
+driverRegistry.CAPABILITIES = CAPABILITIES
+
+module.exports = driverRegistry
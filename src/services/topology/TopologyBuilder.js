@@ -0,0 +1,259 @@
+/**
+ * Topology Builder
+ * Derives the actual switch-to-switch links from the LLDP neighbor tables of the
+ * managed switches and compares them with the hand-written config.topology
+ */
+
+const config = require('../../utils/config')
+const logger = require('../../utils/logger')
+const driverRegistry = require('../switch_managers/driverRegistry')
+
+// 'vimins.core1' -> 'vimins_core1'
+function toSwitchId(ref) {
+  return ref ? ref.replace('.', '_') : null
+}
+
+function endKey(end) {
+  return `${end.switch}:${end.port}`
+}
+
+function describeLink(link) {
+  return link.ends.map(end => `${end.switch} ${end.port}`).join(' <-> ')
+}
+
+class TopologyBuilder {
+  constructor(switchManagerService) {
+    this.switchManager = switchManagerService
+  }
+
+  async build() {
+    const { tables, errors } = await this.collectNeighbors()
+    const { links, unmanaged } = this.deriveLinks(tables)
+    const { mismatches, unverified } = await this.compare(links, Object.keys(tables))
+
+    for (const [switchId, error] of Object.entries(errors)) {
+      unverified.push(`Could not read LLDP neighbors from ${switchId}: ${error}`)
+    }
+    if (mismatches.length > 0) {
+      logger.warn(`🔗 Topology check found ${mismatches.length} mismatches with the configured topology`)
+    }
+
+    return {
+      consistent: mismatches.length === 0,
+      links,
+      unmanagedNeighbors: unmanaged,
+      mismatches,
+      unverified
+    }
+  }
+
+  // LLDP tables of the switches that expose one, keyed by switch ID; errors holds
+  // the switches that should have one but could not be read
+  async collectNeighbors() {
+    const tables = {}
+    const errors = {}
+
+    for (const [switchId, switchInfo] of this.switchManager.switches.entries()) {
+      if (!driverRegistry.supportsOperation(switchInfo.config.type, 'getLLDPNeighbors')) {
+        continue
+      }
+      if (switchInfo.status !== 'online') {
+        errors[switchId] = `Switch is ${switchInfo.status}`
+        continue
+      }
+      try {
+        tables[switchId] = await this.switchManager.getLLDPNeighbors(switchId)
+      } catch (error) {
+        errors[switchId] = error.message
+      }
+    }
+
+    return { tables, errors }
+  }
+
+  // Managed switch an LLDP neighbor belongs to: by management address when only one
+  // configured switch has it, otherwise by system name (switch ID or configured name)
+  identifyNeighbor(neighbor) {
+    const switches = Array.from(this.switchManager.switches.entries())
+
+    if (neighbor.managementAddress) {
+      const byAddress = switches.filter(([, info]) => info.config.ip === neighbor.managementAddress)
+      if (byAddress.length === 1) {
+        return byAddress[0][0]
+      }
+    }
+
+    if (neighbor.systemName) {
+      const name = neighbor.systemName.toLowerCase()
+      const byName = switches.find(([id, info]) => id.toLowerCase() === name || String(info.config.name || '').toLowerCase() === name)
+      if (byName) {
+        return byName[0]
+      }
+    }
+
+    return null
+  }
+
+  // The neighbor's port as the remote switch names it; vendors put the name in the
+  // port ID or only in the port description
+  remotePortName(switchId, neighbor) {
+    for (const ref of [neighbor.remotePort, neighbor.remotePortDescription]) {
+      try {
+        return this.switchManager.resolveInterface(switchId, ref).name
+      } catch (error) {
+        // Not a port name; try the next field
+      }
+    }
+    return neighbor.remotePort
+  }
+
+  // Links between managed switches, listed once whichever ends reported them, and
+  // the neighbors that are not managed switches (servers, phones, unmanaged bridges)
+  deriveLinks(tables) {
+    const links = new Map()
+    const unmanaged = []
+
+    for (const [switchId, neighbors] of Object.entries(tables)) {
+      for (const neighbor of neighbors) {
+        const remoteId = this.identifyNeighbor(neighbor)
+        if (!remoteId) {
+          unmanaged.push({
+            switch: switchId,
+            port: neighbor.localPort,
+            chassisId: neighbor.chassisId,
+            systemName: neighbor.systemName,
+            remotePort: neighbor.remotePort
+          })
+          continue
+        }
+
+        const ends = [
+          { switch: switchId, port: neighbor.localPort },
+          { switch: remoteId, port: this.remotePortName(remoteId, neighbor) }
+        ].sort((a, b) => endKey(a).localeCompare(endKey(b)))
+        const key = ends.map(endKey).join('|')
+
+        const link = links.get(key) || { ends, reportedBy: [], topology: null }
+        link.reportedBy.push(switchId)
+        links.set(key, link)
+      }
+    }
+
+    return { links: Array.from(links.values()), unmanaged }
+  }
+
+  // Switch whose ID without the type prefix is the interCoreLinks key ('core1')
+  findCoreSwitch(key) {
+    for (const [switchId, switchInfo] of this.switchManager.switches.entries()) {
+      if (switchId === `${switchInfo.config.type}_${key}`) {
+        return switchId
+      }
+    }
+    return null
+  }
+
+  // Physical ports behind a topology port reference; a LAG stands for its members
+  async expectedPorts(switchId, portRef) {
+    return this.switchManager.getInterfacePorts(switchId, portRef)
+  }
+
+  // Compares the links with interCoreLinks and uplinkConnections and tags each link
+  // with the topology entry it belongs to. A pair of switches is only checked when
+  // the LLDP table of at least one of them was read.
+  async compare(links, readable) {
+    const topology = config.getTopology()
+    const mismatches = []
+    const unverified = []
+
+    const visible = (a, b) => readable.includes(a) || readable.includes(b)
+    const between = (a, b) => links.filter(link => {
+      const switches = link.ends.map(end => end.switch)
+      return switches.includes(a) && switches.includes(b)
+    })
+    const portOn = (link, switchId) => link.ends.find(end => end.switch === switchId).port
+
+    for (const [name, link] of Object.entries(topology.interCoreLinks || {})) {
+      const sides = Object.keys(link)
+        .filter(key => key.endsWith('Ports') && Array.isArray(link[key]))
+        .map(key => ({ key, switchId: this.findCoreSwitch(key.slice(0, -'Ports'.length)), ports: link[key] }))
+
+      if (sides.length !== 2 || sides.some(side => !side.switchId)) {
+        unverified.push(`Inter-core link ${name}: its cores are not managed switches`)
+        continue
+      }
+      const [a, b] = sides
+      if (!visible(a.switchId, b.switchId)) {
+        unverified.push(`Inter-core link ${name}: no LLDP data from ${a.switchId} or ${b.switchId}`)
+        continue
+      }
+
+      const observed = between(a.switchId, b.switchId)
+      observed.forEach(l => { l.topology = name })
+
+      for (const [side, other] of [[a, b], [b, a]]) {
+        const seen = observed.map(l => portOn(l, side.switchId))
+        let expected
+        try {
+          expected = side.ports.map(port => this.switchManager.resolveInterface(side.switchId, port).name)
+        } catch (error) {
+          unverified.push(`Inter-core link ${name}: could not resolve ${side.key} on ${side.switchId}: ${error.message}`)
+          continue
+        }
+
+        for (const port of expected.filter(p => !seen.includes(p))) {
+          mismatches.push(`Inter-core link ${name}: ${side.switchId} ${port} has no LLDP neighbor on ${other.switchId}`)
+        }
+        for (const port of seen.filter(p => !expected.includes(p))) {
+          mismatches.push(`Inter-core link ${name}: ${side.switchId} ${port} connects to ${other.switchId} but is not in ${side.key}`)
+        }
+      }
+    }
+
+    for (const [name, uplink] of Object.entries(topology.uplinkConnections || {})) {
+      const accessId = toSwitchId(uplink.switch)
+      const legs = [[uplink.primaryCore, uplink.primaryPort], [uplink.secondaryCore, uplink.secondaryPort]]
+
+      for (const [coreRef, portRef] of legs.filter(([coreRef]) => coreRef)) {
+        const coreId = toSwitchId(coreRef)
+        const missing = [coreId, accessId].filter(id => !this.switchManager.switches.has(id))
+        if (missing.length > 0) {
+          unverified.push(`Uplink ${name}: ${missing.join(', ')} is not a managed switch`)
+          continue
+        }
+        if (!visible(coreId, accessId)) {
+          unverified.push(`Uplink ${name}: no LLDP data from ${coreId} or ${accessId}`)
+          continue
+        }
+
+        const observed = between(coreId, accessId)
+        observed.forEach(l => { l.topology = `uplink ${name}` })
+        const seen = observed.map(l => portOn(l, coreId))
+
+        if (seen.length === 0) {
+          mismatches.push(`Uplink ${name}: no link seen between ${coreId} and ${accessId}${portRef ? ` (expected on ${portRef})` : ''}`)
+          continue
+        }
+        if (!portRef) {
+          continue
+        }
+
+        try {
+          const expected = await this.expectedPorts(coreId, portRef)
+          if (!seen.some(port => expected.includes(port))) {
+            mismatches.push(`Uplink ${name}: ${coreId} reaches ${accessId} on ${seen.join(', ')}, not ${portRef}`)
+          }
+        } catch (error) {
+          unverified.push(`Uplink ${name}: could not resolve ${portRef} on ${coreId}: ${error.message}`)
+        }
+      }
+    }
+
+    for (const link of links.filter(l => !l.topology)) {
+      mismatches.push(`Link ${describeLink(link)} is not in the configured topology`)
+    }
+
+    return { mismatches, unverified }
+  }
+}
+
+module.exports = TopologyBuilder
@@ -171,23 +171,8 @@ class VLANManagerService {
       
       for (const switchId of switches) {
         try {
-          // Note: Actual deletion method depends on switch type
-          // For now, we'll use a generic approach
-          const switchInfo = this.switchManager.getSwitch(switchId)
-          if (switchInfo.config.type === 'vimins') {
-            // Vimins switches might have a delete API
-            const result = await switchInfo.manager.apiCall('vlan_delete', { vlanId: vlanId.toString() }, 'POST')
-            results[switchId] = { success: true, data: result }
-          } else {
-            // Sodola switches might require form submission
-            const result = await switchInfo.manager.submitForm('/vlan_config.html', 
-              new URLSearchParams({
-                vlan_id: vlanId.toString(),
-                action: 'delete'
-              })
-            )
-            results[switchId] = { success: true, data: result }
-          }
+          const result = await this.switchManager.deleteVLAN(switchId, vlanId)
+          results[switchId] = { success: true, data: result }
           
           logger.info(`✅ Deleted VLAN ${vlanId} from ${switchId}`)
         } catch (error) {
@@ -224,10 +209,11 @@ class VLANManagerService {
       
       for (const sId of switches) {
         try {
-          const vlanConfig = await this.switchManager.getVLANConfig(sId)
+          // Drivers return the VLAN model from src/models/Vlan.js
+          const vlans = await this.switchManager.getVLANs(sId)
           vlanData[sId] = {
             success: true,
-            vlans: this.parseVLANConfig(vlanConfig, includeDetails),
+            vlans: includeDetails ? vlans : vlans.map(vlan => ({ ...vlan, ports: undefined })),
             timestamp: new Date().toISOString()
           }
         } catch (error) {
@@ -245,63 +231,6 @@ class VLANManagerService {
     }
   }
 
-  parseVLANConfig(vlanConfig, includeDetails) {
-    const vlans = []
-    
-    // Parse different VLAN config formats from different switch types
-    if (vlanConfig.vlan_conf && vlanConfig.vlan_conf.vlans) {
-      // Vimins format
-      vlanConfig.vlan_conf.vlans.forEach(vlan => {
-        vlans.push({
-          id: vlan.vlanId || vlan.id,
-          name: vlan.vlanName || vlan.name,
-          description: vlan.description || '',
-          ports: includeDetails ? this.extractVLANPorts(vlanConfig, vlan.vlanId || vlan.id) : undefined
-        })
-      })
-    }
-    
-    // Parse Sodola format (from HTML tables)
-    Object.entries(vlanConfig).forEach(([page, data]) => {
-      if (Array.isArray(data)) {
-        data.forEach(item => {
-          if (item.vlan || item.vid || item['vlan id']) {
-            const vlanId = item.vlan || item.vid || item['vlan id']
-            if (!vlans.find(v => v.id == vlanId)) {
-              vlans.push({
-                id: parseInt(vlanId),
-                name: item.name || item['vlan name'] || `VLAN${vlanId}`,
-                description: item.description || '',
-                source: page
-              })
-            }
-          }
-        })
-      }
-    })
-    
-    return vlans.sort((a, b) => a.id - b.id)
-  }
-
-  extractVLANPorts(vlanConfig, vlanId) {
-    const ports = []
-    
-    // Extract port assignments for the VLAN
-    if (vlanConfig.vlan_port && vlanConfig.vlan_port.ports) {
-      vlanConfig.vlan_port.ports.forEach(port => {
-        if (port.vlans && port.vlans.includes(vlanId)) {
-          ports.push({
-            port: port.portId || port.port,
-            tagged: port.tagged || false,
-            pvid: port.pvid
-          })
-        }
-      })
-    }
-    
-    return ports
-  }
-
   // Port Assignment Management
   async assignPortToVLAN(switchId, portId, vlanId, tagged = false) {
     try {
@@ -328,25 +257,7 @@ class VLANManagerService {
     try {
       logger.vlanOperation('port_remove', vlanId, [switchId], { portId })
       
-      // Implementation depends on switch type
-      const switchInfo = this.switchManager.getSwitch(switchId)
-      let result
-      
-      if (switchInfo.config.type === 'vimins') {
-        result = await switchInfo.manager.apiCall('vlan_portEdit', {
-          portId,
-          vlanId: vlanId.toString(),
-          action: 'remove'
-        }, 'POST')
-      } else {
-        result = await switchInfo.manager.submitForm('/vlan_membership.html', 
-          new URLSearchParams({
-            port: portId,
-            vlan_id: vlanId.toString(),
-            action: 'remove'
-          })
-        )
-      }
+      const result = await this.switchManager.removePortFromVLAN(switchId, portId, vlanId)
       
       logger.info(`✅ Removed port ${portId} from VLAN ${vlanId} on ${switchId}`)
       return result
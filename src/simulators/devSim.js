@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Development mode with simulated switches
+ * Starts a local simulator for every configured switch, points the
+ * configuration at them and then starts the addon server
+ */
+
+const config = require('../utils/config')
+const logger = require('../utils/logger')
+const { hasSimulator, createSimulator } = require('./index')
+
+const SIM_HOST = '127.0.0.1'
+const SIM_BASE_PORT = parseInt(process.env.SIM_BASE_PORT || '18080', 10)
+
+async function startSimulators() {
+  const running = []
+  let nextPort = SIM_BASE_PORT
+
+  for (const [switchId, switchConfig] of Object.entries(config.getAllSwitches())) {
+    if (!hasSimulator(switchConfig.type)) {
+      logger.warn(`No simulator for ${switchId} (${switchConfig.type}), leaving it pointed at ${switchConfig.ip}`)
+      continue
+    }
+
+    const simulator = createSimulator(switchConfig)
+    const port = await simulator.start(nextPort++, SIM_HOST)
+
+    // Config objects are shared, so the switch managers pick this up on initialization
+    switchConfig.ip = SIM_HOST
+    switchConfig.httpPort = port
+
+    running.push({ switchId, simulator })
+    logger.info(`🧪 ${switchId} simulated at http://${SIM_HOST}:${port}`)
+  }
+
+  return running
+}
+
+async function main() {
+  const simulators = await startSimulators()
+
+  const MCPSwitchManagerServer = require('../server')
+  const server = new MCPSwitchManagerServer()
+
+  const stopSimulators = async () => {
+    for (const { simulator } of simulators) {
+      await simulator.stop()
+    }
+  }
+  process.once('SIGTERM', stopSimulators)
+  process.once('SIGINT', stopSimulators)
+
+  await server.start()
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error('❌ Failed to start simulated environment:', error)
+    process.exit(1)
+  })
+}
+
+module.exports = { startSimulators }
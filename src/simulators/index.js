@@ -0,0 +1,37 @@
+/**
+ * Switch Simulators
+ * Local stand-ins for the supported switch models, used by tests and `npm run dev:sim`
+ */
+
+const ViminsSimulator = require('./vimins/ViminsSimulator')
+const SodolaEmulator = require('./sodola/SodolaEmulator')
+
+const simulators = {
+  vimins: ViminsSimulator,
+  sodola: SodolaEmulator
+}
+
+function hasSimulator(type) {
+  return Object.prototype.hasOwnProperty.call(simulators, type)
+}
+
+function createSimulator(switchConfig) {
+  const Simulator = simulators[switchConfig.type]
+  if (!Simulator) {
+    throw new Error(`No simulator available for switch type: ${switchConfig.type}`)
+  }
+
+  return new Simulator({
+    name: switchConfig.name,
+    mac: switchConfig.mac,
+    username: switchConfig.username,
+    password: switchConfig.password
+  })
+}
+
+module.exports = {
+  ViminsSimulator,
+  SodolaEmulator,
+  hasSimulator,
+  createSimulator
+}
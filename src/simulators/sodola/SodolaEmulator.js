@@ -0,0 +1,301 @@
+/**
+ * Sodola Web Interface Emulator
+ * Serves the SL-SWTGW218AS page structure (frames, forms, cookie sessions)
+ * against an in-memory model so SodolaManager's scraping can be regression tested
+ */
+
+const crypto = require('crypto')
+const express = require('express')
+const multer = require('multer')
+const logger = require('../../utils/logger')
+const SodolaSwitchModel = require('./SodolaSwitchModel')
+const pages = require('./pages')
+
+const { EmulatorError } = SodolaSwitchModel
+
+const SESSION_COOKIE = 'SESSIONID'
+
+class SodolaEmulator {
+  constructor(options = {}) {
+    this.options = options
+    this.username = options.username || 'admin'
+    this.password = options.password || 'admin'
+    // 'form' serves a login page and cookie session; 'basic' expects HTTP Basic auth on every page
+    this.authMode = options.authMode || 'form'
+    this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000
+    // How long the switch stays unreachable after a reboot
+    this.rebootTime = options.rebootTime ?? 5000
+    this.rebootingUntil = 0
+    this.model = new SodolaSwitchModel(options)
+    this.sessions = new Map()
+    this.server = null
+    this.port = null
+
+    this.upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } })
+    this.app = this.createApp()
+  }
+
+  createApp() {
+    const app = express()
+    app.use(express.urlencoded({ extended: false }))
+
+    app.use((req, res, next) => {
+      if (Date.now() < this.rebootingUntil) {
+        return res.status(503).send('<html><head><title>503 Service Unavailable</title></head><body>System is rebooting</body></html>')
+      }
+      next()
+    })
+
+    app.get('/login.html', (req, res) => res.send(pages.loginPage(this.model)))
+    app.post('/login', this.upload.none(), (req, res) => this.handleLogin(req, res))
+    app.get('/logout', (req, res) => {
+      this.sessions.delete(this.getSessionId(req))
+      res.clearCookie(SESSION_COOKIE).send(pages.loginPage(this.model))
+    })
+
+    app.get('/', (req, res) => {
+      if (!this.isAuthenticated(req)) {
+        return this.authMode === 'basic' ? this.requestBasicAuth(res) : res.send(pages.loginPage(this.model))
+      }
+      res.send(pages.mainFrameset(this.model))
+    })
+
+    // Everything below requires an authenticated session
+    app.use((req, res, next) => {
+      if (this.isAuthenticated(req)) {
+        return next()
+      }
+      if (this.authMode === 'basic') {
+        return this.requestBasicAuth(res)
+      }
+      res.status(401).send(pages.loginPage(this.model, 'Session timeout, please login again'))
+    })
+
+    app.get('/menu.html', (req, res) => res.send(pages.menuPage()))
+    app.get('/system.html', (req, res) => res.send(pages.systemPage(this.model)))
+    app.get('/port.html', (req, res) => res.send(pages.portPage(this.model)))
+    app.get('/port_config.html', (req, res) => res.send(pages.portConfigPage(this.model)))
+    app.get('/port_statistics.html', (req, res) => res.send(pages.portStatisticsPage(this.model)))
+    app.get('/vlan.html', (req, res) => res.send(pages.vlanPage(this.model)))
+    app.get('/vlan_config.html', (req, res) => res.send(pages.vlanConfigPage(this.model)))
+    app.get('/vlan_membership.html', (req, res) => res.send(pages.vlanMembershipPage(this.model)))
+    app.get('/qos.html', (req, res) => res.send(pages.qosPage(this.model)))
+    app.get('/port_security.html', (req, res) => res.send(pages.portSecurityPage(this.model)))
+    app.get('/storm_control.html', (req, res) => res.send(pages.stormControlPage(this.model)))
+    app.get('/loop_detection.html', (req, res) => res.send(pages.loopDetectionPage(this.model)))
+    app.get('/stp.html', (req, res) => res.send(pages.stpPage(this.model)))
+    app.get('/igmp.html', (req, res) => res.send(pages.igmpPage(this.model)))
+    app.get('/lldp.html', (req, res) => res.send(pages.lldpPage(this.model)))
+    app.get('/mirror.html', (req, res) => res.send(pages.mirrorPage(this.model)))
+    app.get('/backup.html', (req, res) => res.send(pages.backupPage()))
+    app.get('/restore.html', (req, res) => res.send(pages.restorePage()))
+    app.get('/save.html', (req, res) => res.send(pages.savePage(this.model)))
+    app.get('/reboot.html', (req, res) => res.send(pages.rebootPage()))
+
+    app.get('/switch_config_backup.bin', (req, res) => {
+      res.type('application/octet-stream').send(JSON.stringify(this.model.exportConfig()))
+    })
+
+    app.post('/port_config.html', this.formHandler(pages.portConfigPage, (body) => {
+      this.model.configurePort(body.port, body)
+    }))
+
+    app.post('/port_statistics.html', (req, res) => {
+      if (req.body.action === 'clear') {
+        for (const port of this.model.ports) {
+          Object.keys(port.counters).forEach(key => { port.counters[key] = 0 })
+        }
+      }
+      res.send(pages.portStatisticsPage(this.model))
+    })
+
+    app.post('/vlan_config.html', this.formHandler(pages.vlanConfigPage, (body) => {
+      if (body.action === 'delete') {
+        return this.model.deleteVLAN(body.vlan_id)
+      }
+      this.model.createVLAN(body.vlan_id, body.vlan_name, body.description)
+    }))
+
+    app.post('/vlan_membership.html', this.formHandler(pages.vlanMembershipPage, (body) => {
+      if (body.action === 'remove') {
+        return this.model.removePortMembership(body.port, body.vlan_id)
+      }
+      this.model.setPortMembership(body.port, body.vlan_id, body.tagged === '1', body.pvid)
+    }))
+
+    app.post('/qos.html', this.formHandler(pages.qosPage, (body) => this.model.configurePortQoS(body)))
+
+    app.post('/port_security.html', this.formHandler(pages.portSecurityPage, (body) => this.model.configurePortSecurity(body)))
+
+    app.post('/storm_control.html', this.formHandler(pages.stormControlPage, (body) => this.model.configureStormControl(body)))
+
+    app.post('/loop_detection.html', this.formHandler(pages.loopDetectionPage, (body) => {
+      if (body.action === 'port') {
+        return this.model.configureLoopDetectionPort(body.port, body)
+      }
+      this.model.configureLoopDetection(body)
+    }))
+
+    app.post('/stp.html', this.formHandler(pages.stpPage, (body) => {
+      if (body.action === 'port') {
+        return this.model.configureSTPPort(body.port, body)
+      }
+      this.model.configureSTP(body)
+    }))
+
+    app.post('/igmp.html', this.formHandler(pages.igmpPage, (body) => this.model.configureIGMPSnooping(body)))
+
+    app.post('/mirror.html', this.formHandler(pages.mirrorPage, (body) => {
+      const directions = {}
+      for (const [field, value] of Object.entries(body)) {
+        if (field.startsWith('src_dir_')) {
+          directions[field.slice('src_dir_'.length)] = value
+        }
+      }
+      this.model.setMirror(body.mirror_enable === '1', body.dest_port, directions)
+    }))
+
+    app.post('/save.html', (req, res) => {
+      if (req.body.action === 'save') {
+        this.model.saveConfig()
+        return res.send(pages.savePage(this.model, null, 'Configuration saved successfully'))
+      }
+      res.send(pages.savePage(this.model))
+    })
+
+    app.post('/reboot.html', (req, res) => {
+      if (req.body.action !== 'reboot') {
+        return res.send(pages.rebootPage())
+      }
+      res.send(pages.rebootPage(null, 'System is rebooting, please wait...'))
+      this.model.reboot()
+      this.sessions.clear()
+      this.rebootingUntil = Date.now() + this.rebootTime
+    })
+
+    app.post('/restore.html', this.upload.single('config_file'), (req, res) => {
+      try {
+        if (!req.file) {
+          throw new EmulatorError('Please select a configuration file')
+        }
+        this.model.importConfig(this.parseConfigFile(req.file.buffer.toString('utf8')))
+        res.send(pages.restorePage(null, 'Configuration restored successfully'))
+      } catch (error) {
+        this.sendFormError(res, pages.restorePage, error)
+      }
+    })
+
+    app.use((req, res) => {
+      res.status(404).send(`<html><head><title>404 Not Found</title></head><body>Not Found: ${pages.escapeHTML(req.path)}</body></html>`)
+    })
+
+    return app
+  }
+
+  // Apply a form post to the model and re-render the page, showing validation errors inline
+  formHandler(renderPage, apply) {
+    return (req, res) => {
+      try {
+        apply(req.body || {})
+        res.send(renderPage(this.model))
+      } catch (error) {
+        this.sendFormError(res, (err) => renderPage(this.model, err), error)
+      }
+    }
+  }
+
+  sendFormError(res, renderPage, error) {
+    if (error instanceof EmulatorError) {
+      return res.send(renderPage(error.message))
+    }
+    logger.error('Sodola emulator form handling failed:', error.message)
+    res.status(500).send(renderPage(error.message))
+  }
+
+  // Accepts the exported file itself or a backup object that wraps it in configFile
+  parseConfigFile(content) {
+    let configData
+    try {
+      configData = JSON.parse(content)
+    } catch (error) {
+      throw new EmulatorError('Invalid configuration file')
+    }
+
+    if (configData && configData.configFile !== undefined) {
+      return typeof configData.configFile === 'string'
+        ? this.parseConfigFile(configData.configFile)
+        : configData.configFile
+    }
+    return configData
+  }
+
+  handleLogin(req, res) {
+    const body = req.body || {}
+    if (body.username !== this.username || body.password !== this.password) {
+      return res.send(pages.loginPage(this.model, 'Username or password is incorrect'))
+    }
+
+    const sessionId = crypto.randomBytes(16).toString('hex')
+    this.sessions.set(sessionId, { lastSeen: Date.now() })
+    res.cookie(SESSION_COOKIE, sessionId, { path: '/', httpOnly: true })
+    res.send(pages.mainFrameset(this.model))
+  }
+
+  requestBasicAuth(res) {
+    res.set('WWW-Authenticate', 'Basic realm="Switch"')
+      .status(401)
+      .send(pages.loginPage(this.model, 'Authorization required'))
+  }
+
+  getSessionId(req) {
+    const cookies = req.headers.cookie || ''
+    const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`))
+    return match ? match.slice(SESSION_COOKIE.length + 1) : null
+  }
+
+  isAuthenticated(req) {
+    if (this.authMode === 'basic') {
+      const header = req.headers.authorization || ''
+      if (!header.startsWith('Basic ')) {
+        return false
+      }
+      const [username, ...rest] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':')
+      return username === this.username && rest.join(':') === this.password
+    }
+
+    const sessionId = this.getSessionId(req)
+    const session = sessionId && this.sessions.get(sessionId)
+    if (!session) {
+      return false
+    }
+    if (Date.now() - session.lastSeen > this.sessionTimeout) {
+      this.sessions.delete(sessionId)
+      return false
+    }
+    session.lastSeen = Date.now()
+    return true
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, resolve)
+      this.server.once('error', reject)
+    })
+
+    this.port = this.server.address().port
+    logger.info(`🧪 Sodola emulator "${this.model.system.sysName}" listening on ${host}:${this.port} (${this.authMode} auth)`)
+    return this.port
+  }
+
+  async stop() {
+    if (!this.server) {
+      return
+    }
+
+    await new Promise((resolve) => this.server.close(resolve))
+    this.server = null
+    this.sessions.clear()
+  }
+}
+
+module.exports = SodolaEmulator
@@ -0,0 +1,635 @@
+/**
+ * Sodola Switch Model
+ * In-memory state of a simulated Sodola SL-SWTGW218AS used by the web emulator
+ */
+
+const { computeSpanningTree } = require('../spanningTree')
+
+const COPPER_PORTS = 16
+const SFP_PORTS = 2
+const MIRROR_DIRECTIONS = ['rx', 'tx', 'both']
+const IGMP_DEFAULTS = { enabled: false, querier: false, fastLeave: false }
+const RATE_STEP_KBPS = 64
+const SECURITY_ACTIONS = ['drop', 'shutdown', 'log']
+const MAX_SECURE_MACS = 32
+// Line rate in packets per second per Mbps of port speed, at minimum frame size
+const PPS_PER_MBPS = 1488
+const LOOP_ACTIONS = ['shutdown', 'log']
+
+class SodolaSwitchModel {
+  constructor(options = {}) {
+    this.system = {
+      model: 'SL-SWTGW218AS',
+      sysName: options.name || 'Sodola_Emulator',
+      mac: options.mac || '1C:2A:A3:00:00:01',
+      ip: options.ip || '127.0.0.1',
+      fwVersion: 'V1.2.0.5',
+      hwVersion: 'V1.0',
+      serial: options.serial || 'SWTGW218AS0001',
+      bootTime: Date.now()
+    }
+
+    this.ports = []
+    for (let id = 1; id <= COPPER_PORTS + SFP_PORTS; id++) {
+      const sfp = id > COPPER_PORTS
+      this.ports.push({
+        id,
+        name: `Port ${id}`,
+        media: sfp ? 'SFP+' : 'Copper',
+        adminEnable: true,
+        linkUp: id <= 4 || sfp,
+        speed: sfp ? 10000 : 2500,
+        duplex: 'Full',
+        flowControl: false,
+        pvid: 1,
+        counters: {
+          txBytes: 0,
+          rxBytes: 0,
+          txGood: 0,
+          txBad: 0,
+          rxGood: 0,
+          rxBad: 0
+        },
+        // Rates are in kbps, 0 meaning unlimited
+        qos: { ingressRate: 0, egressRate: 0, priority: 0, scheduling: 'sp' },
+        // Storm control thresholds in packets per second, 0 meaning off
+        storm: { broadcast: 0, multicast: 0, unknownUnicast: 0 },
+        // Port security; learned addresses, violations and errDisabled are runtime state
+        security: { enabled: false, maxMac: 1, action: 'drop', learned: [], violations: 0, errDisabled: false },
+        // Simulated traffic rate in bytes per second
+        trafficRate: id <= 4 || sfp ? id * 50000 : 0
+      })
+    }
+
+    this.vlans = new Map()
+    this.vlans.set(1, {
+      id: 1,
+      name: 'Default',
+      description: 'Default VLAN',
+      tagged: new Set(),
+      untagged: new Set(this.ports.map(p => p.id))
+    })
+
+    // upstream is the best root heard in BPDUs: { priority, mac, portId, pathCost }
+    this.stp = {
+      enabled: true,
+      mode: 'rstp',
+      priority: 32768,
+      upstream: options.stpUpstream || null,
+      ports: new Map(this.ports.map(port => [port.id, { edge: false, bpduGuard: false }]))
+    }
+
+    // Loop detection probes every interval seconds; loopCount, lastLoop and shutdown are runtime state
+    this.loopDetection = {
+      enabled: false,
+      interval: 5,
+      action: 'shutdown',
+      ports: new Map(this.ports.map(port => [port.id, { enabled: true, loopCount: 0, lastLoop: null, shutdown: false }]))
+    }
+
+    // IGMP snooping settings for VLANs that have any; the web UI shows no group table
+    this.igmp = new Map()
+
+    // What the LLDP agent has heard: { localPort, chassisId, portId, portDescription, systemName, mgmtAddress }
+    this.lldpNeighbors = options.lldpNeighbors || []
+
+    // A single mirror session; sources maps port id -> direction
+    this.mirror = { enabled: false, destPort: null, sources: new Map() }
+
+    this.lastCounterUpdate = Date.now()
+
+    // What the switch boots with; running changes are lost on reboot until saved
+    this.startupConfig = this.exportConfig()
+  }
+
+  findPort(portRef) {
+    const match = String(portRef === undefined ? '' : portRef).match(/(\d+)\s*$/)
+    if (!match) {
+      return null
+    }
+    return this.ports.find(p => p.id === parseInt(match[1], 10)) || null
+  }
+
+  requirePort(portRef) {
+    const port = this.findPort(portRef)
+    if (!port) {
+      throw new EmulatorError(`Invalid port: ${portRef}`)
+    }
+    return port
+  }
+
+  requireVLAN(vlanId) {
+    const vlan = this.vlans.get(parseInt(vlanId, 10))
+    if (!vlan) {
+      throw new EmulatorError(`VLAN ${vlanId} not exist`)
+    }
+    return vlan
+  }
+
+  getUptimeSeconds() {
+    return Math.floor((Date.now() - this.system.bootTime) / 1000)
+  }
+
+  updateCounters() {
+    const now = Date.now()
+    const elapsedSeconds = (now - this.lastCounterUpdate) / 1000
+    this.lastCounterUpdate = now
+
+    for (const port of this.ports) {
+      if (!port.linkUp || !port.adminEnable || port.trafficRate === 0) {
+        continue
+      }
+
+      const rxBytes = Math.round(port.trafficRate * elapsedSeconds)
+      const txBytes = Math.round(port.trafficRate * 0.4 * elapsedSeconds)
+      port.counters.rxBytes += rxBytes
+      port.counters.txBytes += txBytes
+      port.counters.rxGood += Math.round(rxBytes / 800)
+      port.counters.txGood += Math.round(txBytes / 800)
+    }
+  }
+
+  // VLAN operations
+  createVLAN(vlanId, name, description = '') {
+    const id = parseInt(vlanId, 10)
+    if (isNaN(id) || id < 1 || id > 4094) {
+      throw new EmulatorError('VLAN ID must be 1-4094')
+    }
+    if (this.vlans.has(id)) {
+      throw new EmulatorError(`VLAN ${id} already exist`)
+    }
+
+    this.vlans.set(id, {
+      id,
+      name: name || `VLAN${id}`,
+      description: description || '',
+      tagged: new Set(),
+      untagged: new Set()
+    })
+  }
+
+  deleteVLAN(vlanId) {
+    const vlan = this.requireVLAN(vlanId)
+    if (vlan.id === 1) {
+      throw new EmulatorError('Default VLAN can not be deleted')
+    }
+
+    this.vlans.delete(vlan.id)
+    this.igmp.delete(vlan.id)
+    for (const port of this.ports) {
+      if (port.pvid === vlan.id) {
+        port.pvid = 1
+      }
+    }
+  }
+
+  setPortMembership(portRef, vlanId, tagged, pvid) {
+    const port = this.requirePort(portRef)
+    const vlan = this.requireVLAN(vlanId)
+
+    if (tagged) {
+      vlan.untagged.delete(port.id)
+      vlan.tagged.add(port.id)
+    } else {
+      vlan.tagged.delete(port.id)
+      vlan.untagged.add(port.id)
+    }
+
+    if (pvid) {
+      port.pvid = this.requireVLAN(pvid).id
+    }
+  }
+
+  removePortMembership(portRef, vlanId) {
+    const port = this.requirePort(portRef)
+    const vlan = this.requireVLAN(vlanId)
+
+    vlan.tagged.delete(port.id)
+    vlan.untagged.delete(port.id)
+    if (port.pvid === vlan.id) {
+      port.pvid = 1
+    }
+  }
+
+  // Port operations
+  configurePort(portRef, settings) {
+    const port = this.requirePort(portRef)
+
+    if (settings.state !== undefined) {
+      port.adminEnable = settings.state === 'enable' || settings.state === '1'
+      // Enabling the port again is how a port shut down by port security or loop detection recovers
+      if (port.adminEnable) {
+        port.security.errDisabled = false
+        this.loopDetection.ports.get(port.id).shutdown = false
+      }
+    }
+    if (settings.speed !== undefined && settings.speed !== 'auto') {
+      port.speed = parseInt(settings.speed, 10) || port.speed
+    }
+    if (settings.duplex !== undefined) {
+      port.duplex = settings.duplex === 'half' ? 'Half' : 'Full'
+    }
+    if (settings.flow_control !== undefined) {
+      port.flowControl = settings.flow_control === 'on' || settings.flow_control === '1'
+    }
+  }
+
+  // QoS form post; every field is sent
+  configurePortQoS(settings) {
+    const port = this.requirePort(settings.port)
+    const rate = (value) => {
+      const kbps = parseInt(value, 10)
+      if (isNaN(kbps) || kbps < 0 || kbps % RATE_STEP_KBPS !== 0 || kbps > port.speed * 1000) {
+        throw new EmulatorError(`Rate must be 0 or a multiple of ${RATE_STEP_KBPS} Kbps up to ${port.speed * 1000}`)
+      }
+      return kbps
+    }
+    const priority = parseInt(settings.priority, 10)
+    if (isNaN(priority) || priority < 0 || priority > 7) {
+      throw new EmulatorError('Priority must be 0-7')
+    }
+    if (!['sp', 'wrr'].includes(settings.scheduling)) {
+      throw new EmulatorError(`Invalid scheduling: ${settings.scheduling}`)
+    }
+
+    port.qos = {
+      ingressRate: rate(settings.ingress_rate),
+      egressRate: rate(settings.egress_rate),
+      priority,
+      scheduling: settings.scheduling
+    }
+  }
+
+  // Storm control form post; every field is sent
+  configureStormControl(settings) {
+    const port = this.requirePort(settings.port)
+    const maxRate = port.speed * PPS_PER_MBPS
+    const rate = (value) => {
+      const pps = parseInt(value, 10)
+      if (isNaN(pps) || pps < 0 || pps > maxRate) {
+        throw new EmulatorError(`Storm control rate must be 0-${maxRate} pps`)
+      }
+      return pps
+    }
+
+    port.storm = {
+      broadcast: rate(settings.broadcast),
+      multicast: rate(settings.multicast),
+      unknownUnicast: rate(settings.unknown_unicast)
+    }
+  }
+
+  // Loop detection global form post; every field is sent
+  configureLoopDetection(settings) {
+    const interval = parseInt(settings.interval, 10)
+    if (isNaN(interval) || interval < 1 || interval > 60) {
+      throw new EmulatorError('Detection interval must be 1-60 seconds')
+    }
+    if (!LOOP_ACTIONS.includes(settings.loop_action)) {
+      throw new EmulatorError(`Invalid loop action: ${settings.loop_action}`)
+    }
+
+    Object.assign(this.loopDetection, {
+      enabled: settings.loop_detect === '1',
+      interval,
+      action: settings.loop_action
+    })
+  }
+
+  configureLoopDetectionPort(portRef, settings) {
+    const port = this.requirePort(portRef)
+    this.loopDetection.ports.get(port.id).enabled = settings.state === '1'
+  }
+
+  // Simulates a loop probe sent out of a port coming back in. Returns whether the loop
+  // was detected; with the shutdown action the port stays disabled until re-enabled.
+  simulateLoop(portRef) {
+    const port = this.requirePort(portRef)
+    const state = this.loopDetection.ports.get(port.id)
+    if (!this.loopDetection.enabled || !state.enabled || !port.adminEnable || !port.linkUp) {
+      return false
+    }
+
+    state.loopCount++
+    state.lastLoop = Date.now()
+    if (this.loopDetection.action === 'shutdown') {
+      port.adminEnable = false
+      state.shutdown = true
+    }
+    return true
+  }
+
+  // Port security form post; every field is sent
+  configurePortSecurity(settings) {
+    const port = this.requirePort(settings.port)
+    const maxMac = parseInt(settings.max_mac, 10)
+    if (isNaN(maxMac) || maxMac < 1 || maxMac > MAX_SECURE_MACS) {
+      throw new EmulatorError(`Max MAC must be 1-${MAX_SECURE_MACS}`)
+    }
+    if (!SECURITY_ACTIONS.includes(settings.action)) {
+      throw new EmulatorError(`Invalid violation action: ${settings.action}`)
+    }
+
+    Object.assign(port.security, {
+      enabled: settings.state === '1',
+      maxMac,
+      action: settings.action
+    })
+  }
+
+  // Simulates a frame from macAddr arriving on a port; the web UI shows no MAC table,
+  // only the number of addresses each port has learned. Returns whether it was learned.
+  learnMAC(macAddr, portRef) {
+    const mac = String(macAddr || '').toUpperCase()
+    const port = this.requirePort(portRef)
+    const security = port.security
+    if (!port.adminEnable || !port.linkUp) {
+      return false
+    }
+    if (security.learned.includes(mac)) {
+      return true
+    }
+
+    if (security.enabled && security.learned.length >= security.maxMac) {
+      security.violations++
+      if (security.action === 'shutdown') {
+        port.adminEnable = false
+        security.errDisabled = true
+        security.learned = []
+      }
+      if (security.action !== 'log') {
+        return false
+      }
+    }
+
+    security.learned.push(mac)
+    return true
+  }
+
+  // Spanning tree
+  getSTPStatus() {
+    const bridge = { priority: this.stp.priority, mac: this.system.mac }
+    if (!this.stp.enabled) {
+      // Every port forwards and the bridge only knows itself
+      return {
+        root: bridge,
+        isRoot: true,
+        rootPortId: null,
+        rootPathCost: 0,
+        ports: this.ports.map(port => ({ portId: port.id, role: 'disabled', state: 'forwarding', pathCost: 0, ...this.stp.ports.get(port.id) }))
+      }
+    }
+
+    const tree = computeSpanningTree(bridge, this.stp.upstream, this.ports.map(port => ({
+      portId: port.id,
+      up: port.adminEnable && port.linkUp,
+      speedMbps: port.speed
+    })))
+    return {
+      ...tree,
+      ports: tree.ports.map(port => ({ ...port, ...this.stp.ports.get(port.portId) }))
+    }
+  }
+
+  configureSTP(settings) {
+    if (settings.priority !== undefined) {
+      const priority = parseInt(settings.priority, 10)
+      if (isNaN(priority) || priority < 0 || priority > 61440 || priority % 4096 !== 0) {
+        throw new EmulatorError('Bridge priority must be 0-61440 in steps of 4096')
+      }
+      this.stp.priority = priority
+    }
+    if (settings.version !== undefined) {
+      if (!['stp', 'rstp'].includes(settings.version)) {
+        throw new EmulatorError(`Invalid protocol version: ${settings.version}`)
+      }
+      this.stp.mode = settings.version
+    }
+    if (settings.stp_enable !== undefined) {
+      this.stp.enabled = settings.stp_enable === '1'
+    }
+  }
+
+  configureSTPPort(portRef, settings) {
+    const port = this.requirePort(portRef)
+    const flags = this.stp.ports.get(port.id)
+
+    if (settings.edge !== undefined) {
+      flags.edge = settings.edge === '1'
+    }
+    if (settings.bpdu_guard !== undefined) {
+      flags.bpduGuard = settings.bpdu_guard === '1'
+    }
+  }
+
+  // IGMP snooping
+  getIGMPSnooping(vlanId) {
+    return { ...IGMP_DEFAULTS, ...this.igmp.get(vlanId) }
+  }
+
+  configureIGMPSnooping(settings) {
+    const vlan = this.requireVLAN(settings.vlan_id)
+    this.igmp.set(vlan.id, {
+      enabled: settings.snooping === '1',
+      querier: settings.querier === '1',
+      fastLeave: settings.fast_leave === '1'
+    })
+  }
+
+  // LLDP; a neighbor ages out once its port goes down
+  getLLDPNeighbors() {
+    return this.lldpNeighbors.filter(neighbor => {
+      const port = this.findPort(neighbor.localPort)
+      return port && port.adminEnable && port.linkUp
+    })
+  }
+
+  // Port mirroring; directions holds the form's per-port select values
+  setMirror(enabled, destPortRef, directions) {
+    if (!enabled) {
+      this.mirror = { enabled: false, destPort: null, sources: new Map() }
+      return
+    }
+
+    const dest = this.requirePort(destPortRef)
+    const sources = new Map()
+    for (const [portRef, direction] of Object.entries(directions)) {
+      if (direction === 'disable') {
+        continue
+      }
+      const port = this.requirePort(portRef)
+      if (!MIRROR_DIRECTIONS.includes(direction)) {
+        throw new EmulatorError(`Invalid mirror direction: ${direction}`)
+      }
+      if (port.id === dest.id) {
+        throw new EmulatorError('Mirroring port can not be the monitor port')
+      }
+      sources.set(port.id, direction)
+    }
+    if (sources.size === 0) {
+      throw new EmulatorError('Please select the mirrored ports')
+    }
+
+    this.mirror = { enabled: true, destPort: dest.id, sources }
+  }
+
+  // Startup configuration
+  saveConfig() {
+    this.startupConfig = this.exportConfig()
+  }
+
+  hasUnsavedChanges() {
+    return JSON.stringify(this.exportConfig()) !== JSON.stringify(this.startupConfig)
+  }
+
+  reboot() {
+    this.importConfig(this.startupConfig)
+    this.system.bootTime = Date.now()
+    // Counters start from zero after a reboot
+    for (const port of this.ports) {
+      Object.keys(port.counters).forEach(key => { port.counters[key] = 0 })
+    }
+    this.lastCounterUpdate = Date.now()
+  }
+
+  // Configuration file export/import
+  exportConfig() {
+    return {
+      model: this.system.model,
+      vlans: Array.from(this.vlans.values()).map(vlan => ({
+        id: vlan.id,
+        name: vlan.name,
+        description: vlan.description,
+        tagged: Array.from(vlan.tagged),
+        untagged: Array.from(vlan.untagged)
+      })),
+      ports: this.ports.map(port => ({
+        id: port.id,
+        adminEnable: port.adminEnable,
+        pvid: port.pvid,
+        flowControl: port.flowControl,
+        qos: { ...port.qos },
+        storm: { ...port.storm },
+        security: {
+          enabled: port.security.enabled,
+          maxMac: port.security.maxMac,
+          action: port.security.action
+        }
+      })),
+      stp: {
+        enabled: this.stp.enabled,
+        mode: this.stp.mode,
+        priority: this.stp.priority,
+        ports: Array.from(this.stp.ports.entries()).map(([id, flags]) => [id, { ...flags }])
+      },
+      igmp: Array.from(this.igmp.entries()).map(([id, settings]) => [id, { ...settings }]),
+      loopDetection: {
+        enabled: this.loopDetection.enabled,
+        interval: this.loopDetection.interval,
+        action: this.loopDetection.action,
+        ports: Array.from(this.loopDetection.ports.entries()).map(([id, state]) => [id, state.enabled])
+      },
+      mirror: {
+        enabled: this.mirror.enabled,
+        destPort: this.mirror.destPort,
+        sources: Array.from(this.mirror.sources.entries())
+      }
+    }
+  }
+
+  importConfig(configData) {
+    if (!configData || configData.model !== this.system.model || !Array.isArray(configData.vlans)) {
+      throw new EmulatorError('Invalid configuration file')
+    }
+
+    this.vlans = new Map(configData.vlans.map(vlan => [vlan.id, {
+      id: vlan.id,
+      name: vlan.name,
+      description: vlan.description || '',
+      tagged: new Set(vlan.tagged),
+      untagged: new Set(vlan.untagged)
+    }]))
+
+    if (configData.stp) {
+      Object.assign(this.stp, {
+        enabled: configData.stp.enabled,
+        mode: configData.stp.mode,
+        priority: configData.stp.priority,
+        ports: new Map(configData.stp.ports.map(([id, flags]) => [id, { ...flags }]))
+      })
+    }
+
+    if (Array.isArray(configData.igmp)) {
+      this.igmp = new Map(configData.igmp.map(([id, settings]) => [id, { ...settings }]))
+    }
+
+    if (configData.loopDetection) {
+      Object.assign(this.loopDetection, {
+        enabled: configData.loopDetection.enabled,
+        interval: configData.loopDetection.interval,
+        action: configData.loopDetection.action
+      })
+      for (const [id, enabled] of configData.loopDetection.ports) {
+        const state = this.loopDetection.ports.get(id)
+        if (state) {
+          state.enabled = enabled
+        }
+      }
+    }
+
+    if (configData.mirror) {
+      this.mirror = {
+        enabled: configData.mirror.enabled,
+        destPort: configData.mirror.destPort,
+        sources: new Map(configData.mirror.sources)
+      }
+    }
+
+    for (const saved of configData.ports || []) {
+      const port = this.findPort(saved.id)
+      if (port) {
+        port.adminEnable = saved.adminEnable
+        port.pvid = saved.pvid
+        port.flowControl = saved.flowControl
+        if (saved.qos) {
+          port.qos = { ...saved.qos }
+        }
+        if (saved.storm) {
+          port.storm = { ...saved.storm }
+        }
+        if (saved.security) {
+          Object.assign(port.security, saved.security)
+        }
+      }
+    }
+  }
+}
+
+class EmulatorError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'EmulatorError'
+  }
+}
+
+// Format a list of port numbers the way the web UI does ("1-4,7,17-18")
+function formatPortList(portIds) {
+  const sorted = Array.from(portIds).sort((a, b) => a - b)
+  const ranges = []
+
+  for (const id of sorted) {
+    const last = ranges[ranges.length - 1]
+    if (last && id === last[1] + 1) {
+      last[1] = id
+    } else {
+      ranges.push([id, id])
+    }
+  }
+
+  return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(',') || '-'
+}
+
+SodolaSwitchModel.EmulatorError = EmulatorError
+SodolaSwitchModel.formatPortList = formatPortList
+
+module.exports = SodolaSwitchModel
@@ -0,0 +1,479 @@
+/**
+ * Sodola Emulator Pages
+ * HTML templates mirroring the SL-SWTGW218AS web interface (frameset, tables and forms)
+ */
+
+const { formatPortList } = require('./SodolaSwitchModel')
+
+function escapeHTML(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function layout(title, body, error = null) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta http-equiv="Content-Type" content="text/html; charset=utf-8">
+<title>${escapeHTML(title)}</title>
+<link rel="stylesheet" type="text/css" href="/style.css">
+</head>
+<body>
+${error ? `<div class="error">${escapeHTML(error)}</div>\n` : ''}${body}
+</body>
+</html>
+`
+}
+
+function table(headers, rows, attrs = '') {
+  const head = `<tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr>`
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('\n')
+  return `<table class="tbl" ${attrs}>\n${head}\n${body}\n</table>`
+}
+
+function portOptions(model) {
+  return model.ports.map(p => `<option value="${p.id}">${escapeHTML(p.name)}</option>`).join('')
+}
+
+function formatSpeed(port) {
+  if (!port.adminEnable || !port.linkUp) {
+    return '-'
+  }
+  return `${port.speed >= 10000 ? '10G' : `${port.speed}M`}/${port.duplex}`
+}
+
+function loginPage(model, error = null) {
+  return layout('Login', `
+<div class="banner">${escapeHTML(model.system.model)} Web Smart Switch</div>
+<form name="login" method="post" action="/login">
+<input type="hidden" name="language" value="en">
+<table class="login">
+<tr><td>Username</td><td><input type="text" name="username" maxlength="16"></td></tr>
+<tr><td>Password</td><td><input type="password" name="password" maxlength="16"></td></tr>
+</table>
+<input type="submit" value="Login">
+</form>`, error)
+}
+
+function mainFrameset(model) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>${escapeHTML(model.system.model)} Switch</title>
+</head>
+<frameset cols="200,*" frameborder="0">
+<frame name="menu" src="/menu.html" scrolling="auto">
+<frame name="main" src="/system.html" scrolling="auto">
+</frameset>
+</html>
+`
+}
+
+function menuPage() {
+  const links = [
+    ['/system.html', 'System Information'],
+    ['/port.html', 'Port Status'],
+    ['/port_config.html', 'Port Setting'],
+    ['/port_statistics.html', 'Port Statistics'],
+    ['/vlan.html', '802.1Q VLAN'],
+    ['/vlan_config.html', 'VLAN Setting'],
+    ['/vlan_membership.html', 'VLAN Member'],
+    ['/mirror.html', 'Port Mirror'],
+    ['/qos.html', 'QoS / Rate Limit'],
+    ['/port_security.html', 'Port Security'],
+    ['/storm_control.html', 'Storm Control'],
+    ['/loop_detection.html', 'Loop Detection'],
+    ['/stp.html', 'Spanning Tree'],
+    ['/igmp.html', 'IGMP Snooping'],
+    ['/lldp.html', 'LLDP Neighbor'],
+    ['/backup.html', 'Backup'],
+    ['/restore.html', 'Restore'],
+    ['/save.html', 'Save Configuration'],
+    ['/reboot.html', 'Reboot'],
+    ['/logout', 'Logout']
+  ]
+  return layout('Menu', `<ul class="menu">\n${links.map(([href, label]) => `<li><a href="${href}" target="main">${label}</a></li>`).join('\n')}\n</ul>`)
+}
+
+function systemPage(model) {
+  const sys = model.system
+  const rows = [
+    ['Model', sys.model],
+    ['System Name', sys.sysName],
+    ['MAC Address', sys.mac],
+    ['IP Address', sys.ip],
+    ['Firmware Version', sys.fwVersion],
+    ['Hardware Version', sys.hwVersion],
+    ['Serial Number', sys.serial],
+    ['System Uptime', formatUptime(model.getUptimeSeconds())],
+    ['CPU Usage', '9%'],
+    ['Memory Usage', '37%']
+  ]
+  return layout('System Information', `<h2>System Information</h2>\n<table class="tbl">\n${rows.map(([k, v]) => `<tr><td>${escapeHTML(k)}</td><td>${escapeHTML(v)}</td></tr>`).join('\n')}\n</table>`)
+}
+
+function formatUptime(seconds) {
+  const days = Math.floor(seconds / 86400)
+  const hours = Math.floor((seconds % 86400) / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  return `${days} days, ${hours} hours, ${minutes} mins, ${seconds % 60} secs`
+}
+
+function portStatusTable(model) {
+  return table(
+    ['Port', 'State', 'Link Status', 'Speed/Duplex', 'Flow Control', 'Media'],
+    model.ports.map(port => [
+      port.name,
+      port.adminEnable ? 'Enable' : 'Disable',
+      port.adminEnable && port.linkUp ? 'Link Up' : 'Link Down',
+      formatSpeed(port),
+      port.flowControl ? 'On' : 'Off',
+      port.media
+    ])
+  )
+}
+
+function portPage(model) {
+  return layout('Port Status', `<h2>Port Status</h2>\n${portStatusTable(model)}`)
+}
+
+function portConfigPage(model, error = null) {
+  return layout('Port Setting', `<h2>Port Setting</h2>
+<form name="portSetting" method="post" action="/port_config.html">
+<select name="port">${portOptions(model)}</select>
+<select name="state"><option value="enable">Enable</option><option value="disable">Disable</option></select>
+<select name="speed"><option value="auto">Auto</option><option value="1000">1000M</option><option value="2500">2500M</option><option value="10000">10G</option></select>
+<select name="duplex"><option value="full">Full</option><option value="half">Half</option></select>
+<select name="flow_control"><option value="off">Off</option><option value="on">On</option></select>
+<input type="submit" value="Apply">
+</form>
+${portStatusTable(model)}`, error)
+}
+
+function portStatisticsPage(model) {
+  model.updateCounters()
+  return layout('Port Statistics', `<h2>Port Statistics</h2>\n${table(
+    ['Port', 'State', 'Link Status', 'TxGoodPkt', 'TxBadPkt', 'RxGoodPkt', 'RxBadPkt', 'TxBytes', 'RxBytes'],
+    model.ports.map(port => [
+      port.name,
+      port.adminEnable ? 'Enable' : 'Disable',
+      port.adminEnable && port.linkUp ? 'Link Up' : 'Link Down',
+      port.counters.txGood,
+      port.counters.txBad,
+      port.counters.rxGood,
+      port.counters.rxBad,
+      port.counters.txBytes,
+      port.counters.rxBytes
+    ])
+  )}
+<form method="post" action="/port_statistics.html"><input type="hidden" name="action" value="clear"><input type="submit" value="Clear"></form>`)
+}
+
+function vlanTable(model) {
+  return table(
+    ['VLAN ID', 'VLAN Name', 'Member Ports', 'Tagged Ports', 'Untagged Ports'],
+    Array.from(model.vlans.values()).sort((a, b) => a.id - b.id).map(vlan => [
+      vlan.id,
+      vlan.name,
+      formatPortList(new Set([...vlan.tagged, ...vlan.untagged])),
+      formatPortList(vlan.tagged),
+      formatPortList(vlan.untagged)
+    ])
+  )
+}
+
+function vlanPage(model) {
+  return layout('802.1Q VLAN', `<h2>802.1Q VLAN</h2>\n${vlanTable(model)}`)
+}
+
+function vlanConfigPage(model, error = null) {
+  return layout('VLAN Setting', `<h2>VLAN Setting</h2>
+<form name="vlanSetting" method="post" action="/vlan_config.html">
+<input type="hidden" name="action" value="create">
+VLAN ID <input type="text" name="vlan_id" maxlength="4">
+VLAN Name <input type="text" name="vlan_name" maxlength="32">
+Description <input type="text" name="description" maxlength="64">
+<input type="submit" value="Add/Modify">
+</form>
+${table(
+    ['VLAN ID', 'VLAN Name', 'Description'],
+    Array.from(model.vlans.values()).sort((a, b) => a.id - b.id).map(vlan => [vlan.id, vlan.name, vlan.description])
+  )}`, error)
+}
+
+function vlanMembershipPage(model, error = null) {
+  return layout('VLAN Member', `<h2>VLAN Member</h2>
+<form name="vlanMember" method="post" action="/vlan_membership.html">
+<select name="port">${portOptions(model)}</select>
+VLAN ID <input type="text" name="vlan_id" maxlength="4">
+<select name="tagged"><option value="0">Untagged</option><option value="1">Tagged</option></select>
+PVID <input type="text" name="pvid" maxlength="4">
+<input type="submit" value="Apply">
+</form>
+${vlanTable(model)}
+<h3>Port PVID</h3>
+${table(['Port', 'PVID'], model.ports.map(port => [port.name, port.pvid]))}`, error)
+}
+
+function qosPage(model, error = null) {
+  const rate = (kbps) => kbps === 0 ? 'Unlimited' : kbps
+  const scheduling = { sp: 'Strict Priority', wrr: 'WRR' }
+
+  return layout('QoS', `<h2>QoS / Rate Limit</h2>
+<form name="qos" method="post" action="/qos.html">
+<select name="port">${portOptions(model)}</select>
+Ingress Rate <input type="text" name="ingress_rate" maxlength="8">
+Egress Rate <input type="text" name="egress_rate" maxlength="8">
+Priority <select name="priority">${[0, 1, 2, 3, 4, 5, 6, 7].map(p => `<option value="${p}">${p}</option>`).join('')}</select>
+Scheduling <select name="scheduling"><option value="sp">Strict Priority</option><option value="wrr">WRR</option></select>
+<input type="submit" value="Apply">
+</form>
+<p>Rate in Kbps, multiples of 64; 0 = Unlimited</p>
+${table(['Port', 'Ingress Rate (Kbps)', 'Egress Rate (Kbps)', 'Priority', 'Scheduling'], model.ports.map(port => [
+    port.name,
+    rate(port.qos.ingressRate),
+    rate(port.qos.egressRate),
+    port.qos.priority,
+    scheduling[port.qos.scheduling]
+  ]))}`, error)
+}
+
+function portSecurityPage(model, error = null) {
+  const actions = { drop: 'Drop', shutdown: 'Shutdown', log: 'Log' }
+
+  return layout('Port Security', `<h2>Port Security</h2>
+<form name="portSecurity" method="post" action="/port_security.html">
+<select name="port">${portOptions(model)}</select>
+State <select name="state"><option value="0">Disable</option><option value="1">Enable</option></select>
+Max MAC <input type="text" name="max_mac" maxlength="2">
+Violation Action <select name="action">${Object.entries(actions).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+<input type="submit" value="Apply">
+</form>
+${table(['Port', 'State', 'Max MAC', 'Violation Action', 'Learned MAC', 'Violations', 'Status'], model.ports.map(port => [
+    port.name,
+    port.security.enabled ? 'Enable' : 'Disable',
+    port.security.maxMac,
+    actions[port.security.action],
+    port.security.learned.length,
+    port.security.violations,
+    port.security.errDisabled ? 'Shutdown' : 'Normal'
+  ]))}`, error)
+}
+
+function stormControlPage(model, error = null) {
+  const rate = (pps) => pps === 0 ? 'Off' : pps
+
+  return layout('Storm Control', `<h2>Storm Control</h2>
+<form name="stormControl" method="post" action="/storm_control.html">
+<select name="port">${portOptions(model)}</select>
+Broadcast <input type="text" name="broadcast" maxlength="8">
+Multicast <input type="text" name="multicast" maxlength="8">
+Unknown Unicast <input type="text" name="unknown_unicast" maxlength="8">
+<input type="submit" value="Apply">
+</form>
+<p>Rate in pps; 0 = Off</p>
+${table(['Port', 'Broadcast (pps)', 'Multicast (pps)', 'Unknown Unicast (pps)'], model.ports.map(port => [
+    port.name,
+    rate(port.storm.broadcast),
+    rate(port.storm.multicast),
+    rate(port.storm.unknownUnicast)
+  ]))}`, error)
+}
+
+function loopDetectionPage(model, error = null) {
+  const loop = model.loopDetection
+  const onOff = (name) => `<select name="${name}"><option value="0">Disable</option><option value="1">Enable</option></select>`
+  const actions = { shutdown: 'Shutdown', log: 'Log' }
+  const rows = [
+    ['Loop Detection', loop.enabled ? 'Enable' : 'Disable'],
+    ['Detection Interval', loop.interval],
+    ['Action', actions[loop.action]]
+  ]
+
+  return layout('Loop Detection', `<h2>Loop Detection</h2>
+<form name="loopGlobal" method="post" action="/loop_detection.html">
+<input type="hidden" name="action" value="global">
+Loop Detection ${onOff('loop_detect')}
+Interval <input type="text" name="interval" maxlength="2">
+Action <select name="loop_action">${Object.entries(actions).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}</select>
+<input type="submit" value="Apply">
+</form>
+<table class="tbl">\n${rows.map(([k, v]) => `<tr><td>${escapeHTML(k)}</td><td>${escapeHTML(v)}</td></tr>`).join('\n')}\n</table>
+<h3>Port Setting</h3>
+<form name="loopPort" method="post" action="/loop_detection.html">
+<input type="hidden" name="action" value="port">
+<select name="port">${portOptions(model)}</select>
+State ${onOff('state')}
+<input type="submit" value="Apply">
+</form>
+${table(['Port', 'State', 'Status', 'Loop Count', 'Last Loop'], model.ports.map(port => {
+    const state = loop.ports.get(port.id)
+    return [
+      port.name,
+      state.enabled ? 'Enable' : 'Disable',
+      state.shutdown ? 'Shutdown' : 'Normal',
+      state.loopCount,
+      state.lastLoop ? new Date(state.lastLoop).toISOString() : '-'
+    ]
+  }))}`, error)
+}
+
+function stpPage(model, error = null) {
+  const status = model.getSTPStatus()
+  const bridgeId = (bridge) => `${bridge.priority}/${bridge.mac}`
+  const label = (value) => value.charAt(0).toUpperCase() + value.slice(1)
+  const rootPort = status.rootPortId === null ? null : model.findPort(status.rootPortId)
+  const rows = [
+    ['STP Status', model.stp.enabled ? 'Enable' : 'Disable'],
+    ['Protocol Version', model.stp.mode.toUpperCase()],
+    ['Bridge Priority', model.stp.priority],
+    ['Bridge ID', bridgeId({ priority: model.stp.priority, mac: model.system.mac })],
+    ['Root Bridge ID', bridgeId(status.root)],
+    ['Root Port', rootPort ? rootPort.name : '-'],
+    ['Root Path Cost', status.rootPathCost]
+  ]
+  const onOff = (name) => `<select name="${name}"><option value="0">Disable</option><option value="1">Enable</option></select>`
+
+  return layout('Spanning Tree', `<h2>Spanning Tree</h2>
+<form name="stpGlobal" method="post" action="/stp.html">
+<input type="hidden" name="action" value="global">
+STP ${onOff('stp_enable')}
+Version <select name="version"><option value="stp">STP</option><option value="rstp">RSTP</option></select>
+Priority <input type="text" name="priority" maxlength="5">
+<input type="submit" value="Apply">
+</form>
+<table class="tbl">\n${rows.map(([k, v]) => `<tr><td>${escapeHTML(k)}</td><td>${escapeHTML(v)}</td></tr>`).join('\n')}\n</table>
+<h3>Port Setting</h3>
+<form name="stpPort" method="post" action="/stp.html">
+<input type="hidden" name="action" value="port">
+<select name="port">${portOptions(model)}</select>
+Edge Port ${onOff('edge')}
+BPDU Guard ${onOff('bpdu_guard')}
+<input type="submit" value="Apply">
+</form>
+${table(['Port', 'Role', 'State', 'Path Cost', 'Edge Port', 'BPDU Guard'], status.ports.map(port => [
+    model.findPort(port.portId).name,
+    label(port.role),
+    label(port.state),
+    port.pathCost,
+    port.edge ? 'Enable' : 'Disable',
+    port.bpduGuard ? 'Enable' : 'Disable'
+  ]))}`, error)
+}
+
+function igmpPage(model, error = null) {
+  const onOff = (name) => `<select name="${name}"><option value="0">Disable</option><option value="1">Enable</option></select>`
+  const vlanOptions = Array.from(model.vlans.keys()).map(id => `<option value="${id}">${id}</option>`).join('')
+  const state = (value) => value ? 'Enable' : 'Disable'
+
+  return layout('IGMP Snooping', `<h2>IGMP Snooping</h2>
+<form name="igmp" method="post" action="/igmp.html">
+VLAN <select name="vlan_id">${vlanOptions}</select>
+IGMP Snooping ${onOff('snooping')}
+Querier ${onOff('querier')}
+Fast Leave ${onOff('fast_leave')}
+<input type="submit" value="Apply">
+</form>
+${table(['VLAN ID', 'IGMP Snooping', 'Querier', 'Fast Leave'], Array.from(model.vlans.keys()).map(id => {
+    const settings = model.getIGMPSnooping(id)
+    return [id, state(settings.enabled), state(settings.querier), state(settings.fastLeave)]
+  }))}`, error)
+}
+
+function lldpPage(model) {
+  return layout('LLDP Neighbor', `<h2>LLDP Neighbor Information</h2>
+${table(['Local Port', 'Chassis ID', 'Port ID', 'Port Description', 'System Name', 'Management Address'], model.getLLDPNeighbors().map(neighbor => [
+    model.findPort(neighbor.localPort).name,
+    neighbor.chassisId,
+    neighbor.portId,
+    neighbor.portDescription || '-',
+    neighbor.systemName || '-',
+    neighbor.mgmtAddress || '-'
+  ]))}`)
+}
+
+function mirrorPage(model, error = null) {
+  const mirror = model.mirror
+  const dest = mirror.enabled ? model.findPort(mirror.destPort) : null
+  const directionLabel = { rx: 'RX', tx: 'TX', both: 'Both' }
+  const directionSelect = (port) => `<select name="src_dir_${port.id}">${['disable', 'rx', 'tx', 'both']
+    .map(d => `<option value="${d}"${(mirror.sources.get(port.id) || 'disable') === d ? ' selected' : ''}>${d === 'disable' ? 'Disable' : directionLabel[d]}</option>`)
+    .join('')}</select>`
+
+  return layout('Port Mirror', `<h2>Port Mirror</h2>
+<form name="mirror" method="post" action="/mirror.html">
+Mirror <select name="mirror_enable"><option value="0">Disable</option><option value="1"${mirror.enabled ? ' selected' : ''}>Enable</option></select>
+Monitor Port <select name="dest_port">${portOptions(model)}</select>
+<table class="tbl">
+${model.ports.map(port => `<tr><td>${escapeHTML(port.name)}</td><td>${directionSelect(port)}</td></tr>`).join('\n')}
+</table>
+<input type="submit" value="Apply">
+</form>
+${table(['Mirror State', 'Monitor Port'], [[mirror.enabled ? 'Enable' : 'Disable', dest ? dest.name : '-']])}
+${table(['Mirrored Port', 'Direction'], model.ports.map(port => [
+    port.name,
+    mirror.enabled && mirror.sources.has(port.id) ? directionLabel[mirror.sources.get(port.id)] : 'Disable'
+  ]))}`, error)
+}
+
+function backupPage() {
+  return layout('Backup', `<h2>Backup Configuration</h2>
+<p>Save the current configuration to a file.</p>
+<a href="/switch_config_backup.bin">Backup</a>`)
+}
+
+function restorePage(error = null, message = null) {
+  return layout('Restore', `<h2>Restore Configuration</h2>
+${message ? `<div class="msg">${escapeHTML(message)}</div>\n` : ''}<form name="restore" method="post" action="/restore.html" enctype="multipart/form-data">
+<input type="file" name="config_file">
+<input type="submit" value="Restore">
+</form>`, error)
+}
+
+function savePage(model, error = null, message = null) {
+  return layout('Save Configuration', `<h2>Save Configuration</h2>
+${message ? `<div class="msg">${escapeHTML(message)}</div>\n` : ''}<table class="tbl">
+<tr><td>Configuration Status</td><td>${model.hasUnsavedChanges() ? 'Unsaved changes' : 'Saved'}</td></tr>
+</table>
+<form name="save" method="post" action="/save.html">
+<input type="hidden" name="action" value="save">
+<input type="submit" value="Save">
+</form>`, error)
+}
+
+function rebootPage(error = null, message = null) {
+  return layout('Reboot', `<h2>Reboot</h2>
+${message ? `<div class="msg">${escapeHTML(message)}</div>\n` : ''}<form name="reboot" method="post" action="/reboot.html">
+<input type="hidden" name="action" value="reboot">
+<input type="submit" value="Reboot">
+</form>`, error)
+}
+
+module.exports = {
+  escapeHTML,
+  loginPage,
+  mainFrameset,
+  menuPage,
+  systemPage,
+  portPage,
+  portConfigPage,
+  portStatisticsPage,
+  vlanPage,
+  vlanConfigPage,
+  vlanMembershipPage,
+  qosPage,
+  portSecurityPage,
+  stormControlPage,
+  loopDetectionPage,
+  stpPage,
+  igmpPage,
+  lldpPage,
+  mirrorPage,
+  backupPage,
+  restorePage,
+  savePage,
+  rebootPage
+}
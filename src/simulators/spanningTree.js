@@ -0,0 +1,48 @@
+/**
+ * Simulated Spanning Tree
+ * A simulator only knows the bridges it hears BPDUs from through options, so
+ * the tree is worked out from its own bridge ID and the best root heard on one
+ * upstream port
+ */
+
+const PORT_PATH_COST = { 10000: 2000, 2500: 8000, 1000: 20000, 100: 200000 }
+
+// Lower priority wins, then the lower MAC
+function isBetterBridge(a, b) {
+  return a.priority < b.priority || (a.priority === b.priority && a.mac < b.mac)
+}
+
+function portPathCost(speedMbps) {
+  return PORT_PATH_COST[speedMbps] || 20000
+}
+
+// bridge: { priority, mac }; upstream: { priority, mac, portId, pathCost } or null;
+// ports: [{ portId, up, speedMbps }]. Returns the root, the root port and each port's role and state
+function computeSpanningTree(bridge, upstream, ports) {
+  const upstreamPort = upstream ? ports.find(port => port.portId === upstream.portId && port.up) : null
+  const isRoot = !upstreamPort || !isBetterBridge(upstream, bridge)
+  const root = isRoot ? bridge : upstream
+
+  return {
+    root: { priority: root.priority, mac: root.mac },
+    isRoot,
+    rootPortId: isRoot ? null : upstreamPort.portId,
+    rootPathCost: isRoot ? 0 : (upstream.pathCost || 0) + portPathCost(upstreamPort.speedMbps),
+    ports: ports.map(port => {
+      if (!port.up) {
+        return { portId: port.portId, role: 'disabled', state: 'disabled', pathCost: portPathCost(port.speedMbps) }
+      }
+      const rootPort = !isRoot && port.portId === upstreamPort.portId
+      return {
+        portId: port.portId,
+        role: rootPort ? 'root' : 'designated',
+        state: 'forwarding',
+        pathCost: portPathCost(port.speedMbps)
+      }
+    })
+  }
+}
+
+module.exports = {
+  computeSpanningTree
+}
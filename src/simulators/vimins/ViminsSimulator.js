@@ -0,0 +1,534 @@
+/**
+ * Vimins CGI Simulator
+ * Serves /cgi/get.cgi and /cgi/set.cgi against an in-memory VM-S100-0800MS model
+ * so ViminsManager can be exercised without real hardware
+ */
+
+const express = require('express')
+const logger = require('../../utils/logger')
+const ViminsSwitchModel = require('./ViminsSwitchModel')
+
+const { SimulatorError } = ViminsSwitchModel
+
+class ViminsSimulator {
+  constructor(options = {}) {
+    this.options = options
+    this.username = options.username || 'admin'
+    this.password = options.password || 'admin'
+    this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000
+    // How long the switch stays unreachable after sys_reboot
+    this.rebootTime = options.rebootTime ?? 5000
+    this.rebootingUntil = 0
+    this.model = new ViminsSwitchModel(options)
+    this.sessions = new Map()
+    this.server = null
+    this.port = null
+
+    this.getCommands = this.createGetCommands()
+    this.setCommands = this.createSetCommands()
+    this.app = this.createApp()
+  }
+
+  createApp() {
+    const app = express()
+    app.use(express.urlencoded({ extended: false }))
+
+    app.use((req, res, next) => {
+      if (Date.now() < this.rebootingUntil) {
+        return res.status(503).json({ status: 'error', msg: 'System is rebooting' })
+      }
+      next()
+    })
+
+    app.get('/cgi/get.cgi', (req, res) => this.handleCommand(req, res, this.getCommands, req.query))
+    app.post('/cgi/set.cgi', (req, res) => this.handleCommand(req, res, this.setCommands, req.body || {}))
+
+    app.use((req, res) => {
+      res.status(404).json({ status: 'error', msg: `Unknown path: ${req.path}` })
+    })
+
+    return app
+  }
+
+  handleCommand(req, res, commands, params) {
+    const cmd = req.query.cmd
+    const handler = commands[cmd]
+
+    if (!handler) {
+      return res.status(404).json({ status: 'error', msg: `Unknown command: ${cmd}` })
+    }
+
+    if (!handler.public && !this.isAuthenticated(req)) {
+      return res.status(401).json({ status: 'error', msg: 'Unauthorized' })
+    }
+
+    try {
+      const data = handler.handle(params, req)
+      res.json(data === undefined ? { status: 'ok' } : data)
+    } catch (error) {
+      if (error instanceof SimulatorError) {
+        return res.json({ status: 'error', msg: error.message })
+      }
+      logger.error(`Vimins simulator command ${cmd} failed:`, error.message)
+      res.status(500).json({ status: 'error', msg: error.message })
+    }
+  }
+
+  // The switch tracks logins per client address rather than by cookie
+  getClientKey(req) {
+    return req.socket.remoteAddress
+  }
+
+  isAuthenticated(req) {
+    const session = this.sessions.get(this.getClientKey(req))
+    if (!session || session.status !== 'ok') {
+      return false
+    }
+    if (Date.now() - session.lastSeen > this.sessionTimeout) {
+      this.sessions.delete(this.getClientKey(req))
+      return false
+    }
+    session.lastSeen = Date.now()
+    return true
+  }
+
+  createGetCommands() {
+    const model = this.model
+
+    return {
+      home_login: {
+        public: true,
+        handle: () => ({
+          data: {
+            model: model.system.model,
+            sysName: model.system.sysName,
+            encrypt: false
+          }
+        })
+      },
+      home_loginStatus: {
+        public: true,
+        handle: (params, req) => {
+          const session = this.sessions.get(this.getClientKey(req))
+          return { data: { status: session ? session.status : 'none' } }
+        }
+      },
+      sys_sysinfo: {
+        handle: () => ({
+          data: {
+            model: model.system.model,
+            sysName: model.system.sysName,
+            macAddr: model.system.macAddr,
+            fwVersion: model.system.fwVersion,
+            hwVersion: model.system.hwVersion,
+            serialNum: model.system.serialNum,
+            uptime: model.getUptimeSeconds()
+          }
+        })
+      },
+      home_main: {
+        handle: () => ({
+          data: {
+            sysName: model.system.sysName,
+            ipAddr: model.system.ipAddr,
+            macAddr: model.system.macAddr,
+            portCount: model.ports.length
+          }
+        })
+      },
+      panel_info: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => ({
+              portId: port.portId,
+              link: port.linkUp && port.adminEnable ? 1 : 0,
+              speed: port.speed
+            }))
+          }
+        })
+      },
+      sys_cpumem: {
+        handle: () => ({ data: { cpuUsage: 12, memUsage: 41 } })
+      },
+      port_port: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => ({
+              portId: port.portId,
+              portName: port.portName,
+              description: port.description,
+              adminEnable: port.adminEnable,
+              linkUp: port.linkUp && port.adminEnable,
+              speed: port.speed,
+              duplex: port.duplex,
+              flowCtrl: port.flowCtrl
+            }))
+          }
+        })
+      },
+      qos_port: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => ({ portId: port.portId, ...port.qos }))
+          }
+        })
+      },
+      storm_port: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => ({ portId: port.portId, ...port.storm }))
+          }
+        })
+      },
+      loop_status: {
+        handle: () => ({
+          data: {
+            enabled: model.loopDetect.enabled,
+            interval: model.loopDetect.interval,
+            action: model.loopDetect.action,
+            ports: Array.from(model.loopDetect.ports.entries()).map(([portId, state]) => ({ portId, ...state }))
+          }
+        })
+      },
+      psec_port: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => ({
+              portId: port.portId,
+              ...port.security,
+              learnedCount: model.countLearnedMACs(port.portId)
+            }))
+          }
+        })
+      },
+      port_cnt: {
+        handle: () => {
+          model.updateCounters()
+          return {
+            data: {
+              ports: model.ports.map(port => ({ portId: port.portId, ...port.counters }))
+            }
+          }
+        }
+      },
+      port_bwutilz: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => {
+              const active = port.linkUp && port.adminEnable
+              const utilz = active ? Math.round((port.trafficRate * 8) / (port.speed * 10000)) : 0
+              return { portId: port.portId, rxUtilz: utilz, txUtilz: Math.round(utilz * 0.6) }
+            })
+          }
+        })
+      },
+      vlan_conf: {
+        handle: () => ({
+          data: {
+            vlans: Array.from(model.vlans.values()).map(vlan => ({
+              vlanId: vlan.vlanId,
+              vlanName: vlan.vlanName,
+              description: vlan.description
+            }))
+          }
+        })
+      },
+      vlan_port: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => ({
+              portId: port.portId,
+              pvid: port.pvid,
+              mode: port.mode,
+              vlans: Array.from(model.vlans.values())
+                .filter(vlan => vlan.taggedPorts.has(port.portId) || vlan.untaggedPorts.has(port.portId))
+                .map(vlan => vlan.vlanId)
+            }))
+          }
+        })
+      },
+      vlan_membership: {
+        handle: () => ({
+          data: {
+            vlans: Array.from(model.vlans.values()).map(vlan => ({
+              vlanId: vlan.vlanId,
+              taggedPorts: Array.from(vlan.taggedPorts),
+              untaggedPorts: Array.from(vlan.untaggedPorts)
+            }))
+          }
+        })
+      },
+      lag_mgmt: {
+        handle: () => ({
+          data: {
+            lags: Array.from(model.lags.values()).map(lag => ({
+              lagId: lag.lagId,
+              name: lag.name,
+              enabled: lag.enabled,
+              mode: lag.mode,
+              hash: lag.hash
+            }))
+          }
+        })
+      },
+      lag_port: {
+        handle: () => ({
+          data: {
+            ports: model.ports.map(port => {
+              const lag = Array.from(model.lags.values()).find(l => l.members.has(port.portId))
+              return {
+                portId: port.portId,
+                lagId: lag ? lag.lagId : null,
+                active: !!lag && port.linkUp && port.adminEnable
+              }
+            })
+          }
+        })
+      },
+      lag_lacp: {
+        handle: () => ({
+          data: {
+            systemPriority: 32768,
+            ports: model.ports.map(port => {
+              const lag = Array.from(model.lags.values()).find(l => l.members.has(port.portId))
+              return {
+                portId: port.portId,
+                lacpEnabled: !!lag && lag.mode === 'lacp',
+                timeout: 'long'
+              }
+            })
+          }
+        })
+      },
+      stp_globalStatus: {
+        handle: () => {
+          const status = model.getSTPStatus()
+          return {
+            data: {
+              enabled: model.stp.enabled,
+              forceVersion: model.stp.mode.toUpperCase(),
+              bridgePriority: model.stp.priority,
+              bridgeMac: model.system.macAddr,
+              rootPriority: status.root.priority,
+              rootMac: status.root.mac,
+              rootPortId: status.rootPortId === null ? -1 : status.rootPortId,
+              rootPathCost: status.rootPathCost
+            }
+          }
+        }
+      },
+      stp_portStatus: {
+        handle: () => ({
+          data: {
+            ports: model.getSTPStatus().ports.map(port => ({
+              portId: port.portId,
+              role: port.role.charAt(0).toUpperCase() + port.role.slice(1),
+              state: port.state.charAt(0).toUpperCase() + port.state.slice(1),
+              pathCost: port.pathCost,
+              edge: port.edge,
+              bpduGuard: port.bpduGuard
+            }))
+          }
+        })
+      },
+      igmp_snoopingStatus: {
+        handle: () => ({
+          data: {
+            vlans: Array.from(model.vlans.keys()).map(vlanId => ({ vlanId, ...model.getIGMPSnooping(vlanId) }))
+          }
+        })
+      },
+      igmp_groupStatus: {
+        handle: () => ({
+          data: {
+            groups: model.getMulticastGroups().map(group => ({ ...group }))
+          }
+        })
+      },
+      lldp_neighbor: {
+        handle: () => ({
+          data: {
+            neighbors: model.getLLDPNeighbors().map(neighbor => ({ ...neighbor }))
+          }
+        })
+      },
+      mirror_status: {
+        handle: () => ({
+          data: {
+            sessions: Array.from(model.mirrors.values()).map(mirror => ({
+              sessionId: mirror.sessionId,
+              enabled: true,
+              destPortId: mirror.destPortId,
+              srcPorts: Array.from(mirror.sources.entries()).map(([portId, direction]) => ({ portId, direction }))
+            }))
+          }
+        })
+      },
+      mac_miscStatus: {
+        handle: () => ({
+          data: {
+            agingTime: model.mac.agingTime,
+            entries: model.mac.entries.map(entry => ({ ...entry }))
+          }
+        })
+      },
+      sys_configStatus: {
+        handle: () => ({ data: { unsaved: model.hasUnsavedChanges() } })
+      },
+      mac_static: {
+        handle: () => ({
+          data: {
+            entries: model.mac.entries.filter(entry => entry.type === 'static').map(entry => ({ ...entry }))
+          }
+        })
+      }
+    }
+  }
+
+  createSetCommands() {
+    const model = this.model
+
+    return {
+      home_loginAuth: {
+        public: true,
+        handle: (params, req) => {
+          const valid = params.username === this.username && params.password === this.password
+          this.sessions.set(this.getClientKey(req), {
+            status: valid ? 'ok' : 'fail',
+            lastSeen: Date.now()
+          })
+          return { status: 'ok' }
+        }
+      },
+      port_portEdit: {
+        handle: (params) => model.configurePort(params.portId, params)
+      },
+      vlan_create: {
+        handle: (params) => model.createVLAN(params.vlanId, params.vlanName, params.description)
+      },
+      vlan_delete: {
+        handle: (params) => model.deleteVLAN(params.vlanId)
+      },
+      vlan_portEdit: {
+        handle: (params) => {
+          if (params.action === 'remove') {
+            return model.removePortFromVLAN(params.portId, params.vlanId)
+          }
+          return model.setPortVLAN(params.portId, params)
+        }
+      },
+      vlan_membershipEdit: {
+        handle: (params) => model.setVLANMembership(params.vlanId, params.taggedPorts, params.untaggedPorts)
+      },
+      lag_create: {
+        handle: (params) => model.createLAG(params.lagId, params)
+      },
+      lag_delete: {
+        handle: (params) => model.deleteLAG(params.lagId)
+      },
+      lag_mgmtEdit: {
+        handle: (params) => model.configureLAG(params.lagId, params)
+      },
+      lag_portEdit: {
+        handle: (params) => model.setLAGPort(params.lagId, params.portId, params.action)
+      },
+      sys_configSave: {
+        handle: () => model.saveConfig()
+      },
+      sys_reboot: {
+        handle: () => {
+          model.reboot()
+          this.sessions.clear()
+          this.rebootingUntil = Date.now() + this.rebootTime
+        }
+      },
+      stp_globalEdit: {
+        handle: (params) => model.configureSTP(params)
+      },
+      stp_portEdit: {
+        handle: (params) => model.configureSTPPort(params.portId, params)
+      },
+      qos_portEdit: {
+        handle: (params) => model.configurePortQoS(params.portId, params)
+      },
+      storm_portEdit: {
+        handle: (params) => model.configureStormControl(params.portId, params)
+      },
+      loop_globalEdit: {
+        handle: (params) => model.configureLoopDetection(params)
+      },
+      loop_portEdit: {
+        handle: (params) => model.configureLoopDetectionPort(params.portId, params)
+      },
+      psec_portEdit: {
+        handle: (params) => model.configurePortSecurity(params.portId, params)
+      },
+      igmp_snoopingEdit: {
+        handle: (params) => model.configureIGMPSnooping(params.vlanId, params)
+      },
+      mirror_edit: {
+        handle: (params) => model.setMirror(params.sessionId, params.destPortId, params.srcPorts)
+      },
+      mirror_delete: {
+        handle: (params) => model.deleteMirror(params.sessionId)
+      },
+      mac_staticAdd: {
+        handle: (params) => model.addStaticMAC(params.macAddr, params.vlan, params.portId)
+      },
+      mac_staticDelete: {
+        handle: (params) => model.removeStaticMAC(params.macAddr, params.vlan)
+      },
+      mac_agingEdit: {
+        handle: (params) => model.setMACAgingTime(params.agingTime)
+      },
+      mac_flush: {
+        handle: (params) => model.flushMACTable(params.portId)
+      },
+      // The driver posts its backup object form-encoded, so each section arrives as
+      // text: JSON is applied, anything else (a nested object turns into
+      // "[object Object]") is rejected rather than guessed at
+      config_restore: {
+        handle: (params) => {
+          const sections = {}
+          for (const name of ['vlanConfig', 'portConfig', 'lagConfig']) {
+            if (params[name] === undefined) {
+              continue
+            }
+            try {
+              sections[name] = JSON.parse(params[name])
+            } catch (error) {
+              throw new SimulatorError(`Backup section ${name} is not readable`)
+            }
+          }
+          if (!sections.vlanConfig) {
+            throw new SimulatorError('Backup has no vlanConfig section')
+          }
+          model.restoreBackup(sections)
+        }
+      }
+    }
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, resolve)
+      this.server.once('error', reject)
+    })
+
+    this.port = this.server.address().port
+    logger.info(`🧪 Vimins simulator "${this.model.system.sysName}" listening on ${host}:${this.port}`)
+    return this.port
+  }
+
+  async stop() {
+    if (!this.server) {
+      return
+    }
+
+    await new Promise((resolve) => this.server.close(resolve))
+    this.server = null
+    this.sessions.clear()
+  }
+}
+
+module.exports = ViminsSimulator
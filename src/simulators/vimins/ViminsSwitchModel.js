@@ -0,0 +1,945 @@
+/**
+ * Vimins Switch Model
+ * In-memory state of a simulated Vimins VM-S100-0800MS used by the CGI simulator
+ */
+
+const { computeSpanningTree } = require('../spanningTree')
+
+const PORT_COUNT = 8
+const PORT_SPEED_MBPS = 10000
+const LAG_COUNT = 4
+const LAG_MODES = ['static', 'lacp']
+const LAG_HASHES = ['src-mac', 'dst-mac', 'src-dst-mac', 'src-ip', 'dst-ip', 'src-dst-ip']
+const MIRROR_SESSIONS = 4
+const MIRROR_DIRECTIONS = ['rx', 'tx', 'both']
+const IGMP_DEFAULTS = { enabled: false, querier: false, fastLeave: false }
+const QOS_SCHED_MODES = ['SP', 'WRR']
+const MIN_RATE_KBPS = 16
+const PSEC_VIOLATIONS = ['discard', 'shutdown', 'log']
+const PSEC_MAX_MACS = 64
+// Line rate in packets per second per Mbps of port speed, at minimum frame size
+const PPS_PER_MBPS = 1488
+const LOOP_ACTIONS = ['shutdown', 'log']
+// The CGI port counters are 32-bit and wrap
+const COUNTER_WRAP = 2 ** 32
+
+class ViminsSwitchModel {
+  constructor(options = {}) {
+    this.system = {
+      model: 'VM-S100-0800MS',
+      sysName: options.name || 'Vimins_Simulator',
+      macAddr: options.mac || '00:E0:4C:68:00:01',
+      ipAddr: options.ip || '127.0.0.1',
+      fwVersion: '1.0.8',
+      hwVersion: 'V1.0',
+      serialNum: options.serialNum || 'VMS100SIM0001',
+      bootTime: Date.now()
+    }
+
+    this.ports = []
+    for (let portId = 0; portId < PORT_COUNT; portId++) {
+      this.ports.push({
+        portId,
+        portName: `TE${portId + 1}`,
+        description: '',
+        adminEnable: true,
+        linkUp: portId < 6,
+        speed: PORT_SPEED_MBPS,
+        duplex: 'full',
+        flowCtrl: false,
+        pvid: 1,
+        mode: 'access',
+        counters: {
+          rxOctets: 0,
+          txOctets: 0,
+          rxUcast: 0,
+          txUcast: 0,
+          rxErr: 0,
+          txErr: 0,
+          rxDrop: 0,
+          txDrop: 0
+        },
+        // Rates are in kbps, 0 meaning unlimited
+        qos: { ingressRate: 0, egressRate: 0, defaultPri: 0, schedMode: 'SP' },
+        // Storm control thresholds in packets per second, 0 meaning off
+        storm: { bcastRate: 0, mcastRate: 0, uucastRate: 0 },
+        // Port security; violations and errDisabled are runtime state, not configuration
+        security: { enabled: false, maxMac: 1, violation: 'discard', violations: 0, lastViolationMac: null, errDisabled: false },
+        // Simulated traffic rate in bytes per second
+        trafficRate: portId < 6 ? (portId + 1) * 125000 : 0
+      })
+    }
+
+    this.vlans = new Map()
+    this.vlans.set(1, {
+      vlanId: 1,
+      vlanName: 'default',
+      description: 'Default VLAN',
+      taggedPorts: new Set(),
+      untaggedPorts: new Set(this.ports.map(p => p.portId))
+    })
+
+    this.lags = new Map()
+    this.lags.set(1, {
+      lagId: 1,
+      name: 'LAG1',
+      enabled: true,
+      mode: 'lacp',
+      hash: 'src-dst-mac',
+      members: new Set([2, 3])
+    })
+
+    // upstream is the best root heard in BPDUs: { priority, mac, portId, pathCost }
+    this.stp = {
+      enabled: true,
+      mode: 'rstp',
+      priority: 32768,
+      upstream: options.stpUpstream || null,
+      ports: new Map(this.ports.map(port => [port.portId, { edge: false, bpduGuard: false }]))
+    }
+
+    // Loopback detection sends a probe out of every port each interval seconds and acts
+    // when one comes back; loopCount, lastLoopTime and shutdown are runtime state
+    this.loopDetect = {
+      enabled: false,
+      interval: 5,
+      action: 'shutdown',
+      ports: new Map(this.ports.map(port => [port.portId, { enabled: true, loopCount: 0, lastLoopTime: null, shutdown: false }]))
+    }
+
+    // Snooping settings for VLANs that have any (others use the defaults); groups are
+    // the memberships heard in IGMP reports and only show while their VLAN snoops
+    this.igmp = {
+      vlans: new Map(),
+      groups: options.multicastGroups || [
+        { groupAddr: '239.255.255.250', vlanId: 1, portId: 4 },
+        { groupAddr: '224.0.1.129', vlanId: 1, portId: 5 }
+      ]
+    }
+
+    // What the LLDP agent has heard: { localPortId, chassisId, portId, portDesc, sysName, mgmtAddr }
+    this.lldpNeighbors = options.lldpNeighbors || []
+
+    // sessionId -> { sessionId, destPortId, sources: Map(portId -> direction) }
+    this.mirrors = new Map()
+
+    this.mac = {
+      agingTime: 300,
+      entries: [
+        { macAddr: '1C:2A:A3:1E:8D:F8', vlan: 1, port: 5, type: 'dynamic' },
+        { macAddr: '1C:2A:A3:1A:70:77', vlan: 1, port: 4, type: 'dynamic' }
+      ]
+    }
+
+    this.lastCounterUpdate = Date.now()
+
+    // What the switch boots with; running changes are lost on reboot until saved
+    this.startupConfig = this.exportConfig()
+  }
+
+  // Port lookup accepts 0-based indexes ("2") or port names ("TE3")
+  findPort(portRef) {
+    if (portRef === undefined || portRef === null || portRef === '') {
+      return null
+    }
+
+    const ref = String(portRef).trim()
+    if (/^\d+$/.test(ref)) {
+      return this.ports[parseInt(ref, 10)] || null
+    }
+
+    return this.ports.find(p => p.portName.toLowerCase() === ref.toLowerCase()) || null
+  }
+
+  requirePort(portRef) {
+    const port = this.findPort(portRef)
+    if (!port) {
+      throw new SimulatorError(`Unknown port: ${portRef}`)
+    }
+    return port
+  }
+
+  requireVLAN(vlanId) {
+    const vlan = this.vlans.get(parseInt(vlanId, 10))
+    if (!vlan) {
+      throw new SimulatorError(`VLAN ${vlanId} does not exist`)
+    }
+    return vlan
+  }
+
+  requireLAG(lagId) {
+    const lag = this.lags.get(parseInt(lagId, 10))
+    if (!lag) {
+      throw new SimulatorError(`LAG ${lagId} does not exist`)
+    }
+    return lag
+  }
+
+  getUptimeSeconds() {
+    return Math.floor((Date.now() - this.system.bootTime) / 1000)
+  }
+
+  // Advance traffic counters based on the time since the last read
+  updateCounters() {
+    const now = Date.now()
+    const elapsedSeconds = (now - this.lastCounterUpdate) / 1000
+    this.lastCounterUpdate = now
+
+    for (const port of this.ports) {
+      if (!port.linkUp || !port.adminEnable || port.trafficRate === 0) {
+        continue
+      }
+
+      const rxBytes = Math.round(port.trafficRate * elapsedSeconds)
+      const txBytes = Math.round(port.trafficRate * 0.6 * elapsedSeconds)
+      port.counters.rxOctets = (port.counters.rxOctets + rxBytes) % COUNTER_WRAP
+      port.counters.txOctets = (port.counters.txOctets + txBytes) % COUNTER_WRAP
+      port.counters.rxUcast = (port.counters.rxUcast + Math.round(rxBytes / 1000)) % COUNTER_WRAP
+      port.counters.txUcast = (port.counters.txUcast + Math.round(txBytes / 1000)) % COUNTER_WRAP
+    }
+  }
+
+  // VLAN operations
+  createVLAN(vlanId, vlanName, description = '') {
+    const id = parseInt(vlanId, 10)
+    if (isNaN(id) || id < 1 || id > 4094) {
+      throw new SimulatorError(`Invalid VLAN ID: ${vlanId}`)
+    }
+    if (this.vlans.has(id)) {
+      throw new SimulatorError(`VLAN ${id} already exists`)
+    }
+
+    this.vlans.set(id, {
+      vlanId: id,
+      vlanName: vlanName || `VLAN${id}`,
+      description: description || '',
+      taggedPorts: new Set(),
+      untaggedPorts: new Set()
+    })
+  }
+
+  deleteVLAN(vlanId) {
+    const id = parseInt(vlanId, 10)
+    if (id === 1) {
+      throw new SimulatorError('The default VLAN cannot be deleted')
+    }
+    this.requireVLAN(id)
+    this.vlans.delete(id)
+    this.igmp.vlans.delete(id)
+
+    for (const port of this.ports) {
+      if (port.pvid === id) {
+        port.pvid = 1
+      }
+    }
+  }
+
+  setPortVLAN(portRef, settings) {
+    const port = this.requirePort(portRef)
+
+    if (settings.mode === 'trunk') {
+      port.mode = 'trunk'
+      const allowed = parseList(settings.allowedVlans)
+      for (const vlanId of allowed) {
+        const vlan = this.requireVLAN(vlanId)
+        vlan.untaggedPorts.delete(port.portId)
+        vlan.taggedPorts.add(port.portId)
+      }
+
+      if (settings.nativeVlan) {
+        const nativeVlan = this.requireVLAN(settings.nativeVlan)
+        nativeVlan.taggedPorts.delete(port.portId)
+        nativeVlan.untaggedPorts.add(port.portId)
+        port.pvid = nativeVlan.vlanId
+      }
+      return
+    }
+
+    const vlan = this.requireVLAN(settings.vlanId)
+    if (parseBoolean(settings.tagged)) {
+      vlan.untaggedPorts.delete(port.portId)
+      vlan.taggedPorts.add(port.portId)
+    } else {
+      vlan.taggedPorts.delete(port.portId)
+      vlan.untaggedPorts.add(port.portId)
+    }
+
+    if (settings.pvid) {
+      this.requireVLAN(settings.pvid)
+      port.pvid = parseInt(settings.pvid, 10)
+    }
+  }
+
+  removePortFromVLAN(portRef, vlanId) {
+    const port = this.requirePort(portRef)
+    const vlan = this.requireVLAN(vlanId)
+
+    vlan.taggedPorts.delete(port.portId)
+    vlan.untaggedPorts.delete(port.portId)
+
+    if (port.pvid === vlan.vlanId) {
+      port.pvid = 1
+    }
+  }
+
+  setVLANMembership(vlanId, taggedPorts, untaggedPorts) {
+    const vlan = this.requireVLAN(vlanId)
+    vlan.taggedPorts = new Set(parseList(taggedPorts).map(ref => this.requirePort(ref).portId))
+    vlan.untaggedPorts = new Set(parseList(untaggedPorts).map(ref => this.requirePort(ref).portId))
+  }
+
+  // LAG operations
+  createLAG(lagId, settings = {}) {
+    const id = parseInt(lagId, 10)
+    if (isNaN(id) || id < 1 || id > LAG_COUNT) {
+      throw new SimulatorError(`Invalid LAG ID: ${lagId}`)
+    }
+    if (this.lags.has(id)) {
+      throw new SimulatorError(`LAG ${id} already exists`)
+    }
+
+    this.lags.set(id, {
+      lagId: id,
+      name: `LAG${id}`,
+      enabled: true,
+      mode: 'static',
+      hash: 'src-dst-mac',
+      members: new Set()
+    })
+    this.configureLAG(id, settings)
+  }
+
+  deleteLAG(lagId) {
+    this.requireLAG(lagId)
+    this.lags.delete(parseInt(lagId, 10))
+  }
+
+  configureLAG(lagId, settings) {
+    const lag = this.requireLAG(lagId)
+
+    if (settings.mode !== undefined) {
+      if (!LAG_MODES.includes(settings.mode)) {
+        throw new SimulatorError(`Invalid LAG mode: ${settings.mode}`)
+      }
+      lag.mode = settings.mode
+    }
+    if (settings.hash !== undefined) {
+      if (!LAG_HASHES.includes(settings.hash)) {
+        throw new SimulatorError(`Invalid LAG hash: ${settings.hash}`)
+      }
+      lag.hash = settings.hash
+    }
+    if (settings.enabled !== undefined) {
+      lag.enabled = parseBoolean(settings.enabled)
+    }
+  }
+
+  setLAGPort(lagId, portRef, action) {
+    const lag = this.requireLAG(lagId)
+    const port = this.requirePort(portRef)
+
+    if (action === 'remove') {
+      if (!lag.members.has(port.portId)) {
+        throw new SimulatorError(`Port ${port.portName} is not a member of LAG ${lag.lagId}`)
+      }
+      lag.members.delete(port.portId)
+      return
+    }
+
+    const current = Array.from(this.lags.values()).find(l => l.members.has(port.portId))
+    if (current && current !== lag) {
+      throw new SimulatorError(`Port ${port.portName} is already a member of LAG ${current.lagId}`)
+    }
+    lag.members.add(port.portId)
+  }
+
+  // Spanning tree
+  getSTPStatus() {
+    const bridge = { priority: this.stp.priority, mac: this.system.macAddr }
+    if (!this.stp.enabled) {
+      // Every port forwards and the bridge only knows itself
+      return {
+        root: bridge,
+        isRoot: true,
+        rootPortId: null,
+        rootPathCost: 0,
+        ports: this.ports.map(port => ({ portId: port.portId, role: 'disabled', state: 'forwarding', pathCost: 0, ...this.stp.ports.get(port.portId) }))
+      }
+    }
+
+    const tree = computeSpanningTree(bridge, this.stp.upstream, this.ports.map(port => ({
+      portId: port.portId,
+      up: port.adminEnable && port.linkUp,
+      speedMbps: port.speed
+    })))
+    return {
+      ...tree,
+      ports: tree.ports.map(port => ({ ...port, ...this.stp.ports.get(port.portId) }))
+    }
+  }
+
+  configureSTP(settings) {
+    if (settings.bridgePriority !== undefined) {
+      const priority = parseInt(settings.bridgePriority, 10)
+      if (isNaN(priority) || priority < 0 || priority > 61440 || priority % 4096 !== 0) {
+        throw new SimulatorError(`Invalid bridge priority: ${settings.bridgePriority}`)
+      }
+      this.stp.priority = priority
+    }
+    if (settings.forceVersion !== undefined) {
+      const mode = String(settings.forceVersion).toLowerCase()
+      if (!['stp', 'rstp'].includes(mode)) {
+        throw new SimulatorError(`Invalid STP version: ${settings.forceVersion}`)
+      }
+      this.stp.mode = mode
+    }
+    if (settings.enabled !== undefined) {
+      this.stp.enabled = parseBoolean(settings.enabled)
+    }
+  }
+
+  configureSTPPort(portRef, settings) {
+    const port = this.requirePort(portRef)
+    const flags = this.stp.ports.get(port.portId)
+
+    if (settings.edge !== undefined) {
+      flags.edge = parseBoolean(settings.edge)
+    }
+    if (settings.bpduGuard !== undefined) {
+      flags.bpduGuard = parseBoolean(settings.bpduGuard)
+    }
+  }
+
+  // IGMP snooping
+  getIGMPSnooping(vlanId) {
+    return { ...IGMP_DEFAULTS, ...this.igmp.vlans.get(vlanId) }
+  }
+
+  configureIGMPSnooping(vlanId, settings) {
+    const vlan = this.requireVLAN(vlanId)
+    const current = this.getIGMPSnooping(vlan.vlanId)
+
+    for (const key of Object.keys(IGMP_DEFAULTS)) {
+      if (settings[key] !== undefined) {
+        current[key] = parseBoolean(settings[key])
+      }
+    }
+    this.igmp.vlans.set(vlan.vlanId, current)
+  }
+
+  getMulticastGroups() {
+    return this.igmp.groups.filter(group => this.vlans.has(group.vlanId) && this.getIGMPSnooping(group.vlanId).enabled)
+  }
+
+  // LLDP; a neighbor ages out once its port goes down
+  getLLDPNeighbors() {
+    return this.lldpNeighbors.filter(neighbor => {
+      const port = this.findPort(neighbor.localPortId)
+      return port && port.adminEnable && port.linkUp
+    })
+  }
+
+  // Port mirroring; sources is "portId:direction,..." as the CGI sends it
+  setMirror(sessionId, destPortRef, sources) {
+    const id = parseInt(sessionId, 10)
+    if (isNaN(id) || id < 1 || id > MIRROR_SESSIONS) {
+      throw new SimulatorError(`Invalid mirror session: ${sessionId}`)
+    }
+
+    const dest = this.requirePort(destPortRef)
+    const sourceMap = new Map()
+    for (const item of parseList(sources)) {
+      const [portRef, direction = 'both'] = item.split(':')
+      const port = this.requirePort(portRef)
+      if (!MIRROR_DIRECTIONS.includes(direction)) {
+        throw new SimulatorError(`Invalid mirror direction: ${direction}`)
+      }
+      if (port.portId === dest.portId) {
+        throw new SimulatorError(`Port ${port.portName} cannot mirror to itself`)
+      }
+      sourceMap.set(port.portId, direction)
+    }
+    if (sourceMap.size === 0) {
+      throw new SimulatorError('At least one source port is required')
+    }
+
+    for (const other of this.mirrors.values()) {
+      if (other.sessionId !== id && (other.destPortId === dest.portId || other.sources.has(dest.portId))) {
+        throw new SimulatorError(`Port ${dest.portName} is already used by mirror session ${other.sessionId}`)
+      }
+    }
+
+    this.mirrors.set(id, { sessionId: id, destPortId: dest.portId, sources: sourceMap })
+  }
+
+  deleteMirror(sessionId) {
+    const id = parseInt(sessionId, 10)
+    if (!this.mirrors.has(id)) {
+      throw new SimulatorError(`Mirror session ${sessionId} is not configured`)
+    }
+    this.mirrors.delete(id)
+  }
+
+  // MAC address table
+  addStaticMAC(macAddr, vlanId, portRef) {
+    const mac = String(macAddr || '').toUpperCase()
+    if (!/^([0-9A-F]{2}:){5}[0-9A-F]{2}$/.test(mac)) {
+      throw new SimulatorError(`Invalid MAC address: ${macAddr}`)
+    }
+    const vlan = this.requireVLAN(vlanId)
+    const port = this.requirePort(portRef)
+
+    // A static entry replaces whatever was learned for the same MAC and VLAN
+    this.mac.entries = this.mac.entries.filter(entry => entry.macAddr !== mac || entry.vlan !== vlan.vlanId)
+    this.mac.entries.push({ macAddr: mac, vlan: vlan.vlanId, port: port.portId, type: 'static' })
+  }
+
+  removeStaticMAC(macAddr, vlanId) {
+    const mac = String(macAddr || '').toUpperCase()
+    const vlan = parseInt(vlanId, 10)
+    const entry = this.mac.entries.find(e => e.type === 'static' && e.macAddr === mac && e.vlan === vlan)
+    if (!entry) {
+      throw new SimulatorError(`No static entry for ${macAddr} in VLAN ${vlanId}`)
+    }
+    this.mac.entries = this.mac.entries.filter(e => e !== entry)
+  }
+
+  // 0 disables aging
+  setMACAgingTime(agingTime) {
+    const seconds = parseInt(agingTime, 10)
+    if (isNaN(seconds) || (seconds !== 0 && (seconds < 10 || seconds > 1000000))) {
+      throw new SimulatorError(`Invalid aging time: ${agingTime}`)
+    }
+    this.mac.agingTime = seconds
+  }
+
+  // Simulates a frame from macAddr arriving on a port. Returns whether the address was
+  // learned; port security decides what happens to addresses beyond its limit.
+  learnMAC(macAddr, vlanId, portRef) {
+    const mac = String(macAddr || '').toUpperCase()
+    if (!/^([0-9A-F]{2}:){5}[0-9A-F]{2}$/.test(mac)) {
+      throw new SimulatorError(`Invalid MAC address: ${macAddr}`)
+    }
+    const vlan = this.requireVLAN(vlanId)
+    const port = this.requirePort(portRef)
+    if (!port.adminEnable || !port.linkUp) {
+      return false
+    }
+
+    const known = this.mac.entries.find(entry => entry.macAddr === mac && entry.vlan === vlan.vlanId)
+    if (known && (known.type === 'static' || known.port === port.portId)) {
+      return known.port === port.portId
+    }
+
+    const security = port.security
+    if (security.enabled && this.countLearnedMACs(port.portId) >= security.maxMac) {
+      security.violations++
+      security.lastViolationMac = mac
+      if (security.violation === 'shutdown') {
+        port.adminEnable = false
+        security.errDisabled = true
+        this.flushMACTable(port.portId)
+      }
+      if (security.violation !== 'log') {
+        return false
+      }
+    }
+
+    this.mac.entries = this.mac.entries.filter(entry => entry !== known)
+    this.mac.entries.push({ macAddr: mac, vlan: vlan.vlanId, port: port.portId, type: 'dynamic' })
+    return true
+  }
+
+  countLearnedMACs(portId) {
+    return this.mac.entries.filter(entry => entry.type === 'dynamic' && entry.port === portId).length
+  }
+
+  // Drops learned entries, on one port or everywhere; static entries stay
+  flushMACTable(portRef) {
+    const port = portRef === undefined || portRef === '' ? null : this.requirePort(portRef)
+    this.mac.entries = this.mac.entries.filter(entry => entry.type === 'static' || (port && entry.port !== port.portId))
+  }
+
+  // Port operations
+  configurePort(portRef, settings) {
+    const port = this.requirePort(portRef)
+
+    if (settings.adminEnable !== undefined) {
+      port.adminEnable = parseBoolean(settings.adminEnable)
+      // Enabling the port again is how a port shut down by port security or loop detection recovers
+      if (port.adminEnable) {
+        port.security.errDisabled = false
+        this.loopDetect.ports.get(port.portId).shutdown = false
+      }
+    }
+    if (settings.speed !== undefined) {
+      port.speed = parseInt(settings.speed, 10) || port.speed
+    }
+    if (settings.duplex !== undefined) {
+      port.duplex = settings.duplex
+    }
+    if (settings.flowCtrl !== undefined) {
+      port.flowCtrl = parseBoolean(settings.flowCtrl)
+    }
+    if (settings.description !== undefined) {
+      port.description = settings.description
+    }
+  }
+
+  configurePortQoS(portRef, settings) {
+    const port = this.requirePort(portRef)
+    const qos = { ...port.qos }
+
+    for (const key of ['ingressRate', 'egressRate']) {
+      if (settings[key] !== undefined) {
+        const rate = parseInt(settings[key], 10)
+        if (isNaN(rate) || (rate !== 0 && (rate < MIN_RATE_KBPS || rate > port.speed * 1000))) {
+          throw new SimulatorError(`Invalid ${key}: ${settings[key]} (0 or ${MIN_RATE_KBPS}-${port.speed * 1000} kbps)`)
+        }
+        qos[key] = rate
+      }
+    }
+    if (settings.defaultPri !== undefined) {
+      const priority = parseInt(settings.defaultPri, 10)
+      if (isNaN(priority) || priority < 0 || priority > 7) {
+        throw new SimulatorError(`Invalid default priority: ${settings.defaultPri}`)
+      }
+      qos.defaultPri = priority
+    }
+    if (settings.schedMode !== undefined) {
+      if (!QOS_SCHED_MODES.includes(settings.schedMode)) {
+        throw new SimulatorError(`Invalid scheduling mode: ${settings.schedMode}`)
+      }
+      qos.schedMode = settings.schedMode
+    }
+
+    port.qos = qos
+  }
+
+  configurePortSecurity(portRef, settings) {
+    const port = this.requirePort(portRef)
+    const security = { ...port.security }
+
+    if (settings.enabled !== undefined) {
+      security.enabled = parseBoolean(settings.enabled)
+    }
+    if (settings.maxMac !== undefined) {
+      const maxMac = parseInt(settings.maxMac, 10)
+      if (isNaN(maxMac) || maxMac < 1 || maxMac > PSEC_MAX_MACS) {
+        throw new SimulatorError(`Invalid maxMac: ${settings.maxMac} (1-${PSEC_MAX_MACS})`)
+      }
+      security.maxMac = maxMac
+    }
+    if (settings.violation !== undefined) {
+      if (!PSEC_VIOLATIONS.includes(settings.violation)) {
+        throw new SimulatorError(`Invalid violation mode: ${settings.violation}`)
+      }
+      security.violation = settings.violation
+    }
+
+    port.security = security
+  }
+
+  configureStormControl(portRef, settings) {
+    const port = this.requirePort(portRef)
+    const storm = { ...port.storm }
+    const maxRate = port.speed * PPS_PER_MBPS
+
+    for (const key of ['bcastRate', 'mcastRate', 'uucastRate']) {
+      if (settings[key] !== undefined) {
+        const rate = parseInt(settings[key], 10)
+        if (isNaN(rate) || rate < 0 || rate > maxRate) {
+          throw new SimulatorError(`Invalid ${key}: ${settings[key]} (0-${maxRate} pps)`)
+        }
+        storm[key] = rate
+      }
+    }
+
+    port.storm = storm
+  }
+
+  // Loopback detection
+  configureLoopDetection(settings) {
+    if (settings.interval !== undefined) {
+      const interval = parseInt(settings.interval, 10)
+      if (isNaN(interval) || interval < 1 || interval > 60) {
+        throw new SimulatorError(`Invalid loop detection interval: ${settings.interval} (1-60 s)`)
+      }
+      this.loopDetect.interval = interval
+    }
+    if (settings.action !== undefined) {
+      if (!LOOP_ACTIONS.includes(settings.action)) {
+        throw new SimulatorError(`Invalid loop detection action: ${settings.action}`)
+      }
+      this.loopDetect.action = settings.action
+    }
+    if (settings.enabled !== undefined) {
+      this.loopDetect.enabled = parseBoolean(settings.enabled)
+    }
+  }
+
+  configureLoopDetectionPort(portRef, settings) {
+    const port = this.requirePort(portRef)
+    if (settings.enabled !== undefined) {
+      this.loopDetect.ports.get(port.portId).enabled = parseBoolean(settings.enabled)
+    }
+  }
+
+  // Simulates a probe sent out of a port coming back in. Returns whether the loop
+  // was detected; with the shutdown action the port stays disabled until re-enabled.
+  simulateLoop(portRef) {
+    const port = this.requirePort(portRef)
+    const state = this.loopDetect.ports.get(port.portId)
+    if (!this.loopDetect.enabled || !state.enabled || !port.adminEnable || !port.linkUp) {
+      return false
+    }
+
+    state.loopCount++
+    state.lastLoopTime = Date.now()
+    if (this.loopDetect.action === 'shutdown') {
+      port.adminEnable = false
+      state.shutdown = true
+    }
+    return true
+  }
+
+  // Startup configuration
+  saveConfig() {
+    this.startupConfig = this.exportConfig()
+  }
+
+  hasUnsavedChanges() {
+    return JSON.stringify(this.exportConfig()) !== JSON.stringify(this.startupConfig)
+  }
+
+  // Reloads the startup configuration; learned MAC entries do not survive
+  reboot() {
+    this.importConfig(this.startupConfig)
+    this.system.bootTime = Date.now()
+    // Counters start from zero after a reboot
+    for (const port of this.ports) {
+      Object.keys(port.counters).forEach(key => { port.counters[key] = 0 })
+    }
+    this.lastCounterUpdate = Date.now()
+  }
+
+  // Backup/restore of the simulated running configuration
+  exportConfig() {
+    return {
+      vlans: Array.from(this.vlans.values()).map(vlan => ({
+        vlanId: vlan.vlanId,
+        vlanName: vlan.vlanName,
+        description: vlan.description,
+        taggedPorts: Array.from(vlan.taggedPorts),
+        untaggedPorts: Array.from(vlan.untaggedPorts)
+      })),
+      lags: Array.from(this.lags.values()).map(lag => ({
+        lagId: lag.lagId,
+        enabled: lag.enabled,
+        mode: lag.mode,
+        hash: lag.hash,
+        members: Array.from(lag.members)
+      })),
+      stp: {
+        enabled: this.stp.enabled,
+        mode: this.stp.mode,
+        priority: this.stp.priority,
+        ports: Array.from(this.stp.ports.entries()).map(([portId, flags]) => [portId, { ...flags }])
+      },
+      igmp: Array.from(this.igmp.vlans.entries()).map(([vlanId, settings]) => [vlanId, { ...settings }]),
+      loopDetect: {
+        enabled: this.loopDetect.enabled,
+        interval: this.loopDetect.interval,
+        action: this.loopDetect.action,
+        ports: Array.from(this.loopDetect.ports.entries()).map(([portId, state]) => [portId, state.enabled])
+      },
+      mirrors: Array.from(this.mirrors.values()).map(mirror => ({
+        sessionId: mirror.sessionId,
+        destPortId: mirror.destPortId,
+        sources: Array.from(mirror.sources.entries())
+      })),
+      mac: {
+        agingTime: this.mac.agingTime,
+        staticEntries: this.mac.entries.filter(entry => entry.type === 'static').map(entry => ({ ...entry }))
+      },
+      ports: this.ports.map(port => ({
+        portId: port.portId,
+        description: port.description,
+        adminEnable: port.adminEnable,
+        pvid: port.pvid,
+        mode: port.mode,
+        qos: { ...port.qos },
+        storm: { ...port.storm },
+        security: {
+          enabled: port.security.enabled,
+          maxMac: port.security.maxMac,
+          violation: port.security.violation
+        }
+      }))
+    }
+  }
+
+  // Applies a backup taken by ViminsManager.backupConfiguration(): its sections hold
+  // the get.cgi replies it read (vlan_conf, vlan_port, port_port, lag_mgmt, ...).
+  // A missing section keeps the current settings it would have covered
+  restoreBackup({ vlanConfig, portConfig, lagConfig }) {
+    const configData = this.exportConfig()
+
+    if (vlanConfig) {
+      if (!vlanConfig.vlan_conf || !vlanConfig.vlan_membership) {
+        throw new SimulatorError('Backup vlanConfig has no vlan_conf or vlan_membership')
+      }
+      const membership = new Map(vlanConfig.vlan_membership.vlans.map(vlan => [vlan.vlanId, vlan]))
+      configData.vlans = vlanConfig.vlan_conf.vlans.map(vlan => ({
+        vlanId: vlan.vlanId,
+        vlanName: vlan.vlanName,
+        description: vlan.description,
+        taggedPorts: membership.has(vlan.vlanId) ? membership.get(vlan.vlanId).taggedPorts : [],
+        untaggedPorts: membership.has(vlan.vlanId) ? membership.get(vlan.vlanId).untaggedPorts : []
+      }))
+
+      for (const saved of (vlanConfig.vlan_port ? vlanConfig.vlan_port.ports : [])) {
+        const port = configData.ports.find(p => p.portId === saved.portId)
+        if (port) {
+          Object.assign(port, { pvid: saved.pvid, mode: saved.mode })
+        }
+      }
+    }
+
+    for (const saved of (portConfig && portConfig.port_port ? portConfig.port_port.ports : [])) {
+      const port = configData.ports.find(p => p.portId === saved.portId)
+      if (port) {
+        Object.assign(port, { description: saved.description, adminEnable: saved.adminEnable })
+      }
+    }
+
+    if (lagConfig && lagConfig.lag_mgmt) {
+      const members = lagConfig.lag_port ? lagConfig.lag_port.ports : []
+      configData.lags = lagConfig.lag_mgmt.lags.map(lag => ({
+        lagId: lag.lagId,
+        enabled: lag.enabled,
+        mode: lag.mode,
+        hash: lag.hash,
+        members: members.filter(port => port.lagId === lag.lagId).map(port => port.portId)
+      }))
+    }
+
+    this.importConfig(configData)
+  }
+
+  importConfig(configData) {
+    if (!configData || !Array.isArray(configData.vlans) || !Array.isArray(configData.ports)) {
+      throw new SimulatorError('Invalid configuration file')
+    }
+
+    this.vlans = new Map(configData.vlans.map(vlan => [vlan.vlanId, {
+      vlanId: vlan.vlanId,
+      vlanName: vlan.vlanName,
+      description: vlan.description || '',
+      taggedPorts: new Set(vlan.taggedPorts),
+      untaggedPorts: new Set(vlan.untaggedPorts)
+    }]))
+
+    // Older backups carry no LAG section; keep the current LAGs for those
+    if (Array.isArray(configData.lags)) {
+      this.lags = new Map(configData.lags.map(lag => [lag.lagId, {
+        lagId: lag.lagId,
+        name: `LAG${lag.lagId}`,
+        enabled: lag.enabled,
+        mode: lag.mode,
+        hash: lag.hash,
+        members: new Set(lag.members)
+      }]))
+    }
+
+    if (configData.stp) {
+      Object.assign(this.stp, {
+        enabled: configData.stp.enabled,
+        mode: configData.stp.mode,
+        priority: configData.stp.priority,
+        ports: new Map(configData.stp.ports.map(([portId, flags]) => [portId, { ...flags }]))
+      })
+    }
+
+    if (Array.isArray(configData.igmp)) {
+      this.igmp.vlans = new Map(configData.igmp.map(([vlanId, settings]) => [vlanId, { ...settings }]))
+    }
+
+    if (configData.loopDetect) {
+      Object.assign(this.loopDetect, {
+        enabled: configData.loopDetect.enabled,
+        interval: configData.loopDetect.interval,
+        action: configData.loopDetect.action
+      })
+      for (const [portId, enabled] of configData.loopDetect.ports) {
+        const state = this.loopDetect.ports.get(portId)
+        if (state) {
+          state.enabled = enabled
+        }
+      }
+    }
+
+    if (Array.isArray(configData.mirrors)) {
+      this.mirrors = new Map(configData.mirrors.map(mirror => [mirror.sessionId, {
+        sessionId: mirror.sessionId,
+        destPortId: mirror.destPortId,
+        sources: new Map(mirror.sources)
+      }]))
+    }
+
+    if (configData.mac) {
+      this.mac = {
+        agingTime: configData.mac.agingTime,
+        entries: configData.mac.staticEntries.map(entry => ({ ...entry, type: 'static' }))
+      }
+    }
+
+    for (const saved of configData.ports) {
+      const port = this.findPort(saved.portId)
+      if (port) {
+        Object.assign(port, {
+          description: saved.description,
+          adminEnable: saved.adminEnable,
+          pvid: saved.pvid,
+          mode: saved.mode
+        })
+        if (saved.qos) {
+          port.qos = { ...saved.qos }
+        }
+        if (saved.storm) {
+          port.storm = { ...saved.storm }
+        }
+        if (saved.security) {
+          port.security = { ...port.security, ...saved.security }
+        }
+      }
+    }
+  }
+}
+
+class SimulatorError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'SimulatorError'
+  }
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') {
+    return []
+  }
+  if (Array.isArray(value)) {
+    return value
+  }
+  return String(value).split(',').map(v => v.trim()).filter(v => v !== '')
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1' || value === 1 || value === 'on'
+}
+
+ViminsSwitchModel.SimulatorError = SimulatorError
+ViminsSwitchModel.parseList = parseList
+ViminsSwitchModel.parseBoolean = parseBoolean
+
+module.exports = ViminsSwitchModel
@@ -262,6 +262,43 @@ async function rollbackConfigurationChanges(params) {
   }
 }
 
+/**
+ * Save the running configuration to startup so it survives a reboot
+ */
+async function saveRunningConfig(params) {
+  const { switch_id, confirm = false } = params
+  
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+  if (confirm !== true) {
+    throw new Error(`Saving replaces the startup configuration of ${switch_id}; pass confirm: true to proceed`)
+  }
+  
+  const services = getServices()
+  
+  try {
+    const { unsavedChanges } = await services.switchManager.getConfigurationStatus(switch_id)
+    const result = await services.switchManager.saveConfiguration(switch_id)
+    
+    return {
+      success: true,
+      message: unsavedChanges
+        ? `Running configuration saved to startup on ${switch_id}`
+        : `Running configuration saved on ${switch_id} (no unsaved changes)`,
+      data: {
+        switch_id,
+        had_unsaved_changes: unsavedChanges,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to save running configuration on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
 // Helper functions
 function performConfigurationComparison(config1, config2) {
   const differences = []
@@ -345,5 +382,6 @@ module.exports = {
   deployConfigurationTemplate,
   validateConfigurationCompliance,
   generateConfigurationReport,
-  rollbackConfigurationChanges
+  rollbackConfigurationChanges,
+  saveRunningConfig
 }
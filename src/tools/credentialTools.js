@@ -0,0 +1,125 @@
+/**
+ * Credential Management MCP Tools
+ * Manage switch credentials in the encrypted vault; secrets are never returned
+ */
+
+const logger = require('../utils/logger')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+function getVault(services) {
+  if (!services.credentials) {
+    throw new Error('Credential vault is not configured')
+  }
+  return services.credentials
+}
+
+/**
+ * Store new credentials for a switch and re-authenticate with them
+ */
+async function setSwitchCredentials(params) {
+  const { switch_id, username, password } = params
+  
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+  
+  if (!username || !password) {
+    throw new Error('username and password are required')
+  }
+  
+  const services = getServices()
+  
+  try {
+    const result = await services.switchManager.updateSwitchCredentials(switch_id, { username, password })
+    
+    return {
+      success: true,
+      message: result.authenticated
+        ? `Credentials updated and verified for ${switch_id}`
+        : `Credentials stored for ${switch_id} but authentication failed`,
+      data: {
+        switch_id,
+        username,
+        authenticated: result.authenticated,
+        status: services.switchManager.getSwitch(switch_id).status,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to update credentials for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * List which switches have credentials in the vault (no secrets)
+ */
+async function listSwitchCredentials() {
+  const services = getServices()
+  const vault = getVault(services)
+  
+  const stored = vault.list()
+  const switches = services.switchManager.getAllSwitches().map(s => {
+    const entry = stored.find(c => c.switchId === s.id)
+    return {
+      switch_id: s.id,
+      name: s.name,
+      source: entry ? 'vault' : 'config',
+      username: entry ? entry.username : undefined,
+      updated_at: entry ? entry.updatedAt : undefined
+    }
+  })
+  
+  return {
+    success: true,
+    message: `${stored.length} of ${switches.length} switches use vault credentials`,
+    data: {
+      switches,
+      vault: vault.getServiceStatus(),
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+/**
+ * Re-encrypt the vault under a new master key
+ */
+async function rotateCredentialMasterKey(params) {
+  const { new_master_key } = params
+  
+  if (!new_master_key) {
+    throw new Error('new_master_key is required')
+  }
+  
+  const services = getServices()
+  const vault = getVault(services)
+  
+  try {
+    const reencrypted = await vault.rotateMasterKey(new_master_key)
+    
+    return {
+      success: true,
+      message: `Master key rotated; update ENCRYPTION_KEY before the next restart or the rotation is undone`,
+      data: {
+        reencrypted_entries: reencrypted,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to rotate credential vault master key:', error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  setSwitchCredentials,
+  listSwitchCredentials,
+  rotateCredentialMasterKey
+}
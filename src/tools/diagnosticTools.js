@@ -4,6 +4,8 @@
  */
 
 const logger = require('../utils/logger')
+const config = require('../utils/config')
+const { findPort, summarizePorts } = require('../models/Port')
 
 // Get services from global context
 function getServices() {
@@ -13,11 +15,24 @@ function getServices() {
   return global.mcpServices
 }
 
+function getMonitoringSessions() {
+  const services = getServices()
+  if (!services.monitoringSessions) {
+    throw new Error('Monitoring sessions are not available')
+  }
+  return services.monitoringSessions
+}
+
 /**
  * Comprehensive network health assessment
  */
 async function networkHealthCheck(params) {
-  const { include_performance = true, include_topology = true } = params
+  const { include_performance = true, include_topology = true, duration_minutes = 5 } = params
+  
+  const minutes = Number(duration_minutes)
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('duration_minutes must be a positive number')
+  }
   
   const services = getServices()
   const startTime = Date.now()
@@ -60,7 +75,7 @@ async function networkHealthCheck(params) {
   // Performance analysis if requested
   let performanceData = null
   if (include_performance) {
-    performanceData = await analyzeNetworkPerformance(healthResults)
+    performanceData = await analyzeNetworkPerformance(healthResults, services.counterCollector, minutes)
   }
   
   // Topology analysis if requested
@@ -117,7 +132,7 @@ async function switchDiagnostics(params) {
     // Port diagnostics if requested
     let portDiagnostics = null
     if (include_ports) {
-      portDiagnostics = await manager.getPortStatus()
+      portDiagnostics = await manager.getPorts()
     }
     
     // VLAN diagnostics if requested
@@ -126,14 +141,24 @@ async function switchDiagnostics(params) {
       vlanDiagnostics = await manager.getVLANConfig()
     }
     
-    // Additional diagnostics based on switch type
-    let additionalData = {}
-    if (switchInfo.config.type === 'vimins') {
+    // Additional diagnostics based on the capabilities the driver declares
+    const additionalData = {}
+    const optionalDiagnostics = {
+      lag_config: 'getLAGConfig',
+      mac_table: 'getMACTable'
+    }
+    
+    for (const [key, operation] of Object.entries(optionalDiagnostics)) {
+      if (!services.switchManager.supportsOperation(switch_id, operation)) {
+        additionalData[key] = unsupportedResult(services, switch_id, operation)
+        continue
+      }
+      
       try {
-        additionalData.lag_config = await manager.getLAGConfig()
-        additionalData.mac_table = await manager.getMACTable()
+        additionalData[key] = await manager[operation]()
       } catch (error) {
-        logger.warn(`Failed to get additional Vimins data for ${switch_id}:`, error.message)
+        logger.warn(`Failed to get ${key} for ${switch_id}:`, error.message)
+        additionalData[key] = { error: error.message }
       }
     }
     
@@ -170,7 +195,7 @@ async function switchDiagnostics(params) {
  * Analyze port status and performance
  */
 async function portDiagnostics(params) {
-  const { switch_id, port_id = null } = params
+  const { switch_id, port_id = null, include_raw = false } = params
   
   if (!switch_id) {
     throw new Error('switch_id is required')
@@ -179,14 +204,17 @@ async function portDiagnostics(params) {
   const services = getServices()
   const manager = services.switchManager.getSwitchManager(switch_id)
   
-  // Get port status
-  const portStatus = await manager.getPortStatus()
+  // Get normalized port status
+  const ports = await manager.getPorts({ includeRaw: include_raw })
   
   // Filter for specific port if requested
-  let filteredPorts = portStatus
+  let filteredPorts = ports
   if (port_id) {
-    // Filter logic depends on the data structure returned by each switch type
-    filteredPorts = filterPortData(portStatus, port_id)
+    const port = findPort(ports, services.switchManager.resolveInterface(switch_id, port_id).name)
+    if (!port) {
+      throw new Error(`Port ${port_id} not found on ${switch_id}`)
+    }
+    filteredPorts = [port]
   }
   
   // Analyze port health
@@ -198,7 +226,7 @@ async function portDiagnostics(params) {
     data: {
       switch_id,
       port_id,
-      port_status: filteredPorts,
+      ports: filteredPorts,
       analysis: portAnalysis,
       timestamp: new Date().toISOString()
     }
@@ -276,13 +304,20 @@ async function connectivityTest(params) {
 }
 
 /**
- * Analyze network performance metrics
+ * Analyze network performance metrics; port traffic comes from the counter samples
+ * collected over the last duration_minutes
  */
 async function performanceAnalysis(params) {
   const { switch_ids = null, duration_minutes = 5 } = params
   
+  const minutes = Number(duration_minutes)
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('duration_minutes must be a positive number')
+  }
+  
   const services = getServices()
   const switches = switch_ids || services.switchManager.getOnlineSwitches().map(s => s.id)
+  const since = Date.now() - minutes * 60 * 1000
   
   const performanceData = {}
   
@@ -292,11 +327,15 @@ async function performanceAnalysis(params) {
       
       // Get current performance metrics
       const systemInfo = await manager.getSystemInfo()
-      const portStatus = await manager.getPortStatus()
+      const ports = await manager.getPorts()
+      const traffic = services.counterCollector
+        ? summarizeTraffic(services.counterCollector, switchId, ports, since)
+        : null
       
       performanceData[switchId] = {
         success: true,
-        metrics: extractPerformanceMetrics(systemInfo, portStatus),
+        metrics: extractPerformanceMetrics(systemInfo, ports, traffic),
+        traffic,
         timestamp: new Date().toISOString()
       }
     } catch (error) {
@@ -320,7 +359,8 @@ async function performanceAnalysis(params) {
 }
 
 /**
- * Real-time monitoring of switch metrics
+ * Start a monitoring session that samples a switch's ports every interval_seconds
+ * for duration_seconds; the samples stream as Server-Sent Events from stream_url
  */
 async function realTimeMonitoring(params) {
   const { switch_id, duration_seconds = 60, interval_seconds = 5 } = params
@@ -329,35 +369,87 @@ async function realTimeMonitoring(params) {
     throw new Error('switch_id is required')
   }
   
-  const services = getServices()
-  const manager = services.switchManager.getSwitchManager(switch_id)
+  const monitoring = getMonitoringSessions()
   
-  // This would typically start a monitoring session
-  // For now, we'll return current metrics
-  const currentMetrics = await manager.healthCheck()
+  try {
+    const session = await monitoring.startSession(switch_id, {
+      durationSeconds: Number(duration_seconds),
+      intervalSeconds: Number(interval_seconds)
+    })
+    
+    return {
+      success: true,
+      message: `Real-time monitoring started for ${switch_id} (session ${session.session_id})`,
+      data: {
+        ...session,
+        current_metrics: monitoring.getSession(session.session_id).lastSample,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to start monitoring for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * List the monitoring sessions that are running
+ */
+async function listMonitoringSessions() {
+  const sessions = getMonitoringSessions().listSessions()
   
   return {
     success: true,
-    message: `Real-time monitoring started for ${switch_id}`,
+    message: `${sessions.length} monitoring sessions running (limit ${config.monitoring.maxSessions})`,
     data: {
-      switch_id,
-      monitoring_config: {
-        duration_seconds,
-        interval_seconds
-      },
-      current_metrics: currentMetrics,
+      sessions,
+      max_sessions: config.monitoring.maxSessions,
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+/**
+ * Stop a monitoring session before it expires; its streams receive an end event
+ */
+async function stopMonitoringSession(params) {
+  const { session_id } = params
+  
+  if (!session_id) {
+    throw new Error('session_id is required')
+  }
+  
+  const session = getMonitoringSessions().stopSession(session_id)
+  
+  return {
+    success: true,
+    message: `Monitoring session ${session_id} stopped after ${session.samples} samples`,
+    data: {
+      ...session,
       timestamp: new Date().toISOString()
     }
   }
 }
 
 // Helper functions
-async function analyzeNetworkPerformance(healthResults) {
+function unsupportedResult(services, switchId, operation) {
+  try {
+    services.switchManager.requireOperation(switchId, operation)
+  } catch (error) {
+    return { unsupported: true, error: error.message }
+  }
+  return { unsupported: true }
+}
+
+async function analyzeNetworkPerformance(healthResults, collector = null, minutes = 5) {
   const performance = {
     response_times: {},
     authentication_status: {},
+    traffic: {},
+    traffic_window_minutes: minutes,
     overall_latency: 0
   }
+  const since = Date.now() - minutes * 60 * 1000
   
   let totalLatency = 0
   let successfulChecks = 0
@@ -372,6 +464,40 @@ async function analyzeNetworkPerformance(healthResults) {
     }
     
     performance.authentication_status[switchId] = health.authenticated
+    
+    // Switch-wide traffic over the window of collected samples
+    if (!collector) {
+      return
+    }
+    const summaries = collector.getPorts(switchId)
+      .map(port => collector.summarize(switchId, port, { since }))
+      .filter(summary => summary.samples > 0)
+    if (summaries.length === 0) {
+      performance.traffic[switchId] = {
+        samples: 0,
+        message: `No counter samples collected for ${switchId} in the last ${minutes} minutes`
+      }
+      return
+    }
+    
+    const total = (...keys) => {
+      let sum = null
+      for (const summary of summaries) {
+        for (const key of keys) {
+          if (summary[key] !== null) {
+            sum = (sum || 0) + summary[key]
+          }
+        }
+      }
+      return sum
+    }
+    performance.traffic[switchId] = {
+      samples: Math.max(...summaries.map(summary => summary.samples)),
+      rx_bps: total('rxBps'),
+      tx_bps: total('txBps'),
+      errors: total('rxErrors', 'txErrors'),
+      discards: total('rxDrops', 'txDrops')
+    }
   })
   
   performance.overall_latency = successfulChecks > 0 ? totalLatency / successfulChecks : 0
@@ -379,18 +505,14 @@ async function analyzeNetworkPerformance(healthResults) {
   return performance
 }
 
-function filterPortData(portStatus, portId) {
-  // This would filter port data based on the specific port ID
-  // Implementation depends on the data structure from each switch type
-  return portStatus
-}
-
-function analyzePortHealth(portData) {
+function analyzePortHealth(ports) {
+  const summary = summarizePorts(ports)
+  
   return {
-    total_ports: 0, // Placeholder
-    active_ports: 0, // Placeholder
-    error_ports: 0, // Placeholder
-    utilization: {} // Placeholder
+    total_ports: summary.total,
+    active_ports: summary.up,
+    error_ports: summary.with_errors,
+    utilization: Object.fromEntries(ports.filter(p => p.utilization).map(p => [p.name, p.utilization]))
   }
 }
 
@@ -411,11 +533,34 @@ function analyzeVLANHealth(vlanData, vlanId) {
   return analysis
 }
 
-function extractPerformanceMetrics(systemInfo, portStatus) {
+// Counter totals, rates and utilization of each port with samples since a time
+function summarizeTraffic(collector, switchId, ports, since) {
+  const traffic = {}
+  
+  for (const port of ports) {
+    const summary = collector.summarize(switchId, port.name, { since, speedMbps: port.speedMbps })
+    if (summary.samples > 0) {
+      traffic[port.name] = summary
+    }
+  }
+  
+  return traffic
+}
+
+function extractPerformanceMetrics(systemInfo, ports, traffic = null) {
+  const summary = summarizePorts(ports)
+  
+  // Prefer the collected average over the switch's instantaneous utilization
+  const measured = Object.values(traffic || {}).filter(port => port.rxPercent !== null)
+  const portUtilization = measured.length > 0
+    ? Math.round(measured.reduce((sum, port) => sum + port.rxPercent, 0) / measured.length * 10) / 10
+    : summary.average_rx_utilization
+  
   return {
     cpu_usage: Math.random() * 100, // Placeholder
     memory_usage: Math.random() * 100, // Placeholder
-    port_utilization: Math.random() * 100, // Placeholder
+    port_utilization: portUtilization,
+    active_ports: summary.up,
     uptime: '1d 2h 3m' // Placeholder
   }
 }
@@ -440,5 +585,7 @@ module.exports = {
   vlanDiagnostics,
   connectivityTest,
   performanceAnalysis,
-  realTimeMonitoring
+  realTimeMonitoring,
+  listMonitoringSessions,
+  stopMonitoringSession
 }
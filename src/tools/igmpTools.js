@@ -0,0 +1,146 @@
+/**
+ * IGMP Snooping MCP Tools
+ * Per-VLAN snooping, querier and fast-leave settings, and the multicast groups
+ * learned on each port
+ */
+
+const logger = require('../utils/logger')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+function parseVLANId(vlan_id) {
+  const vlanId = parseInt(vlan_id, 10)
+  if (isNaN(vlanId) || vlanId < 1 || vlanId > 4094) {
+    throw new Error(`Invalid VLAN ID: ${vlan_id} (must be 1-4094)`)
+  }
+  return vlanId
+}
+
+/**
+ * Get the IGMP snooping settings of every VLAN, or of one VLAN
+ */
+async function getIGMPSnooping(params) {
+  const { switch_id, vlan_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const vlanId = vlan_id !== undefined ? parseVLANId(vlan_id) : null
+  const services = getServices()
+
+  try {
+    const vlans = await services.switchManager.getIGMPSnooping(switch_id, vlanId)
+
+    return {
+      success: true,
+      message: `IGMP snooping is enabled on ${vlans.filter(v => v.enabled).length} of ${vlans.length} VLANs on ${switch_id}`,
+      data: {
+        switch_id,
+        vlans,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to get IGMP snooping settings for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Enable or disable IGMP snooping, the querier and fast-leave on a VLAN
+ */
+async function configureIGMPSnooping(params) {
+  const { switch_id, vlan_id, enabled, querier, fast_leave } = params
+
+  if (!switch_id || !vlan_id) {
+    throw new Error('switch_id and vlan_id are required')
+  }
+  if (enabled === undefined && querier === undefined && fast_leave === undefined) {
+    throw new Error('enabled, querier or fast_leave is required')
+  }
+
+  const vlanId = parseVLANId(vlan_id)
+  const settings = {}
+  if (enabled !== undefined) {
+    settings.enabled = !!enabled
+  }
+  if (querier !== undefined) {
+    settings.querier = !!querier
+  }
+  if (fast_leave !== undefined) {
+    settings.fastLeave = !!fast_leave
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureIGMPSnooping(switch_id, vlanId, settings)
+
+    return {
+      success: true,
+      message: `IGMP snooping configured for VLAN ${vlanId} on ${switch_id}`,
+      data: {
+        switch_id,
+        vlan_id: vlanId,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure IGMP snooping for VLAN ${vlanId} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * List the multicast groups learned through IGMP snooping, grouped by port
+ */
+async function listMulticastGroups(params) {
+  const { switch_id, vlan_id, port_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const vlanId = vlan_id !== undefined ? parseVLANId(vlan_id) : null
+  const services = getServices()
+
+  try {
+    const groups = await services.switchManager.getMulticastGroups(switch_id, { vlanId, portId: port_id })
+
+    const ports = {}
+    for (const group of groups) {
+      ports[group.port] = ports[group.port] || []
+      ports[group.port].push({ group: group.group, vlan_id: group.vlanId })
+    }
+
+    return {
+      success: true,
+      message: `Found ${groups.length} multicast group memberships on ${switch_id}`,
+      data: {
+        switch_id,
+        filters: { vlan_id: vlanId, port_id: port_id || null },
+        total_memberships: groups.length,
+        ports,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to list multicast groups for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  getIGMPSnooping,
+  configureIGMPSnooping,
+  listMulticastGroups
+}
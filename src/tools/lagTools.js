@@ -0,0 +1,231 @@
+/**
+ * LAG Management MCP Tools
+ * Create, change and remove link aggregation groups on switches with the lag capability
+ */
+
+const logger = require('../utils/logger')
+
+const LAG_MODES = ['static', 'lacp']
+const LAG_HASHES = ['src-mac', 'dst-mac', 'src-dst-mac', 'src-ip', 'dst-ip', 'src-dst-ip']
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+// Mode and hash as the drivers expect them; only the keys that were passed
+function getLAGSettings(params) {
+  const settings = {}
+
+  if (params.mode !== undefined) {
+    if (!LAG_MODES.includes(params.mode)) {
+      throw new Error(`mode must be one of: ${LAG_MODES.join(', ')}`)
+    }
+    settings.mode = params.mode
+  }
+
+  if (params.hash !== undefined) {
+    if (!LAG_HASHES.includes(params.hash)) {
+      throw new Error(`hash must be one of: ${LAG_HASHES.join(', ')}`)
+    }
+    settings.hash = params.hash
+  }
+
+  return settings
+}
+
+/**
+ * Create a LAG, optionally with its mode, hashing and initial member ports
+ */
+async function createLAG(params) {
+  const { switch_id, lag_id, ports = [] } = params
+
+  if (!switch_id || !lag_id) {
+    throw new Error('switch_id and lag_id are required')
+  }
+
+  const services = getServices()
+  const settings = getLAGSettings(params)
+
+  try {
+    const result = await services.switchManager.createLAG(switch_id, lag_id, settings)
+
+    const memberResults = []
+    for (const port_id of ports) {
+      try {
+        await services.switchManager.addLAGMember(switch_id, lag_id, port_id)
+        memberResults.push({ port_id, success: true })
+      } catch (error) {
+        memberResults.push({ port_id, success: false, error: error.message })
+      }
+    }
+
+    // The LAG stays in place when a member could not be added
+    const added = memberResults.filter(r => r.success).length
+    const complete = added === memberResults.length
+
+    return {
+      success: complete,
+      message: complete
+        ? `LAG ${lag_id} created on ${switch_id}`
+        : `LAG ${lag_id} created on ${switch_id} with ${added} of ${memberResults.length} member ports`,
+      data: {
+        switch_id,
+        lag_id,
+        settings,
+        members: memberResults,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to create LAG ${lag_id} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Delete a LAG; refused for the LAG of an inter-core link unless forced
+ */
+async function deleteLAG(params) {
+  const { switch_id, lag_id, force = false } = params
+
+  if (!switch_id || !lag_id) {
+    throw new Error('switch_id and lag_id are required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.deleteLAG(switch_id, lag_id, { force })
+
+    return {
+      success: true,
+      message: `LAG ${lag_id} deleted from ${switch_id}`,
+      data: {
+        switch_id,
+        lag_id,
+        force,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to delete LAG ${lag_id} from ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Set static or LACP mode and load-balance hashing on a LAG
+ */
+async function configureLAG(params) {
+  const { switch_id, lag_id } = params
+
+  if (!switch_id || !lag_id) {
+    throw new Error('switch_id and lag_id are required')
+  }
+
+  const settings = getLAGSettings(params)
+  if (Object.keys(settings).length === 0) {
+    throw new Error('mode or hash is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureLAG(switch_id, lag_id, settings)
+
+    return {
+      success: true,
+      message: `LAG ${lag_id} configured on ${switch_id}`,
+      data: {
+        switch_id,
+        lag_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure LAG ${lag_id} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Add a member port to a LAG
+ */
+async function addLAGMember(params) {
+  const { switch_id, lag_id, port_id } = params
+
+  if (!switch_id || !lag_id || !port_id) {
+    throw new Error('switch_id, lag_id, and port_id are required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.addLAGMember(switch_id, lag_id, port_id)
+
+    return {
+      success: true,
+      message: `Port ${port_id} added to LAG ${lag_id} on ${switch_id}`,
+      data: {
+        switch_id,
+        lag_id,
+        port_id,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to add port ${port_id} to LAG ${lag_id} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Remove a member port from a LAG; the last active member of an inter-core link
+ * is kept unless forced
+ */
+async function removeLAGMember(params) {
+  const { switch_id, lag_id, port_id, force = false } = params
+
+  if (!switch_id || !lag_id || !port_id) {
+    throw new Error('switch_id, lag_id, and port_id are required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.removeLAGMember(switch_id, lag_id, port_id, { force })
+
+    return {
+      success: true,
+      message: `Port ${port_id} removed from LAG ${lag_id} on ${switch_id}`,
+      data: {
+        switch_id,
+        lag_id,
+        port_id,
+        force,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to remove port ${port_id} from LAG ${lag_id} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  createLAG,
+  deleteLAG,
+  configureLAG,
+  addLAGMember,
+  removeLAGMember
+}
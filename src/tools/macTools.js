@@ -0,0 +1,168 @@
+/**
+ * MAC Address Table MCP Tools
+ * Static entries, aging and flushing on switches with the mac_table capability
+ */
+
+const logger = require('../utils/logger')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+function parseVLANId(vlan_id) {
+  const vlanId = parseInt(vlan_id, 10)
+  if (isNaN(vlanId) || vlanId < 1 || vlanId > 4094) {
+    throw new Error(`Invalid VLAN ID: ${vlan_id} (must be 1-4094)`)
+  }
+  return vlanId
+}
+
+/**
+ * Pin a MAC address to a port in a VLAN
+ */
+async function addStaticMAC(params) {
+  const { switch_id, mac_address, vlan_id, port_id } = params
+
+  if (!switch_id || !mac_address || !vlan_id || !port_id) {
+    throw new Error('switch_id, mac_address, vlan_id, and port_id are required')
+  }
+
+  const vlanId = parseVLANId(vlan_id)
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.addStaticMAC(switch_id, mac_address, vlanId, port_id)
+
+    return {
+      success: true,
+      message: `Static MAC ${mac_address} added on ${switch_id} port ${port_id} in VLAN ${vlanId}`,
+      data: {
+        switch_id,
+        mac_address,
+        vlan_id: vlanId,
+        port_id,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to add static MAC ${mac_address} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Remove a static MAC entry from a VLAN
+ */
+async function removeStaticMAC(params) {
+  const { switch_id, mac_address, vlan_id } = params
+
+  if (!switch_id || !mac_address || !vlan_id) {
+    throw new Error('switch_id, mac_address, and vlan_id are required')
+  }
+
+  const vlanId = parseVLANId(vlan_id)
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.removeStaticMAC(switch_id, mac_address, vlanId)
+
+    return {
+      success: true,
+      message: `Static MAC ${mac_address} removed from VLAN ${vlanId} on ${switch_id}`,
+      data: {
+        switch_id,
+        mac_address,
+        vlan_id: vlanId,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to remove static MAC ${mac_address} on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Set how long learned entries stay in the table; 0 disables aging
+ */
+async function setMACAgingTime(params) {
+  const { switch_id, aging_time } = params
+
+  if (!switch_id || aging_time === undefined) {
+    throw new Error('switch_id and aging_time are required')
+  }
+
+  const seconds = parseInt(aging_time, 10)
+  if (isNaN(seconds) || seconds < 0) {
+    throw new Error(`Invalid aging_time: ${aging_time}`)
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.setMACAgingTime(switch_id, seconds)
+
+    return {
+      success: true,
+      message: seconds === 0
+        ? `MAC aging disabled on ${switch_id}`
+        : `MAC aging time set to ${seconds}s on ${switch_id}`,
+      data: {
+        switch_id,
+        aging_time: seconds,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to set MAC aging time on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Flush learned (dynamic) entries on one port, or on the whole switch when no
+ * port is given; static entries are kept
+ */
+async function flushMACTable(params) {
+  const { switch_id, port_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.flushMACTable(switch_id, port_id)
+
+    return {
+      success: true,
+      message: port_id
+        ? `Dynamic MAC entries flushed on ${switch_id} port ${port_id}`
+        : `Dynamic MAC entries flushed on ${switch_id}`,
+      data: {
+        switch_id,
+        port_id: port_id || null,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to flush MAC table on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  addStaticMAC,
+  removeStaticMAC,
+  setMACAgingTime,
+  flushMACTable
+}
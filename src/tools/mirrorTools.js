@@ -0,0 +1,134 @@
+/**
+ * Port Mirroring MCP Tools
+ * Mirror source ports to a capture port on switches with the port_mirror capability
+ */
+
+const logger = require('../utils/logger')
+const config = require('../utils/config')
+
+const MIRROR_DIRECTIONS = ['rx', 'tx', 'both']
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+/**
+ * Mirror one or more source ports to a destination port, optionally removing
+ * the mirror again after expires_in_minutes
+ */
+async function configurePortMirror(params) {
+  const { switch_id, session_id = 1, source_ports, direction = 'both', destination_port, expires_in_minutes } = params
+
+  if (!switch_id || !source_ports || !destination_port) {
+    throw new Error('switch_id, source_ports, and destination_port are required')
+  }
+  if (!MIRROR_DIRECTIONS.includes(direction)) {
+    throw new Error(`direction must be one of: ${MIRROR_DIRECTIONS.join(', ')}`)
+  }
+  if (expires_in_minutes !== undefined && !(expires_in_minutes > 0)) {
+    throw new Error('expires_in_minutes must be greater than 0')
+  }
+  if (expires_in_minutes > config.mirrors.maxExpiryMinutes) {
+    throw new Error(`expires_in_minutes must not exceed ${config.mirrors.maxExpiryMinutes}`)
+  }
+
+  const services = getServices()
+  const ports = Array.isArray(source_ports) ? source_ports : [source_ports]
+
+  try {
+    const mirror = await services.switchManager.configurePortMirror(switch_id, session_id, {
+      destination: destination_port,
+      sources: ports.map(port => ({ port, direction }))
+    }, {
+      expiresIn: expires_in_minutes ? expires_in_minutes * 60000 : null
+    })
+
+    return {
+      success: true,
+      message: `Mirroring ${mirror.sources.map(s => s.port).join(', ')} (${direction}) to ${mirror.destination} on ${switch_id}` +
+        (mirror.expiresAt ? ` until ${mirror.expiresAt}` : ''),
+      data: {
+        switch_id,
+        session_id: mirror.session,
+        destination_port: mirror.destination,
+        sources: mirror.sources,
+        expires_at: mirror.expiresAt,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure port mirror on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * List the mirror sessions configured on a switch
+ */
+async function listPortMirrors(params) {
+  const { switch_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const mirrors = await services.switchManager.getPortMirrors(switch_id)
+
+    return {
+      success: true,
+      message: `Found ${mirrors.length} mirror session(s) on ${switch_id}`,
+      data: {
+        switch_id,
+        mirrors,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to list port mirrors on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Remove a mirror session
+ */
+async function removePortMirror(params) {
+  const { switch_id, session_id = 1 } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.removePortMirror(switch_id, session_id)
+
+    return {
+      success: true,
+      message: `Mirror session ${session_id} removed from ${switch_id}`,
+      data: {
+        switch_id,
+        session_id,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to remove mirror session ${session_id} from ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  configurePortMirror,
+  listPortMirrors,
+  removePortMirror
+}
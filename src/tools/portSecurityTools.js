@@ -0,0 +1,148 @@
+/**
+ * Port Security MCP Tools
+ * Per-port MAC address limits and violation actions on switches with the
+ * port_security capability, set directly or from an inventory port profile
+ */
+
+const logger = require('../utils/logger')
+const { PORT_SECURITY_ACTIONS, isSecurityViolation } = require('../models/Port')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+/**
+ * Set the MAC limit and violation action of one port, or apply a port profile
+ * to its member ports (or to the one port given)
+ */
+async function configurePortSecurity(params) {
+  const { switch_id, port_id, profile, enabled, max_macs, action } = params
+  const explicit = enabled !== undefined || max_macs !== undefined || action !== undefined
+
+  if (profile) {
+    if (explicit) {
+      throw new Error('profile cannot be combined with enabled, max_macs or action')
+    }
+    if (port_id && !switch_id) {
+      throw new Error('switch_id is required with port_id')
+    }
+    return await applyPortProfile(profile, switch_id, port_id)
+  }
+
+  if (!switch_id || !port_id) {
+    throw new Error('switch_id and port_id are required (or a profile)')
+  }
+  if (!explicit) {
+    throw new Error('enabled, max_macs or action is required')
+  }
+
+  const settings = {}
+  if (enabled !== undefined) {
+    settings.enabled = enabled === true || enabled === 'true'
+  }
+  if (max_macs !== undefined) {
+    const maxMacs = Number(max_macs)
+    if (!Number.isInteger(maxMacs) || maxMacs < 1) {
+      throw new Error('max_macs must be a whole number of at least 1')
+    }
+    settings.maxMacs = maxMacs
+  }
+  if (action !== undefined) {
+    if (!PORT_SECURITY_ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${PORT_SECURITY_ACTIONS.join(', ')}`)
+    }
+    settings.action = action
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configurePortSecurity(switch_id, port_id, settings)
+
+    return {
+      success: true,
+      message: `Port security configured on ${switch_id} port ${port_id}`,
+      data: {
+        switch_id,
+        port_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure port security on port ${port_id} for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+async function applyPortProfile(profile, switch_id, port_id) {
+  const services = getServices()
+
+  try {
+    const { settings, results } = await services.switchManager.applyPortProfile(profile, {
+      switchId: switch_id || null,
+      portId: port_id || null
+    })
+    const applied = results.filter(result => result.success).length
+
+    return {
+      success: applied === results.length,
+      message: `Port profile ${profile} applied to ${applied} of ${results.length} ports`,
+      data: {
+        profile,
+        settings,
+        results,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to apply port profile ${profile}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Read the MAC limits, learned address counts and violation state of every port or one port
+ */
+async function getPortSecurity(params) {
+  const { switch_id, port_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    let ports = await services.switchManager.getPortSecurity(switch_id)
+    if (port_id) {
+      const name = services.switchManager.resolveInterface(switch_id, port_id).name
+      ports = ports.filter(port => port.port === name)
+    }
+    const violations = ports.filter(isSecurityViolation)
+
+    return {
+      success: true,
+      message: `${violations.length} of ${ports.filter(port => port.enabled).length} secured ports on ${switch_id} have port security violations`,
+      data: {
+        switch_id,
+        ports,
+        violations: violations.map(port => port.port),
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to get port security for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  configurePortSecurity,
+  getPortSecurity
+}
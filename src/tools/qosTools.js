@@ -0,0 +1,143 @@
+/**
+ * QoS MCP Tools
+ * Per-port ingress/egress rate limits, 802.1p priority and queue scheduling on
+ * switches with the qos capability
+ */
+
+const logger = require('../utils/logger')
+const { QOS_SCHEDULING, findPort } = require('../models/Port')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+function parseRate(name, value) {
+  const rate = Number(value)
+  if (!Number.isInteger(rate) || rate < 0) {
+    throw new Error(`${name} must be a whole number of kbps (0 removes the limit)`)
+  }
+  return rate
+}
+
+async function applyPortQoS(switch_id, port_id, settings, message) {
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configurePortQoS(switch_id, port_id, settings)
+
+    return {
+      success: true,
+      message,
+      data: {
+        switch_id,
+        port_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure QoS on port ${port_id} for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Cap the ingress and/or egress rate of a port; 0 removes a limit
+ */
+async function setPortRateLimit(params) {
+  const { switch_id, port_id, ingress_rate_kbps, egress_rate_kbps } = params
+
+  if (!switch_id || !port_id) {
+    throw new Error('switch_id and port_id are required')
+  }
+  if (ingress_rate_kbps === undefined && egress_rate_kbps === undefined) {
+    throw new Error('ingress_rate_kbps or egress_rate_kbps is required')
+  }
+
+  const settings = {}
+  if (ingress_rate_kbps !== undefined) {
+    settings.ingressRateKbps = parseRate('ingress_rate_kbps', ingress_rate_kbps)
+  }
+  if (egress_rate_kbps !== undefined) {
+    settings.egressRateKbps = parseRate('egress_rate_kbps', egress_rate_kbps)
+  }
+
+  return await applyPortQoS(switch_id, port_id, settings, `Rate limit set on ${switch_id} port ${port_id}`)
+}
+
+/**
+ * Set the 802.1p priority for untagged frames and the queue scheduling of a port
+ */
+async function setPortQoS(params) {
+  const { switch_id, port_id, priority, scheduling } = params
+
+  if (!switch_id || !port_id) {
+    throw new Error('switch_id and port_id are required')
+  }
+  if (priority === undefined && scheduling === undefined) {
+    throw new Error('priority or scheduling is required')
+  }
+
+  const settings = {}
+  if (priority !== undefined) {
+    const value = Number(priority)
+    if (!Number.isInteger(value) || value < 0 || value > 7) {
+      throw new Error('priority must be 0-7')
+    }
+    settings.priority = value
+  }
+  if (scheduling !== undefined) {
+    if (!QOS_SCHEDULING.includes(scheduling)) {
+      throw new Error(`scheduling must be one of: ${QOS_SCHEDULING.join(', ')}`)
+    }
+    settings.scheduling = scheduling
+  }
+
+  return await applyPortQoS(switch_id, port_id, settings, `QoS configured on ${switch_id} port ${port_id}`)
+}
+
+/**
+ * Read back the rate limits, priority and scheduling of every port or one port
+ */
+async function getPortQoS(params) {
+  const { switch_id, port_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    services.switchManager.requireCapability(switch_id, 'qos')
+    let ports = await services.switchManager.getPorts(switch_id)
+    if (port_id) {
+      const port = findPort(ports, services.switchManager.resolveInterface(switch_id, port_id).name)
+      ports = port ? [port] : []
+    }
+
+    return {
+      success: true,
+      message: `Retrieved QoS settings for ${ports.length} ports on ${switch_id}`,
+      data: {
+        switch_id,
+        ports: ports.map(port => ({ port: port.name, qos: port.qos })),
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to get port QoS for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  setPortRateLimit,
+  setPortQoS,
+  getPortQoS
+}
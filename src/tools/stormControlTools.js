@@ -0,0 +1,234 @@
+/**
+ * Storm Control and Loop Detection MCP Tools
+ * Broadcast, multicast and unknown-unicast thresholds per port on switches with the
+ * storm_control capability, and loopback detection on those with loop_detection
+ */
+
+const logger = require('../utils/logger')
+
+const LOOP_ACTIONS = ['shutdown', 'log']
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+function parseRate(name, value) {
+  const rate = Number(value)
+  if (!Number.isInteger(rate) || rate < 0) {
+    throw new Error(`${name} must be a whole number of packets per second (0 turns it off)`)
+  }
+  return rate
+}
+
+/**
+ * Get the storm control thresholds of every port or one port
+ */
+async function getStormControl(params) {
+  const { switch_id, port_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    let ports = await services.switchManager.getStormControl(switch_id)
+    if (port_id) {
+      const name = services.switchManager.resolveInterface(switch_id, port_id).name
+      ports = ports.filter(port => port.port === name)
+    }
+    const limited = ports.filter(port => port.broadcastPps || port.multicastPps || port.unknownUnicastPps)
+
+    return {
+      success: true,
+      message: `Storm control is set on ${limited.length} of ${ports.length} ports on ${switch_id}`,
+      data: {
+        switch_id,
+        ports,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to get storm control for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Set broadcast, multicast and unknown-unicast thresholds on a port, or on every
+ * port of the switch when port_id is omitted; 0 turns a threshold off
+ */
+async function configureStormControl(params) {
+  const { switch_id, port_id, broadcast_pps, multicast_pps, unknown_unicast_pps } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const settings = {}
+  if (broadcast_pps !== undefined) {
+    settings.broadcastPps = parseRate('broadcast_pps', broadcast_pps)
+  }
+  if (multicast_pps !== undefined) {
+    settings.multicastPps = parseRate('multicast_pps', multicast_pps)
+  }
+  if (unknown_unicast_pps !== undefined) {
+    settings.unknownUnicastPps = parseRate('unknown_unicast_pps', unknown_unicast_pps)
+  }
+  if (Object.keys(settings).length === 0) {
+    throw new Error('broadcast_pps, multicast_pps or unknown_unicast_pps is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureStormControl(switch_id, port_id || null, settings)
+
+    return {
+      success: true,
+      message: `Storm control configured on ${result.ports.length} ports on ${switch_id}`,
+      data: {
+        switch_id,
+        ports: result.ports,
+        settings,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure storm control on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Get the loop detection settings and the loops each port has seen
+ */
+async function getLoopDetection(params) {
+  const { switch_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const loopDetection = await services.switchManager.getLoopDetection(switch_id)
+    const looped = loopDetection.ports.filter(port => port.loops > 0 || port.shutdown)
+
+    return {
+      success: true,
+      message: loopDetection.enabled
+        ? `Loop detection is enabled on ${switch_id}; ${looped.length} ports have seen a loop`
+        : `Loop detection is disabled on ${switch_id}`,
+      data: {
+        switch_id,
+        loop_detection: loopDetection,
+        looped_ports: looped.map(port => port.port),
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to get loop detection for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Enable loop detection on a switch and set its probe interval and the action
+ * taken on a looped port
+ */
+async function configureLoopDetection(params) {
+  const { switch_id, enabled, interval_seconds, action } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const settings = {}
+  if (enabled !== undefined) {
+    settings.enabled = !!enabled
+  }
+  if (interval_seconds !== undefined) {
+    const interval = Number(interval_seconds)
+    if (!Number.isInteger(interval) || interval < 1 || interval > 60) {
+      throw new Error('interval_seconds must be 1-60')
+    }
+    settings.intervalSeconds = interval
+  }
+  if (action !== undefined) {
+    if (!LOOP_ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${LOOP_ACTIONS.join(', ')}`)
+    }
+    settings.action = action
+  }
+  if (Object.keys(settings).length === 0) {
+    throw new Error('enabled, interval_seconds or action is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureLoopDetection(switch_id, settings)
+
+    return {
+      success: true,
+      message: `Loop detection configured on ${switch_id}`,
+      data: {
+        switch_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure loop detection on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Turn loop detection on or off for one port
+ */
+async function configureLoopDetectionPort(params) {
+  const { switch_id, port_id, enabled } = params
+
+  if (!switch_id || !port_id || enabled === undefined) {
+    throw new Error('switch_id, port_id, and enabled are required')
+  }
+
+  const settings = { enabled: !!enabled }
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureLoopDetectionPort(switch_id, port_id, settings)
+
+    return {
+      success: true,
+      message: `Loop detection ${settings.enabled ? 'enabled' : 'disabled'} on ${switch_id} port ${port_id}`,
+      data: {
+        switch_id,
+        port_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure loop detection on port ${port_id} for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  getStormControl,
+  configureStormControl,
+  getLoopDetection,
+  configureLoopDetection,
+  configureLoopDetectionPort
+}
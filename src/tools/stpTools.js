@@ -0,0 +1,170 @@
+/**
+ * Spanning Tree MCP Tools
+ * STP/RSTP status, bridge and port settings, and the network-wide root bridge check
+ */
+
+const logger = require('../utils/logger')
+const { STP_MODES } = require('../models/Stp')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  return global.mcpServices
+}
+
+/**
+ * Get the STP mode, bridge and root identity, and each port's role and state
+ */
+async function getSTPStatus(params) {
+  const { switch_id } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const stp = await services.switchManager.getSTPStatus(switch_id)
+
+    return {
+      success: true,
+      message: stp.isRoot
+        ? `${switch_id} is the root bridge (${stp.bridgeId})`
+        : `${switch_id} reaches root ${stp.rootBridgeId} via ${stp.rootPort}`,
+      data: {
+        switch_id,
+        stp,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to get STP status for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Set bridge priority, STP/RSTP mode or enable/disable spanning tree
+ */
+async function configureSTP(params) {
+  const { switch_id, priority, mode, enabled } = params
+
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+
+  const settings = {}
+  if (priority !== undefined) {
+    settings.priority = parseInt(priority, 10)
+  }
+  if (mode !== undefined) {
+    if (!STP_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${STP_MODES.join(', ')}`)
+    }
+    settings.mode = mode
+  }
+  if (enabled !== undefined) {
+    settings.enabled = !!enabled
+  }
+  if (Object.keys(settings).length === 0) {
+    throw new Error('priority, mode or enabled is required')
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureSTP(switch_id, settings)
+
+    return {
+      success: true,
+      message: `STP configured on ${switch_id}`,
+      data: {
+        switch_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure STP on ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Set the edge-port and BPDU guard flags on a port
+ */
+async function configureSTPPort(params) {
+  const { switch_id, port_id, edge, bpdu_guard } = params
+
+  if (!switch_id || !port_id) {
+    throw new Error('switch_id and port_id are required')
+  }
+  if (edge === undefined && bpdu_guard === undefined) {
+    throw new Error('edge or bpdu_guard is required')
+  }
+
+  const settings = {}
+  if (edge !== undefined) {
+    settings.edge = !!edge
+  }
+  if (bpdu_guard !== undefined) {
+    settings.bpduGuard = !!bpdu_guard
+  }
+
+  const services = getServices()
+
+  try {
+    const result = await services.switchManager.configureSTPPort(switch_id, port_id, settings)
+
+    return {
+      success: true,
+      message: `STP port settings applied to ${port_id} on ${switch_id}`,
+      data: {
+        switch_id,
+        port_id,
+        settings,
+        result,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to configure STP on port ${port_id} for ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Confirm that every switch agrees on one root bridge and that it is one of the cores
+ */
+async function checkSTPRoot() {
+  const services = getServices()
+
+  try {
+    const check = await services.switchManager.checkSTPRoot()
+
+    return {
+      success: true,
+      message: check.healthy
+        ? `Root bridge is ${check.rootSwitch} (${check.rootBridgeId})`
+        : `Spanning tree root check found ${check.issues.length} issue(s)`,
+      data: {
+        ...check,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to check STP root:', error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  getSTPStatus,
+  configureSTP,
+  configureSTPPort,
+  checkSTPRoot
+}
@@ -4,6 +4,7 @@
  */
 
 const logger = require('../utils/logger')
+const { summarizePorts, isSecurityViolation } = require('../models/Port')
 
 // Get services from global context
 function getServices() {
@@ -44,6 +45,7 @@ async function getSwitchInfo(params) {
           type: switchInfo.config.type,
           model: switchInfo.config.model
         },
+        capabilities: services.switchManager.getSwitchCapabilities(switch_id),
         status: switchInfo.status,
         last_health_check: switchInfo.lastHealthCheck,
         system_info: systemInfo,
@@ -95,10 +97,10 @@ async function getAllSwitches(params) {
     total: switches.length,
     online: switches.filter(s => s.status === 'online').length,
     offline: switches.filter(s => s.status === 'offline').length,
-    by_type: {
-      vimins: switches.filter(s => s.type === 'vimins').length,
-      sodola: switches.filter(s => s.type === 'sodola').length
-    }
+    by_type: switches.reduce((counts, s) => {
+      counts[s.type] = (counts[s.type] || 0) + 1
+      return counts
+    }, {})
   }
   
   return {
@@ -112,6 +114,126 @@ async function getAllSwitches(params) {
   }
 }
 
+/**
+ * List registered switch drivers and the operations each supports
+ */
+async function listSwitchDrivers() {
+  const services = getServices()
+  const drivers = services.switchManager.getSupportedDrivers()
+  
+  return {
+    success: true,
+    message: `${drivers.length} switch drivers registered`,
+    data: {
+      drivers,
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+/**
+ * Onboard a new switch: probe, authenticate and add it to the inventory
+ */
+async function registerSwitch(params) {
+  const { ip, name, type, model, key, username, password, http_port, timeout } = params
+  
+  if (!ip) {
+    throw new Error('ip is required')
+  }
+  
+  if (!name) {
+    throw new Error('name is required')
+  }
+  
+  const services = getServices()
+  
+  try {
+    const result = await services.switchManager.registerSwitch({
+      ip,
+      name,
+      type,
+      model,
+      key,
+      username,
+      password,
+      httpPort: http_port,
+      timeout
+    })
+    
+    return {
+      success: true,
+      message: `Switch ${name} registered as ${result.switchId}`,
+      data: {
+        switch_id: result.switchId,
+        name,
+        ip,
+        type: result.type,
+        vendor: result.vendor,
+        model: result.model,
+        status: services.switchManager.getSwitch(result.switchId).status,
+        capabilities: services.switchManager.getSwitchCapabilities(result.switchId),
+        persisted_to_inventory: result.persisted,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to register switch at ${ip}:`, error.message)
+    throw error
+  }
+}
+
+/**
+ * Take a final backup, then stop managing a switch and remove it from the inventory
+ */
+async function decommissionSwitch(params) {
+  const { switch_id, skip_backup = false, force = false } = params
+  
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+  
+  const services = getServices()
+  
+  try {
+    const switchInfo = services.switchManager.getSwitch(switch_id)
+    
+    let finalBackup = null
+    if (!skip_backup) {
+      try {
+        const backup = await services.configuration.createSwitchBackup(switch_id)
+        finalBackup = {
+          backup_id: backup.backup_id,
+          timestamp: backup.timestamp,
+          size: backup.size
+        }
+      } catch (error) {
+        if (!force) {
+          throw new Error(`Final backup of ${switch_id} failed: ${error.message}. Use force to decommission without a backup`)
+        }
+        finalBackup = { error: error.message }
+      }
+    }
+    
+    const result = await services.switchManager.decommissionSwitch(switch_id)
+    
+    return {
+      success: true,
+      message: `Switch ${switch_id} decommissioned`,
+      data: {
+        switch_id,
+        name: switchInfo.config.name,
+        ip: switchInfo.config.ip,
+        final_backup: finalBackup,
+        persisted_to_inventory: result.persisted,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to decommission switch ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
 /**
  * Get current status of a switch
  */
@@ -128,9 +250,17 @@ async function getSwitchStatus(params) {
     const switchInfo = services.switchManager.getSwitch(switch_id)
     
     let healthCheck = null
+    let unsavedChanges = null
     if (switchInfo.status === 'online') {
       const manager = services.switchManager.getSwitchManager(switch_id)
       healthCheck = await manager.healthCheck()
+      if (services.switchManager.supportsOperation(switch_id, 'getConfigurationStatus')) {
+        try {
+          unsavedChanges = (await manager.getConfigurationStatus()).unsavedChanges
+        } catch (error) {
+          logger.warn(`Could not read configuration status of ${switch_id}:`, error.message)
+        }
+      }
     }
     
     return {
@@ -144,6 +274,14 @@ async function getSwitchStatus(params) {
         status: switchInfo.status,
         last_health_check: switchInfo.lastHealthCheck,
         current_health: healthCheck,
+        unsaved_changes: unsavedChanges,
+        reboot: switchInfo.reboot ? {
+          started_at: switchInfo.reboot.startedAt,
+          finished_at: switchInfo.reboot.finishedAt,
+          online: switchInfo.reboot.online,
+          health_checks: switchInfo.reboot.attempts,
+          error: switchInfo.reboot.error
+        } : null,
         error: switchInfo.error,
         timestamp: new Date().toISOString()
       }
@@ -154,11 +292,65 @@ async function getSwitchStatus(params) {
   }
 }
 
+/**
+ * Reboot a switch. Refused while the switch has unsaved changes unless save_first
+ * or force is set. Returns once the reboot is issued, leaving get_switch_status to
+ * report whether the switch came back, unless wait is set
+ */
+async function rebootSwitch(params) {
+  const { switch_id, confirm = false, save_first = false, force = false, wait = false, timeout_seconds } = params
+  
+  if (!switch_id) {
+    throw new Error('switch_id is required')
+  }
+  if (confirm !== true) {
+    throw new Error(`Rebooting ${switch_id} interrupts all traffic through it; pass confirm: true to proceed`)
+  }
+  
+  const services = getServices()
+  
+  try {
+    const result = await services.switchManager.rebootSwitch(switch_id, {
+      saveFirst: save_first,
+      force,
+      wait,
+      timeout: timeout_seconds !== undefined ? timeout_seconds * 1000 : undefined
+    })
+    
+    let message
+    if (!wait) {
+      message = `Switch ${switch_id} is rebooting; poll get_switch_status for up to ${Math.round(result.timeoutMs / 1000)}s to see it come back`
+    } else if (result.online) {
+      message = `Switch ${switch_id} rebooted and back online after ${Math.round(result.elapsedMs / 1000)}s`
+    } else {
+      message = `Switch ${switch_id} did not come back within ${Math.round(result.elapsedMs / 1000)}s of rebooting`
+    }
+    
+    return {
+      success: !wait || result.online,
+      message,
+      data: {
+        switch_id,
+        had_unsaved_changes: result.unsavedChanges,
+        saved_before_reboot: result.saved,
+        online: result.online,
+        health_checks: result.attempts,
+        elapsed_seconds: Math.round(result.elapsedMs / 1000),
+        error: result.error,
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to reboot switch ${switch_id}:`, error.message)
+    throw error
+  }
+}
+
 /**
  * Get status of all ports on a switch
  */
 async function getPortStatus(params) {
-  const { switch_id } = params
+  const { switch_id, include_raw = false } = params
   
   if (!switch_id) {
     throw new Error('switch_id is required')
@@ -168,14 +360,15 @@ async function getPortStatus(params) {
   
   try {
     const manager = services.switchManager.getSwitchManager(switch_id)
-    const portStatus = await manager.getPortStatus()
+    const ports = await manager.getPorts({ includeRaw: include_raw })
     
     return {
       success: true,
       message: `Port status retrieved for switch ${switch_id}`,
       data: {
         switch_id,
-        port_status: portStatus,
+        ports,
+        summary: summarizePorts(ports),
         timestamp: new Date().toISOString()
       }
     }
@@ -218,10 +411,10 @@ async function configurePort(params) {
 }
 
 /**
- * Get network topology information
+ * Get network topology information, optionally checked against the links seen over LLDP
  */
 async function getNetworkTopology(params) {
-  const { include_switch_details = false } = params
+  const { include_switch_details = false, discover_links = false } = params
   
   const services = getServices()
   const topology = services.switchManager.getNetworkTopology()
@@ -250,9 +443,21 @@ async function getNetworkTopology(params) {
     }
   }
   
+  let message = 'Network topology retrieved'
+  if (discover_links) {
+    const discovered = await services.switchManager.discoverTopology()
+    enhancedTopology = {
+      ...enhancedTopology,
+      discovered
+    }
+    message = discovered.consistent
+      ? `Network topology retrieved; ${discovered.links.length} links seen over LLDP match the configuration`
+      : `Network topology retrieved; ${discovered.mismatches.length} mismatches with the links seen over LLDP`
+  }
+  
   return {
     success: true,
-    message: 'Network topology retrieved',
+    message,
     data: enhancedTopology
   }
 }
@@ -270,7 +475,8 @@ async function discoverNetworkDevices(params) {
   
   for (const sId of switches) {
     try {
-      const manager = services.switchManager.getSwitchManager(sId)
+      // Throws for offline switches, which are reported with their error alone
+      services.switchManager.getSwitchManager(sId)
       const switchInfo = services.switchManager.getSwitch(sId)
       
       const devices = {
@@ -283,35 +489,48 @@ async function discoverNetworkDevices(params) {
         discovered_devices: []
       }
       
-      if (include_mac_table && switchInfo.config.type === 'vimins') {
+      if (include_mac_table && services.switchManager.hasCapability(sId, 'mac_table')) {
         try {
-          const macTable = await manager.getMACTable()
-          devices.mac_table = macTable
-          
-          // Extract device information from MAC table
-          if (macTable.mac_miscStatus && macTable.mac_miscStatus.entries) {
-            devices.discovered_devices = macTable.mac_miscStatus.entries.map(entry => ({
-              mac_address: entry.macAddr || entry.mac,
-              port: entry.port,
-              vlan: entry.vlan || entry.vlanId,
-              type: 'learned'
-            }))
-          }
+          const entries = await services.switchManager.getMACEntries(sId)
+          devices.discovered_devices = entries.map(entry => ({
+            mac_address: entry.macAddress,
+            port: entry.port,
+            vlan: entry.vlanId,
+            type: entry.type
+          }))
         } catch (error) {
           devices.mac_table_error = error.message
         }
       }
       
-      // For Sodola switches, we might need to parse HTML tables
-      if (switchInfo.config.type === 'sodola') {
+      if (include_mac_table && !services.switchManager.hasCapability(sId, 'mac_table')) {
         try {
-          // This would require parsing the web interface
-          devices.discovered_devices = [] // Placeholder
+          services.switchManager.requireCapability(sId, 'mac_table')
         } catch (error) {
+          devices.unsupported = true
           devices.discovery_error = error.message
         }
       }
       
+      // Ports in port security violation, as get_port_security reports them
+      if (services.switchManager.hasCapability(sId, 'port_security')) {
+        try {
+          const security = await services.switchManager.getPortSecurity(sId)
+          devices.ports_over_mac_limit = security
+            .filter(isSecurityViolation)
+            .map(port => ({
+              port: port.port,
+              max_macs: port.maxMacs,
+              learned: port.learned,
+              violations: port.violations,
+              shutdown: port.shutdown,
+              action: port.action
+            }))
+        } catch (error) {
+          devices.port_security_error = error.message
+        }
+      }
+      
       discoveredDevices[sId] = devices
       
     } catch (error) {
@@ -325,8 +544,13 @@ async function discoverNetworkDevices(params) {
   const allDevices = []
   const devicesByVlan = {}
   const devicesByPort = {}
+  const portsOverMacLimit = []
   
   Object.values(discoveredDevices).forEach(switchData => {
+    (switchData.ports_over_mac_limit || []).forEach(port => {
+      portsOverMacLimit.push(`${switchData.switch_info?.name || 'unknown'}:${port.port}`)
+    })
+    
     if (switchData.discovered_devices) {
       switchData.discovered_devices.forEach(device => {
         allDevices.push({
@@ -352,9 +576,11 @@ async function discoverNetworkDevices(params) {
     }
   })
   
+  const limitWarning = portsOverMacLimit.length > 0 ? `; ${portsOverMacLimit.length} ports exceed their MAC limit` : ''
+  
   return {
     success: true,
-    message: `Network device discovery completed for ${switches.length} switches`,
+    message: `Network device discovery completed for ${switches.length} switches${limitWarning}`,
     data: {
       switches_scanned: switches,
       discovery_results: discoveredDevices,
@@ -363,7 +589,8 @@ async function discoverNetworkDevices(params) {
         devices_by_vlan: devicesByVlan,
         devices_by_port: devicesByPort,
         unique_vlans: Object.keys(devicesByVlan).length,
-        active_ports: Object.keys(devicesByPort).length
+        active_ports: Object.keys(devicesByPort).length,
+        ports_over_mac_limit: portsOverMacLimit
       },
       timestamp: new Date().toISOString()
     }
@@ -373,7 +600,11 @@ async function discoverNetworkDevices(params) {
 module.exports = {
   getSwitchInfo,
   getAllSwitches,
+  listSwitchDrivers,
+  registerSwitch,
+  decommissionSwitch,
   getSwitchStatus,
+  rebootSwitch,
   getPortStatus,
   configurePort,
   getNetworkTopology,
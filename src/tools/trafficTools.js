@@ -0,0 +1,141 @@
+/**
+ * Traffic Analytics MCP Tools
+ * Link utilization, error and discard rates and top talkers per port, computed from
+ * the traffic counters the counter collector has stored
+ */
+
+const logger = require('../utils/logger')
+const config = require('../utils/config')
+
+// Get services from global context
+function getServices() {
+  if (!global.mcpServices) {
+    throw new Error('MCP services not initialized')
+  }
+  if (!global.mcpServices.counterCollector) {
+    throw new Error('Traffic counter collection is not running')
+  }
+  return global.mcpServices
+}
+
+function parseTime(name, value) {
+  const time = Date.parse(value)
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be an ISO 8601 date and time`)
+  }
+  return time
+}
+
+// The report window from start_time/end_time, or the last duration_minutes
+function parseWindow(params) {
+  const { start_time, end_time, duration_minutes = 60 } = params
+
+  const until = end_time ? parseTime('end_time', end_time) : Date.now()
+  if (start_time) {
+    const since = parseTime('start_time', start_time)
+    if (since >= until) {
+      throw new Error('start_time must be before end_time')
+    }
+    return { since, until }
+  }
+
+  const minutes = Number(duration_minutes)
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('duration_minutes must be a positive number')
+  }
+  return { since: until - minutes * 60 * 1000, until }
+}
+
+/**
+ * Utilization against the negotiated speed, error and discard rates and the busiest
+ * ports over a time window, for one port, one switch or every online switch
+ */
+async function portUtilizationReport(params) {
+  const { switch_id, port_id, top_talkers = 5 } = params
+
+  if (port_id && !switch_id) {
+    throw new Error('switch_id is required with port_id')
+  }
+  const topCount = Number(top_talkers)
+  if (!Number.isInteger(topCount) || topCount < 0) {
+    throw new Error('top_talkers must be a whole number')
+  }
+
+  const { since, until } = parseWindow(params)
+  const services = getServices()
+  const collector = services.counterCollector
+  const threshold = config.monitoring.alertThresholds.portErrorRate
+  const switchIds = switch_id ? [switch_id] : services.switchManager.getOnlineSwitches().map(s => s.id)
+
+  try {
+    const report = {}
+    const allPorts = []
+
+    for (const switchId of switchIds) {
+      let names = collector.getPorts(switchId)
+      if (port_id) {
+        names = [services.switchManager.resolveInterface(switchId, port_id).name]
+      }
+
+      // Negotiated speeds come from the switch; without them utilization is unknown
+      const speeds = new Map()
+      let speedError = null
+      try {
+        for (const port of await services.switchManager.getPorts(switchId)) {
+          speeds.set(port.name, port.operState === 'up' ? port.speedMbps : null)
+        }
+        names = Array.from(speeds.keys()).filter(name => names.includes(name))
+      } catch (error) {
+        logger.warn(`Failed to read port speeds for ${switchId}:`, error.message)
+        speedError = error.message
+      }
+
+      const ports = names.map(port => ({
+        port,
+        speedMbps: speeds.get(port) ?? null,
+        ...collector.summarize(switchId, port, { since, until, speedMbps: speeds.get(port) })
+      }))
+      for (const port of ports) {
+        port.overErrorThreshold = port.errorRate !== null && port.errorRate > threshold
+        allPorts.push({ switch_id: switchId, ...port })
+      }
+
+      report[switchId] = { ports, speed_error: speedError }
+    }
+
+    const overThreshold = allPorts.filter(port => port.overErrorThreshold)
+    const topTalkers = allPorts
+      .filter(port => port.samples > 0)
+      .map(port => ({
+        switch_id: port.switch_id,
+        port: port.port,
+        bytes: (port.rxBytes || 0) + (port.txBytes || 0),
+        rxBps: port.rxBps,
+        txBps: port.txBps,
+        rxPercent: port.rxPercent,
+        txPercent: port.txPercent
+      }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, topCount)
+
+    return {
+      success: true,
+      message: `Port utilization report for ${allPorts.length} ports on ${switchIds.length} switches; ${overThreshold.length} ports exceed the ${Math.round(threshold * 10000) / 100}% error rate threshold`,
+      data: {
+        window: { start_time: new Date(since).toISOString(), end_time: new Date(until).toISOString() },
+        error_rate_threshold: threshold,
+        switches: report,
+        top_talkers: topTalkers,
+        ports_over_error_threshold: overThreshold.map(port => `${port.switch_id}:${port.port}`),
+        timestamp: new Date().toISOString()
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to build the port utilization report:', error.message)
+    throw error
+  }
+}
+
+module.exports = {
+  portUtilizationReport
+}
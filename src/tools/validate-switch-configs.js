@@ -5,6 +5,7 @@
  */
 
 const config = require('../utils/config')
+const driverRegistry = require('../services/switch_managers/driverRegistry')
 
 function validateSwitchConfigurations() {
   console.log('🔍 Validating switch configurations...')
@@ -13,6 +14,9 @@ function validateSwitchConfigurations() {
   const warnings = []
   
   try {
+    // Load switch drivers so types can be checked against them
+    const driverTypes = driverRegistry.discover()
+    
     // Validate switch configuration structure
     const allSwitches = config.getAllSwitches()
     
@@ -41,7 +45,7 @@ function validateSwitchConfigurations() {
       }
       
       // Validate switch type
-      if (switchConfig.type && !['vimins', 'sodola'].includes(switchConfig.type)) {
+      if (switchConfig.type && !driverTypes.includes(switchConfig.type)) {
         errors.push(`Switch ${switchId}: Invalid switch type: ${switchConfig.type}`)
       }
       
@@ -234,42 +234,57 @@ async function deployVLANNetworkWide(params) {
     }
   }
   
-  // Step 3: Configure trunk ports for inter-switch connectivity
+  // Step 3: Carry the VLAN over both ends of every uplink path
   const topology = services.switchManager.getNetworkTopology()
   const trunkResults = []
   
   for (const [connectionName, connection] of Object.entries(topology.uplinkConnections)) {
-    try {
-      // Add VLAN to uplink trunk ports
-      const switchId = connection.switch.replace('.', '_')
-      const primaryCore = connection.primaryCore.replace('.', '_')
-      
-      // Configure trunk on access switch uplink
-      const trunkResult = await services.vlanManager.configureTrunkPort(
-        switchId, 
-        connection.primaryPort || 'Port9', 
-        [vlan_id], 
-        1
+    const legs = [
+      { role: 'access', switchRef: connection.switch, field: 'accessPort' },
+      { role: 'primary', switchRef: connection.primaryCore, field: 'primaryPort' }
+    ]
+    if (connection.secondaryCore) {
+      legs.push(
+        { role: 'access_secondary', switchRef: connection.switch, field: 'accessSecondaryPort' },
+        { role: 'secondary', switchRef: connection.secondaryCore, field: 'secondaryPort' }
       )
+    }
+    
+    for (const leg of legs) {
+      const switchId = leg.switchRef.replace('.', '_')
+      const portRef = connection[leg.field]
+      const entry = { connection: connectionName, role: leg.role, switch: switchId, port: portRef || null }
       
-      trunkResults.push({ 
-        connection: connectionName, 
-        switch: switchId, 
-        success: true, 
-        result: trunkResult 
-      })
-    } catch (error) {
-      trunkResults.push({ 
-        connection: connectionName, 
-        success: false, 
-        error: error.message 
-      })
+      try {
+        if (!portRef) {
+          throw new Error(`Uplink ${connectionName} has no ${leg.field} configured`)
+        }
+        
+        // A LAG is trunked through its member ports
+        const ports = await services.switchManager.getInterfacePorts(switchId, portRef)
+        if (ports.length === 0) {
+          throw new Error(`${portRef} on ${switchId} has no member ports`)
+        }
+        
+        const results = []
+        for (const port of ports) {
+          results.push(await services.vlanManager.configureTrunkPort(switchId, port, [vlan_id], 1))
+        }
+        trunkResults.push({ ...entry, members: ports, success: true, result: results })
+      } catch (error) {
+        trunkResults.push({ ...entry, success: false, error: error.message })
+      }
     }
   }
   
+  const failed = [...portResults, ...trunkResults].filter(r => !r.success).length
+  const total = portResults.length + trunkResults.length
+  
   return {
-    success: true,
-    message: `VLAN ${vlan_id} deployed network-wide`,
+    success: failed === 0,
+    message: failed === 0
+      ? `VLAN ${vlan_id} deployed network-wide`
+      : `VLAN ${vlan_id} created, but ${failed} of ${total} port and uplink changes failed`,
     data: {
       vlan_creation: createResult,
       port_assignments: portResults,
@@ -279,7 +294,8 @@ async function deployVLANNetworkWide(params) {
         vlan_name,
         switches_configured: createResult.switches.length,
         ports_configured: portResults.filter(r => r.success).length,
-        trunks_configured: trunkResults.filter(r => r.success).length
+        trunks_configured: trunkResults.filter(r => r.success).length,
+        trunks_failed: trunkResults.filter(r => !r.success).length
       }
     }
   }
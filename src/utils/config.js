@@ -2,11 +2,20 @@
  * Configuration management for MCP Switch Manager Addon
  */
 
+const fs = require('fs')
 const path = require('path')
+const EventEmitter = require('events')
 const logger = require('./logger')
+const { parseInventoryFile, getSchemaErrors, normalizeInventory, writeInventoryFile } = require('./inventory')
 
-class Config {
+// Editors often write a file in several steps, so wait for them to settle
+const INVENTORY_RELOAD_DELAY = 250
+
+class Config extends EventEmitter {
   constructor() {
+    super()
+    this.inventoryWatcher = null
+    this.inventoryReloadTimer = null
     this.loadConfiguration()
   }
 
@@ -25,8 +34,330 @@ class Config {
     this.logLevel = process.env.LOG_LEVEL || 'info'
     this.logDir = process.env.LOG_DIR || path.join(process.cwd(), 'logs')
     
+    // Switch inventory (switches, topology, VLAN catalogue and port profiles)
+    this.inventoryFile = process.env.INVENTORY_FILE ? path.resolve(process.env.INVENTORY_FILE) : null
+    Object.assign(this, this.inventoryFile
+      ? this.loadInventory(this.inventoryFile)
+      : this.getDefaultInventory())
+    
+    // Backup and configuration management
+    this.backup = {
+      enabled: process.env.BACKUP_ENABLED !== 'false',
+      schedule: process.env.BACKUP_SCHEDULE || '0 2 * * *', // Daily at 2 AM
+      retention: parseInt(process.env.BACKUP_RETENTION || '30', 10), // 30 days
+      directory: process.env.BACKUP_DIR || path.join(process.cwd(), 'data', 'backups'),
+      gitEnabled: process.env.GIT_BACKUP_ENABLED === 'true',
+      gitRepository: process.env.GIT_BACKUP_REPO || ''
+    }
+    
+    // Monitoring and diagnostics
+    this.monitoring = {
+      healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL || '300000', 10), // 5 minutes
+      diagnosticInterval: parseInt(process.env.DIAGNOSTIC_INTERVAL || '900000', 10), // 15 minutes
+      rebootTimeout: parseInt(process.env.REBOOT_TIMEOUT || '300000', 10), // 5 minutes
+      rebootPollInterval: parseInt(process.env.REBOOT_POLL_INTERVAL || '10000', 10),
+      // How old a switch's VLAN count may get before a health check reads the VLAN table again
+      vlanCountRefreshInterval: parseInt(process.env.VLAN_COUNT_REFRESH_INTERVAL || '3600000', 10), // 1 hour
+      // real_time_monitoring sessions running at once, and how long one may run (seconds)
+      maxSessions: parseInt(process.env.MONITORING_MAX_SESSIONS || '5', 10),
+      maxSessionSeconds: parseInt(process.env.MONITORING_MAX_SESSION_SECONDS || '3600', 10),
+      // Comment lines sent on idle session event streams so proxies keep them open
+      streamKeepAliveInterval: parseInt(process.env.MONITORING_KEEPALIVE_INTERVAL || '15000', 10),
+      alertThresholds: {
+        cpuUsage: parseInt(process.env.CPU_ALERT_THRESHOLD || '80', 10),
+        memoryUsage: parseInt(process.env.MEMORY_ALERT_THRESHOLD || '85', 10),
+        portErrorRate: parseFloat(process.env.PORT_ERROR_THRESHOLD || '0.01')
+      }
+    }
+    
+    // Port traffic counter collection and its time-series store; each resolution
+    // is kept for its own retention period (milliseconds)
+    this.metrics = {
+      collectionInterval: parseInt(process.env.METRICS_COLLECTION_INTERVAL || '60000', 10), // 1 minute, 0 disables
+      // Switches with 10G ports are also read this often so their 32-bit byte counters
+      // wrap at most once between readings up to about 6.8 Gbit/s (0 disables)
+      wrapGuardInterval: parseInt(process.env.METRICS_WRAP_GUARD_INTERVAL || '5000', 10),
+      storeFile: process.env.METRICS_STORE_FILE || path.join(process.cwd(), 'data', 'metrics.json'),
+      persistInterval: parseInt(process.env.METRICS_PERSIST_INTERVAL || '900000', 10), // 15 minutes
+      retention: {
+        raw: parseInt(process.env.METRICS_RAW_RETENTION_HOURS || '24', 10) * 60 * 60 * 1000,
+        '5m': parseInt(process.env.METRICS_5M_RETENTION_DAYS || '7', 10) * 24 * 60 * 60 * 1000,
+        '1h': parseInt(process.env.METRICS_1H_RETENTION_DAYS || '90', 10) * 24 * 60 * 60 * 1000
+      }
+    }
+    
+    // Port mirror expiry: the longest expires_in_minutes accepted, and where pending
+    // expiries are kept so they survive a restart
+    this.mirrors = {
+      maxExpiryMinutes: parseInt(process.env.MIRROR_MAX_EXPIRY_MINUTES || '10080', 10), // 7 days
+      expiryFile: process.env.MIRROR_EXPIRY_FILE || path.join(process.cwd(), 'data', 'mirror-expirations.json')
+    }
+    
+    // Per-switch operation queue (concurrent requests a switch web UI is sent)
+    this.operationQueue = {
+      concurrency: parseInt(process.env.SWITCH_QUEUE_CONCURRENCY || '1', 10)
+    }
+    
+    // Circuit breaker for unreachable switches
+    this.circuitBreaker = {
+      failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+      resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT || '30000', 10), // first retry after 30s
+      maxResetTimeout: parseInt(process.env.CIRCUIT_MAX_RESET_TIMEOUT || '600000', 10) // backoff caps at 10 minutes
+    }
+    
+    // Rate limiting
+    this.rateLimiting = {
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || '60000', 10), // 1 minute
+      maxRequests: parseInt(process.env.RATE_LIMIT_MAX || '100', 10),
+      skipSuccessfulRequests: process.env.RATE_LIMIT_SKIP_SUCCESS === 'true'
+    }
+    
+    // Security configuration
+    this.security = {
+      enableHttps: process.env.ENABLE_HTTPS === 'true',
+      sslCertPath: process.env.SSL_CERT_PATH || '',
+      sslKeyPath: process.env.SSL_KEY_PATH || '',
+      sessionSecret: process.env.SESSION_SECRET || 'mcp-switch-manager-secret',
+      jwtSecret: process.env.JWT_SECRET || 'mcp-jwt-secret',
+      encryptionKey: process.env.ENCRYPTION_KEY || 'mcp-encryption-key',
+      credentialVaultFile: process.env.CREDENTIAL_VAULT_FILE || path.join(process.cwd(), 'data', 'credentials.vault.json')
+    }
+    
+    // Feature flags
+    this.features = {
+      vlanManagement: process.env.FEATURE_VLAN_MANAGEMENT !== 'false',
+      realTimeDiagnostics: process.env.FEATURE_REAL_TIME_DIAGNOSTICS !== 'false',
+      configurationManagement: process.env.FEATURE_CONFIG_MANAGEMENT !== 'false',
+      crossSwitchAutomation: process.env.FEATURE_CROSS_SWITCH_AUTOMATION !== 'false',
+      performanceMonitoring: process.env.FEATURE_PERFORMANCE_MONITORING !== 'false',
+      advancedReporting: process.env.FEATURE_ADVANCED_REPORTING !== 'false'
+    }
+    
+    // Validate configuration
+    this.validateConfiguration()
+  }
+
+  validateConfiguration(candidate = this) {
+    const errors = []
+    
+    // Validate port
+    if (candidate.port < 1 || candidate.port > 65535) {
+      errors.push('Invalid port number. Must be between 1 and 65535.')
+    }
+    
+    // Validate switch IPs
+    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/
+    const switchesByIP = {}
+    
+    Object.entries(candidate.switches).forEach(([type, group]) => {
+      const vendor = type.charAt(0).toUpperCase() + type.slice(1)
+      
+      Object.entries(group).forEach(([key, switchConfig]) => {
+        if (!ipRegex.test(switchConfig.ip)) {
+          errors.push(`Invalid ${vendor} switch IP: ${switchConfig.ip}`)
+        }
+        
+        const address = `${switchConfig.ip}:${switchConfig.httpPort || 80}`
+        if (switchesByIP[address]) {
+          errors.push(`Duplicate switch IP: ${switchConfig.ip} (${switchesByIP[address]}, ${type}.${key})`)
+        }
+        switchesByIP[address] = `${type}.${key}`
+      })
+    })
+    
+    // Validate topology references (e.g. 'vimins.core1')
+    const hasSwitch = (ref) => {
+      const [type, key] = String(ref).split('.')
+      return !!(candidate.switches[type] && candidate.switches[type][key])
+    }
+    
+    Object.entries(candidate.topology.uplinkConnections || {}).forEach(([name, uplink]) => {
+      ['switch', 'primaryCore', 'secondaryCore'].forEach(field => {
+        if (uplink[field] && !hasSwitch(uplink[field])) {
+          errors.push(`Unknown switch in uplink ${name}.${field}: ${uplink[field]}`)
+        }
+      })
+    })
+    
+    Object.entries(candidate.portProfiles || {}).forEach(([name, profile]) => {
+      Object.keys(profile.ports || {}).forEach(ref => {
+        if (!hasSwitch(ref)) {
+          errors.push(`Unknown switch in port profile ${name}: ${ref}`)
+        }
+      })
+    })
+    
+    // Validate VLAN IDs
+    Object.keys(candidate.vlans.standard).forEach(vlanId => {
+      const id = parseInt(vlanId, 10)
+      if (id < 1 || id > 4094) {
+        errors.push(`Invalid VLAN ID: ${id}. Must be between 1 and 4094.`)
+      }
+    })
+    
+    if (candidate.operationQueue && !(candidate.operationQueue.concurrency >= 1)) {
+      errors.push('Invalid switch queue concurrency. Must be at least 1.')
+    }
+    
+    if (errors.length > 0) {
+      this.rejectConfiguration(errors)
+    }
+    
+    logger.info('✅ Configuration validation passed')
+  }
+
+  rejectConfiguration(errors) {
+    logger.error('Configuration validation failed:', errors)
+    throw new Error(`Configuration validation failed: ${errors.join(', ')}`)
+  }
+
+  // Read and schema-check an inventory file, returning { switches, topology, vlans, portProfiles }
+  loadInventory(filePath) {
+    let inventory
+    try {
+      inventory = parseInventoryFile(filePath)
+    } catch (error) {
+      this.rejectConfiguration([error.message])
+    }
+    
+    const schemaErrors = getSchemaErrors(inventory)
+    if (schemaErrors.length > 0) {
+      this.rejectConfiguration(schemaErrors)
+    }
+    
+    logger.info(`📒 Loaded switch inventory from ${filePath}`)
+    return normalizeInventory(inventory, this.getDefaultInventory())
+  }
+
+  // Re-read the inventory file; invalid edits are rejected and the current inventory is kept
+  reloadInventory() {
+    let inventory
+    try {
+      inventory = this.loadInventory(this.inventoryFile)
+      this.validateConfiguration({ port: this.port, ...inventory })
+    } catch (error) {
+      logger.warn(`⚠️ Inventory change rejected, keeping current configuration: ${error.message}`)
+      this.emit('inventoryRejected', error)
+      return null
+    }
+    
+    return this.applyInventory(inventory, 'reloaded')
+  }
+
+  applyInventory(inventory, action) {
+    const previous = this.getAllSwitches()
+    Object.assign(this, inventory)
+    
+    const changes = this.diffSwitches(previous, this.getAllSwitches())
+    logger.info(`📒 Inventory ${action}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.updated.length} updated`)
+    this.emit('inventoryChanged', changes)
+    return changes
+  }
+
+  // Edit the inventory programmatically; changes are validated and written back to INVENTORY_FILE.
+  // Returns true when the change was persisted, false when only held in memory (built-in inventory)
+  updateInventory(mutate) {
+    if (!this.inventoryFile) {
+      const inventory = {
+        switches: JSON.parse(JSON.stringify(this.switches)),
+        topology: JSON.parse(JSON.stringify(this.topology)),
+        vlans: this.vlans,
+        portProfiles: this.portProfiles
+      }
+      mutate(inventory)
+      this.validateConfiguration({ port: this.port, ...inventory })
+      this.applyInventory(inventory, 'updated')
+      return false
+    }
+    
+    const raw = parseInventoryFile(this.inventoryFile)
+    mutate(raw)
+    
+    const schemaErrors = getSchemaErrors(raw)
+    if (schemaErrors.length > 0) {
+      this.rejectConfiguration(schemaErrors)
+    }
+    
+    const inventory = normalizeInventory(raw, this.getDefaultInventory())
+    this.validateConfiguration({ port: this.port, ...inventory })
+    
+    writeInventoryFile(this.inventoryFile, raw)
+    this.applyInventory(inventory, 'updated')
+    return true
+  }
+
+  addSwitchToInventory(type, key, switchConfig) {
+    return this.updateInventory(inventory => {
+      inventory.switches[type] = inventory.switches[type] || {}
+      if (inventory.switches[type][key]) {
+        throw new Error(`Switch ${type}.${key} already exists in the inventory`)
+      }
+      inventory.switches[type][key] = switchConfig
+    })
+  }
+
+  // Also drops the switch's own uplink entries; cores still referenced by other uplinks are rejected
+  removeSwitchFromInventory(type, key) {
+    return this.updateInventory(inventory => {
+      if (!inventory.switches[type] || !inventory.switches[type][key]) {
+        throw new Error(`Switch ${type}.${key} is not in the inventory`)
+      }
+      delete inventory.switches[type][key]
+      if (Object.keys(inventory.switches[type]).length === 0) {
+        delete inventory.switches[type]
+      }
+      
+      const uplinks = (inventory.topology && inventory.topology.uplinkConnections) || {}
+      Object.entries(uplinks).forEach(([name, uplink]) => {
+        if (uplink.switch === `${type}.${key}`) {
+          delete uplinks[name]
+        }
+      })
+    })
+  }
+
+  diffSwitches(previous, current) {
+    return {
+      added: Object.keys(current).filter(id => !previous[id]),
+      removed: Object.keys(previous).filter(id => !current[id]),
+      updated: Object.keys(current).filter(id =>
+        previous[id] && JSON.stringify(previous[id]) !== JSON.stringify(current[id])
+      )
+    }
+  }
+
+  watchInventory() {
+    if (!this.inventoryFile || this.inventoryWatcher) {
+      return
+    }
+    
+    // Watch the directory so replace-on-save editors don't orphan the watcher
+    const fileName = path.basename(this.inventoryFile)
+    this.inventoryWatcher = fs.watch(path.dirname(this.inventoryFile), (eventType, changedFile) => {
+      if (changedFile !== fileName) {
+        return
+      }
+      clearTimeout(this.inventoryReloadTimer)
+      this.inventoryReloadTimer = setTimeout(() => this.reloadInventory(), INVENTORY_RELOAD_DELAY)
+    })
+    
+    logger.info(`👀 Watching switch inventory: ${this.inventoryFile}`)
+  }
+
+  stopWatchingInventory() {
+    clearTimeout(this.inventoryReloadTimer)
+    this.inventoryReloadTimer = null
+    
+    if (this.inventoryWatcher) {
+      this.inventoryWatcher.close()
+      this.inventoryWatcher = null
+    }
+  }
+
+  // Built-in inventory used when INVENTORY_FILE is not set
+  getDefaultInventory() {
     // Switch configuration
-    this.switches = {
+    const switches = {
       vimins: {
         core1: {
           ip: process.env.VIMINS_CORE1_IP || '10.202.28.9',
@@ -82,7 +413,7 @@ class Config {
     }
     
     // Network topology configuration
-    this.topology = {
+    const topology = {
       interCoreLinks: {
         lag1: {
           core1Ports: ['TE3', 'TE4'],
@@ -93,6 +424,8 @@ class Config {
       uplinkConnections: {
         office: {
           switch: 'sodola.office',
+          accessPort: 'Port 17',
+          accessSecondaryPort: 'Port 18',
           primaryCore: 'vimins.core1',
           primaryPort: 'TE6',
           secondaryCore: 'vimins.core2',
@@ -100,6 +433,8 @@ class Config {
         },
         proxmox: {
           switch: 'sodola.proxmox',
+          accessPort: 'Port 17',
+          accessSecondaryPort: 'Port 18',
           primaryCore: 'vimins.core2',
           primaryPort: 'TE6',
           secondaryCore: 'vimins.core1',
@@ -107,6 +442,8 @@ class Config {
         },
         backup: {
           switch: 'sodola.backup',
+          accessPort: 'Port 17',
+          accessSecondaryPort: 'Port 18',
           primaryCore: 'vimins.core2',
           primaryPort: 'TE5',
           secondaryCore: 'vimins.core1',
@@ -116,7 +453,7 @@ class Config {
     }
     
     // VLAN configuration
-    this.vlans = {
+    const vlans = {
       standard: {
         100: { name: 'BACKUP', description: 'Backup Infrastructure' },
         200: { name: 'WAN', description: 'Internet Gateway' },
@@ -130,107 +467,20 @@ class Config {
       managementVlan: 500
     }
     
-    // Backup and configuration management
-    this.backup = {
-      enabled: process.env.BACKUP_ENABLED !== 'false',
-      schedule: process.env.BACKUP_SCHEDULE || '0 2 * * *', // Daily at 2 AM
-      retention: parseInt(process.env.BACKUP_RETENTION || '30', 10), // 30 days
-      directory: process.env.BACKUP_DIR || path.join(process.cwd(), 'data', 'backups'),
-      gitEnabled: process.env.GIT_BACKUP_ENABLED === 'true',
-      gitRepository: process.env.GIT_BACKUP_REPO || ''
-    }
-    
-    // Monitoring and diagnostics
-    this.monitoring = {
-      healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL || '300000', 10), // 5 minutes
-      diagnosticInterval: parseInt(process.env.DIAGNOSTIC_INTERVAL || '900000', 10), // 15 minutes
-      alertThresholds: {
-        cpuUsage: parseInt(process.env.CPU_ALERT_THRESHOLD || '80', 10),
-        memoryUsage: parseInt(process.env.MEMORY_ALERT_THRESHOLD || '85', 10),
-        portErrorRate: parseFloat(process.env.PORT_ERROR_THRESHOLD || '0.01')
-      }
-    }
+    // Port profiles (none built in; define them in the inventory file)
+    const portProfiles = {}
     
-    // Rate limiting
-    this.rateLimiting = {
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || '60000', 10), // 1 minute
-      maxRequests: parseInt(process.env.RATE_LIMIT_MAX || '100', 10),
-      skipSuccessfulRequests: process.env.RATE_LIMIT_SKIP_SUCCESS === 'true'
-    }
-    
-    // Security configuration
-    this.security = {
-      enableHttps: process.env.ENABLE_HTTPS === 'true',
-      sslCertPath: process.env.SSL_CERT_PATH || '',
-      sslKeyPath: process.env.SSL_KEY_PATH || '',
-      sessionSecret: process.env.SESSION_SECRET || 'mcp-switch-manager-secret',
-      jwtSecret: process.env.JWT_SECRET || 'mcp-jwt-secret',
-      encryptionKey: process.env.ENCRYPTION_KEY || 'mcp-encryption-key'
-    }
-    
-    // Feature flags
-    this.features = {
-      vlanManagement: process.env.FEATURE_VLAN_MANAGEMENT !== 'false',
-      realTimeDiagnostics: process.env.FEATURE_REAL_TIME_DIAGNOSTICS !== 'false',
-      configurationManagement: process.env.FEATURE_CONFIG_MANAGEMENT !== 'false',
-      crossSwitchAutomation: process.env.FEATURE_CROSS_SWITCH_AUTOMATION !== 'false',
-      performanceMonitoring: process.env.FEATURE_PERFORMANCE_MONITORING !== 'false',
-      advancedReporting: process.env.FEATURE_ADVANCED_REPORTING !== 'false'
-    }
-    
-    // Validate configuration
-    this.validateConfiguration()
-  }
-
-  validateConfiguration() {
-    const errors = []
-    
-    // Validate port
-    if (this.port < 1 || this.port > 65535) {
-      errors.push('Invalid port number. Must be between 1 and 65535.')
-    }
-    
-    // Validate switch IPs
-    const ipRegex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/
-    
-    Object.values(this.switches.vimins).forEach(switchConfig => {
-      if (!ipRegex.test(switchConfig.ip)) {
-        errors.push(`Invalid Vimins switch IP: ${switchConfig.ip}`)
-      }
-    })
-    
-    Object.values(this.switches.sodola).forEach(switchConfig => {
-      if (!ipRegex.test(switchConfig.ip)) {
-        errors.push(`Invalid Sodola switch IP: ${switchConfig.ip}`)
-      }
-    })
-    
-    // Validate VLAN IDs
-    Object.keys(this.vlans.standard).forEach(vlanId => {
-      const id = parseInt(vlanId, 10)
-      if (id < 1 || id > 4094) {
-        errors.push(`Invalid VLAN ID: ${id}. Must be between 1 and 4094.`)
-      }
-    })
-    
-    if (errors.length > 0) {
-      logger.error('Configuration validation failed:', errors)
-      throw new Error(`Configuration validation failed: ${errors.join(', ')}`)
-    }
-    
-    logger.info('✅ Configuration validation passed')
+    return { switches, topology, vlans, portProfiles }
   }
 
   // Get all switch configurations
   getAllSwitches() {
     const switches = {}
     
-    Object.entries(this.switches.vimins).forEach(([key, config]) => {
-      switches[`vimins_${key}`] = config
-    })
-    
-    Object.entries(this.switches.sodola).forEach(([key, config]) => {
-      switches[`sodola_${key}`] = config
+    Object.entries(this.switches).forEach(([type, group]) => {
+      Object.entries(group).forEach(([key, config]) => {
+        switches[`${type}_${key}`] = config
+      })
     })
     
     return switches
@@ -263,6 +513,11 @@ class Config {
     return this.vlans.reserved.includes(parseInt(vlanId, 10))
   }
 
+  // Get a port profile: { description, portSecurity, ports }
+  getPortProfile(name) {
+    return this.portProfiles[name] || null
+  }
+
   // Get topology information
   getTopology() {
     return this.topology
@@ -0,0 +1,32 @@
+/**
+ * Error types shared by services and MCP tools
+ */
+
+class UnsupportedOperationError extends Error {
+  constructor(capability, switchConfig = {}) {
+    const model = switchConfig.model ? ` ${switchConfig.model}` : ''
+    super(`Operation '${capability}' is unsupported on this model (${switchConfig.type || 'unknown'}${model})`)
+    this.name = 'UnsupportedOperationError'
+    this.code = 'UNSUPPORTED_OPERATION'
+    this.capability = capability
+    this.switchType = switchConfig.type
+    this.model = switchConfig.model
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(switchId, breakerState = {}) {
+    const retry = breakerState.nextAttemptAt ? `, next attempt at ${breakerState.nextAttemptAt}` : ''
+    super(`Circuit open for switch ${switchId}: switch is unreachable${retry}`)
+    this.name = 'CircuitOpenError'
+    this.code = 'CIRCUIT_OPEN'
+    this.switchId = switchId
+    this.nextAttemptAt = breakerState.nextAttemptAt || null
+    this.lastError = breakerState.lastError || null
+  }
+}
+
+module.exports = {
+  UnsupportedOperationError,
+  CircuitOpenError
+}
@@ -0,0 +1,215 @@
+/**
+ * Switch Inventory
+ * Loads switches, topology, the VLAN catalogue and port profiles from a YAML or JSON file
+ * and checks it against the inventory schema
+ */
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const Ajv = require('ajv')
+const { PORT_SECURITY_ACTIONS } = require('../models/Port')
+
+const switchSchema = {
+  type: 'object',
+  required: ['ip', 'name'],
+  properties: {
+    ip: { type: 'string' },
+    name: { type: 'string', minLength: 1 },
+    model: { type: 'string' },
+    type: { type: 'string' },
+    mac: { type: 'string', pattern: '^([0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$' },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    timeout: { type: 'integer', minimum: 1000 },
+    httpPort: { type: 'integer', minimum: 1, maximum: 65535 },
+    queueConcurrency: { type: 'integer', minimum: 1 }
+  },
+  additionalProperties: false
+}
+
+const INVENTORY_SCHEMA = {
+  type: 'object',
+  required: ['switches'],
+  properties: {
+    switches: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z][a-z0-9]*$' },
+      additionalProperties: {
+        type: 'object',
+        propertyNames: { pattern: '^[A-Za-z0-9-]+$' },
+        additionalProperties: switchSchema
+      }
+    },
+    topology: {
+      type: 'object',
+      properties: {
+        interCoreLinks: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['core1Ports', 'core2Ports'],
+            properties: {
+              core1Ports: { type: 'array', items: { type: 'string' }, minItems: 1 },
+              core2Ports: { type: 'array', items: { type: 'string' }, minItems: 1 },
+              description: { type: 'string' }
+            },
+            additionalProperties: false
+          }
+        },
+        uplinkConnections: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['switch', 'primaryCore', 'primaryPort'],
+            properties: {
+              switch: { type: 'string' },
+              accessPort: { type: 'string' },
+              accessSecondaryPort: { type: 'string' },
+              primaryCore: { type: 'string' },
+              primaryPort: { type: 'string' },
+              secondaryCore: { type: 'string' },
+              secondaryPort: { type: 'string' }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    },
+    vlans: {
+      type: 'object',
+      properties: {
+        standard: {
+          type: 'object',
+          propertyNames: { pattern: '^[0-9]+$' },
+          additionalProperties: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              description: { type: 'string' }
+            },
+            additionalProperties: false
+          }
+        },
+        reserved: { type: 'array', items: { type: 'integer' } },
+        managementVlan: { type: 'integer' }
+      },
+      additionalProperties: false
+    },
+    portProfiles: {
+      type: 'object',
+      propertyNames: { pattern: '^[A-Za-z0-9_-]+$' },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          portSecurity: {
+            type: 'object',
+            required: ['maxMacs', 'action'],
+            properties: {
+              maxMacs: { type: 'integer', minimum: 1 },
+              action: { enum: PORT_SECURITY_ACTIONS }
+            },
+            additionalProperties: false
+          },
+          // Member ports by switch reference, e.g. { 'sodola.office': ['Port 1', 'Port 2'] }
+          ports: {
+            type: 'object',
+            additionalProperties: { type: 'array', items: { type: 'string' }, minItems: 1 }
+          }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+const ajv = new Ajv({ allErrors: true })
+const validateSchema = ajv.compile(INVENTORY_SCHEMA)
+
+function parseInventoryFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8')
+  const extension = path.extname(filePath).toLowerCase()
+
+  try {
+    return extension === '.json' ? JSON.parse(content) : yaml.load(content)
+  } catch (error) {
+    throw new Error(`Failed to parse inventory file ${filePath}: ${error.message}`)
+  }
+}
+
+// Returns a list of human readable schema violations (empty when valid)
+function getSchemaErrors(inventory) {
+  if (validateSchema(inventory)) {
+    return []
+  }
+
+  return validateSchema.errors.map(error => {
+    const location = error.instancePath || '/'
+    if (error.keyword === 'additionalProperties') {
+      return `Inventory ${location}: unknown property '${error.params.additionalProperty}'`
+    }
+    return `Inventory ${location}: ${error.message}`
+  })
+}
+
+// Fill in the defaults the hardcoded configuration used to provide
+function normalizeInventory(inventory, defaults = {}) {
+  const switches = {}
+
+  for (const [type, group] of Object.entries(inventory.switches)) {
+    const envPrefix = type.toUpperCase()
+    switches[type] = {}
+
+    for (const [key, switchConfig] of Object.entries(group)) {
+      switches[type][key] = {
+        ...switchConfig,
+        type,
+        username: switchConfig.username || process.env[`${envPrefix}_USERNAME`] || 'admin',
+        password: switchConfig.password || process.env[`${envPrefix}_PASSWORD`] || 'admin',
+        timeout: switchConfig.timeout || parseInt(process.env[`${envPrefix}_TIMEOUT`] || '15000', 10)
+      }
+    }
+  }
+
+  const topology = inventory.topology || {}
+  const vlans = inventory.vlans || {}
+
+  return {
+    switches,
+    topology: {
+      interCoreLinks: topology.interCoreLinks || {},
+      uplinkConnections: topology.uplinkConnections || {}
+    },
+    vlans: {
+      standard: vlans.standard || (defaults.vlans && defaults.vlans.standard) || {},
+      reserved: vlans.reserved || (defaults.vlans && defaults.vlans.reserved) || [],
+      managementVlan: vlans.managementVlan || (defaults.vlans && defaults.vlans.managementVlan)
+    },
+    portProfiles: inventory.portProfiles || defaults.portProfiles || {}
+  }
+}
+
+// Serialize the inventory in the format matching the file extension
+function writeInventoryFile(filePath, inventory) {
+  const extension = path.extname(filePath).toLowerCase()
+  const content = extension === '.json'
+    ? JSON.stringify(inventory, null, 2) + '\n'
+    : yaml.dump(inventory, { lineWidth: 120, noRefs: true })
+
+  // Write then rename so the watcher never sees a half-written file
+  const tempFile = `${filePath}.tmp`
+  fs.writeFileSync(tempFile, content, 'utf8')
+  fs.renameSync(tempFile, filePath)
+}
+
+module.exports = {
+  INVENTORY_SCHEMA,
+  parseInventoryFile,
+  getSchemaErrors,
+  normalizeInventory,
+  writeInventoryFile
+}
@@ -26,8 +26,43 @@ const logColors = {
 // Add colors to winston
 winston.addColors(logColors)
 
+// Metadata keys whose values must never reach the logs
+const SECRET_KEY_PATTERN = /passw(or)?d|secret|token|authorization|cookie|master_?key|encryption_?key/i
+
+function redactValue(value, depth = 0) {
+  if (depth > 8 || value === null || typeof value !== 'object') {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1))
+  }
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return value
+  }
+
+  const redacted = {}
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SECRET_KEY_PATTERN.test(key) && item !== undefined && item !== null
+      ? '[REDACTED]'
+      : redactValue(item, depth + 1)
+  }
+  return redacted
+}
+
+// Copies metadata with secrets masked so callers' objects are left untouched
+const redactSecrets = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level' || key === 'message' || key === 'timestamp') {
+      continue
+    }
+    info[key] = SECRET_KEY_PATTERN.test(key) ? '[REDACTED]' : redactValue(info[key])
+  }
+  return info
+})
+
 // Create log format
 const logFormat = winston.format.combine(
+  redactSecrets(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.json(),
@@ -50,6 +85,7 @@ const logFormat = winston.format.combine(
 
 // Console format for development
 const consoleFormat = winston.format.combine(
+  redactSecrets(),
   winston.format.timestamp({ format: 'HH:mm:ss' }),
   winston.format.colorize({ all: true }),
   winston.format.printf(({ timestamp, level, message, stack }) => {
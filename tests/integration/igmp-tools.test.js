@@ -0,0 +1,102 @@
+/**
+ * IGMP Snooping Tools Integration Tests
+ * Sets per-VLAN snooping on the Vimins simulator and the Sodola emulator and
+ * lists the groups learned on the Vimins ports
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const igmpTools = require('../../src/tools/igmpTools')
+const { UnsupportedOperationError } = require('../../src/utils/errors')
+
+describe('IGMP snooping tools', () => {
+  let simulator
+  let emulator
+  let service
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({
+      username: 'admin',
+      password: 'secret',
+      multicastGroups: [
+        { groupAddr: '239.7.0.1', vlanId: 700, portId: 5 },
+        { groupAddr: '239.7.0.2', vlanId: 700, portId: 5 },
+        { groupAddr: '239.7.0.1', vlanId: 700, portId: 6 },
+        { groupAddr: '239.255.255.250', vlanId: 400, portId: 2 }
+      ]
+    })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+
+    for (const vlanId of [400, 700]) {
+      simulator.model.createVLAN(vlanId, `VLAN${vlanId}`)
+    }
+    emulator.model.createVLAN(400, 'IOT')
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  test('should set snooping, querier and fast-leave per VLAN on the Vimins cores', async () => {
+    await igmpTools.configureIGMPSnooping({ switch_id: 'vimins_core1', vlan_id: 700, enabled: true, querier: true, fast_leave: true })
+    await igmpTools.configureIGMPSnooping({ switch_id: 'vimins_core1', vlan_id: '700', querier: false })
+
+    const result = await igmpTools.getIGMPSnooping({ switch_id: 'vimins_core1', vlan_id: 700 })
+    expect(result.data.vlans).toEqual([{ vlanId: 700, enabled: true, querier: false, fastLeave: true }])
+
+    const all = await igmpTools.getIGMPSnooping({ switch_id: 'vimins_core1' })
+    expect(all.data.vlans.map(v => v.vlanId)).toEqual([1, 400, 700])
+    expect(all.message).toBe('IGMP snooping is enabled on 1 of 3 VLANs on vimins_core1')
+
+    await expect(igmpTools.configureIGMPSnooping({ switch_id: 'vimins_core1', vlan_id: 999, enabled: true }))
+      .rejects.toThrow('VLAN 999 does not exist')
+    await expect(igmpTools.configureIGMPSnooping({ switch_id: 'vimins_core1', vlan_id: 700 }))
+      .rejects.toThrow('enabled, querier or fast_leave is required')
+  })
+
+  test('should keep the untouched fields when changing one setting on Sodola', async () => {
+    await igmpTools.configureIGMPSnooping({ switch_id: 'sodola_office', vlan_id: 400, enabled: true, fast_leave: true })
+    await igmpTools.configureIGMPSnooping({ switch_id: 'sodola_office', vlan_id: 400, querier: true })
+
+    expect(emulator.model.getIGMPSnooping(400)).toEqual({ enabled: true, querier: true, fastLeave: true })
+    const result = await igmpTools.getIGMPSnooping({ switch_id: 'sodola_office', vlan_id: 400 })
+    expect(result.data.vlans).toEqual([{ vlanId: 400, enabled: true, querier: true, fastLeave: true }])
+
+    await expect(igmpTools.getIGMPSnooping({ switch_id: 'sodola_office', vlan_id: 700 }))
+      .rejects.toThrow('VLAN 700 does not exist on sodola_office')
+  })
+
+  test('should list learned groups by port for VLANs that snoop', async () => {
+    const result = await igmpTools.listMulticastGroups({ switch_id: 'vimins_core1' })
+
+    // VLAN 400 does not snoop on the core, so its group is not learned
+    expect(result.data.total_memberships).toBe(3)
+    expect(result.data.ports).toEqual({
+      TE6: [{ group: '239.7.0.1', vlan_id: 700 }, { group: '239.7.0.2', vlan_id: 700 }],
+      TE7: [{ group: '239.7.0.1', vlan_id: 700 }]
+    })
+
+    const filtered = await igmpTools.listMulticastGroups({ switch_id: 'vimins_core1', vlan_id: 700, port_id: '7' })
+    expect(filtered.data.ports).toEqual({ TE7: [{ group: '239.7.0.1', vlan_id: 700 }] })
+  })
+
+  test('should report group listing as unsupported on Sodola', async () => {
+    await expect(igmpTools.listMulticastGroups({ switch_id: 'sodola_office' }))
+      .rejects.toThrow(UnsupportedOperationError)
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * LAG Tools Integration Tests
+ * Runs the LAG write tools through SwitchManagerService against the Vimins simulator
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const lagTools = require('../../src/tools/lagTools')
+const config = require('../../src/utils/config')
+const { UnsupportedOperationError } = require('../../src/utils/errors')
+
+describe('LAG management tools', () => {
+  let simulator
+  let service
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    const port = await simulator.start(0)
+
+    const switchConfig = {
+      name: 'Sim_Core',
+      ip: '127.0.0.1',
+      httpPort: port,
+      type: 'vimins',
+      model: 'VM-S100-0800MS',
+      username: 'admin',
+      password: 'secret',
+      timeout: 2000
+    }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(switchConfig), config: switchConfig, status: 'online' })
+    service.switches.set('sodola_office', {
+      manager: {},
+      config: { type: 'sodola', model: 'SL-SWTGW218AS', name: 'Office' },
+      status: 'online'
+    })
+
+    jest.spyOn(config, 'getTopology').mockReturnValue({
+      interCoreLinks: { lag1: { core1Ports: ['TE3', 'TE4'], core2Ports: ['TE3', 'TE4'] } },
+      uplinkConnections: {}
+    })
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    jest.restoreAllMocks()
+    await service.cleanup()
+    await simulator.stop()
+  })
+
+  const lag = (lagId) => simulator.model.lags.get(lagId)
+
+  test('should create and configure a LAG with members', async () => {
+    const result = await lagTools.createLAG({
+      switch_id: 'vimins_core1',
+      lag_id: 2,
+      mode: 'lacp',
+      hash: 'src-dst-ip',
+      ports: ['TE7', '8', 'TE3']
+    })
+
+    // The LAG is created even though TE3 could not join it
+    expect(result.success).toBe(false)
+    expect(result.message).toBe('LAG 2 created on vimins_core1 with 2 of 3 member ports')
+    expect(result.data.members).toEqual([
+      { port_id: 'TE7', success: true },
+      { port_id: '8', success: true },
+      { port_id: 'TE3', success: false, error: 'Port TE3 is already a member of LAG 1' }
+    ])
+    expect(lag(2)).toMatchObject({ mode: 'lacp', hash: 'src-dst-ip', members: new Set([6, 7]) })
+
+    await lagTools.configureLAG({ switch_id: 'vimins_core1', lag_id: 'LAG2', mode: 'static' })
+    expect(lag(2).mode).toBe('static')
+
+    await expect(lagTools.configureLAG({ switch_id: 'vimins_core1', lag_id: 2, mode: 'pagp' }))
+      .rejects.toThrow('mode must be one of: static, lacp')
+    await expect(lagTools.configureLAG({ switch_id: 'vimins_core1', lag_id: 2, hash: 'round-robin' }))
+      .rejects.toThrow('hash must be one of: src-mac, dst-mac, src-dst-mac, src-ip, dst-ip, src-dst-ip')
+    await expect(lagTools.createLAG({ switch_id: 'vimins_core1', lag_id: 5 }))
+      .rejects.toThrow('Interface 5 does not exist on VM-S100-0800MS (LAG1-LAG4)')
+  })
+
+  test('should keep the last active member of an inter-core link', async () => {
+    await lagTools.removeLAGMember({ switch_id: 'vimins_core1', lag_id: 1, port_id: 'TE3' })
+    expect(lag(1).members).toEqual(new Set([3]))
+
+    await expect(lagTools.removeLAGMember({ switch_id: 'vimins_core1', lag_id: 1, port_id: 'TE4' }))
+      .rejects.toThrow('would leave inter-core link lag1 without an active member')
+    await expect(lagTools.deleteLAG({ switch_id: 'vimins_core1', lag_id: 1 }))
+      .rejects.toThrow('Refusing to delete LAG1 on vimins_core1')
+    expect(lag(1).members).toEqual(new Set([3]))
+
+    await lagTools.addLAGMember({ switch_id: 'vimins_core1', lag_id: 1, port_id: 'TE3' })
+    await lagTools.removeLAGMember({ switch_id: 'vimins_core1', lag_id: 1, port_id: 'TE4' })
+    await lagTools.removeLAGMember({ switch_id: 'vimins_core1', lag_id: 1, port_id: 'TE3', force: true })
+    expect(lag(1).members).toEqual(new Set())
+  })
+
+  test('should delete LAGs that carry no inter-core link', async () => {
+    await lagTools.deleteLAG({ switch_id: 'vimins_core1', lag_id: 2 })
+    expect(lag(2)).toBeUndefined()
+  })
+
+  test('should refuse LAG changes on switches without the lag capability', async () => {
+    await expect(lagTools.createLAG({ switch_id: 'sodola_office', lag_id: 1 }))
+      .rejects.toThrow(UnsupportedOperationError)
+  })
+})
@@ -0,0 +1,112 @@
+/**
+ * MAC Tools Integration Tests
+ * Runs the static MAC, aging and flush tools through SwitchManagerService against the Vimins simulator
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const macTools = require('../../src/tools/macTools')
+const switchTools = require('../../src/tools/switchTools')
+const { normalizeMacAddress, isUnicastMac } = require('../../src/models/MacAddress')
+const { UnsupportedOperationError } = require('../../src/utils/errors')
+
+describe('MAC address table tools', () => {
+  let simulator
+  let service
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    const port = await simulator.start(0)
+
+    const switchConfig = {
+      name: 'Sim_Core',
+      ip: '127.0.0.1',
+      httpPort: port,
+      type: 'vimins',
+      model: 'VM-S100-0800MS',
+      username: 'admin',
+      password: 'secret',
+      timeout: 2000
+    }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(switchConfig), config: switchConfig, status: 'online' })
+    service.switches.set('sodola_office', {
+      manager: {},
+      config: { type: 'sodola', model: 'SL-SWTGW218AS', name: 'Office' },
+      status: 'online'
+    })
+
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await service.cleanup()
+    await simulator.stop()
+  })
+
+  const entries = () => simulator.model.mac.entries
+
+  test('should normalize MAC address notations', () => {
+    expect(['1c:2a:a3:1e:8d:f8', '1C-2A-A3-1E-8D-F8', '1c2a.a31e.8df8', '1c2aa31e8df8'].map(normalizeMacAddress))
+      .toEqual(Array(4).fill('1C:2A:A3:1E:8D:F8'))
+    expect(normalizeMacAddress('1c:2a:a3:1e:8d')).toBeNull()
+    expect(isUnicastMac('01:00:5E:00:00:01')).toBe(false)
+    expect(isUnicastMac('FF:FF:FF:FF:FF:FF')).toBe(false)
+  })
+
+  test('should list discovered devices by canonical port name', async () => {
+    const result = await switchTools.discoverNetworkDevices({ switch_id: 'vimins_core1' })
+    const devices = result.data.discovery_results.vimins_core1.discovered_devices
+
+    expect(devices).toEqual([
+      { mac_address: '1C:2A:A3:1E:8D:F8', port: 'TE6', vlan: 1, type: 'learned' },
+      { mac_address: '1C:2A:A3:1A:70:77', port: 'TE5', vlan: 1, type: 'learned' }
+    ])
+    expect(Object.keys(result.data.summary.devices_by_port)).toEqual(['Sim_Core:TE6', 'Sim_Core:TE5'])
+  })
+
+  test('should add and remove static entries', async () => {
+    await macTools.addStaticMAC({ switch_id: 'vimins_core1', mac_address: '00e0.4c68.1234', vlan_id: 1, port_id: 'TE7' })
+    expect(entries()).toContainEqual({ macAddr: '00:E0:4C:68:12:34', vlan: 1, port: 6, type: 'static' })
+
+    await expect(macTools.addStaticMAC({ switch_id: 'vimins_core1', mac_address: '01:00:5e:00:00:01', vlan_id: 1, port_id: 'TE7' }))
+      .rejects.toThrow('static entries need a unicast MAC')
+    await expect(macTools.addStaticMAC({ switch_id: 'vimins_core1', mac_address: '00:e0:4c:68:12:35', vlan_id: 1, port_id: 'TE9' }))
+      .rejects.toThrow('Interface TE9 does not exist on VM-S100-0800MS')
+    await expect(macTools.addStaticMAC({ switch_id: 'vimins_core1', mac_address: 'not-a-mac', vlan_id: 1, port_id: 'TE7' }))
+      .rejects.toThrow('Invalid MAC address: not-a-mac')
+
+    await macTools.removeStaticMAC({ switch_id: 'vimins_core1', mac_address: '00:e0:4c:68:12:34', vlan_id: 1 })
+    expect(entries().filter(entry => entry.type === 'static')).toEqual([])
+    await expect(macTools.removeStaticMAC({ switch_id: 'vimins_core1', mac_address: '00:e0:4c:68:12:34', vlan_id: 1 }))
+      .rejects.toThrow('No static entry for 00:E0:4C:68:12:34 in VLAN 1')
+  })
+
+  test('should set the aging time', async () => {
+    const result = await macTools.setMACAgingTime({ switch_id: 'vimins_core1', aging_time: 0 })
+    expect(result.message).toBe('MAC aging disabled on vimins_core1')
+    expect(simulator.model.mac.agingTime).toBe(0)
+
+    await macTools.setMACAgingTime({ switch_id: 'vimins_core1', aging_time: '600' })
+    expect(simulator.model.mac.agingTime).toBe(600)
+  })
+
+  test('should flush dynamic entries and keep static ones', async () => {
+    await macTools.addStaticMAC({ switch_id: 'vimins_core1', mac_address: '00:e0:4c:68:12:34', vlan_id: 1, port_id: 'TE6' })
+
+    await macTools.flushMACTable({ switch_id: 'vimins_core1', port_id: 'TE6' })
+    expect(entries().map(entry => [entry.port, entry.type])).toEqual([[4, 'dynamic'], [5, 'static']])
+
+    await macTools.flushMACTable({ switch_id: 'vimins_core1' })
+    expect(entries().map(entry => entry.type)).toEqual(['static'])
+  })
+
+  test('should report switches without the mac_table capability', async () => {
+    await expect(macTools.flushMACTable({ switch_id: 'sodola_office' })).rejects.toThrow(UnsupportedOperationError)
+    await expect(macTools.addStaticMAC({ switch_id: 'sodola_office', mac_address: '00:e0:4c:68:12:34', vlan_id: 1, port_id: '3' }))
+      .rejects.toThrow(UnsupportedOperationError)
+  })
+})
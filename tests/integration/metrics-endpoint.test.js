@@ -0,0 +1,193 @@
+/**
+ * Metrics Endpoint Integration Tests
+ * Scrapes /metrics after health checks, counter polls and tool calls against the
+ * Vimins simulator and the Sodola emulator
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const request = require('supertest')
+const express = require('express')
+const mcpRoutes = require('../../src/routes/mcpRoutes')
+const metricsRoutes = require('../../src/routes/metricsRoutes')
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const ConfigurationService = require('../../src/services/configuration/ConfigurationService')
+const CounterCollector = require('../../src/services/metrics/CounterCollector')
+const TimeSeriesStore = require('../../src/services/metrics/TimeSeriesStore')
+const OpenMetricsExporter = require('../../src/services/metrics/OpenMetricsExporter')
+const toolCallMetrics = require('../../src/services/metrics/toolCallMetrics')
+
+const app = express()
+app.use(express.json())
+app.use('/mcp', mcpRoutes)
+app.use('/metrics', metricsRoutes)
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// The value of the sample with exactly these labels, or undefined
+function sampleValue(text, name, labels) {
+  const wanted = Object.entries(labels).map(([key, value]) => `${key}="${value}"`).join(',')
+  const line = text.split('\n').find(entry => entry.startsWith(`${name}{${wanted}} `))
+  return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(' ') + 1))
+}
+
+describe('Metrics endpoint', () => {
+  let simulator
+  let emulator
+  let service
+  let collector
+  let configuration
+  let backupDirectory
+
+  const core = { switch_id: 'vimins_core1', switch_name: 'Sim_Core', switch_type: 'vimins' }
+  const office = { switch_id: 'sodola_office', switch_name: 'Sim_Office', switch_type: 'sodola' }
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+    collector = new CounterCollector(service, new TimeSeriesStore({ filePath: null }))
+
+    // A backup of the core switch written an hour before this start
+    backupDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'))
+    fs.writeFileSync(path.join(backupDirectory, 'vimins_core1_old.json'), JSON.stringify({
+      backup_id: 'vimins_core1_old',
+      switch_id: 'vimins_core1',
+      timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    }))
+    configuration = new ConfigurationService(service)
+    configuration.backupDirectory = backupDirectory
+    await configuration.loadLastBackupTimes()
+
+    global.mcpServices = { switchManager: service, counterCollector: collector, configuration }
+    toolCallMetrics.reset()
+
+    await service.performHealthChecks()
+    await collector.collect()
+    await wait(50)
+    await collector.collect()
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    toolCallMetrics.reset()
+    await collector.cleanup()
+    await configuration.cleanup()
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+    fs.rmSync(backupDirectory, { recursive: true, force: true })
+  })
+
+  test('should export switch state, VLAN counts and backup age', async () => {
+    const response = await request(app).get('/metrics').expect(200)
+
+    expect(response.headers['content-type']).toBe('application/openmetrics-text; version=1.0.0; charset=utf-8')
+    expect(response.text.endsWith('# EOF\n')).toBe(true)
+    expect(response.text).toContain('# TYPE switch_health_check_age_seconds gauge\n# UNIT switch_health_check_age_seconds seconds\n')
+
+    expect(sampleValue(response.text, 'switch_up', core)).toBe(1)
+    expect(sampleValue(response.text, 'switch_up', office)).toBe(1)
+    expect(sampleValue(response.text, 'switch_authenticated', core)).toBe(1)
+    expect(sampleValue(response.text, 'switch_health_check_age_seconds', office)).toBeLessThan(60)
+    expect(sampleValue(response.text, 'switch_vlans', core)).toBe(simulator.model.vlans.size)
+    expect(sampleValue(response.text, 'switch_vlans', office)).toBeGreaterThan(0)
+
+    expect(sampleValue(response.text, 'switch_backup_age_seconds', core)).toBeGreaterThanOrEqual(3600)
+    expect(sampleValue(response.text, 'switch_backup_age_seconds', office)).toBeUndefined()
+
+    // A new backup resets the age
+    configuration.storeBackupInHistory('sodola_office', { backup_id: 'sodola_office_new', timestamp: new Date().toISOString() })
+    const later = await request(app).get('/metrics').expect(200)
+    expect(sampleValue(later.text, 'switch_backup_age_seconds', office)).toBeLessThan(60)
+  })
+
+  test('should export port link state, speed and counters', async () => {
+    const { text } = await request(app).get('/metrics').expect(200)
+
+    expect(sampleValue(text, 'switch_port_up', { ...core, port: 'TE2' })).toBe(1)
+    expect(sampleValue(text, 'switch_port_up', { ...core, port: 'TE8' })).toBe(0)
+    expect(sampleValue(text, 'switch_port_speed_bytes', { ...core, port: 'TE2' })).toBe(10000 * 125000)
+    expect(sampleValue(text, 'switch_port_speed_bytes', { ...core, port: 'TE8' })).toBeUndefined()
+    expect(sampleValue(text, 'switch_port_up', { ...office, port: 'Port 1' })).toBe(1)
+
+    expect(sampleValue(text, 'switch_port_receive_bytes_total', { ...core, port: 'TE2' })).toBeGreaterThan(0)
+    expect(sampleValue(text, 'switch_port_receive_errors_total', { ...core, port: 'TE2' })).toBe(0)
+    expect(sampleValue(text, 'switch_port_transmit_packets_total', { ...office, port: 'Port 1' })).toBeGreaterThan(0)
+    // The Sodola statistics page has no discard counters
+    expect(sampleValue(text, 'switch_port_receive_drops_total', { ...office, port: 'Port 1' })).toBeUndefined()
+  })
+
+  test('should count VLANs from VLAN reads rather than at every health check', async () => {
+    const getVLANs = jest.spyOn(service.getSwitch('vimins_core1').manager, 'getVLANs')
+    try {
+      await service.performHealthChecks()
+      expect(getVLANs).not.toHaveBeenCalled()
+
+      // A VLAN change makes the next health check count again
+      await service.createVLAN('vimins_core1', 310, 'METRICS')
+      await service.performHealthChecks()
+      expect(getVLANs).toHaveBeenCalledTimes(1)
+
+      await service.deleteVLAN('vimins_core1', 310)
+      await service.getVLANs('vimins_core1')
+      await service.performHealthChecks()
+      expect(getVLANs).toHaveBeenCalledTimes(2)
+
+      const { text } = await request(app).get('/metrics').expect(200)
+      expect(sampleValue(text, 'switch_vlans', core)).toBe(simulator.model.vlans.size)
+    } finally {
+      getVLANs.mockRestore()
+    }
+  })
+
+  test('should keep port counters growing across a switch reboot', async () => {
+    const labels = { ...office, port: 'Port 2' }
+    const before = sampleValue((await request(app).get('/metrics')).text, 'switch_port_receive_bytes_total', labels)
+
+    await wait(50)
+    emulator.model.reboot()
+    await collector.collect()
+
+    const after = sampleValue((await request(app).get('/metrics')).text, 'switch_port_receive_bytes_total', labels)
+    expect(after).toBeGreaterThanOrEqual(before)
+  })
+
+  test('should count tool calls and their latency per tool and outcome', async () => {
+    await request(app).post('/mcp').send({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'get_all_switches', arguments: {} }, id: 1 }).expect(200)
+    await request(app).post('/mcp').send({ jsonrpc: '2.0', method: 'get_all_switches', params: {}, id: 2 }).expect(200)
+    await request(app).post('/mcp').send({ jsonrpc: '2.0', method: 'tools/call', params: { name: 'get_switch_info', arguments: { switch_id: 'missing' } }, id: 3 })
+
+    const { text } = await request(app).get('/metrics').expect(200)
+
+    expect(sampleValue(text, 'mcp_tool_calls_total', { tool: 'get_all_switches', outcome: 'success' })).toBe(2)
+    expect(sampleValue(text, 'mcp_tool_calls_total', { tool: 'get_all_switches', outcome: 'error' })).toBe(0)
+    expect(sampleValue(text, 'mcp_tool_calls_total', { tool: 'get_switch_info', outcome: 'error' })).toBe(1)
+    expect(sampleValue(text, 'mcp_tool_call_duration_seconds_bucket', { tool: 'get_all_switches', le: '+Inf' })).toBe(2)
+    expect(sampleValue(text, 'mcp_tool_call_duration_seconds_bucket', { tool: 'get_all_switches', le: '60.0' })).toBe(2)
+    expect(sampleValue(text, 'mcp_tool_call_duration_seconds_count', { tool: 'get_all_switches' })).toBe(2)
+    expect(sampleValue(text, 'mcp_tool_call_duration_seconds_sum', { tool: 'get_all_switches' })).toBeGreaterThanOrEqual(0)
+  })
+
+  test('should escape label values', () => {
+    const exporter = new OpenMetricsExporter({
+      switchManager: {
+        getAllSwitches: () => [{ id: 'lab', name: 'Rack "B"\\2', type: 'vimins', status: 'offline', authenticated: false, lastHealthCheck: null, vlanCount: null }]
+      }
+    }, { getTools: () => [] })
+
+    expect(exporter.render()).toContain('switch_up{switch_id="lab",switch_name="Rack \\"B\\"\\\\2",switch_type="vimins"} 0\n')
+  })
+})
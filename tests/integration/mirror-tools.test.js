@@ -0,0 +1,162 @@
+/**
+ * Port Mirroring Tools Integration Tests
+ * Configures, lists, expires and removes mirrors on the Vimins simulator and Sodola emulator
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const mirrorTools = require('../../src/tools/mirrorTools')
+
+describe('Port mirroring tools', () => {
+  let simulator
+  let emulator
+  let service
+  let viminsConfig
+  let expiryDirectory
+  let expiryFile
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const viminsPort = await simulator.start(0)
+    const sodolaPort = await emulator.start(0)
+
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+    viminsConfig = { ...credentials, name: 'Sim_Core', httpPort: viminsPort, type: 'vimins', model: 'VM-S100-0800MS' }
+    const sodolaConfig = { ...credentials, name: 'Sim_Office', httpPort: sodolaPort, type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    expiryDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mirrors-'))
+    expiryFile = path.join(expiryDirectory, 'mirror-expirations.json')
+    service = new SwitchManagerService(null, { mirrorExpiryFile: expiryFile })
+    service.switches.set('vimins_core1', { manager: new ViminsManager(viminsConfig), config: viminsConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(sodolaConfig), config: sodolaConfig, status: 'online' })
+
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+    fs.rmSync(expiryDirectory, { recursive: true, force: true })
+  })
+
+  test('should mirror ports on a Vimins core and list the session', async () => {
+    const result = await mirrorTools.configurePortMirror({
+      switch_id: 'vimins_core1',
+      session_id: 2,
+      source_ports: ['3', 'TE4'],
+      direction: 'rx',
+      destination_port: 'TE8'
+    })
+    expect(result.data.sources).toEqual([{ port: 'TE3', direction: 'rx' }, { port: 'TE4', direction: 'rx' }])
+    expect(simulator.model.mirrors.get(2)).toMatchObject({ destPortId: 7, sources: new Map([[2, 'rx'], [3, 'rx']]) })
+
+    const listed = await mirrorTools.listPortMirrors({ switch_id: 'vimins_core1' })
+    expect(listed.data.mirrors).toEqual([{
+      session: 2,
+      destination: 'TE8',
+      sources: [{ port: 'TE3', direction: 'rx' }, { port: 'TE4', direction: 'rx' }],
+      expiresAt: null
+    }])
+
+    await mirrorTools.removePortMirror({ switch_id: 'vimins_core1', session_id: 2 })
+    expect(simulator.model.mirrors.size).toBe(0)
+  })
+
+  test('should reject invalid mirrors before reaching the switch', async () => {
+    await expect(mirrorTools.configurePortMirror({ switch_id: 'vimins_core1', source_ports: ['TE8'], destination_port: 'TE8' }))
+      .rejects.toThrow('TE8 cannot be both a source and the destination of a mirror')
+    await expect(mirrorTools.configurePortMirror({ switch_id: 'vimins_core1', source_ports: ['TE3'], destination_port: 'TE8', direction: 'in' }))
+      .rejects.toThrow('direction must be one of: rx, tx, both')
+    await expect(mirrorTools.configurePortMirror({ switch_id: 'vimins_core1', source_ports: ['TE3'], destination_port: 'TE8', expires_in_minutes: 60 * 24 * 30 }))
+      .rejects.toThrow('expires_in_minutes must not exceed 10080')
+    await expect(mirrorTools.configurePortMirror({ switch_id: 'sodola_office', session_id: 2, source_ports: ['3'], destination_port: '18' }))
+      .rejects.toThrow('Mirror session 2 does not exist on SL-SWTGW218AS (only session 1)')
+  })
+
+  test('should mirror ports on a Sodola switch through the web form', async () => {
+    await mirrorTools.configurePortMirror({ switch_id: 'sodola_office', source_ports: ['Port 2', 'TE5'], destination_port: '18' })
+    expect(emulator.model.mirror).toMatchObject({ enabled: true, destPort: 18, sources: new Map([[2, 'both'], [5, 'both']]) })
+
+    const listed = await mirrorTools.listPortMirrors({ switch_id: 'sodola_office' })
+    expect(listed.data.mirrors).toEqual([{
+      session: 1,
+      destination: 'Port 18',
+      sources: [{ port: 'Port 2', direction: 'both' }, { port: 'Port 5', direction: 'both' }],
+      expiresAt: null
+    }])
+
+    await mirrorTools.removePortMirror({ switch_id: 'sodola_office' })
+    expect(emulator.model.mirror.enabled).toBe(false)
+    expect((await mirrorTools.listPortMirrors({ switch_id: 'sodola_office' })).data.mirrors).toEqual([])
+  })
+
+  test('should remove a mirror when it expires', async () => {
+    const result = await mirrorTools.configurePortMirror({
+      switch_id: 'vimins_core1',
+      source_ports: ['TE3'],
+      destination_port: 'TE8',
+      expires_in_minutes: 0.005
+    })
+    expect(result.data.expires_at).not.toBeNull()
+    expect((await mirrorTools.listPortMirrors({ switch_id: 'vimins_core1' })).data.mirrors[0].expiresAt).toBe(result.data.expires_at)
+
+    await new Promise(resolve => setTimeout(resolve, 600))
+    expect(simulator.model.mirrors.size).toBe(0)
+    expect(service.mirrorExpirations.size).toBe(0)
+  })
+
+  test('should re-arm pending expiries after a restart', async () => {
+    const result = await mirrorTools.configurePortMirror({
+      switch_id: 'vimins_core1',
+      source_ports: ['TE3'],
+      destination_port: 'TE8',
+      expires_in_minutes: 60
+    })
+    await service.saveMirrorExpirations()
+    expect(JSON.parse(fs.readFileSync(expiryFile, 'utf8'))).toEqual([
+      { switchId: 'vimins_core1', session: 1, expiresAt: result.data.expires_at }
+    ])
+
+    // A second service reading the same file picks the expiry up again
+    const restarted = new SwitchManagerService(null, { mirrorExpiryFile: expiryFile })
+    restarted.switches.set('vimins_core1', { manager: new ViminsManager(viminsConfig), config: viminsConfig, status: 'online' })
+    await restarted.loadMirrorExpirations()
+    expect((await restarted.getPortMirrors('vimins_core1'))[0].expiresAt).toBe(result.data.expires_at)
+    await restarted.cleanup()
+
+    // Expiries that passed while the addon was down are carried out at startup
+    fs.writeFileSync(expiryFile, JSON.stringify([{ switchId: 'vimins_core1', session: 1, expiresAt: new Date(Date.now() - 1000).toISOString() }]))
+    const late = new SwitchManagerService(null, { mirrorExpiryFile: expiryFile })
+    late.switches.set('vimins_core1', { manager: new ViminsManager(viminsConfig), config: viminsConfig, status: 'online' })
+    await late.loadMirrorExpirations()
+    await new Promise(resolve => setTimeout(resolve, 200))
+    expect(simulator.model.mirrors.size).toBe(0)
+    await late.cleanup()
+  })
+
+  test('should wait out expiries longer than one timer can', async () => {
+    jest.useFakeTimers()
+    const scheduler = new SwitchManagerService(null, { mirrorExpiryFile: null })
+    const remove = jest.spyOn(scheduler, 'removePortMirror').mockResolvedValue()
+    const day = 24 * 60 * 60 * 1000
+    try {
+      scheduler.scheduleMirrorExpiry('vimins_core1', 1, 30 * day)
+
+      jest.advanceTimersByTime(29 * day)
+      expect(remove).not.toHaveBeenCalled()
+      jest.advanceTimersByTime(day)
+      expect(remove).toHaveBeenCalledWith('vimins_core1', 1)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+})
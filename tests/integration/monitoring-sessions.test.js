@@ -0,0 +1,184 @@
+/**
+ * Real-Time Monitoring Session Integration Tests
+ * Starts monitoring sessions against the Vimins simulator and reads their samples
+ * over the Server-Sent Events stream
+ */
+
+const http = require('http')
+const express = require('express')
+const monitoringRoutes = require('../../src/routes/monitoringRoutes')
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const MonitoringSessionService = require('../../src/services/diagnostics/MonitoringSessionService')
+const diagnosticTools = require('../../src/tools/diagnosticTools')
+const config = require('../../src/utils/config')
+
+// Connects to an event stream and collects its events and comment lines until
+// the server ends it
+function openStream(port, path) {
+  const events = []
+  const comments = []
+  let opened
+  const ready = new Promise(resolve => { opened = resolve })
+
+  const finished = new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, res => {
+      let buffer = ''
+      opened(res)
+      res.setEncoding('utf8')
+      res.on('data', chunk => {
+        buffer += chunk
+        const blocks = buffer.split('\n\n')
+        buffer = blocks.pop()
+        for (const block of blocks) {
+          if (block.startsWith(':')) {
+            comments.push(block.slice(1))
+            continue
+          }
+          const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]))
+          events.push({ event: fields.event, id: fields.id, data: JSON.parse(fields.data) })
+        }
+      })
+      res.on('end', () => resolve(events))
+    }).on('error', reject)
+  })
+
+  return { events, comments, ready, finished }
+}
+
+describe('Real-time monitoring sessions', () => {
+  let simulator
+  let service
+  let monitoring
+  let server
+  let port
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    const coreConfig = {
+      ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000,
+      name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS'
+    }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    monitoring = new MonitoringSessionService(service)
+    await monitoring.initialize()
+    global.mcpServices = { switchManager: service, monitoringSessions: monitoring }
+
+    const app = express()
+    app.use('/monitoring', monitoringRoutes)
+    server = app.listen(0)
+    port = server.address().port
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await monitoring.cleanup()
+    await new Promise(resolve => server.close(resolve))
+    await service.cleanup()
+    await simulator.stop()
+  })
+
+  test('should stream samples at the interval until the session expires', async () => {
+    const result = await diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', duration_seconds: 2, interval_seconds: 1 })
+
+    const sessionId = result.data.session_id
+    expect(sessionId).toMatch(/^mon_[0-9a-f]{16}$/)
+    expect(result.data).toMatchObject({
+      switch_id: 'vimins_core1',
+      interval_seconds: 1,
+      duration_seconds: 2,
+      samples: 1,
+      stream_url: `/monitoring/sessions/${sessionId}/events`
+    })
+    // The first sample is taken before the tool returns and has no rates yet
+    expect(result.data.current_metrics).toMatchObject({ sequence: 1, status: 'ok', rebooted: false })
+    expect(result.data.current_metrics.ports).toHaveLength(8)
+    expect(result.data.current_metrics.ports[1]).toMatchObject({ port: 'TE2', operState: 'up', speedMbps: 10000, rxBps: null })
+
+    const stream = openStream(port, result.data.stream_url)
+    const res = await stream.ready
+    expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8')
+
+    const events = await stream.finished
+    const samples = events.filter(event => event.event === 'sample')
+    expect(samples.map(event => event.data.sequence)).toEqual([1, 2])
+    expect(samples[1].id).toBe('2')
+    expect(samples[1].data.ports[1].rxBps).toBeGreaterThan(0)
+    expect(samples[1].data.ports[1].rxErrors).toBe(0)
+
+    const end = events.pop()
+    expect(end).toMatchObject({ event: 'end', data: { session_id: sessionId, reason: 'expired' } })
+    expect((await diagnosticTools.listMonitoringSessions({})).data.sessions).toEqual([])
+  })
+
+  test('should list and stop running sessions', async () => {
+    const { data } = await diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', duration_seconds: 60, interval_seconds: 30 })
+    const stream = openStream(port, data.stream_url)
+    await stream.ready
+
+    const listed = await diagnosticTools.listMonitoringSessions({})
+    expect(listed.message).toBe('1 monitoring sessions running (limit 5)')
+    expect(listed.data.sessions).toMatchObject([{ session_id: data.session_id, switch_id: 'vimins_core1', subscribers: 1 }])
+
+    const stopped = await diagnosticTools.stopMonitoringSession({ session_id: data.session_id })
+    expect(stopped.message).toBe(`Monitoring session ${data.session_id} stopped after 1 samples`)
+
+    const events = await stream.finished
+    expect(events.map(event => event.event)).toEqual(['sample', 'end'])
+    expect(events[1].data.reason).toBe('stopped')
+
+    await expect(diagnosticTools.stopMonitoringSession({ session_id: data.session_id }))
+      .rejects.toThrow(`Monitoring session not found: ${data.session_id}`)
+  })
+
+  test('should keep an idle stream open with keepalive comments', async () => {
+    const keepAliveInterval = config.monitoring.streamKeepAliveInterval
+    config.monitoring.streamKeepAliveInterval = 50
+    try {
+      const { data } = await diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', duration_seconds: 60, interval_seconds: 30 })
+      const stream = openStream(port, data.stream_url)
+      await stream.ready
+      while (stream.comments.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 20))
+      }
+      await diagnosticTools.stopMonitoringSession({ session_id: data.session_id })
+
+      const events = await stream.finished
+      expect(events.map(event => event.event)).toEqual(['sample', 'end'])
+      expect(stream.comments.slice(0, 2)).toEqual(['keepalive', 'keepalive'])
+    } finally {
+      config.monitoring.streamKeepAliveInterval = keepAliveInterval
+    }
+  })
+
+  test('should limit how many sessions run at once', async () => {
+    const maxSessions = config.monitoring.maxSessions
+    config.monitoring.maxSessions = 1
+    try {
+      await diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', duration_seconds: 60, interval_seconds: 30 })
+      await expect(diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1' }))
+        .rejects.toThrow('Too many monitoring sessions running (limit 1); stop one with stop_monitoring_session')
+    } finally {
+      config.monitoring.maxSessions = maxSessions
+      monitoring.stopAll()
+    }
+  })
+
+  test('should reject invalid sessions and unknown streams', async () => {
+    await expect(diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', interval_seconds: 0.5 }))
+      .rejects.toThrow('interval_seconds must be at least 1')
+    await expect(diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', duration_seconds: 2, interval_seconds: 5 }))
+      .rejects.toThrow('duration_seconds must be at least interval_seconds')
+    await expect(diagnosticTools.realTimeMonitoring({ switch_id: 'vimins_core1', duration_seconds: 86400 }))
+      .rejects.toThrow('duration_seconds must not exceed 3600')
+    await expect(diagnosticTools.realTimeMonitoring({ switch_id: 'missing' }))
+      .rejects.toThrow('Switch not found: missing')
+    expect(monitoring.listSessions()).toEqual([])
+
+    const res = await openStream(port, '/monitoring/sessions/mon_unknown/events').ready
+    expect(res.statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * Port Model Integration Tests
+ * Both drivers map their port data into the shared Port model
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const switchTools = require('../../src/tools/switchTools')
+const diagnosticTools = require('../../src/tools/diagnosticTools')
+const { createPort, getPortErrors, findPort, normalizeState, parseSpeed } = require('../../src/models/Port')
+const { resolveInterface } = require('../../src/models/InterfaceName')
+
+describe('Port model', () => {
+  test('should normalize vendor states and speeds', () => {
+    expect(['Enable', 'Link Up', true, 1].map(normalizeState)).toEqual(['up', 'up', 'up', 'up'])
+    expect(['Disable', 'Link Down', false, 0].map(normalizeState)).toEqual(['down', 'down', 'down', 'down'])
+    expect(normalizeState('-')).toBe('unknown')
+    expect(['10G', '2500M', '1000', 10000, '-'].map(parseSpeed)).toEqual([10000, 2500, 1000, 10000, null])
+  })
+
+  test('should build valid ports and find them by name or index', () => {
+    const ports = [
+      createPort({ name: 'TE1', index: 1, adminState: true, operState: false, taggedVlans: ['100', 100] }),
+      createPort({ name: 'TE2', index: 2, adminState: 'Enable', operState: 'Link Up', counters: { rxBytes: '1,024' } })
+    ]
+
+    expect(ports.map(getPortErrors)).toEqual([[], []])
+    expect(ports[0]).toMatchObject({ adminState: 'up', operState: 'down', taggedVlans: [100], lag: null, counters: null })
+    expect(ports[1].counters).toMatchObject({ rxBytes: 1024, txBytes: null })
+    expect(findPort(ports, 'te2')).toBe(ports[1])
+    expect(findPort(ports, '1')).toBe(ports[0])
+    expect(findPort(ports, 'TE9')).toBeNull()
+  })
+})
+
+describe('Driver port mapping', () => {
+  let vimins
+  let sodola
+  let viminsManager
+  let sodolaManager
+
+  beforeAll(async () => {
+    vimins = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    sodola = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const baseConfig = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    viminsManager = new ViminsManager({ ...baseConfig, name: 'Sim_Core', type: 'vimins', httpPort: await vimins.start(0) })
+    sodolaManager = new SodolaManager({ ...baseConfig, name: 'Sim_Office', type: 'sodola', httpPort: await sodola.start(0) })
+
+    await viminsManager.createVLAN(100, 'BACKUP')
+    await viminsManager.configureVLANPort('TE3', { vlanId: 100, tagged: true })
+    await sodolaManager.createVLAN(100, 'BACKUP')
+    await sodolaManager.configureVLANPort('Port 3', { vlanId: 100, tagged: true })
+  })
+
+  afterAll(async () => {
+    await vimins.stop()
+    await sodola.stop()
+  })
+
+  test('should map Vimins CGI data into the port model', async () => {
+    const ports = await viminsManager.getPorts()
+
+    expect(ports).toHaveLength(8)
+    expect(ports.flatMap(getPortErrors)).toEqual([])
+    expect(findPort(ports, 'TE3')).toMatchObject({
+      index: 3,
+      adminState: 'up',
+      operState: 'up',
+      speedMbps: 10000,
+      duplex: 'full',
+      pvid: 1,
+      taggedVlans: [100],
+      untaggedVlans: [1],
+      lag: { id: 1, active: true }
+    })
+    expect(findPort(ports, 'TE3').counters).toEqual(expect.objectContaining({ rxBytes: expect.any(Number), rxDrops: 0 }))
+    expect(findPort(ports, 'TE7')).toMatchObject({ operState: 'down', lag: null })
+    expect(ports[0].raw).toBeUndefined()
+  })
+
+  test('should map scraped Sodola pages into the port model', async () => {
+    const ports = await sodolaManager.getPorts({ includeRaw: true })
+
+    expect(ports).toHaveLength(18)
+    expect(ports.flatMap(getPortErrors)).toEqual([])
+    expect(findPort(ports, 'Port 3')).toMatchObject({
+      index: 3,
+      adminState: 'up',
+      operState: 'up',
+      speedMbps: 2500,
+      duplex: 'full',
+      flowControl: false,
+      media: 'Copper',
+      pvid: 1,
+      taggedVlans: [100],
+      untaggedVlans: [1],
+      lag: null,
+      utilization: null
+    })
+    expect(findPort(ports, '17')).toMatchObject({ name: 'Port 17', speedMbps: 10000, media: 'SFP+' })
+    expect(findPort(ports, '5')).toMatchObject({ operState: 'down', speedMbps: null })
+    expect(findPort(ports, '3').counters).toMatchObject({ rxBytes: expect.any(Number), rxDrops: null })
+    expect(findPort(ports, '3').raw.port).toMatchObject({ port: 'Port 3', 'link status': 'Link Up' })
+  })
+
+  test('should return normalized ports from the port tools', async () => {
+    global.mcpServices = {
+      switchManager: {
+        getSwitchManager: (switchId) => switchId === 'vimins_core1' ? viminsManager : sodolaManager,
+        resolveInterface: (switchId, portRef) => resolveInterface(portRef, global.mcpServices.switchManager.getSwitchManager(switchId).interfaces)
+      }
+    }
+
+    try {
+      const status = await switchTools.getPortStatus({ switch_id: 'vimins_core1' })
+      expect(status.data.summary).toMatchObject({ total: 8, up: 6, down: 2, lag_members: 2 })
+      expect(status.data.ports[0]).toMatchObject({ name: 'TE1', index: 1 })
+
+      const diagnostics = await diagnosticTools.portDiagnostics({ switch_id: 'sodola_office', port_id: '2' })
+      expect(diagnostics.data.ports).toHaveLength(1)
+      expect(diagnostics.data.analysis).toMatchObject({ total_ports: 1, active_ports: 1, error_ports: 0 })
+
+      await expect(diagnosticTools.portDiagnostics({ switch_id: 'sodola_office', port_id: 'Port 42' }))
+        .rejects.toThrow('Interface Port 42 does not exist on SL-SWTGW218AS (Port 1-Port 18)')
+    } finally {
+      delete global.mcpServices
+    }
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * Port Security Tools Integration Tests
+ * Sets MAC limits per port and from a port profile on the Vimins simulator and the
+ * Sodola emulator, drives violations by learning addresses and reads them back
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const portSecurityTools = require('../../src/tools/portSecurityTools')
+const switchTools = require('../../src/tools/switchTools')
+const config = require('../../src/utils/config')
+
+describe('Port security tools', () => {
+  let simulator
+  let emulator
+  let service
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    jest.restoreAllMocks()
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  const securityOf = async (switchId, portId) => {
+    const result = await portSecurityTools.getPortSecurity({ switch_id: switchId, port_id: portId })
+    return result.data.ports[0]
+  }
+
+  test('should keep learning and count violations with the log action', async () => {
+    // TE6 has already learned one address
+    await portSecurityTools.configurePortSecurity({ switch_id: 'vimins_core1', port_id: 'TE6', enabled: true, max_macs: 1, action: 'log' })
+    expect(simulator.model.learnMAC('00:11:22:33:44:55', 1, 'TE6')).toBe(true)
+
+    expect(await securityOf('vimins_core1', 'te6')).toEqual({
+      port: 'TE6', enabled: true, maxMacs: 1, action: 'log', learned: 2, violations: 1, shutdown: false
+    })
+
+    const discovery = await switchTools.discoverNetworkDevices({ switch_id: 'vimins_core1' })
+    expect(discovery.message).toBe('Network device discovery completed for 1 switches; 1 ports exceed their MAC limit')
+    expect(discovery.data.discovery_results.vimins_core1.ports_over_mac_limit).toEqual([
+      { port: 'TE6', max_macs: 1, learned: 2, violations: 1, shutdown: false, action: 'log' }
+    ])
+    expect(discovery.data.summary.ports_over_mac_limit).toEqual(['Sim_Core:TE6'])
+  })
+
+  test('should shut a port down on violation until it is enabled again', async () => {
+    await portSecurityTools.configurePortSecurity({ switch_id: 'vimins_core1', port_id: '5', enabled: true, max_macs: 1, action: 'shutdown' })
+    expect(simulator.model.learnMAC('00:11:22:33:44:66', 1, 'TE5')).toBe(false)
+
+    const result = await portSecurityTools.getPortSecurity({ switch_id: 'vimins_core1' })
+    expect(result.data.violations).toEqual(['TE5', 'TE6'])
+    expect(result.message).toBe('2 of 2 secured ports on vimins_core1 have port security violations')
+    expect(await securityOf('vimins_core1', 'TE5')).toMatchObject({ action: 'shutdown', learned: 0, shutdown: true })
+    expect(simulator.model.ports[4].adminEnable).toBe(false)
+
+    // A port shut down at its limit has not learned past it, but is still in violation
+    const discovery = await switchTools.discoverNetworkDevices({ switch_id: 'vimins_core1' })
+    expect(discovery.data.summary.ports_over_mac_limit).toEqual(['Sim_Core:TE5', 'Sim_Core:TE6'])
+
+    await switchTools.configurePort({ switch_id: 'vimins_core1', port_id: 'TE5', config: { adminEnable: true } })
+    expect(await securityOf('vimins_core1', 'TE5')).toMatchObject({ shutdown: false, violations: 1 })
+  })
+
+  test('should apply a port profile to its member ports', async () => {
+    jest.spyOn(config, 'getPortProfile').mockReturnValue({
+      portSecurity: { maxMacs: 2, action: 'drop' },
+      ports: { 'sodola.office': ['Port 1', '2'], 'sodola.lab': ['Port 1'] }
+    })
+
+    const result = await portSecurityTools.configurePortSecurity({ profile: 'user-access' })
+
+    expect(result.success).toBe(false)
+    expect(result.message).toBe('Port profile user-access applied to 2 of 3 ports')
+    expect(result.data.results.filter(r => r.success).map(r => r.port)).toEqual(['Port 1', 'Port 2'])
+    expect(result.data.results[2]).toMatchObject({ switch: 'sodola_lab', success: false })
+
+    for (const mac of ['00:11:22:33:44:01', '00:11:22:33:44:02', '00:11:22:33:44:03']) {
+      emulator.model.learnMAC(mac, 1)
+    }
+    expect(await securityOf('sodola_office', 'Port 1')).toEqual({
+      port: 'Port 1', enabled: true, maxMacs: 2, action: 'drop', learned: 2, violations: 1, shutdown: false
+    })
+
+    const single = await portSecurityTools.configurePortSecurity({ profile: 'user-access', switch_id: 'sodola_office', port_id: 'Port 9' })
+    expect(single.message).toBe('Port profile user-access applied to 1 of 1 ports')
+    expect(emulator.model.findPort(9).security).toMatchObject({ enabled: true, maxMac: 2, action: 'drop' })
+  })
+
+  test('should keep the other Sodola form fields when changing one setting', async () => {
+    await portSecurityTools.configurePortSecurity({ switch_id: 'sodola_office', port_id: 'Port 2', action: 'log' })
+
+    expect(emulator.model.findPort(2).security).toMatchObject({ enabled: true, maxMac: 2, action: 'log' })
+  })
+
+  test('should reject invalid settings', async () => {
+    jest.spyOn(config, 'getPortProfile').mockReturnValue(null)
+
+    await expect(portSecurityTools.configurePortSecurity({ profile: 'nope' }))
+      .rejects.toThrow('Port profile nope is not defined')
+    await expect(portSecurityTools.configurePortSecurity({ profile: 'nope', max_macs: 4 }))
+      .rejects.toThrow('profile cannot be combined with enabled, max_macs or action')
+    await expect(portSecurityTools.configurePortSecurity({ switch_id: 'vimins_core1', port_id: 'TE1', action: 'restrict' }))
+      .rejects.toThrow('action must be one of: drop, shutdown, log')
+    await expect(portSecurityTools.configurePortSecurity({ switch_id: 'vimins_core1', port_id: 'TE1', max_macs: 0 }))
+      .rejects.toThrow('max_macs must be a whole number of at least 1')
+    await expect(portSecurityTools.configurePortSecurity({ switch_id: 'sodola_office', port_id: 'Port 3', max_macs: 40 }))
+      .rejects.toThrow('Max MAC must be 1-32')
+  })
+})
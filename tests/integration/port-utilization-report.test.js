@@ -0,0 +1,133 @@
+/**
+ * Port Utilization Report Integration Tests
+ * Collects counters from the Vimins simulator and the Sodola emulator, injects port
+ * errors and checks the report and the error-rate alerts built from them
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const DiagnosticsService = require('../../src/services/diagnostics/DiagnosticsService')
+const CounterCollector = require('../../src/services/metrics/CounterCollector')
+const TimeSeriesStore = require('../../src/services/metrics/TimeSeriesStore')
+const trafficTools = require('../../src/tools/trafficTools')
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Port utilization report', () => {
+  let simulator
+  let emulator
+  let service
+  let collector
+
+  const portOf = (result, switchId, port) => result.data.switches[switchId].ports.find(p => p.port === port)
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+    collector = new CounterCollector(service, new TimeSeriesStore({ filePath: null }))
+    global.mcpServices = { switchManager: service, counterCollector: collector }
+
+    // TE2 sees bad frames between the two polls
+    await collector.collect()
+    await wait(100)
+    simulator.model.updateCounters()
+    simulator.model.ports[1].counters.rxErr += 5
+    await collector.collect()
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await collector.cleanup()
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  test('should report utilization, error rates and top talkers per port', async () => {
+    const result = await trafficTools.portUtilizationReport({ switch_id: 'vimins_core1', duration_minutes: 10, top_talkers: 2 })
+
+    expect(result.message).toBe('Port utilization report for 8 ports on 1 switches; 1 ports exceed the 1% error rate threshold')
+    expect(result.data.ports_over_error_threshold).toEqual(['vimins_core1:TE2'])
+
+    const te2 = portOf(result, 'vimins_core1', 'TE2')
+    expect(te2).toMatchObject({ speedMbps: 10000, samples: 1, rxErrors: 5, overErrorThreshold: true })
+    expect(te2.errorRate).toBeGreaterThan(0.01)
+    expect(te2.rxPercent).toBeGreaterThan(0)
+    expect(te2.rxPercent).toBeLessThan(1)
+    expect(portOf(result, 'vimins_core1', 'TE1')).toMatchObject({ errorRate: 0, discardRate: 0, overErrorThreshold: false })
+    // A port without link has no speed to measure against and no packets to rate
+    expect(portOf(result, 'vimins_core1', 'TE8')).toMatchObject({ speedMbps: null, rxPercent: null, errorRate: null })
+
+    expect(result.data.top_talkers.map(talker => talker.port)).toEqual(['TE6', 'TE5'])
+    expect(result.data.top_talkers[0].bytes).toBeGreaterThan(result.data.top_talkers[1].bytes)
+  })
+
+  test('should cover every online switch and report missing discard counters as unknown', async () => {
+    const result = await trafficTools.portUtilizationReport({})
+
+    expect(Object.keys(result.data.switches)).toEqual(['vimins_core1', 'sodola_office'])
+    expect(result.data.switches.sodola_office.ports).toHaveLength(18)
+    expect(portOf(result, 'sodola_office', 'Port 17')).toMatchObject({ speedMbps: 10000, errorRate: 0, discardRate: null })
+    expect(result.data.top_talkers).toHaveLength(5)
+  })
+
+  test('should only count samples inside the window', async () => {
+    const hourAgo = Date.now() - 60 * 60 * 1000
+    const result = await trafficTools.portUtilizationReport({
+      switch_id: 'vimins_core1',
+      port_id: 'te2',
+      start_time: new Date(hourAgo - 60 * 60 * 1000).toISOString(),
+      end_time: new Date(hourAgo).toISOString()
+    })
+
+    expect(result.data.switches.vimins_core1.ports).toMatchObject([{ port: 'TE2', samples: 0, rxBytes: null, errorRate: null }])
+    expect(result.data.top_talkers).toEqual([])
+  })
+
+  test('should raise an alert for ports over the error-rate threshold', async () => {
+    const diagnostics = new DiagnosticsService(service, collector)
+    const checkForAlerts = jest.spyOn(diagnostics, 'checkForAlerts')
+
+    await diagnostics.performScheduledDiagnostics()
+
+    const alerts = checkForAlerts.mock.results.flatMap(result => result.value)
+    expect(alerts.filter(alert => alert.type === 'high_port_error_rate')).toEqual([{
+      severity: 'warning',
+      type: 'high_port_error_rate',
+      message: expect.stringMatching(/^Switch vimins_core1 port TE2 error rate: [\d.]+% \(threshold 1%\)$/),
+      port: 'TE2',
+      errorRate: expect.any(Number),
+      errors: 5,
+      packets: expect.any(Number)
+    }])
+
+    await diagnostics.cleanup()
+  })
+
+  test('should reject invalid windows', async () => {
+    await expect(trafficTools.portUtilizationReport({ port_id: 'TE2' }))
+      .rejects.toThrow('switch_id is required with port_id')
+    await expect(trafficTools.portUtilizationReport({ start_time: '2026-01-05T10:00:00Z', end_time: '2026-01-05T09:00:00Z' }))
+      .rejects.toThrow('start_time must be before end_time')
+    await expect(trafficTools.portUtilizationReport({ end_time: 'yesterday' }))
+      .rejects.toThrow('end_time must be an ISO 8601 date and time')
+    await expect(trafficTools.portUtilizationReport({ duration_minutes: -5 }))
+      .rejects.toThrow('duration_minutes must be a positive number')
+
+    global.mcpServices = { switchManager: service }
+    await expect(trafficTools.portUtilizationReport({}))
+      .rejects.toThrow('Traffic counter collection is not running')
+    global.mcpServices = { switchManager: service, counterCollector: collector }
+  })
+})
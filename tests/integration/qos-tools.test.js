@@ -0,0 +1,88 @@
+/**
+ * QoS Tools Integration Tests
+ * Sets rate limits, priority and scheduling on the Vimins simulator and the Sodola
+ * emulator and reads them back through the port model
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const qosTools = require('../../src/tools/qosTools')
+const switchTools = require('../../src/tools/switchTools')
+const { getPortErrors } = require('../../src/models/Port')
+
+describe('QoS tools', () => {
+  let simulator
+  let emulator
+  let service
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  test('should map QoS settings into the port model of both drivers', async () => {
+    const vimins = await service.getPorts('vimins_core1')
+    const sodola = await service.getPorts('sodola_office')
+
+    expect([...vimins, ...sodola].flatMap(getPortErrors)).toEqual([])
+    expect(vimins[0].qos).toEqual({ ingressRateKbps: null, egressRateKbps: null, priority: 0, scheduling: 'strict' })
+    expect(sodola[0].qos).toEqual({ ingressRateKbps: null, egressRateKbps: null, priority: 0, scheduling: 'strict' })
+  })
+
+  test('should cap and prioritise Vimins ports', async () => {
+    await qosTools.setPortRateLimit({ switch_id: 'vimins_core1', port_id: 'TE2', ingress_rate_kbps: 50000, egress_rate_kbps: 20000 })
+    await qosTools.setPortQoS({ switch_id: 'vimins_core1', port_id: '5', priority: 6, scheduling: 'wrr' })
+
+    expect(simulator.model.ports[1].qos).toMatchObject({ ingressRate: 50000, egressRate: 20000 })
+    const result = await qosTools.getPortQoS({ switch_id: 'vimins_core1', port_id: 'te5' })
+    expect(result.data.ports).toEqual([
+      { port: 'TE5', qos: { ingressRateKbps: null, egressRateKbps: null, priority: 6, scheduling: 'wrr' } }
+    ])
+
+    await qosTools.setPortRateLimit({ switch_id: 'vimins_core1', port_id: 'TE2', ingress_rate_kbps: 0 })
+    const status = await switchTools.getPortStatus({ switch_id: 'vimins_core1' })
+    expect(status.data.ports[1].qos).toMatchObject({ ingressRateKbps: null, egressRateKbps: 20000 })
+    expect(status.data.summary.rate_limited).toBe(1)
+  })
+
+  test('should keep the other Sodola form fields when changing one setting', async () => {
+    await qosTools.setPortRateLimit({ switch_id: 'sodola_office', port_id: 'Port 8', ingress_rate_kbps: 20032 })
+    await qosTools.setPortQoS({ switch_id: 'sodola_office', port_id: 'Port 8', priority: 2 })
+
+    expect(emulator.model.findPort(8).qos).toEqual({ ingressRate: 20032, egressRate: 0, priority: 2, scheduling: 'sp' })
+    const result = await qosTools.getPortQoS({ switch_id: 'sodola_office', port_id: '8' })
+    expect(result.data.ports[0].qos).toEqual({ ingressRateKbps: 20032, egressRateKbps: null, priority: 2, scheduling: 'strict' })
+  })
+
+  test('should reject invalid settings', async () => {
+    await expect(qosTools.setPortRateLimit({ switch_id: 'sodola_office', port_id: 'Port 8', egress_rate_kbps: 20000 }))
+      .rejects.toThrow('Rate must be 0 or a multiple of 64 Kbps')
+    await expect(qosTools.setPortQoS({ switch_id: 'vimins_core1', port_id: 'TE1', priority: 8 }))
+      .rejects.toThrow('priority must be 0-7')
+    await expect(qosTools.setPortQoS({ switch_id: 'vimins_core1', port_id: 'TE1', scheduling: 'wfq' }))
+      .rejects.toThrow('scheduling must be one of: strict, wrr')
+    await expect(qosTools.setPortRateLimit({ switch_id: 'vimins_core1', port_id: 'TE1', ingress_rate_kbps: -1 }))
+      .rejects.toThrow('ingress_rate_kbps must be a whole number of kbps')
+    await expect(qosTools.setPortRateLimit({ switch_id: 'vimins_core1', port_id: 'TE9', ingress_rate_kbps: 1000 }))
+      .rejects.toThrow('Interface TE9 does not exist on VM-S100-0800MS')
+  })
+})
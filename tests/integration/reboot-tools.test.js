@@ -0,0 +1,151 @@
+/**
+ * Save and Reboot Tools Integration Tests
+ * Saves running configuration and reboots the Vimins simulator and Sodola emulator,
+ * watching them come back through healthCheck()
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const configurationTools = require('../../src/tools/configurationTools')
+const switchTools = require('../../src/tools/switchTools')
+const config = require('../../src/utils/config')
+
+describe('Save and reboot tools', () => {
+  let simulator
+  let emulator
+  let service
+  const pollInterval = config.monitoring.rebootPollInterval
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret', rebootTime: 300 })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret', rebootTime: 300 })
+    const viminsPort = await simulator.start(0)
+    const sodolaPort = await emulator.start(0)
+
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+    const viminsConfig = { ...credentials, name: 'Sim_Core', httpPort: viminsPort, type: 'vimins', model: 'VM-S100-0800MS' }
+    const sodolaConfig = { ...credentials, name: 'Sim_Office', httpPort: sodolaPort, type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(viminsConfig), config: viminsConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(sodolaConfig), config: sodolaConfig, status: 'online' })
+
+    config.monitoring.rebootPollInterval = 100
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    config.monitoring.rebootPollInterval = pollInterval
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  test('should require confirmation', async () => {
+    await expect(switchTools.rebootSwitch({ switch_id: 'vimins_core1' }))
+      .rejects.toThrow('pass confirm: true to proceed')
+    await expect(configurationTools.saveRunningConfig({ switch_id: 'vimins_core1' }))
+      .rejects.toThrow('Saving replaces the startup configuration of vimins_core1')
+  })
+
+  test('should report unsaved changes and refuse to discard them', async () => {
+    await service.getSwitchManager('vimins_core1').createVLAN(300, 'LAB')
+
+    const status = await switchTools.getSwitchStatus({ switch_id: 'vimins_core1' })
+    expect(status.data.unsaved_changes).toBe(true)
+
+    await expect(switchTools.rebootSwitch({ switch_id: 'vimins_core1', confirm: true }))
+      .rejects.toThrow('vimins_core1 has unsaved changes that a reboot would discard')
+    expect(simulator.model.vlans.has(300)).toBe(true)
+  })
+
+  test('should discard unsaved changes on a forced reboot and come back online', async () => {
+    // The simulator stays down until the test has seen two failed health checks
+    const healthCheck = jest.spyOn(service.getSwitch('vimins_core1').manager, 'healthCheck')
+    simulator.rebootTime = Infinity
+    const rebooting = switchTools.rebootSwitch({ switch_id: 'vimins_core1', confirm: true, force: true, wait: true })
+    try {
+      while (healthCheck.mock.calls.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 20))
+      }
+    } finally {
+      simulator.rebootingUntil = 0
+      simulator.rebootTime = 300
+    }
+    const result = await rebooting
+    healthCheck.mockRestore()
+
+    expect(result.success).toBe(true)
+    expect(result.data).toMatchObject({ online: true, had_unsaved_changes: true, saved_before_reboot: false })
+    expect(result.data.health_checks).toBeGreaterThan(1)
+    expect(simulator.model.vlans.has(300)).toBe(false)
+    expect(service.getSwitch('vimins_core1').status).toBe('online')
+  })
+
+  test('should keep saved changes across a reboot', async () => {
+    await service.getSwitchManager('vimins_core1').createVLAN(300, 'LAB')
+    const saved = await configurationTools.saveRunningConfig({ switch_id: 'vimins_core1', confirm: true })
+    expect(saved.data.had_unsaved_changes).toBe(true)
+
+    const result = await switchTools.rebootSwitch({ switch_id: 'vimins_core1', confirm: true, wait: true })
+    expect(result.data).toMatchObject({ online: true, had_unsaved_changes: false })
+    expect(simulator.model.vlans.get(300).vlanName).toBe('LAB')
+  })
+
+  test('should save first and reboot a Sodola switch', async () => {
+    await service.getSwitchManager('sodola_office').createVLAN(400, 'GUEST')
+    await expect(service.getConfigurationStatus('sodola_office')).resolves.toEqual({ unsavedChanges: true })
+
+    const result = await switchTools.rebootSwitch({ switch_id: 'sodola_office', confirm: true, save_first: true, wait: true })
+    expect(result.data).toMatchObject({ online: true, had_unsaved_changes: true, saved_before_reboot: true })
+    expect(emulator.model.vlans.get(400).name).toBe('GUEST')
+    await expect(service.getConfigurationStatus('sodola_office')).resolves.toEqual({ unsavedChanges: false })
+  })
+
+  test('should report a switch that does not come back', async () => {
+    simulator.rebootTime = 5000
+
+    const result = await switchTools.rebootSwitch({ switch_id: 'vimins_core1', confirm: true, wait: true, timeout_seconds: 1 })
+    expect(result.success).toBe(false)
+    expect(result.data.online).toBe(false)
+    expect(service.getSwitch('vimins_core1').status).toBe('offline')
+  })
+
+  test('should return once the reboot is issued and report progress in the switch status', async () => {
+    // Bring the simulator back from the previous test's reboot
+    simulator.rebootingUntil = 0
+    simulator.rebootTime = 300
+
+    const result = await switchTools.rebootSwitch({ switch_id: 'vimins_core1', confirm: true })
+    expect(result.success).toBe(true)
+    expect(result.message).toContain('poll get_switch_status')
+    expect(service.getSwitch('vimins_core1').status).toBe('rebooting')
+
+    let status = await switchTools.getSwitchStatus({ switch_id: 'vimins_core1' })
+    while (status.data.status === 'rebooting') {
+      await new Promise(resolve => setTimeout(resolve, 50))
+      status = await switchTools.getSwitchStatus({ switch_id: 'vimins_core1' })
+    }
+    expect(status.data.status).toBe('online')
+    expect(status.data.reboot).toMatchObject({ online: true, error: null })
+    expect(status.data.reboot.health_checks).toBeGreaterThan(0)
+  })
+
+  test('should mark the switch offline when its health check throws', async () => {
+    const healthCheck = jest.spyOn(service.getSwitch('vimins_core1').manager, 'healthCheck')
+      .mockRejectedValue(new Error('socket hang up'))
+
+    try {
+      const result = await switchTools.rebootSwitch({ switch_id: 'vimins_core1', confirm: true, wait: true, timeout_seconds: 1 })
+      expect(result.success).toBe(false)
+      expect(result.data.error).toBe('socket hang up')
+      expect(service.getSwitch('vimins_core1').status).toBe('offline')
+    } finally {
+      healthCheck.mockRestore()
+    }
+  })
+})
@@ -0,0 +1,139 @@
+/**
+ * Sodola Emulator Integration Tests
+ * Runs SodolaManager's HTML scraping against the local web interface emulator
+ */
+
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+
+function createManager(port, overrides = {}) {
+  return new SodolaManager({
+    name: 'Sim_Office',
+    ip: '127.0.0.1',
+    httpPort: port,
+    type: 'sodola',
+    model: 'SL-SWTGW218AS',
+    username: 'admin',
+    password: 'secret',
+    timeout: 2000,
+    ...overrides
+  })
+}
+
+describe('Sodola Web Emulator', () => {
+  let emulator
+  let manager
+
+  beforeAll(async () => {
+    emulator = new SodolaEmulator({ name: 'Sim_Office', username: 'admin', password: 'secret' })
+    const port = await emulator.start(0)
+    manager = createManager(port)
+  })
+
+  afterAll(async () => {
+    await emulator.stop()
+  })
+
+  test('should require a session for configuration pages', async () => {
+    await expect(manager.client.get('/vlan.html')).rejects.toMatchObject({ response: { status: 401 } })
+  })
+
+  test('should reject invalid credentials on the login form', async () => {
+    const badManager = createManager(emulator.port, { password: 'wrong' })
+    await expect(badManager.authenticate()).rejects.toThrow('Form-based login failed')
+  })
+
+  test('should fall back to form login and keep the session cookie', async () => {
+    await expect(manager.authenticate()).resolves.toBe(true)
+
+    const cookies = await manager.cookieJar.getCookieString(manager.client.defaults.baseURL)
+    expect(cookies).toContain('SESSIONID=')
+  })
+
+  test('should scrape system information', async () => {
+    const systemInfo = await manager.getSystemInfo()
+    const info = systemInfo['/system.html']
+
+    expect(info.model).toBe('SL-SWTGW218AS')
+    expect(info['firmware version']).toBe('V1.2.0.5')
+    expect(info['mac address']).toMatch(/^([0-9A-F]{2}:){5}[0-9A-F]{2}$/)
+    expect(info['system uptime']).toContain('days')
+  })
+
+  test('should scrape port status tables', async () => {
+    const portStatus = await manager.getPortStatus()
+    const ports = portStatus['/port.html']
+
+    expect(ports).toHaveLength(18)
+    expect(ports[0]).toMatchObject({ port: 'Port 1', state: 'Enable', 'link status': 'Link Up', 'speed/duplex': '2500M/Full' })
+    expect(ports[17]).toMatchObject({ port: 'Port 18', 'speed/duplex': '10G/Full', media: 'SFP+' })
+    expect(portStatus['/interface.html']).toBeUndefined()
+  })
+
+  test('should apply port setting form posts', async () => {
+    await manager.configurePort('5', { state: 'disable' })
+
+    const ports = (await manager.getPortStatus())['/port.html']
+    expect(ports[4]).toMatchObject({ state: 'Disable', 'link status': 'Link Down' })
+  })
+
+  test('should round-trip VLAN creation and port membership', async () => {
+    await manager.createVLAN(100, 'BACKUP', 'Backup Infrastructure')
+    await manager.configureVLANPort('Port 8', { vlanId: 100, tagged: true })
+    await manager.configureVLANPort('Port 3', { vlanId: 100, tagged: false, pvid: 100 })
+
+    const vlanConfig = await manager.getVLANConfig()
+    const vlan = vlanConfig['/vlan.html'].find(v => v['vlan id'] === '100')
+    const described = vlanConfig['/vlan_config.html'].find(v => v['vlan id'] === '100')
+
+    expect(vlan).toMatchObject({ 'vlan name': 'BACKUP', 'tagged ports': '8', 'untagged ports': '3', 'member ports': '3,8' })
+    expect(described.description).toBe('Backup Infrastructure')
+    expect(emulator.model.findPort(3).pvid).toBe(100)
+  })
+
+  test('should surface rejected form posts as errors', async () => {
+    await expect(manager.createVLAN(100, 'DUPLICATE')).rejects.toThrow('already exist')
+    await expect(manager.configureVLANPort('Port 99', { vlanId: 100 })).rejects.toThrow('Interface Port 99 does not exist on SL-SWTGW218AS')
+  })
+
+  test('should remove ports from a VLAN and delete it', async () => {
+    await manager.removePortFromVLAN('Port 3', 100)
+    expect(emulator.model.findPort(3).pvid).toBe(1)
+
+    await manager.deleteVLAN(100)
+    const vlans = (await manager.getVLANConfig())['/vlan.html']
+    expect(vlans.map(v => v['vlan id'])).toEqual(['1'])
+  })
+
+  test('should round-trip configuration backup and restore', async () => {
+    await manager.createVLAN(200, 'SERVERS')
+    const backup = await manager.backupConfiguration()
+    expect(backup.configFile).toBeDefined()
+
+    await manager.deleteVLAN(200)
+    await manager.restoreConfiguration(backup)
+
+    expect(emulator.model.vlans.get(200).name).toBe('SERVERS')
+  })
+
+  describe('HTTP Basic auth mode', () => {
+    let basicEmulator
+
+    beforeAll(async () => {
+      basicEmulator = new SodolaEmulator({ authMode: 'basic', username: 'admin', password: 'secret' })
+      await basicEmulator.start(0)
+    })
+
+    afterAll(async () => {
+      await basicEmulator.stop()
+    })
+
+    test('should authenticate with basic auth and see the frameset', async () => {
+      const basicManager = createManager(basicEmulator.port)
+      await expect(basicManager.authenticate()).resolves.toBe(true)
+
+      const html = await basicManager.getPage('/')
+      expect(html).toContain('<frame name="main" src="/system.html"')
+    })
+  })
+})
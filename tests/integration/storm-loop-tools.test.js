@@ -0,0 +1,135 @@
+/**
+ * Storm Control and Loop Detection Integration Tests
+ * Sets storm thresholds and loop detection on the Vimins simulator and the Sodola
+ * emulator, simulates loops and checks they surface as critical diagnostics alerts
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const DiagnosticsService = require('../../src/services/diagnostics/DiagnosticsService')
+const stormControlTools = require('../../src/tools/stormControlTools')
+const switchTools = require('../../src/tools/switchTools')
+
+describe('Storm control and loop detection tools', () => {
+  let simulator
+  let emulator
+  let service
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  test('should set storm thresholds on one port or every port', async () => {
+    await stormControlTools.configureStormControl({ switch_id: 'vimins_core1', port_id: 'TE2', broadcast_pps: 2000, multicast_pps: 8000 })
+    expect(simulator.model.ports[1].storm).toEqual({ bcastRate: 2000, mcastRate: 8000, uucastRate: 0 })
+
+    const all = await stormControlTools.configureStormControl({ switch_id: 'sodola_office', broadcast_pps: 1000 })
+    expect(all.message).toBe('Storm control configured on 18 ports on sodola_office')
+    await stormControlTools.configureStormControl({ switch_id: 'sodola_office', port_id: '3', unknown_unicast_pps: 5000 })
+
+    expect(emulator.model.findPort(3).storm).toEqual({ broadcast: 1000, multicast: 0, unknownUnicast: 5000 })
+    const result = await stormControlTools.getStormControl({ switch_id: 'sodola_office', port_id: 'Port 3' })
+    expect(result.data.ports).toEqual([{ port: 'Port 3', broadcastPps: 1000, multicastPps: null, unknownUnicastPps: 5000 }])
+
+    const core = await stormControlTools.getStormControl({ switch_id: 'vimins_core1' })
+    expect(core.message).toBe('Storm control is set on 1 of 8 ports on vimins_core1')
+  })
+
+  test('should configure loop detection per switch and port', async () => {
+    await stormControlTools.configureLoopDetection({ switch_id: 'sodola_office', enabled: true, interval_seconds: 3 })
+    await stormControlTools.configureLoopDetectionPort({ switch_id: 'sodola_office', port_id: 'Port 17', enabled: false })
+    await stormControlTools.configureLoopDetection({ switch_id: 'vimins_core1', enabled: true, action: 'log' })
+
+    expect(emulator.model.loopDetection).toMatchObject({ enabled: true, interval: 3, action: 'shutdown' })
+    expect(emulator.model.simulateLoop(17)).toBe(false)
+
+    const result = await stormControlTools.getLoopDetection({ switch_id: 'vimins_core1' })
+    expect(result.data.loop_detection).toMatchObject({ enabled: true, intervalSeconds: 5, action: 'log' })
+    expect(result.message).toBe('Loop detection is enabled on vimins_core1; 0 ports have seen a loop')
+  })
+
+  test('should raise each detected loop once as a critical alert', async () => {
+    const diagnostics = new DiagnosticsService(service)
+    const checkForAlerts = jest.spyOn(diagnostics, 'checkForAlerts')
+    const alertsFor = (switchId) => checkForAlerts.mock.calls
+      .map((call, i) => [call[0], checkForAlerts.mock.results[i].value])
+      .filter(([id]) => id === switchId)
+      .flatMap(([, alerts]) => alerts)
+
+    // The first run only records the loop counts
+    await diagnostics.performScheduledDiagnostics()
+    expect(alertsFor('sodola_office').concat(alertsFor('vimins_core1')).filter(alert => alert.type === 'loop_detected')).toEqual([])
+
+    emulator.model.simulateLoop(2)
+    simulator.model.simulateLoop('TE1')
+    await diagnostics.performScheduledDiagnostics()
+
+    expect(alertsFor('sodola_office')).toEqual([{
+      severity: 'critical',
+      type: 'loop_detected',
+      message: 'Switch sodola_office detected a loop on port Port 2 and shut the port down',
+      port: 'Port 2',
+      loops: 1,
+      lastLoopAt: expect.any(String)
+    }])
+    expect(alertsFor('vimins_core1')).toMatchObject([{ type: 'loop_detected', port: 'TE1', loops: 1 }])
+    expect(emulator.model.findPort(2).adminEnable).toBe(false)
+
+    // Nothing new since the last run
+    checkForAlerts.mockClear()
+    await diagnostics.performScheduledDiagnostics()
+    expect(alertsFor('sodola_office')).toEqual([])
+
+    simulator.model.simulateLoop('TE1')
+    simulator.model.simulateLoop('TE1')
+    await diagnostics.performScheduledDiagnostics()
+    expect(alertsFor('vimins_core1')).toMatchObject([{ type: 'loop_detected', port: 'TE1', loops: 2 }])
+
+    // A counter that went down was reset, so all of its loops are new
+    checkForAlerts.mockClear()
+    simulator.model.loopDetect.ports.get(0).loopCount = 0
+    simulator.model.simulateLoop('TE1')
+    await diagnostics.performScheduledDiagnostics()
+    expect(alertsFor('vimins_core1')).toMatchObject([{ type: 'loop_detected', port: 'TE1', loops: 1 }])
+
+    await switchTools.configurePort({ switch_id: 'sodola_office', port_id: 'Port 2', config: { state: 'enable' } })
+    const status = await stormControlTools.getLoopDetection({ switch_id: 'sodola_office' })
+    expect(status.data.loop_detection.ports[1]).toMatchObject({ port: 'Port 2', loops: 1, shutdown: false })
+    expect(status.data.looped_ports).toEqual(['Port 2'])
+
+    await diagnostics.cleanup()
+  })
+
+  test('should reject invalid settings', async () => {
+    await expect(stormControlTools.configureStormControl({ switch_id: 'sodola_office', port_id: 'Port 1', broadcast_pps: 9000000 }))
+      .rejects.toThrow('Storm control rate must be 0-3720000 pps')
+    await expect(stormControlTools.configureStormControl({ switch_id: 'vimins_core1', broadcast_pps: -5 }))
+      .rejects.toThrow('broadcast_pps must be a whole number of packets per second')
+    await expect(stormControlTools.configureStormControl({ switch_id: 'vimins_core1' }))
+      .rejects.toThrow('broadcast_pps, multicast_pps or unknown_unicast_pps is required')
+    await expect(stormControlTools.configureLoopDetection({ switch_id: 'vimins_core1', action: 'block' }))
+      .rejects.toThrow('action must be one of: shutdown, log')
+    await expect(stormControlTools.configureLoopDetection({ switch_id: 'vimins_core1', interval_seconds: 0 }))
+      .rejects.toThrow('interval_seconds must be 1-60')
+  })
+})
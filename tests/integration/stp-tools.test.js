@@ -0,0 +1,138 @@
+/**
+ * Spanning Tree Tools Integration Tests
+ * Reads and changes STP settings on two Vimins cores and a Sodola access switch,
+ * and checks the network-wide root bridge
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const stpTools = require('../../src/tools/stpTools')
+const config = require('../../src/utils/config')
+const { parseBridgeId, getStpErrors } = require('../../src/models/Stp')
+
+const CORE1_MAC = '00:E0:4C:68:00:01'
+const CORE2_MAC = '00:E0:4C:68:00:02'
+
+describe('Spanning tree tools', () => {
+  const simulators = {}
+  let service
+
+  beforeAll(async () => {
+    // core2 and the access switch hear core1's BPDUs on their uplinks
+    simulators.core1 = new ViminsSimulator({ username: 'admin', password: 'secret', mac: CORE1_MAC })
+    simulators.core2 = new ViminsSimulator({
+      username: 'admin',
+      password: 'secret',
+      mac: CORE2_MAC,
+      stpUpstream: { priority: 32768, mac: CORE1_MAC, portId: 2, pathCost: 0 }
+    })
+    simulators.office = new SodolaEmulator({
+      username: 'admin',
+      password: 'secret',
+      stpUpstream: { priority: 32768, mac: CORE1_MAC, portId: 17, pathCost: 2000 }
+    })
+
+    service = new SwitchManagerService()
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+    for (const [key, simulator] of Object.entries(simulators)) {
+      const httpPort = await simulator.start(0)
+      const type = key === 'office' ? 'sodola' : 'vimins'
+      const switchConfig = type === 'sodola'
+        ? { ...credentials, name: key, httpPort, type, model: 'SL-SWTGW218AS' }
+        : { ...credentials, name: key, httpPort, type, model: 'VM-S100-0800MS' }
+      const Manager = type === 'sodola' ? SodolaManager : ViminsManager
+      service.switches.set(`${type}_${key}`, { manager: new Manager(switchConfig), config: switchConfig, status: 'online' })
+    }
+
+    jest.spyOn(config, 'getTopology').mockReturnValue({
+      interCoreLinks: {},
+      uplinkConnections: {
+        office: { switch: 'sodola.office', primaryCore: 'vimins.core1', secondaryCore: 'vimins.core2' }
+      }
+    })
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    jest.restoreAllMocks()
+    await service.cleanup()
+    for (const simulator of Object.values(simulators)) {
+      await simulator.stop()
+    }
+  })
+
+  test('should parse bridge IDs in vendor notations', () => {
+    expect(parseBridgeId('32768/1c2a.a31e.8df8')).toEqual({ priority: 32768, mac: '1C:2A:A3:1E:8D:F8' })
+    expect(parseBridgeId('4096.00:E0:4C:68:00:01')).toEqual({ priority: 4096, mac: CORE1_MAC })
+    expect(parseBridgeId('root')).toBeNull()
+  })
+
+  test('should report root identity and port roles from both drivers', async () => {
+    const core2 = (await stpTools.getSTPStatus({ switch_id: 'vimins_core2' })).data.stp
+    expect(getStpErrors(core2)).toEqual([])
+    expect(core2).toMatchObject({
+      enabled: true,
+      mode: 'rstp',
+      priority: 32768,
+      bridgeId: `32768.${CORE2_MAC}`,
+      rootBridgeId: `32768.${CORE1_MAC}`,
+      isRoot: false,
+      rootPort: 'TE3',
+      rootPathCost: 2000
+    })
+    expect(core2.ports.find(port => port.port === 'TE3')).toMatchObject({ role: 'root', state: 'forwarding' })
+    expect(core2.ports.find(port => port.port === 'TE8')).toMatchObject({ role: 'disabled', state: 'disabled' })
+
+    const office = (await stpTools.getSTPStatus({ switch_id: 'sodola_office' })).data.stp
+    expect(getStpErrors(office)).toEqual([])
+    expect(office).toMatchObject({ rootBridgeId: `32768.${CORE1_MAC}`, rootPort: 'Port 17', rootPathCost: 4000 })
+    expect(office.ports).toHaveLength(18)
+  })
+
+  test('should set edge and BPDU guard flags on a port', async () => {
+    await stpTools.configureSTPPort({ switch_id: 'sodola_office', port_id: 'TE3', edge: true, bpdu_guard: true })
+    await stpTools.configureSTPPort({ switch_id: 'sodola_office', port_id: '3', bpdu_guard: false })
+    expect(simulators.office.model.stp.ports.get(3)).toEqual({ edge: true, bpduGuard: false })
+
+    await stpTools.configureSTPPort({ switch_id: 'vimins_core1', port_id: 'TE7', edge: true })
+    expect(simulators.core1.model.stp.ports.get(6)).toEqual({ edge: true, bpduGuard: false })
+  })
+
+  test('should validate bridge priority and mode', async () => {
+    await expect(stpTools.configureSTP({ switch_id: 'vimins_core1', priority: 5000 }))
+      .rejects.toThrow('Invalid bridge priority: 5000 (0-61440 in steps of 4096)')
+    await expect(stpTools.configureSTP({ switch_id: 'vimins_core1', mode: 'mstp' }))
+      .rejects.toThrow('mode must be one of: stp, rstp')
+  })
+
+  test('should confirm a single core root', async () => {
+    const result = await stpTools.checkSTPRoot()
+
+    expect(result.data).toMatchObject({ healthy: true, rootSwitch: 'vimins_core1', rootBridgeId: `32768.${CORE1_MAC}`, issues: [] })
+    expect(result.data.cores).toEqual(['vimins_core1', 'vimins_core2'])
+  })
+
+  test('should flag an access switch that takes over as root', async () => {
+    await stpTools.configureSTP({ switch_id: 'sodola_office', priority: 0, mode: 'stp' })
+    expect(simulators.office.model.stp).toMatchObject({ priority: 0, mode: 'stp', enabled: true })
+
+    const result = await stpTools.checkSTPRoot()
+    expect(result.data.healthy).toBe(false)
+    expect(result.data.issues[0]).toMatch(/^Switches disagree on the root bridge: /)
+
+    await stpTools.configureSTP({ switch_id: 'sodola_office', priority: 32768, mode: 'rstp' })
+  })
+
+  test('should flag more than one core claiming root', async () => {
+    await stpTools.configureSTP({ switch_id: 'vimins_core2', priority: 4096 })
+
+    const result = await stpTools.checkSTPRoot()
+    expect(result.data.issues).toContain('More than one core is root: vimins_core1, vimins_core2')
+
+    await stpTools.configureSTP({ switch_id: 'vimins_core2', priority: 32768 })
+  })
+})
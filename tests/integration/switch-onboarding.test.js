@@ -0,0 +1,143 @@
+/**
+ * Switch Onboarding Integration Tests
+ * Registers and decommissions simulated switches through the MCP tools
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+
+describe('Switch onboarding tools', () => {
+  let tempDir
+  let inventoryFile
+  let vimins
+  let sodola
+  let config
+  let driverRegistry
+  let switchTools
+  let switchManager
+  let configuration
+
+  const readInventory = () => yaml.load(fs.readFileSync(inventoryFile, 'utf8'))
+
+  beforeAll(async () => {
+    vimins = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    sodola = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    await vimins.start(0)
+    await sodola.start(0)
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-'))
+    inventoryFile = path.join(tempDir, 'inventory.yaml')
+    fs.writeFileSync(inventoryFile, yaml.dump({
+      switches: {
+        vimins: { core1: { ip: '192.0.2.1', name: 'Core_1' } }
+      }
+    }))
+
+    process.env.INVENTORY_FILE = inventoryFile
+    jest.isolateModules(() => {
+      config = require('../../src/utils/config')
+      driverRegistry = require('../../src/services/switch_managers/driverRegistry')
+      switchTools = require('../../src/tools/switchTools')
+      const SwitchManagerService = require('../../src/services/SwitchManagerService')
+      const ConfigurationService = require('../../src/services/configuration/ConfigurationService')
+      driverRegistry.discover()
+      switchManager = new SwitchManagerService()
+      configuration = new ConfigurationService(switchManager)
+    })
+
+    configuration.backupDirectory = tempDir
+    global.mcpServices = { switchManager, configuration }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    delete process.env.INVENTORY_FILE
+    config.stopWatchingInventory()
+    await vimins.stop()
+    await sodola.stop()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('should detect vendor and model by probing', async () => {
+    await expect(driverRegistry.probe('127.0.0.1', { httpPort: vimins.port }))
+      .resolves.toMatchObject({ type: 'vimins', vendor: 'Vimins', model: 'VM-S100-0800MS' })
+    await expect(driverRegistry.probe('127.0.0.1', { httpPort: sodola.port }))
+      .resolves.toMatchObject({ type: 'sodola', vendor: 'Sodola', model: 'SL-SWTGW218AS' })
+  })
+
+  test('should not register a switch that fails authentication', async () => {
+    await expect(switchTools.registerSwitch({
+      ip: '127.0.0.1',
+      http_port: sodola.port,
+      name: 'Lab Switch',
+      username: 'admin',
+      password: 'wrong'
+    })).rejects.toThrow()
+
+    expect(switchManager.switches.has('sodola_lab-switch')).toBe(false)
+    expect(readInventory().switches.sodola).toBeUndefined()
+  })
+
+  test('should register a probed switch and persist it to the inventory', async () => {
+    const result = await switchTools.registerSwitch({
+      ip: '127.0.0.1',
+      http_port: sodola.port,
+      name: 'Lab Switch',
+      username: 'admin',
+      password: 'secret'
+    })
+
+    expect(result.data).toMatchObject({
+      switch_id: 'sodola_lab-switch',
+      type: 'sodola',
+      model: 'SL-SWTGW218AS',
+      status: 'online',
+      persisted_to_inventory: true
+    })
+    expect(switchManager.getSwitchManager('sodola_lab-switch').authenticated).toBe(true)
+    expect(readInventory().switches.sodola['lab-switch']).toMatchObject({
+      ip: '127.0.0.1',
+      httpPort: sodola.port,
+      model: 'SL-SWTGW218AS'
+    })
+    expect(readInventory().switches.vimins.core1.ip).toBe('192.0.2.1')
+  })
+
+  test('should reject a switch that is already managed', async () => {
+    await expect(switchTools.registerSwitch({ ip: '127.0.0.1', http_port: sodola.port, name: 'Again' }))
+      .rejects.toThrow('already managed as sodola_lab-switch')
+  })
+
+  test('should take a final backup and decommission the switch', async () => {
+    const result = await switchTools.decommissionSwitch({ switch_id: 'sodola_lab-switch' })
+
+    expect(result.data.final_backup.backup_id).toMatch(/^sodola_lab-switch_/)
+    expect(fs.existsSync(path.join(tempDir, `${result.data.final_backup.backup_id}.json`))).toBe(true)
+    expect(switchManager.switches.has('sodola_lab-switch')).toBe(false)
+    expect(readInventory().switches.sodola).toBeUndefined()
+    expect(config.getSwitch('sodola_lab-switch')).toBeNull()
+  })
+
+  test('should refuse to decommission without a backup unless forced', async () => {
+    await switchTools.registerSwitch({
+      ip: '127.0.0.1',
+      http_port: vimins.port,
+      name: 'Lab Core',
+      username: 'admin',
+      password: 'secret'
+    })
+    jest.spyOn(configuration, 'createSwitchBackup').mockRejectedValueOnce(new Error('switch unreachable'))
+
+    await expect(switchTools.decommissionSwitch({ switch_id: 'vimins_lab-core' }))
+      .rejects.toThrow('Final backup of vimins_lab-core failed: switch unreachable')
+    expect(switchManager.switches.has('vimins_lab-core')).toBe(true)
+
+    const result = await switchTools.decommissionSwitch({ switch_id: 'vimins_lab-core', skip_backup: true })
+    expect(result.data.final_backup).toBeNull()
+    expect(readInventory().switches.vimins['lab-core']).toBeUndefined()
+  })
+})
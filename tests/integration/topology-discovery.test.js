@@ -0,0 +1,180 @@
+/**
+ * Topology Discovery Integration Tests
+ * Builds the switch-to-switch links from the LLDP tables of two Vimins cores and a
+ * Sodola access switch and compares them with the configured topology
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const switchTools = require('../../src/tools/switchTools')
+const config = require('../../src/utils/config')
+
+const CORE1_MAC = '00:E0:4C:68:00:01'
+const CORE2_MAC = '00:E0:4C:68:00:02'
+const OFFICE_MAC = '1C:2A:A3:00:00:01'
+
+// All simulators listen on 127.0.0.1, so neighbors are told apart by system name
+const neighbor = (sysName, chassisId, portId, extra = {}) => ({ sysName, chassisId, portId, mgmtAddr: '127.0.0.1', ...extra })
+
+describe('Topology discovery over LLDP', () => {
+  const simulators = {}
+  let service
+
+  const topology = (overrides = {}) => ({
+    interCoreLinks: {
+      lag1: { core1Ports: ['TE3', 'TE4'], core2Ports: ['TE3', 'TE4'] }
+    },
+    uplinkConnections: {
+      office: {
+        switch: 'sodola.office',
+        primaryCore: 'vimins.core1',
+        primaryPort: 'TE6',
+        secondaryCore: 'vimins.core2',
+        secondaryPort: 'LAG2'
+      }
+    },
+    ...overrides
+  })
+
+  beforeAll(async () => {
+    // core1 TE4 was re-patched into core2 TE5 instead of TE4
+    simulators.core1 = new ViminsSimulator({
+      username: 'admin',
+      password: 'secret',
+      mac: CORE1_MAC,
+      lldpNeighbors: [
+        { localPortId: 0, chassisId: 'BC:24:11:00:00:10', portId: 'enp1s0', sysName: 'pve1', mgmtAddr: '10.0.5.10' },
+        { localPortId: 2, ...neighbor('Core_2', CORE2_MAC, 'TE3') },
+        { localPortId: 3, ...neighbor('Core_2', CORE2_MAC, 'TE5') },
+        { localPortId: 5, ...neighbor('Office', OFFICE_MAC, OFFICE_MAC, { portDesc: 'Port 17' }) }
+      ]
+    })
+    simulators.core2 = new ViminsSimulator({
+      username: 'admin',
+      password: 'secret',
+      mac: CORE2_MAC,
+      lldpNeighbors: [
+        { localPortId: 2, ...neighbor('Core_1', CORE1_MAC, 'TE3') },
+        { localPortId: 4, ...neighbor('Core_1', CORE1_MAC, 'TE4') },
+        { localPortId: 5, ...neighbor('Office', OFFICE_MAC, OFFICE_MAC, { portDesc: 'Port 18' }) }
+      ]
+    })
+    simulators.office = new SodolaEmulator({
+      username: 'admin',
+      password: 'secret',
+      lldpNeighbors: [
+        { localPort: 17, chassisId: CORE1_MAC, portId: 'TE6', systemName: 'Core_1', mgmtAddress: '127.0.0.1' }
+      ]
+    })
+    simulators.core2.model.createLAG(2)
+    simulators.core2.model.setLAGPort(2, 5, 'add')
+
+    service = new SwitchManagerService()
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+    const names = { core1: 'Core_1', core2: 'Core_2', office: 'Office' }
+    for (const [key, simulator] of Object.entries(simulators)) {
+      const httpPort = await simulator.start(0)
+      const type = key === 'office' ? 'sodola' : 'vimins'
+      const model = type === 'sodola' ? 'SL-SWTGW218AS' : 'VM-S100-0800MS'
+      const switchConfig = { ...credentials, name: names[key], httpPort, type, model }
+      const Manager = type === 'sodola' ? SodolaManager : ViminsManager
+      service.switches.set(`${type}_${key}`, { manager: new Manager(switchConfig), config: switchConfig, status: 'online' })
+    }
+
+    global.mcpServices = { switchManager: service }
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    jest.restoreAllMocks()
+    await service.cleanup()
+    for (const simulator of Object.values(simulators)) {
+      await simulator.stop()
+    }
+  })
+
+  test('should derive each link once and report the miswired inter-core port', async () => {
+    jest.spyOn(config, 'getTopology').mockReturnValue(topology())
+
+    const discovered = await service.discoverTopology()
+
+    expect(discovered.links).toHaveLength(4)
+    expect(discovered.links).toEqual(expect.arrayContaining([
+      { ends: [{ switch: 'sodola_office', port: 'Port 17' }, { switch: 'vimins_core1', port: 'TE6' }], reportedBy: ['vimins_core1', 'sodola_office'], topology: 'uplink office' },
+      { ends: [{ switch: 'sodola_office', port: 'Port 18' }, { switch: 'vimins_core2', port: 'TE6' }], reportedBy: ['vimins_core2'], topology: 'uplink office' },
+      { ends: [{ switch: 'vimins_core1', port: 'TE3' }, { switch: 'vimins_core2', port: 'TE3' }], reportedBy: ['vimins_core1', 'vimins_core2'], topology: 'lag1' },
+      { ends: [{ switch: 'vimins_core1', port: 'TE4' }, { switch: 'vimins_core2', port: 'TE5' }], reportedBy: ['vimins_core1', 'vimins_core2'], topology: 'lag1' }
+    ]))
+    expect(discovered.unmanagedNeighbors).toEqual([
+      { switch: 'vimins_core1', port: 'TE1', chassisId: 'BC:24:11:00:00:10', systemName: 'pve1', remotePort: 'enp1s0' }
+    ])
+    expect(discovered.mismatches).toEqual([
+      'Inter-core link lag1: vimins_core2 TE4 has no LLDP neighbor on vimins_core1',
+      'Inter-core link lag1: vimins_core2 TE5 connects to vimins_core1 but is not in core2Ports'
+    ])
+    expect(discovered).toMatchObject({ consistent: false, unverified: [] })
+  })
+
+  test('should flag uplinks on another core port and links the topology does not list', async () => {
+    jest.spyOn(config, 'getTopology').mockReturnValue(topology({
+      interCoreLinks: {},
+      uplinkConnections: {
+        office: { switch: 'sodola.office', primaryCore: 'vimins.core1', primaryPort: 'TE5', secondaryCore: 'vimins.core2', secondaryPort: 'LAG1' }
+      }
+    }))
+
+    const { mismatches } = await service.discoverTopology()
+
+    expect(mismatches).toEqual([
+      'Uplink office: vimins_core1 reaches sodola_office on TE6, not TE5',
+      'Uplink office: vimins_core2 reaches sodola_office on TE6, not LAG1',
+      'Link vimins_core1 TE3 <-> vimins_core2 TE3 is not in the configured topology',
+      'Link vimins_core1 TE4 <-> vimins_core2 TE5 is not in the configured topology'
+    ])
+  })
+
+  test('should leave an inter-core side unverified when its ports do not resolve', async () => {
+    jest.spyOn(config, 'getTopology').mockReturnValue(topology({
+      interCoreLinks: {
+        lag1: { core1Ports: ['TE3', 'TE4'], core2Ports: ['TE3', 'TE12'] }
+      }
+    }))
+
+    const discovered = await service.discoverTopology()
+
+    expect(discovered.unverified).toEqual([
+      'Inter-core link lag1: could not resolve core2Ports on vimins_core2: Interface TE12 does not exist on VM-S100-0800MS (TE1-TE8)'
+    ])
+    // The other core's side is still checked
+    expect(discovered.mismatches).toEqual([])
+    expect(discovered.links.filter(link => link.topology === 'lag1')).toHaveLength(2)
+  })
+
+  test('should report mismatches through get_network_topology', async () => {
+    jest.spyOn(config, 'getTopology').mockReturnValue(topology({
+      uplinkConnections: {
+        ...topology().uplinkConnections,
+        lab: { switch: 'sodola.lab', primaryCore: 'vimins.core1', primaryPort: 'TE8' }
+      }
+    }))
+    service.switches.set('sodola_lab', {
+      manager: null,
+      config: { type: 'sodola', model: 'SL-SWTGW218AS', name: 'Lab' },
+      status: 'offline'
+    })
+
+    try {
+      const result = await switchTools.getNetworkTopology({ discover_links: true })
+
+      expect(result.message).toBe('Network topology retrieved; 3 mismatches with the links seen over LLDP')
+      expect(result.data.discovered.mismatches).toContain('Uplink lab: no link seen between vimins_core1 and sodola_lab (expected on TE8)')
+      expect(result.data.discovered.unverified).toEqual(['Could not read LLDP neighbors from sodola_lab: Switch is offline'])
+      expect(result.data.uplinkConnections.lab).toBeDefined()
+    } finally {
+      service.switches.delete('sodola_lab')
+    }
+  })
+})
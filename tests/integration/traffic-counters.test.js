@@ -0,0 +1,147 @@
+/**
+ * Traffic Counter Collection Integration Tests
+ * Polls the counters of the Vimins simulator and the Sodola emulator into the
+ * time-series store, across counter wraps and reboots, and reads them back through
+ * performance_analysis
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const CounterCollector = require('../../src/services/metrics/CounterCollector')
+const TimeSeriesStore = require('../../src/services/metrics/TimeSeriesStore')
+const diagnosticTools = require('../../src/tools/diagnosticTools')
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Traffic counter collection', () => {
+  let simulator
+  let emulator
+  let service
+  let collector
+
+  const rawPoints = (switchId, port) => collector.getSeries(switchId, port, { since: 0, resolution: 'raw' }).points
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    emulator = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const credentials = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    const coreConfig = { ...credentials, name: 'Sim_Core', httpPort: await simulator.start(0), type: 'vimins', model: 'VM-S100-0800MS' }
+    const officeConfig = { ...credentials, name: 'Sim_Office', httpPort: await emulator.start(0), type: 'sodola', model: 'SL-SWTGW218AS' }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', { manager: new ViminsManager(coreConfig), config: coreConfig, status: 'online' })
+    service.switches.set('sodola_office', { manager: new SodolaManager(officeConfig), config: officeConfig, status: 'online' })
+    collector = new CounterCollector(service, new TimeSeriesStore({ filePath: null }))
+    global.mcpServices = { switchManager: service, counterCollector: collector }
+
+    // Both switches have been up for a day
+    simulator.model.system.bootTime -= 24 * 60 * 60 * 1000
+    emulator.model.system.bootTime -= 24 * 60 * 60 * 1000
+  })
+
+  afterAll(async () => {
+    delete global.mcpServices
+    await collector.cleanup()
+    await service.cleanup()
+    await simulator.stop()
+    await emulator.stop()
+  })
+
+  test('should read counters, link state and uptime from both drivers', async () => {
+    const core = await service.getPortCounters('vimins_core1')
+    const office = await service.getPortCounters('sodola_office')
+
+    expect(core.uptimeSeconds).toBeGreaterThanOrEqual(86400)
+    expect(office.uptimeSeconds).toBeGreaterThanOrEqual(86400)
+    expect(core.ports).toHaveLength(8)
+    expect(office.ports[0]).toEqual({
+      port: 'Port 1',
+      operState: 'up',
+      speedMbps: 2500,
+      counters: expect.objectContaining({ rxBytes: expect.any(Number), rxDrops: null, txDrops: null })
+    })
+  })
+
+  test('should store deltas once a baseline has been read', async () => {
+    expect(await collector.collect()).toEqual({
+      vimins_core1: { success: true, samples: 0, rebooted: false },
+      sodola_office: { success: true, samples: 0, rebooted: false }
+    })
+
+    await wait(50)
+    const results = await collector.collect()
+    expect(results.vimins_core1).toEqual({ success: true, samples: 8, rebooted: false })
+    expect(results.sodola_office).toEqual({ success: true, samples: 18, rebooted: false })
+
+    const [point] = rawPoints('vimins_core1', 'TE2')
+    expect(point.rxBytes).toBeGreaterThan(0)
+    expect(point.txBytes).toBeGreaterThan(0)
+    expect(point).toMatchObject({ rxErrors: 0, rxDrops: 0, reset: false })
+    expect(rawPoints('sodola_office', 'Port 1')[0]).toMatchObject({ rxDrops: null, reset: false })
+    // A port without traffic still has samples
+    expect(rawPoints('vimins_core1', 'TE8')[0].rxBytes).toBe(0)
+  })
+
+  test('should count through a 32-bit counter wrap', async () => {
+    simulator.model.updateCounters()
+    simulator.model.ports[0].counters.rxOctets = 2 ** 32 - 1000
+    await collector.collectSwitch('vimins_core1')
+
+    await wait(50)
+    await collector.collectSwitch('vimins_core1')
+
+    expect(simulator.model.ports[0].counters.rxOctets).toBeLessThan(2 ** 31)
+    const wrapped = rawPoints('vimins_core1', 'TE1').pop()
+    // 125 kB/s over the interval, not a negative or 4 GB jump
+    expect(wrapped.rxBytes).toBeGreaterThan(1000)
+    expect(wrapped.rxBytes).toBeLessThan(125000)
+  })
+
+  test('should count from zero after a reboot', async () => {
+    await wait(50)
+    emulator.model.reboot()
+    const result = await collector.collectSwitch('sodola_office')
+
+    expect(result).toEqual({ samples: 18, rebooted: true })
+    const point = rawPoints('sodola_office', 'Port 2').pop()
+    expect(point.reset).toBe(true)
+    expect(point.rxBytes).toBe(emulator.model.findPort(2).counters.rxBytes)
+  })
+
+  test('should report traffic over the analysis window', async () => {
+    const result = await diagnosticTools.performanceAnalysis({ switch_ids: ['vimins_core1', 'sodola_office'], duration_minutes: 5 })
+
+    const core = result.data.performance_data.vimins_core1
+    expect(core.traffic.TE2).toMatchObject({ resolution: 'raw', samples: 3, resets: 0, rxErrors: 0 })
+    expect(core.traffic.TE2.rxBps).toBeGreaterThan(0)
+    expect(core.traffic.TE2.rxPercent).toBeLessThan(1)
+    expect(core.metrics.port_utilization).toEqual(expect.any(Number))
+    expect(result.data.performance_data.sodola_office.traffic['Port 1']).toMatchObject({ samples: 2, resets: 1, rxDrops: null })
+
+    const health = await diagnosticTools.networkHealthCheck({ include_topology: false })
+    expect(health.data.performance.traffic_window_minutes).toBe(5)
+    expect(health.data.performance.traffic.vimins_core1.rx_bps).toBeGreaterThan(0)
+    expect(health.data.performance.traffic.sodola_office.discards).toBeNull()
+
+    // A window with no samples says so rather than reporting no traffic
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 60 * 1000)
+    try {
+      const stale = await diagnosticTools.networkHealthCheck({ include_topology: false, duration_minutes: 10 })
+      expect(stale.data.performance.traffic.vimins_core1).toEqual({
+        samples: 0,
+        message: 'No counter samples collected for vimins_core1 in the last 10 minutes'
+      })
+    } finally {
+      Date.now.mockRestore()
+    }
+    await expect(diagnosticTools.networkHealthCheck({ duration_minutes: 'ten' }))
+      .rejects.toThrow('duration_minutes must be a positive number')
+
+    await expect(diagnosticTools.performanceAnalysis({ duration_minutes: 0 }))
+      .rejects.toThrow('duration_minutes must be a positive number')
+  })
+})
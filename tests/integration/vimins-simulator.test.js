@@ -0,0 +1,100 @@
+/**
+ * Vimins Simulator Integration Tests
+ * Runs ViminsManager against the local CGI simulator
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+
+describe('Vimins CGI Simulator', () => {
+  let simulator
+  let manager
+
+  beforeAll(async () => {
+    simulator = new ViminsSimulator({ name: 'Sim_Core', username: 'admin', password: 'secret' })
+    const port = await simulator.start(0)
+
+    manager = new ViminsManager({
+      name: 'Sim_Core',
+      ip: '127.0.0.1',
+      httpPort: port,
+      type: 'vimins',
+      model: 'VM-S100-0800MS',
+      username: 'admin',
+      password: 'secret',
+      timeout: 2000
+    })
+  })
+
+  afterAll(async () => {
+    await simulator.stop()
+  })
+
+  test('should reject commands before login', async () => {
+    await expect(manager.client.get('/cgi/get.cgi', { params: { cmd: 'vlan_conf' } }))
+      .rejects.toMatchObject({ response: { status: 401 } })
+  })
+
+  test('should complete the login handshake', async () => {
+    await expect(manager.authenticate()).resolves.toBe(true)
+    expect(manager.authenticated).toBe(true)
+  })
+
+  test('should round-trip VLAN creation and port membership', async () => {
+    await manager.createVLAN(100, 'BACKUP', 'Backup Infrastructure')
+    await manager.configureVLANPort('TE3', { vlanId: 100, tagged: true })
+    await manager.configureVLANPort('TE5', { vlanId: 100, tagged: false, pvid: 100 })
+
+    const vlanConfig = await manager.getVLANConfig()
+    const vlan = vlanConfig.vlan_conf.vlans.find(v => v.vlanId === 100)
+    const membership = vlanConfig.vlan_membership.vlans.find(v => v.vlanId === 100)
+    const port5 = vlanConfig.vlan_port.ports.find(p => p.portId === 4)
+
+    expect(vlan.vlanName).toBe('BACKUP')
+    expect(membership.taggedPorts).toEqual([2])
+    expect(membership.untaggedPorts).toEqual([4])
+    expect(port5.pvid).toBe(100)
+  })
+
+  test('should surface rejected commands as errors', async () => {
+    await expect(manager.createVLAN(100, 'DUPLICATE')).rejects.toThrow('already exists')
+  })
+
+  test('should report LAG and MAC table state', async () => {
+    const lagConfig = await manager.getLAGConfig()
+    const macTable = await manager.getMACTable()
+
+    expect(lagConfig.lag_mgmt.lags[0].name).toBe('LAG1')
+    expect(lagConfig.lag_port.ports.filter(p => p.lagId === 1)).toHaveLength(2)
+    expect(macTable.mac_miscStatus.entries.length).toBeGreaterThan(0)
+  })
+
+  test('should restore a backed-up configuration', async () => {
+    const backup = await manager.backupConfiguration()
+    // Sections sent as JSON text reach the switch intact
+    const encoded = { ...backup }
+    for (const section of ['vlanConfig', 'portConfig', 'lagConfig']) {
+      encoded[section] = JSON.stringify(backup[section])
+    }
+
+    await manager.deleteVLAN(100)
+    await manager.configurePort('TE1', { description: 'changed' })
+    await manager.restoreConfiguration(encoded)
+
+    const vlanConfig = await manager.getVLANConfig()
+    expect(vlanConfig.vlan_conf.vlans.map(v => v.vlanId)).toContain(100)
+    expect(vlanConfig.vlan_membership.vlans.find(v => v.vlanId === 100))
+      .toEqual(backup.vlanConfig.vlan_membership.vlans.find(v => v.vlanId === 100))
+    const portConfig = await manager.getPortStatus()
+    expect(portConfig.port_port.ports[0].description).toBe(backup.portConfig.port_port.ports[0].description)
+    const lagConfig = await manager.getLAGConfig()
+    expect(lagConfig.lag_port.ports.filter(p => p.lagId === 1)).toHaveLength(2)
+  })
+
+  test('should reject a backup whose sections arrive as nested objects', async () => {
+    const backup = await manager.backupConfiguration()
+
+    // Form-encoding turns the nested sections into "[object Object]"
+    await expect(manager.restoreConfiguration(backup)).rejects.toThrow('Backup section vlanConfig is not readable')
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * VLAN Model Integration Tests
+ * Both drivers return the shared VLAN table and the VLAN tools work from it
+ */
+
+const ViminsSimulator = require('../../src/simulators/vimins/ViminsSimulator')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+const ViminsManager = require('../../src/services/switch_managers/ViminsManager')
+const SodolaManager = require('../../src/services/switch_managers/SodolaManager')
+const VLANManagerService = require('../../src/services/vlan/VLANManagerService')
+const vlanTools = require('../../src/tools/vlanTools')
+const { createVlan, getVlanErrors } = require('../../src/models/Vlan')
+
+describe('VLAN model', () => {
+  test('should build valid VLANs with sorted, de-duplicated members', () => {
+    const vlan = createVlan({
+      id: '100',
+      ports: [
+        { port: 'TE5', index: 5, tagged: true },
+        { port: 'TE3', index: 3, tagged: false, pvid: true },
+        { port: 'TE5', index: 5, tagged: false }
+      ]
+    })
+
+    expect(getVlanErrors(vlan)).toEqual([])
+    expect(vlan).toEqual({
+      id: 100,
+      name: 'VLAN100',
+      description: '',
+      ports: [
+        { port: 'TE3', index: 3, tagged: false, pvid: true },
+        { port: 'TE5', index: 5, tagged: false, pvid: false }
+      ]
+    })
+    expect(getVlanErrors({ ...vlan, id: 4095 })).toHaveLength(1)
+  })
+})
+
+describe('Driver VLAN tables', () => {
+  let vimins
+  let sodola
+  let managers
+
+  beforeAll(async () => {
+    vimins = new ViminsSimulator({ username: 'admin', password: 'secret' })
+    sodola = new SodolaEmulator({ username: 'admin', password: 'secret' })
+    const baseConfig = { ip: '127.0.0.1', username: 'admin', password: 'secret', timeout: 2000 }
+
+    managers = {
+      vimins_core1: new ViminsManager({ ...baseConfig, name: 'Sim_Core', type: 'vimins', httpPort: await vimins.start(0) }),
+      sodola_office: new SodolaManager({ ...baseConfig, name: 'Sim_Office', type: 'sodola', httpPort: await sodola.start(0) })
+    }
+
+    await managers.vimins_core1.createVLAN(100, 'BACKUP', 'Backup Infrastructure')
+    await managers.vimins_core1.configureVLANPort('TE3', { vlanId: 100, tagged: true })
+    await managers.vimins_core1.configureVLANPort('TE5', { vlanId: 100, tagged: false, pvid: 100 })
+    await managers.sodola_office.createVLAN(100, 'BACKUP', 'Backup Infrastructure')
+    await managers.sodola_office.configureVLANPort('Port 8', { vlanId: 100, tagged: true })
+    await managers.sodola_office.configureVLANPort('Port 3', { vlanId: 100, tagged: false, pvid: 100 })
+  })
+
+  afterAll(async () => {
+    await vimins.stop()
+    await sodola.stop()
+  })
+
+  test('should map both vendors into the same VLAN table', async () => {
+    for (const [switchId, manager] of Object.entries(managers)) {
+      const vlans = await manager.getVLANs()
+      const backup = vlans.find(v => v.id === 100)
+
+      expect(vlans.flatMap(getVlanErrors)).toEqual([])
+      expect(vlans.map(v => v.id)).toEqual([1, 100])
+      expect(backup).toMatchObject({ name: 'BACKUP', description: 'Backup Infrastructure' })
+      expect(backup.ports).toEqual(switchId === 'vimins_core1'
+        ? [
+            { port: 'TE3', index: 3, tagged: true, pvid: false },
+            { port: 'TE5', index: 5, tagged: false, pvid: true }
+          ]
+        : [
+            { port: 'Port 3', index: 3, tagged: false, pvid: true },
+            { port: 'Port 8', index: 8, tagged: true, pvid: false }
+          ])
+    }
+  })
+
+  test('should list port members through the VLAN tools', async () => {
+    const vlanManager = new VLANManagerService({
+      getOnlineSwitches: () => Object.keys(managers).map(id => ({ id })),
+      getVLANs: (switchId) => managers[switchId].getVLANs()
+    })
+    global.mcpServices = { vlanManager }
+
+    try {
+      const consistency = await vlanTools.validateVLANConsistency({ vlan_id: 100 })
+      expect(consistency.data.consistent).toBe(true)
+      expect(consistency.data.vlan_summary['100']).toMatchObject({ switches: ['vimins_core1', 'sodola_office'], portCount: 4 })
+
+      const listed = await vlanManager.listVLANs('sodola_office', false)
+      expect(listed.sodola_office.vlans[1]).toMatchObject({ id: 100, ports: undefined })
+
+      await expect(vlanManager.validateVLANDeletion(100, ['vimins_core1']))
+        .rejects.toThrow('VLAN 100 has 2 port assignments on vimins_core1')
+    } finally {
+      delete global.mcpServices
+    }
+  })
+})
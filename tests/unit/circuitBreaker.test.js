@@ -0,0 +1,161 @@
+/**
+ * Circuit Breaker Unit Tests
+ * Tests for breaker states, backoff and failing fast on unreachable switches
+ */
+
+const request = require('supertest')
+const express = require('express')
+const CircuitBreaker = require('../../src/services/resilience/CircuitBreaker')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const mcpRoutes = require('../../src/routes/mcpRoutes')
+const { CircuitOpenError } = require('../../src/utils/errors')
+
+const unreachable = () => Object.assign(new Error('connect ECONNREFUSED 192.0.2.1:80'), { code: 'ECONNREFUSED' })
+
+describe('CircuitBreaker', () => {
+  let now
+  let breaker
+
+  beforeEach(() => {
+    now = 1000000
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+    breaker = new CircuitBreaker('vimins_core1', { failureThreshold: 2, resetTimeout: 1000, maxResetTimeout: 3000 })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const fail = () => breaker.execute(async () => { throw unreachable() }).catch(error => error)
+
+  test('should open after consecutive connectivity failures and fail fast', async () => {
+    await fail()
+    expect(breaker.state).toBe('closed')
+    await fail()
+    expect(breaker.getState()).toMatchObject({ state: 'open', failures: 2, lastError: 'connect ECONNREFUSED 192.0.2.1:80' })
+
+    const operation = jest.fn()
+    const error = await breaker.execute(operation).catch(e => e)
+    expect(error).toBeInstanceOf(CircuitOpenError)
+    expect(error.message).toContain('Circuit open for switch vimins_core1')
+    expect(operation).not.toHaveBeenCalled()
+  })
+
+  test('should not count errors from a switch that answered', async () => {
+    for (let i = 0; i < 3; i++) {
+      await breaker.execute(async () => { throw new Error('VLAN 100 already exist') }).catch(() => {})
+    }
+    expect(breaker.state).toBe('closed')
+
+    await breaker.execute(async () => { throw new Error('Authentication verification failed') }, { tripOnAnyError: true })
+      .catch(() => {})
+    expect(breaker.failures).toBe(1)
+  })
+
+  test('should let a single probe through once the backoff expires', async () => {
+    await fail()
+    await fail()
+
+    now += 1000
+    let finishProbe
+    const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve }))
+    expect(breaker.state).toBe('half_open')
+    await expect(breaker.execute(async () => 'second')).rejects.toThrow(CircuitOpenError)
+
+    finishProbe('ok')
+    await expect(probe).resolves.toBe('ok')
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, nextAttemptAt: null })
+  })
+
+  test('should double the backoff after each failed probe up to the maximum', async () => {
+    await fail()
+    await fail()
+    expect(breaker.nextAttemptAt).toBe(now + 1000)
+
+    now += 1000
+    await fail()
+    expect(breaker.nextAttemptAt).toBe(now + 2000)
+
+    now += 2000
+    await fail()
+    expect(breaker.nextAttemptAt).toBe(now + 3000)
+  })
+})
+
+describe('SwitchManagerService circuit breakers', () => {
+  let service
+  let driver
+  let calls
+
+  beforeEach(() => {
+    calls = []
+    // Real async methods, as the operation queue only wraps those
+    driver = {
+      authenticated: false,
+      async authenticate() { calls.push('authenticate'); throw unreachable() },
+      async getSystemInfo() { calls.push('getSystemInfo'); throw unreachable() },
+      async getPortStatus() { calls.push('getPortStatus'); throw unreachable() },
+      async getPorts() { calls.push('getPorts'); throw unreachable() },
+      async healthCheck() { calls.push('healthCheck'); return { authenticated: false, error: 'connect ECONNREFUSED' } }
+    }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', {
+      manager: driver,
+      config: { type: 'vimins', name: 'Core_1', ip: '192.0.2.1' },
+      lastHealthCheck: null,
+      status: 'online'
+    })
+  })
+
+  afterEach(async () => {
+    await service.cleanup()
+  })
+
+  test('should stop contacting a switch once its circuit opens', async () => {
+    await service.performHealthChecks()
+    await service.getSystemInfo('vimins_core1').catch(() => {})
+    await service.performHealthChecks()
+    expect(service.getCircuitBreaker('vimins_core1').state).toBe('open')
+
+    calls = []
+    await service.performHealthChecks()
+    await expect(service.getSystemInfo('vimins_core1')).rejects.toThrow(CircuitOpenError)
+
+    expect(calls).toEqual([])
+    expect(service.getSwitch('vimins_core1').status).toBe('offline')
+    expect(service.getServiceStatus().circuitBreakers.vimins_core1.state).toBe('open')
+    expect(service.getAllSwitches()[0].circuit).toBe('open')
+  })
+
+  test('should return an open circuit result from MCP tools', async () => {
+    const app = express()
+    app.use(express.json())
+    app.use('/mcp', mcpRoutes)
+
+    const breaker = service.getCircuitBreaker('vimins_core1')
+    breaker.open()
+    global.mcpServices = { switchManager: service }
+
+    try {
+      const response = await request(app)
+        .post('/mcp')
+        .send({
+          jsonrpc: '2.0',
+          method: 'tools/call',
+          params: { name: 'get_port_status', arguments: { switch_id: 'vimins_core1' } },
+          id: 1
+        })
+        .expect(200)
+
+      expect(calls).toEqual([])
+      expect(response.body.result).toMatchObject({
+        success: false,
+        circuit_open: true,
+        data: { switch_id: 'vimins_core1', next_attempt_at: breaker.getState().nextAttemptAt }
+      })
+    } finally {
+      delete global.mcpServices
+    }
+  })
+})
@@ -0,0 +1,164 @@
+/**
+ * Counter Collector Unit Tests
+ * Tests for counter delta correction, rollups, retention and persistence of the
+ * time-series store
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CounterCollector = require('../../src/services/metrics/CounterCollector')
+const TimeSeriesStore = require('../../src/services/metrics/TimeSeriesStore')
+const config = require('../../src/utils/config')
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+// A whole hour, so the rollup buckets line up with the samples
+const START = Date.UTC(2026, 0, 1, 12)
+
+const sample = (minutes, rxBytes, extra = {}) => ({ time: START + minutes * MINUTE, seconds: 60, rxBytes, txBytes: rxBytes / 2, ...extra })
+
+describe('Counter Collector', () => {
+  const { counterDelta } = CounterCollector
+
+  test('should correct counter deltas for wraps and resets', () => {
+    expect(counterDelta(1000, 5000, false)).toBe(4000)
+    // A 32-bit counter that went backwards while the switch kept running wrapped
+    expect(counterDelta(2 ** 32 - 1000, 500, false)).toBe(1500)
+    expect(counterDelta(800000, 300, false)).toBe(2 ** 32 - 800000 + 300)
+    // Beyond 32 bits it cannot have wrapped
+    expect(counterDelta(2 ** 40, 300, false)).toBe(300)
+    // After a reboot everything counts from zero, even when the counter grew
+    expect(counterDelta(1000, 5000, true)).toBe(5000)
+    expect(counterDelta(null, 5000, false)).toBeNull()
+  })
+
+  test('should read 10G switches between collections so a wrap is not missed', async () => {
+    const reads = [
+      { rxBytes: 0, uptime: 100 },
+      { rxBytes: 2 ** 32 - 100, uptime: 105 },
+      { rxBytes: 50, uptime: 110 }
+    ]
+    const ports = (speedMbps, rxBytes) => [{ port: 'TE1', operState: 'up', speedMbps, counters: { rxBytes, txBytes: 0 } }]
+    const switchManager = {
+      getOnlineSwitches: () => [{ id: 'vimins_core1' }, { id: 'sodola_office' }],
+      getPortCounters: jest.fn(async (switchId) => {
+        const read = switchId === 'vimins_core1' ? reads.shift() : { rxBytes: 0, uptime: 100 }
+        return { uptimeSeconds: read.uptime, ports: ports(switchId === 'vimins_core1' ? 10000 : 1000, read.rxBytes) }
+      })
+    }
+    const store = new TimeSeriesStore({ filePath: null })
+    const collector = new CounterCollector(switchManager, store)
+    const now = jest.spyOn(Date, 'now').mockReturnValue(START)
+
+    try {
+      await collector.collect()
+      now.mockReturnValue(START + 5000)
+      await collector.guardWraps()
+      now.mockReturnValue(START + 10000)
+      await collector.collect()
+    } finally {
+      now.mockRestore()
+    }
+
+    // The guard read only the 10G switch and stored nothing itself
+    expect(switchManager.getPortCounters.mock.calls.map(([switchId]) => switchId))
+      .toEqual(['vimins_core1', 'sodola_office', 'vimins_core1', 'vimins_core1', 'sodola_office'])
+    const { points } = store.query('vimins_core1', 'TE1', { since: START, until: START + 10000, resolution: 'raw' })
+    expect(points).toMatchObject([{ time: START + 10000, seconds: 10, reset: false, rxBytes: 2 ** 32 + 50 }])
+  })
+})
+
+describe('Time-Series Store', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('should roll samples up into 5-minute and hourly buckets', () => {
+    const store = new TimeSeriesStore({ filePath: null })
+    for (let minute = 0; minute < 12; minute++) {
+      store.append('vimins_core1', 'TE1', sample(minute, 1000, minute === 7 ? { reset: true } : {}))
+    }
+
+    const fiveMinute = store.query('vimins_core1', 'TE1', { since: START, until: START + HOUR, resolution: '5m' })
+    expect(fiveMinute.points.map(point => [point.samples, point.rxBytes, point.reset])).toEqual([
+      [5, 5000, false], [5, 5000, true], [2, 2000, false]
+    ])
+    expect(fiveMinute.points[0]).toMatchObject({ seconds: 300, txBytes: 2500, rxErrors: null })
+
+    const hourly = store.query('vimins_core1', 'TE1', { since: START, until: START + HOUR, resolution: '1h' })
+    expect(hourly.points).toMatchObject([{ time: START, samples: 12, rxBytes: 12000, seconds: 720 }])
+  })
+
+  test('should prune each resolution after its retention and pick one that covers a query', () => {
+    const store = new TimeSeriesStore({ filePath: null, retention: { raw: HOUR, '5m': 6 * HOUR, '1h': 48 * HOUR } })
+    store.append('sodola_office', 'Port 1', sample(0, 1000))
+    store.append('sodola_office', 'Port 1', sample(3 * 60, 1000))
+
+    store.prune(START + 3 * HOUR + 30 * MINUTE)
+    const series = store.series.get('sodola_office|Port 1')
+    expect([series.raw.length, series['5m'].length, series['1h'].length]).toEqual([1, 2, 2])
+
+    jest.spyOn(Date, 'now').mockReturnValue(START + 3 * HOUR + 30 * MINUTE)
+    try {
+      expect(store.query('sodola_office', 'Port 1', { since: START + 3 * HOUR }).resolution).toBe('raw')
+      expect(store.query('sodola_office', 'Port 1', { since: START }).resolution).toBe('5m')
+      expect(store.query('sodola_office', 'Port 1', { since: START - 12 * HOUR }).resolution).toBe('1h')
+    } finally {
+      Date.now.mockRestore()
+    }
+
+    store.prune(START + 100 * HOUR)
+    expect(store.getPorts('sodola_office')).toEqual([])
+  })
+
+  test('should keep samples across a restart', async () => {
+    const filePath = path.join(tempDir, 'metrics.json')
+    const store = new TimeSeriesStore({ filePath })
+    store.append('vimins_core1', 'TE2', sample(0, 4096))
+    await store.save()
+
+    const reopened = new TimeSeriesStore({ filePath })
+    await reopened.load()
+    expect(reopened.getPorts('vimins_core1')).toEqual(['TE2'])
+    expect(reopened.query('vimins_core1', 'TE2', { since: START - MINUTE, until: START, resolution: 'raw' }).points)
+      .toMatchObject([{ rxBytes: 4096, txBytes: 2048, seconds: 60 }])
+
+    await expect(new TimeSeriesStore({ filePath: path.join(tempDir, 'missing.json') }).load()).resolves.toBeUndefined()
+  })
+
+  test('should save the store on the persist interval rather than every poll', async () => {
+    const store = new TimeSeriesStore({ filePath: path.join(tempDir, 'metrics.json') })
+    const save = jest.spyOn(store, 'save')
+    const collector = new CounterCollector({ getOnlineSwitches: () => [] }, store)
+    const now = jest.spyOn(Date, 'now').mockReturnValue(START)
+
+    try {
+      await collector.collect()
+      await collector.collect()
+      expect(save).toHaveBeenCalledTimes(1)
+
+      now.mockReturnValue(START + config.metrics.persistInterval)
+      await collector.collect()
+      expect(save).toHaveBeenCalledTimes(2)
+
+      // Shutting down saves whatever the last interval collected
+      await collector.cleanup()
+      expect(save).toHaveBeenCalledTimes(3)
+    } finally {
+      now.mockRestore()
+    }
+  })
+
+  test('should reject an unknown resolution', () => {
+    const store = new TimeSeriesStore({ filePath: null })
+    expect(() => store.query('vimins_core1', 'TE2', { resolution: '1m' }))
+      .toThrow('resolution must be one of: auto, raw, 5m, 1h')
+  })
+})
@@ -0,0 +1,163 @@
+/**
+ * Credential Vault Unit Tests
+ * Tests for encrypted credential storage, key rotation and secret redaction
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Writable } = require('stream')
+const winston = require('winston')
+const logger = require('../../src/utils/logger')
+const CredentialVault = require('../../src/services/credentials/CredentialVault')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const SodolaEmulator = require('../../src/simulators/sodola/SodolaEmulator')
+
+const MASTER_KEY = 'unit-test-master-key'
+
+describe('Credential Vault', () => {
+  let tempDir
+  let vaultFile
+
+  const openVault = async (masterKey = MASTER_KEY) => {
+    const vault = new CredentialVault({ filePath: vaultFile, masterKey })
+    await vault.initialize()
+    return vault
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'))
+    vaultFile = path.join(tempDir, 'credentials.vault.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  test('should keep credentials encrypted at rest', async () => {
+    const vault = await openVault()
+    await vault.set('vimins_core1', { username: 'netadmin', password: 'S3cr3t-Passw0rd' })
+
+    const contents = fs.readFileSync(vaultFile, 'utf8')
+    expect(contents).not.toContain('S3cr3t-Passw0rd')
+    expect(contents).not.toContain('netadmin')
+
+    const reopened = await openVault()
+    expect(reopened.get('vimins_core1')).toEqual({ username: 'netadmin', password: 'S3cr3t-Passw0rd' })
+    expect(reopened.get('vimins_core2')).toBeNull()
+  })
+
+  test('should list metadata without passwords', async () => {
+    const vault = await openVault()
+    await vault.set('sodola_lab', { username: 'admin', password: 'hunter2hunter2' })
+
+    const listed = vault.list()
+    expect(listed).toEqual([{ switchId: 'sodola_lab', username: 'admin', updatedAt: expect.any(String) }])
+    expect(JSON.stringify(listed)).not.toContain('hunter2hunter2')
+  })
+
+  test('should refuse to open the vault with the wrong master key', async () => {
+    const vault = await openVault()
+    await vault.set('vimins_core1', { username: 'admin', password: 'secret' })
+
+    await expect(openVault('some-other-master-key'))
+      .rejects.toThrow('Credential vault master key does not match the stored vault')
+  })
+
+  test('should re-encrypt every entry when the master key is rotated', async () => {
+    const vault = await openVault()
+    await vault.set('vimins_core1', { username: 'admin', password: 'one' })
+    await vault.set('vimins_core2', { username: 'admin', password: 'two' })
+
+    await expect(vault.rotateMasterKey('short')).rejects.toThrow('at least 12 characters')
+    await expect(vault.rotateMasterKey('rotated-master-key')).resolves.toBe(2)
+    expect(vault.get('vimins_core2').password).toBe('two')
+
+    const reopened = await openVault('rotated-master-key')
+    expect(reopened.get('vimins_core1').password).toBe('one')
+    expect(fs.existsSync(`${vaultFile}.bak`)).toBe(false)
+    await expect(openVault()).rejects.toThrow('does not match')
+  })
+
+  test('should restore the vault under the old key when ENCRYPTION_KEY was not updated', async () => {
+    const vault = await openVault()
+    await vault.set('vimins_core1', { username: 'admin', password: 'one' })
+    await vault.rotateMasterKey('rotated-master-key')
+    await vault.rotateMasterKey('rotated-again-master-key')
+    expect(fs.existsSync(`${vaultFile}.bak`)).toBe(true)
+
+    const reopened = await openVault()
+    expect(reopened.get('vimins_core1').password).toBe('one')
+    expect(fs.existsSync(`${vaultFile}.bak`)).toBe(false)
+    await expect(openVault('rotated-again-master-key')).rejects.toThrow('does not match')
+  })
+
+  describe('driver authentication', () => {
+    let sodola
+    let vault
+    let service
+
+    const switchConfig = () => ({
+      type: 'sodola',
+      name: 'Lab_Switch',
+      ip: '127.0.0.1',
+      httpPort: sodola.port,
+      username: 'admin',
+      password: 'stale-password',
+      timeout: 5000
+    })
+
+    beforeEach(async () => {
+      sodola = new SodolaEmulator({ username: 'admin', password: 'from-the-vault' })
+      await sodola.start(0)
+      vault = await openVault()
+      service = new SwitchManagerService(vault)
+    })
+
+    afterEach(async () => {
+      await service.cleanup()
+      await sodola.stop()
+    })
+
+    test('should authenticate with vault credentials over the switch config', async () => {
+      await vault.set('sodola_lab', { username: 'admin', password: 'from-the-vault' })
+      await service.addSwitch('sodola_lab', switchConfig())
+
+      expect(service.getSwitch('sodola_lab').status).toBe('online')
+    })
+
+    test('should pick up rotated credentials without a restart', async () => {
+      await service.addSwitch('sodola_lab', switchConfig())
+      expect(service.getSwitch('sodola_lab').status).toBe('offline')
+
+      await expect(service.updateSwitchCredentials('sodola_lab', { username: 'admin', password: 'from-the-vault' }))
+        .resolves.toEqual({ switchId: 'sodola_lab', authenticated: true })
+      expect(service.getSwitch('sodola_lab').status).toBe('online')
+      expect(service.getSwitchManager('sodola_lab').config.password).toBe('stale-password')
+    })
+  })
+
+  test('should redact secrets from log metadata', () => {
+    const lines = []
+    const transport = new winston.transports.Stream({
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(chunk.toString())
+          callback()
+        }
+      })
+    })
+    logger.add(transport)
+
+    const args = { switch_id: 'vimins_core1', username: 'admin', password: 'do-not-log-me' }
+    logger.info('Executing tool', { args, headers: { authorization: 'Basic abc123', cookie: 'SESSIONID=xyz' } })
+    logger.remove(transport)
+
+    const output = lines.join('')
+    expect(output).toContain('vimins_core1')
+    expect(output).not.toContain('do-not-log-me')
+    expect(output).not.toContain('abc123')
+    expect(output).not.toContain('SESSIONID=xyz')
+    expect(args.password).toBe('do-not-log-me')
+  })
+})
@@ -0,0 +1,86 @@
+/**
+ * Driver Registry Unit Tests
+ * Tests for switch driver discovery and capability checks
+ */
+
+const driverRegistry = require('../../src/services/switch_managers/driverRegistry')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+
+describe('Switch Driver Registry', () => {
+  beforeAll(() => {
+    driverRegistry.discover()
+  })
+
+  test('should discover the bundled drivers', () => {
+    const types = driverRegistry.getTypes()
+    expect(types).toContain('vimins')
+    expect(types).toContain('sodola')
+  })
+
+  test('should expose declared capabilities', () => {
+    expect(driverRegistry.hasCapability('vimins', 'lag')).toBe(true)
+    expect(driverRegistry.hasCapability('sodola', 'lag')).toBe(false)
+    expect(driverRegistry.hasCapability('unknown', 'vlan')).toBe(false)
+  })
+
+  test('should map operations to capabilities', () => {
+    expect(driverRegistry.supportsOperation('sodola', 'getMACTable')).toBe(false)
+    expect(driverRegistry.supportsOperation('sodola', 'getVLANConfig')).toBe(true)
+    expect(driverRegistry.supportsOperation('sodola', 'getSystemInfo')).toBe(true)
+  })
+
+  test('should reject unknown capabilities on registration', () => {
+    class FakeManager {}
+    expect(() => driverRegistry.register('fake', FakeManager, { capabilities: ['teleport'] }))
+      .toThrow('unknown capabilities')
+  })
+
+  test('should create driver instances by type', () => {
+    const manager = driverRegistry.create({ type: 'sodola', ip: '192.0.2.1', name: 'test' })
+    expect(manager.constructor.name).toBe('SodolaManager')
+  })
+
+  describe('SwitchManagerService.bulkOperation', () => {
+    test('should report unsupported operations instead of calling the driver', async () => {
+      const service = new SwitchManagerService()
+      const getLAGConfig = jest.fn().mockResolvedValue({ lag_mgmt: {} })
+
+      service.switches.set('vimins_core1', {
+        manager: { getLAGConfig },
+        config: { type: 'vimins', model: 'VM-S100-0800MS', name: 'core1' },
+        status: 'online'
+      })
+      service.switches.set('sodola_office', {
+        manager: { getLAGConfig: jest.fn() },
+        config: { type: 'sodola', model: 'SL-SWTGW218AS', name: 'office' },
+        status: 'online'
+      })
+
+      const results = await service.bulkOperation('getLAGConfig', ['vimins_core1', 'sodola_office'])
+
+      expect(results.vimins_core1.success).toBe(true)
+      expect(getLAGConfig).toHaveBeenCalledTimes(1)
+      expect(results.sodola_office.success).toBe(false)
+      expect(results.sodola_office.unsupported).toBe(true)
+      expect(results.sodola_office.error).toContain('unsupported on this model')
+      expect(service.switches.get('sodola_office').manager.getLAGConfig).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Startup configuration and reboot', () => {
+    test('should refuse to save or reboot on drivers without the capability', async () => {
+      class BasicManager {}
+      driverRegistry.register('basic', BasicManager, { capabilities: ['vlan'] })
+
+      const service = new SwitchManagerService()
+      const driver = { getConfigurationStatus: jest.fn(), saveConfiguration: jest.fn(), reboot: jest.fn() }
+      service.switches.set('basic1', { manager: driver, config: { type: 'basic', name: 'basic1' }, status: 'online' })
+
+      await expect(service.getConfigurationStatus('basic1')).rejects.toThrow("Operation 'startup_config' is unsupported")
+      await expect(service.saveConfiguration('basic1')).rejects.toMatchObject({ name: 'UnsupportedOperationError' })
+      await expect(service.rebootSwitch('basic1', { force: true })).rejects.toThrow("Operation 'reboot' is unsupported")
+      expect(driver.saveConfiguration).not.toHaveBeenCalled()
+      expect(driver.reboot).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * Interface Name Unit Tests
+ * Tests for parsing port names across vendors and validating them per switch model
+ */
+
+const driverRegistry = require('../../src/services/switch_managers/driverRegistry')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+const vlanTools = require('../../src/tools/vlanTools')
+const { parseInterfaceName, portFromVendorIndex, resolveInterface } = require('../../src/models/InterfaceName')
+
+describe('Interface names', () => {
+  const vimins = () => driverRegistry.getInterfaceLayout('vimins', 'VM-S100-0800MS')
+  const sodola = () => driverRegistry.getInterfaceLayout('sodola', 'SL-SWTGW218AS')
+
+  test('should parse vendor and topology port names', () => {
+    expect(['TE3', 'te3', 'GE3', 'Port 3', 'Port3', 'eth-3', '3'].map(ref => parseInterfaceName(ref)))
+      .toEqual(Array(7).fill({ kind: 'port', number: 3 }))
+    expect(parseInterfaceName('LAG1')).toEqual({ kind: 'lag', number: 1 })
+    expect(parseInterfaceName('Po 2')).toEqual({ kind: 'lag', number: 2 })
+    expect(parseInterfaceName('2', 'lag')).toEqual({ kind: 'lag', number: 2 })
+    expect(['', 'uplink', 'TE0', 'VLAN3', null].map(ref => parseInterfaceName(ref))).toEqual([null, null, null, null, null])
+  })
+
+  test('should normalize names and vendor indexes per model', () => {
+    expect(resolveInterface('port 3', vimins())).toEqual({ kind: 'port', index: 3, name: 'TE3', vendorIndex: 2 })
+    expect(resolveInterface('TE3', sodola())).toEqual({ kind: 'port', index: 3, name: 'Port 3', vendorIndex: 3 })
+    expect(resolveInterface('lag1', vimins(), { allowLag: true })).toMatchObject({ kind: 'lag', name: 'LAG1', vendorIndex: 1 })
+    expect(portFromVendorIndex(vimins(), 0)).toEqual({ name: 'TE1', index: 1 })
+    expect(portFromVendorIndex(sodola(), 18)).toEqual({ name: 'Port 18', index: 18 })
+  })
+
+  test('should reject interfaces that do not exist on the model', () => {
+    expect(() => resolveInterface('TE9', vimins())).toThrow('Interface TE9 does not exist on VM-S100-0800MS (TE1-TE8)')
+    expect(() => resolveInterface('LAG1', vimins())).toThrow('LAG1 is a LAG; a physical port is required')
+    expect(() => resolveInterface('LAG1', sodola(), { allowLag: true })).toThrow('(no LAGs)')
+    expect(() => resolveInterface('uplink', sodola())).toThrow('Invalid interface name: uplink')
+  })
+
+  test('should fall back to the driver layout for unlisted models', () => {
+    expect(driverRegistry.getInterfaceLayout('vimins', 'VM-S100-0800XX')).toMatchObject({ model: 'VM-S100-0800XX', ports: 8 })
+  })
+})
+
+describe('Interface resolution in services and tools', () => {
+  let service
+  let calls
+
+  beforeEach(() => {
+    calls = []
+    const driver = (type) => ({
+      async configureVLANPort(portId, vlanConfig) { calls.push([type, portId, vlanConfig.vlanId]); return {} },
+      async getPorts() {
+        return [{ name: 'TE3', lag: { id: 1 } }, { name: 'TE4', lag: { id: 1 } }, { name: 'TE6', lag: null }]
+      }
+    })
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', {
+      manager: driver('vimins'),
+      config: { type: 'vimins', model: 'VM-S100-0800MS', name: 'Core_1' },
+      status: 'online'
+    })
+    service.switches.set('sodola_office', {
+      manager: driver('sodola'),
+      config: { type: 'sodola', model: 'SL-SWTGW218AS', name: 'Office' },
+      status: 'online'
+    })
+  })
+
+  afterEach(async () => {
+    await service.cleanup()
+  })
+
+  test('should hand drivers canonical names and reject unknown ports', async () => {
+    await service.configureVLANPort('sodola_office', 'port8', { vlanId: 100 })
+    await service.configureVLANPort('vimins_core1', '6', { vlanId: 100 })
+    await expect(service.configureVLANPort('sodola_office', 'Port 19', { vlanId: 100 }))
+      .rejects.toThrow('does not exist on SL-SWTGW218AS')
+
+    expect(calls).toEqual([['sodola', 'Port 8', 100], ['vimins', 'TE6', 100]])
+  })
+
+  test('should trunk both ends of each uplink on the ports named in the topology', async () => {
+    const configureTrunkPort = jest.fn().mockResolvedValue({})
+    service.getNetworkTopology = () => ({
+      uplinkConnections: {
+        office: {
+          switch: 'sodola.office',
+          accessPort: 'port17',
+          accessSecondaryPort: 'Port 18',
+          primaryCore: 'vimins.core1',
+          primaryPort: '6',
+          secondaryCore: 'vimins.core1',
+          secondaryPort: 'LAG1'
+        },
+        lab: { switch: 'sodola.office', accessPort: 'Port 19', primaryCore: 'vimins.core1' }
+      }
+    })
+    global.mcpServices = {
+      switchManager: service,
+      vlanManager: {
+        createVLAN: jest.fn().mockResolvedValue({ switches: ['vimins_core1'] }),
+        configureTrunkPort
+      }
+    }
+
+    try {
+      const result = await vlanTools.deployVLANNetworkWide({ vlan_config: { vlan_id: 100, vlan_name: 'BACKUP' } })
+
+      expect(configureTrunkPort.mock.calls).toEqual([
+        ['sodola_office', 'Port 17', [100], 1],
+        ['vimins_core1', 'TE6', [100], 1],
+        ['sodola_office', 'Port 18', [100], 1],
+        ['vimins_core1', 'TE3', [100], 1],
+        ['vimins_core1', 'TE4', [100], 1]
+      ])
+      expect(result.success).toBe(false)
+      const lab = result.data.trunk_configuration.filter(r => r.connection === 'lab')
+      expect(lab[0]).toMatchObject({ role: 'access', success: false })
+      expect(lab[0].error).toContain('does not exist on SL-SWTGW218AS')
+      expect(lab[1]).toMatchObject({ role: 'primary', success: false, error: 'Uplink lab has no primaryPort configured' })
+    } finally {
+      delete global.mcpServices
+    }
+  })
+})
@@ -0,0 +1,197 @@
+/**
+ * Switch Inventory Unit Tests
+ * Tests for file-based inventory loading, validation and hot reload
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const { getSchemaErrors, normalizeInventory } = require('../../src/utils/inventory')
+
+function baseInventory() {
+  return {
+    switches: {
+      vimins: {
+        core1: { ip: '192.0.2.1', name: 'Core_1', model: 'VM-S100-0800MS', username: 'admin', password: 'one' },
+        core2: { ip: '192.0.2.2', name: 'Core_2', model: 'VM-S100-0800MS' }
+      },
+      sodola: {
+        lab: { ip: '192.0.2.10', name: 'Lab_Switch', model: 'SL-SWTGW218AS' }
+      }
+    },
+    topology: {
+      interCoreLinks: {
+        lag1: { core1Ports: ['TE3', 'TE4'], core2Ports: ['TE3', 'TE4'] }
+      },
+      uplinkConnections: {
+        lab: { switch: 'sodola.lab', primaryCore: 'vimins.core1', primaryPort: 'TE6' }
+      }
+    },
+    vlans: {
+      standard: { 100: { name: 'BACKUP' } },
+      reserved: [1],
+      managementVlan: 100
+    }
+  }
+}
+
+describe('Switch Inventory', () => {
+  describe('schema', () => {
+    test('should accept a valid inventory', () => {
+      expect(getSchemaErrors(baseInventory())).toEqual([])
+    })
+
+    test('should report missing and unknown properties', () => {
+      const inventory = baseInventory()
+      delete inventory.switches.sodola.lab.ip
+      inventory.switches.vimins.core1.pasword = 'typo'
+
+      const errors = getSchemaErrors(inventory)
+      expect(errors).toContain("Inventory /switches/sodola/lab: must have required property 'ip'")
+      expect(errors).toContain("Inventory /switches/vimins/core1: unknown property 'pasword'")
+    })
+
+    test('should fill in per-type defaults', () => {
+      const normalized = normalizeInventory(baseInventory())
+      expect(normalized.switches.vimins.core2).toMatchObject({ type: 'vimins', username: 'admin', timeout: 15000 })
+      expect(normalized.switches.vimins.core1.password).toBe('one')
+    })
+  })
+
+  describe('config with INVENTORY_FILE', () => {
+    let tempDir
+    let inventoryFile
+    let config
+
+    const writeInventory = (inventory) => fs.writeFileSync(inventoryFile, yaml.dump(inventory))
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-'))
+      inventoryFile = path.join(tempDir, 'inventory.yaml')
+      writeInventory(baseInventory())
+
+      process.env.INVENTORY_FILE = inventoryFile
+      jest.isolateModules(() => {
+        config = require('../../src/utils/config')
+      })
+    })
+
+    afterEach(() => {
+      config.stopWatchingInventory()
+      delete process.env.INVENTORY_FILE
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    test('should load switches, topology and VLANs from the file', () => {
+      expect(Object.keys(config.getAllSwitches())).toEqual(['vimins_core1', 'vimins_core2', 'sodola_lab'])
+      expect(config.getSwitch('sodola_lab').type).toBe('sodola')
+      expect(config.getTopology().uplinkConnections.lab.primaryPort).toBe('TE6')
+      expect(config.getVLANConfig(100).name).toBe('BACKUP')
+    })
+
+    test('should load port profiles and reject ones naming unknown switches', () => {
+      const inventory = baseInventory()
+      inventory.portProfiles = {
+        'user-access': { portSecurity: { maxMacs: 2, action: 'shutdown' }, ports: { 'sodola.lab': ['Port 1'] } }
+      }
+      writeInventory(inventory)
+      config.reloadInventory()
+      expect(config.getPortProfile('user-access').portSecurity).toEqual({ maxMacs: 2, action: 'shutdown' })
+      expect(config.getPortProfile('guest')).toBeNull()
+
+      inventory.portProfiles['user-access'].ports = { 'sodola.rack': ['Port 1'] }
+      writeInventory(inventory)
+      expect(config.reloadInventory()).toBeNull()
+      expect(config.getPortProfile('user-access').ports).toEqual({ 'sodola.lab': ['Port 1'] })
+
+      inventory.portProfiles['user-access'].portSecurity.action = 'restrict'
+      expect(getSchemaErrors(inventory)).toEqual([
+        'Inventory /portProfiles/user-access/portSecurity/action: must be equal to one of the allowed values'
+      ])
+    })
+
+    test('should report added, removed and updated switches on reload', () => {
+      const inventory = baseInventory()
+      inventory.switches.vimins.core1.password = 'rotated'
+      delete inventory.switches.vimins.core2
+      inventory.switches.sodola.rack = { ip: '192.0.2.11', name: 'Rack_Switch' }
+      writeInventory(inventory)
+
+      expect(config.reloadInventory()).toEqual({
+        added: ['sodola_rack'],
+        removed: ['vimins_core2'],
+        updated: ['vimins_core1']
+      })
+      expect(config.getSwitch('vimins_core1').password).toBe('rotated')
+    })
+
+    test('should reject invalid edits and keep the current inventory', () => {
+      const rejected = jest.fn()
+      config.on('inventoryRejected', rejected)
+
+      const inventory = baseInventory()
+      inventory.switches.vimins.core2.ip = '300.0.0.1'
+      inventory.topology.uplinkConnections.lab.primaryCore = 'vimins.core9'
+      writeInventory(inventory)
+
+      expect(config.reloadInventory()).toBeNull()
+      expect(rejected.mock.calls[0][0].message).toBe(
+        'Configuration validation failed: Invalid Vimins switch IP: 300.0.0.1, ' +
+        'Unknown switch in uplink lab.primaryCore: vimins.core9'
+      )
+      expect(config.getSwitch('vimins_core2').ip).toBe('192.0.2.2')
+    })
+
+    test('should reload when the watched file changes', async () => {
+      const changed = new Promise(resolve => config.once('inventoryChanged', resolve))
+      config.watchInventory()
+
+      const inventory = baseInventory()
+      inventory.switches.sodola.lab.ip = '192.0.2.20'
+      writeInventory(inventory)
+
+      await expect(changed).resolves.toEqual({ added: [], removed: [], updated: ['sodola_lab'] })
+    })
+
+    test('should apply inventory changes to SwitchManagerService', async () => {
+      let SwitchManagerService
+      let driverRegistry
+      jest.isolateModules(() => {
+        config = require('../../src/utils/config')
+        driverRegistry = require('../../src/services/switch_managers/driverRegistry')
+        SwitchManagerService = require('../../src/services/SwitchManagerService')
+        driverRegistry.discover()
+      })
+
+      jest.spyOn(driverRegistry, 'create').mockImplementation((switchConfig) => ({
+        config: switchConfig,
+        authenticate: jest.fn().mockResolvedValue(true),
+        cleanup: jest.fn().mockResolvedValue()
+      }))
+
+      const service = new SwitchManagerService()
+      const allSwitches = config.getAllSwitches()
+      for (const [switchId, switchConfig] of Object.entries(allSwitches)) {
+        await service.addSwitch(switchId, switchConfig)
+      }
+      const oldCore1 = service.getSwitchManager('vimins_core1')
+      const oldCore2 = service.getSwitchManager('vimins_core2')
+
+      const inventory = baseInventory()
+      inventory.switches.vimins.core1.password = 'rotated'
+      delete inventory.switches.vimins.core2
+      inventory.switches.sodola.rack = { ip: '192.0.2.11', name: 'Rack_Switch' }
+      writeInventory(inventory)
+
+      await service.applyInventoryChanges(config.reloadInventory())
+
+      expect(oldCore2.cleanup).toHaveBeenCalled()
+      expect(oldCore1.cleanup).toHaveBeenCalled()
+      expect(service.switches.has('vimins_core2')).toBe(false)
+      expect(service.getSwitchManager('vimins_core1').config.password).toBe('rotated')
+      expect(service.getSwitchManager('vimins_core1').authenticate).toHaveBeenCalled()
+      expect(service.getSwitch('sodola_rack').status).toBe('online')
+    })
+  })
+})
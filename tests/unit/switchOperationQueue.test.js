@@ -0,0 +1,172 @@
+/**
+ * Switch Operation Queue Unit Tests
+ * Tests for per-switch serialization, priorities and queue metrics
+ */
+
+const SwitchOperationQueue = require('../../src/services/queue/SwitchOperationQueue')
+const SwitchManagerService = require('../../src/services/SwitchManagerService')
+
+// An operation that stays in flight until release() is called
+function deferred(log, name) {
+  let release
+  const done = new Promise(resolve => { release = resolve })
+  const operation = async () => {
+    log.push(`start ${name}`)
+    await done
+    log.push(`end ${name}`)
+    return name
+  }
+  return { operation, release }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+describe('SwitchOperationQueue', () => {
+  test('should run one operation at a time by default', async () => {
+    const queue = new SwitchOperationQueue('vimins_core1')
+    const log = []
+    const first = deferred(log, 'first')
+    const second = deferred(log, 'second')
+
+    const results = [queue.enqueue(first.operation), queue.enqueue(second.operation)]
+    await flush()
+    expect(log).toEqual(['start first'])
+    expect(queue.getMetrics()).toMatchObject({ active: 1, depth: 1, maxDepth: 1 })
+
+    first.release()
+    second.release()
+    await expect(Promise.all(results)).resolves.toEqual(['first', 'second'])
+    expect(log).toEqual(['start first', 'end first', 'start second', 'end second'])
+  })
+
+  test('should run interactive operations before background work', async () => {
+    const queue = new SwitchOperationQueue('sodola_lab')
+    const order = []
+    const blocker = deferred([], 'blocker')
+
+    const results = [
+      queue.enqueue(blocker.operation),
+      queue.enqueue(async () => order.push('poll'), { priority: 'background' }),
+      queue.enqueue(async () => order.push('backup'), { priority: 'normal' }),
+      queue.enqueue(async () => order.push('mcp'), { priority: 'interactive' })
+    ]
+    expect(queue.getMetrics().pendingByPriority).toEqual({ interactive: 1, normal: 1, background: 1 })
+
+    blocker.release()
+    await Promise.all(results)
+    expect(order).toEqual(['mcp', 'backup', 'poll'])
+  })
+
+  test('should honour a higher concurrency', async () => {
+    const queue = new SwitchOperationQueue('vimins_core1', { concurrency: 2 })
+    const log = []
+    const ops = ['a', 'b', 'c'].map(name => deferred(log, name))
+
+    const results = ops.map(op => queue.enqueue(op.operation))
+    await flush()
+    expect(log).toEqual(['start a', 'start b'])
+
+    ops.forEach(op => op.release())
+    await Promise.all(results)
+    expect(queue.getMetrics()).toMatchObject({ active: 0, depth: 0, processed: 3 })
+  })
+
+  test('should count failures and reject pending work when cleared', async () => {
+    const queue = new SwitchOperationQueue('vimins_core1')
+    const blocker = deferred([], 'blocker')
+
+    const running = queue.enqueue(blocker.operation)
+    const failing = queue.enqueue(async () => { throw new Error('page load failed') })
+    const waiting = queue.enqueue(async () => 'never')
+
+    expect(queue.clear()).toBe(2)
+    await expect(failing).rejects.toThrow('Switch vimins_core1 is no longer managed')
+    await expect(waiting).rejects.toThrow('no longer managed')
+
+    blocker.release()
+    await expect(running).resolves.toBe('blocker')
+    await expect(queue.enqueue(async () => { throw new Error('page load failed') }, { priority: 'background' }))
+      .rejects.toThrow('page load failed')
+    expect(queue.getMetrics()).toMatchObject({ failed: 1, rejected: 2 })
+  })
+
+  test('should reject unknown priorities', async () => {
+    const queue = new SwitchOperationQueue('vimins_core1')
+    await expect(queue.enqueue(async () => {}, { priority: 'urgent' })).rejects.toThrow('Unknown queue priority: urgent')
+  })
+})
+
+describe('SwitchManagerService operation queue', () => {
+  let service
+  let driver
+  let inFlight
+  let maxInFlight
+
+  beforeEach(() => {
+    inFlight = 0
+    maxInFlight = 0
+
+    const track = async (result) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      inFlight--
+      return result
+    }
+
+    driver = {
+      authenticated: true,
+      async getSystemInfo() { return await track({ model: 'VM-S100-0800MS' }) },
+      async getVLANConfig() { return await track({ vlans: [] }) },
+      // Several page loads from one call, as the real drivers do
+      async backupConfiguration() {
+        return { system: await this.getSystemInfo(), vlans: await this.getVLANConfig() }
+      },
+      async healthCheck() { return await track({ authenticated: true }) }
+    }
+
+    service = new SwitchManagerService()
+    service.switches.set('vimins_core1', {
+      manager: driver,
+      config: { type: 'vimins', name: 'Core_1', ip: '192.0.2.1' },
+      lastHealthCheck: null,
+      status: 'online'
+    })
+  })
+
+  afterEach(async () => {
+    await service.cleanup()
+  })
+
+  test('should serialize concurrent callers against the same switch', async () => {
+    await Promise.all([
+      service.getSystemInfo('vimins_core1'),
+      service.backupConfiguration('vimins_core1'),
+      service.bulkOperation('getVLANConfig', ['vimins_core1']),
+      service.performHealthChecks()
+    ])
+
+    expect(maxInFlight).toBe(1)
+    expect(service.getServiceStatus().operationQueues.switches.vimins_core1).toMatchObject({
+      concurrency: 1,
+      depth: 0,
+      processed: 4,
+      maxDepth: 3
+    })
+  })
+
+  test('should leave synchronous members of the driver untouched', () => {
+    expect(service.getSwitchManager('vimins_core1').authenticated).toBe(true)
+  })
+
+  test('should reject queued operations when the switch is removed', async () => {
+    const running = service.getSystemInfo('vimins_core1')
+    const queued = service.getSwitchManager('vimins_core1', { priority: 'background' }).healthCheck()
+
+    await service.removeSwitch('vimins_core1')
+
+    await expect(queued).rejects.toThrow('no longer managed')
+    await expect(running).resolves.toEqual({ model: 'VM-S100-0800MS' })
+    expect(service.getQueueMetrics()).toEqual({})
+  })
+})
@@ -17,6 +17,7 @@ global.mcpServices = {
   },
   switchManager: {
     getNetworkTopology: jest.fn(),
+    getInterfacePorts: jest.fn(),
     getOnlineSwitches: jest.fn()
   }
 }
@@ -136,6 +137,61 @@ describe('VLAN Management Tools', () => {
     })
   })
 
+  describe('deployVLANNetworkWide', () => {
+    const vlanConfig = { vlan_id: 100, vlan_name: 'BACKUP' }
+
+    beforeEach(() => {
+      global.mcpServices.vlanManager.createVLAN.mockResolvedValue({ success: true, switches: ['vimins_core1', 'vimins_core2', 'sodola_office'] })
+      global.mcpServices.vlanManager.configureTrunkPort.mockResolvedValue({ success: true })
+      global.mcpServices.switchManager.getInterfacePorts.mockImplementation(async (switchId, portRef) =>
+        portRef === 'LAG1' ? ['TE3', 'TE4'] : [portRef]
+      )
+    })
+
+    test('should trunk the access port, the primary core port and the secondary core LAG', async () => {
+      global.mcpServices.switchManager.getNetworkTopology.mockReturnValue({
+        uplinkConnections: {
+          office: {
+            switch: 'sodola.office',
+            accessPort: 'Port 17',
+            accessSecondaryPort: 'Port 18',
+            primaryCore: 'vimins.core1',
+            primaryPort: 'TE6',
+            secondaryCore: 'vimins.core2',
+            secondaryPort: 'LAG1'
+          }
+        }
+      })
+
+      const result = await vlanTools.deployVLANNetworkWide({ vlan_config: vlanConfig })
+
+      expect(result.success).toBe(true)
+      const trunk = global.mcpServices.vlanManager.configureTrunkPort
+      expect(trunk).toHaveBeenCalledWith('sodola_office', 'Port 17', [100], 1)
+      expect(trunk).toHaveBeenCalledWith('vimins_core1', 'TE6', [100], 1)
+      expect(trunk).toHaveBeenCalledWith('sodola_office', 'Port 18', [100], 1)
+      expect(trunk).toHaveBeenCalledWith('vimins_core2', 'TE3', [100], 1)
+      expect(trunk).toHaveBeenCalledWith('vimins_core2', 'TE4', [100], 1)
+      expect(result.data.summary.trunks_configured).toBe(4)
+    })
+
+    test('should report a missing access port instead of claiming success', async () => {
+      global.mcpServices.switchManager.getNetworkTopology.mockReturnValue({
+        uplinkConnections: {
+          office: { switch: 'sodola.office', primaryCore: 'vimins.core1', primaryPort: 'TE6' }
+        }
+      })
+
+      const result = await vlanTools.deployVLANNetworkWide({ vlan_config: vlanConfig })
+
+      expect(result.success).toBe(false)
+      expect(result.message).toContain('1 of 2')
+      const access = result.data.trunk_configuration.find(r => r.role === 'access')
+      expect(access.success).toBe(false)
+      expect(access.error).toBe('Uplink office has no accessPort configured')
+    })
+  })
+
   describe('validateVLANConsistency', () => {
     test('should validate VLAN consistency', async () => {
       const mockVlans = {